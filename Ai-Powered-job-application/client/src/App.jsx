@@ -8,6 +8,7 @@ import { AuthProvider } from './contexts/AuthContext.jsx';
 // Components
 import Navbar from './components/Navbar.jsx';
 import ProtectedRoute from './components/ProtectedRoute.jsx';
+import VerifyEmailBanner from './components/VerifyEmailBanner.jsx';
 
 // Pages
 import Home from './pages/Home.jsx';
@@ -18,6 +19,7 @@ import AdminDashboard from './pages/AdminDashboard.jsx';
 import Jobs from './pages/Jobs.jsx';
 import JobDetails from './pages/JobDetails.jsx';
 import Matches from './pages/Matches.jsx';
+import Interviews from './pages/Interviews.jsx';
 import ResumeUpload from './pages/ResumeUpload.jsx';
 import Profile from './pages/Profile.jsx';
 import Courses from './pages/Courses.jsx';
@@ -25,7 +27,20 @@ import InterviewPrep from './pages/InterviewPrep.jsx';
 import PostJob from './pages/PostJob.jsx';
 import RecruiterDashboard from './pages/RecruiterDashboard.jsx';
 import AdminVideos from './pages/AdminVideos.jsx';
+import AdminUsers from './pages/AdminUsers.jsx';
+import AdminJobs from './pages/AdminJobs.jsx';
+import AdminSettings from './pages/AdminSettings.jsx';
+import AdminRoles from './pages/AdminRoles.jsx';
 import Videos from './pages/Videos.jsx';
+import LearningPaths from './pages/LearningPaths.jsx';
+import Companies from './pages/Companies.jsx';
+import CompanyProfile from './pages/CompanyProfile.jsx';
+import MyCompany from './pages/MyCompany.jsx';
+import VerifyEmail from './pages/VerifyEmail.jsx';
+import ForgotPassword from './pages/ForgotPassword.jsx';
+import ResetPassword from './pages/ResetPassword.jsx';
+import OidcCallback from './pages/OidcCallback.jsx';
+import AccountDeleted from './pages/AccountDeleted.jsx';
 
 function App() {
   return (
@@ -33,14 +48,22 @@ function App() {
       <Router>
         <div className="min-h-screen bg-gray-50">
           <Navbar />
+          <VerifyEmailBanner />
           <main className="pb-20">
             <Routes>
               {/* Public Routes */}
               <Route path="/" element={<Home />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/auth/callback" element={<OidcCallback />} />
+              <Route path="/account-deleted/:receiptId" element={<AccountDeleted />} />
               <Route path="/jobs" element={<Jobs />} />
               <Route path="/jobs/:id" element={<JobDetails />} />
+              <Route path="/companies" element={<Companies />} />
+              <Route path="/companies/:slug" element={<CompanyProfile />} />
               
               {/* Protected Routes */}
               <Route path="/dashboard" element={
@@ -53,6 +76,11 @@ function App() {
                   <Matches />
                 </ProtectedRoute>
               } />
+              <Route path="/interviews" element={
+                <ProtectedRoute allowedRoles={['job_seeker']}>
+                  <Interviews />
+                </ProtectedRoute>
+              } />
               <Route path="/resume" element={
                 <ProtectedRoute>
                   <ResumeUpload />
@@ -73,6 +101,11 @@ function App() {
                   <Videos />
                 </ProtectedRoute>
               } />
+              <Route path="/learning-paths" element={
+                <ProtectedRoute allowedRoles={['job_seeker']}>
+                  <LearningPaths />
+                </ProtectedRoute>
+              } />
               <Route path="/interview-prep" element={
                 <ProtectedRoute>
                   <InterviewPrep />
@@ -83,6 +116,11 @@ function App() {
                   <PostJob />
                 </ProtectedRoute>
               } />
+              <Route path="/company" element={
+                <ProtectedRoute allowedRoles={['recruiter']}>
+                  <MyCompany />
+                </ProtectedRoute>
+              } />
               <Route path="/recruiter" element={
                 <ProtectedRoute allowedRoles={['recruiter', 'admin']}>
                   <Dashboard />
@@ -103,6 +141,26 @@ function App() {
                   <AdminVideos />
                 </ProtectedRoute>
               } />
+              <Route path="/admin/users" element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminUsers />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/jobs" element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminJobs />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/settings" element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminSettings />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/roles" element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminRoles />
+                </ProtectedRoute>
+              } />
               <Route path="/admin" element={
                 <ProtectedRoute allowedRoles={['admin']}>
                   <AdminDashboard />
@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
 import { 
   User, 
@@ -11,9 +12,152 @@ import {
   FileText, 
   GraduationCap,
   MessageSquare,
-  Plus
+  Plus,
+  Bell,
+  Route as RouteIcon,
+  Building,
+  Calendar
 } from 'lucide-react';
 
+const UNREAD_POLL_INTERVAL_MS = 60000;
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / (24 * 60))}d ago`;
+};
+
+// Bell with unread count; the dropdown lists the latest notifications
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const timer = setInterval(fetchUnreadCount, UNREAD_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const fetchUnreadCount = async () => {
+    try {
+      const response = await axios.get('/api/notifications/unread-count');
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch unread notifications:', error);
+    }
+  };
+
+  const fetchNotifications = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/notifications?limit=10');
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!isOpen) fetchNotifications();
+    setIsOpen(!isOpen);
+  };
+
+  const openNotification = async (notification) => {
+    setIsOpen(false);
+    if (!notification.read) {
+      setUnreadCount(count => Math.max(count - 1, 0));
+      try {
+        await axios.put(`/api/notifications/${notification.id}/read`);
+      } catch (error) {
+        console.error('Failed to mark notification read:', error);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const markAllRead = async () => {
+    try {
+      await axios.put('/api/notifications/read-all');
+      setNotifications(prev => prev.map(notification => ({ ...notification, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggleOpen}
+        className="relative p-2 rounded-full text-gray-600 hover:text-primary-600 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        aria-label="Notifications"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 bg-red-600 text-white text-[10px] font-semibold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-50 border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <span className="text-sm font-semibold text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-primary-600 hover:text-primary-700">
+                Mark all as read
+              </button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            {loading && notifications.length === 0 ? (
+              <div className="px-4 py-6 text-center text-sm text-gray-500">Loading...</div>
+            ) : notifications.length === 0 ? (
+              <div className="px-4 py-6 text-center text-sm text-gray-500">You&apos;re all caught up.</div>
+            ) : (
+              notifications.map((notification) => (
+                <button
+                  key={notification.id}
+                  onClick={() => openNotification(notification)}
+                  className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${
+                    notification.read ? '' : 'bg-primary-50'
+                  }`}
+                >
+                  <div className="flex items-start justify-between">
+                    <span className={`text-sm ${notification.read ? 'text-gray-700' : 'font-medium text-gray-900'}`}>
+                      {notification.title}
+                    </span>
+                    <span className="ml-2 text-xs text-gray-400 whitespace-nowrap">{timeAgo(notification.createdAt)}</span>
+                  </div>
+                  {notification.message && (
+                    <p className="text-xs text-gray-500 mt-1">{notification.message}</p>
+                  )}
+                </button>
+              ))
+            )}
+          </div>
+          <Link
+            to="/profile"
+            onClick={() => setIsOpen(false)}
+            className="block px-4 py-2 text-center text-xs text-gray-500 hover:text-primary-600 border-t border-gray-100"
+          >
+            Notification settings
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const Navbar = () => {
   const { user, logout, isAuthenticated, isRecruiter, isAdmin } = useAuth();
   const navigate = useNavigate();
@@ -29,14 +173,18 @@ const Navbar = () => {
 
   const navigation = [
     { name: 'Jobs', href: '/jobs', icon: Briefcase },
+    { name: 'Companies', href: '/companies', icon: Building },
     { name: 'Matches', href: '/matches', icon: Target, protected: true, roles: ['job_seeker'] },
+    { name: 'Interviews', href: '/interviews', icon: Calendar, protected: true, roles: ['job_seeker'] },
     { name: 'Videos', href: '/videos', icon: GraduationCap, protected: true },
+    { name: 'Learning Paths', href: '/learning-paths', icon: RouteIcon, protected: true, roles: ['job_seeker'] },
     { name: 'Interview Prep', href: '/interview-prep', icon: MessageSquare, protected: true, roles: ['job_seeker'] },
   ];
 
   const recruiterNav = [
     { name: 'Post Job', href: '/post-job', icon: Plus },
     { name: 'Applications', href: '/recruiter-dashboard', icon: User },
+    { name: 'Company', href: '/company', icon: Building },
   ];
 
   const isActive = (path) => location.pathname === path;
@@ -76,8 +224,8 @@ const Navbar = () => {
             })}
             
             {isRecruiter && recruiterNav.map((item) => {
-              // Don't show Post Job for admins
-              if (item.name === 'Post Job' && user?.role === 'admin') return null;
+              // Admins don't post jobs or belong to companies
+              if (['Post Job', 'Company'].includes(item.name) && user?.role === 'admin') return null;
               
               const Icon = item.icon;
               return (
@@ -112,6 +260,7 @@ const Navbar = () => {
 
           {/* User Menu */}
           <div className="flex items-center space-x-4">
+            {isAuthenticated && <NotificationBell />}
             {isAuthenticated ? (
               <div className="relative">
                 <button
@@ -219,8 +368,8 @@ const Navbar = () => {
               })}
               
               {isRecruiter && recruiterNav.map((item) => {
-                // Don't show Post Job for admins
-                if (item.name === 'Post Job' && user?.role === 'admin') return null;
+                // Admins don't post jobs or belong to companies
+                if (['Post Job', 'Company'].includes(item.name) && user?.role === 'admin') return null;
                 
                 const Icon = item.icon;
                 return (
@@ -18,6 +18,16 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // An admin asked this user to pick a new password; nothing else works until they do
+  if (user.passwordResetRequired && location.pathname !== '/profile') {
+    return <Navigate to="/profile" state={{ tab: 'password' }} replace />;
+  }
+
+  // Their role requires two-factor authentication and they haven't set it up yet
+  if (user.twoFactorSetupRequired && location.pathname !== '/profile') {
+    return <Navigate to="/profile" state={{ tab: 'security' }} replace />;
+  }
+
   if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -0,0 +1,38 @@
+import PropTypes from 'prop-types';
+import { Star } from 'lucide-react';
+
+// Horizontal bars with the number of votes per star, 5 stars on top.
+// `distribution` holds the counts for 1 to 5 stars.
+const RatingDistribution = ({ distribution = [], compact = false }) => {
+  const total = distribution.reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className={compact ? 'space-y-0.5' : 'space-y-1'}>
+      {[5, 4, 3, 2, 1].map((stars) => {
+        const count = distribution[stars - 1] || 0;
+        const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+        return (
+          <div key={stars} className="flex items-center gap-2 text-xs text-gray-600">
+            <span className="flex items-center gap-0.5 w-6">
+              {stars}<Star className="w-3 h-3 text-yellow-400 fill-current" />
+            </span>
+            <div className={`flex-1 bg-gray-200 rounded-full ${compact ? 'h-1' : 'h-2'}`}>
+              <div
+                className={`bg-yellow-400 rounded-full ${compact ? 'h-1' : 'h-2'}`}
+                style={{ width: `${percent}%` }}
+              ></div>
+            </div>
+            <span className="w-8 text-right">{count}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+RatingDistribution.propTypes = {
+  distribution: PropTypes.arrayOf(PropTypes.number),
+  compact: PropTypes.bool
+};
+
+export default RatingDistribution;
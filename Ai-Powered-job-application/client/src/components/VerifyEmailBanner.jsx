@@ -0,0 +1,39 @@
+import { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Mail } from 'lucide-react';
+
+// Reminder shown to signed-in users who haven't confirmed their email address yet
+const VerifyEmailBanner = () => {
+  const { user, resendVerification } = useAuth();
+  const location = useLocation();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified || location.pathname === '/verify-email') return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    await resendVerification();
+    setSending(false);
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 text-sm text-yellow-800">
+        <span className="flex items-center">
+          <Mail className="w-4 h-4 mr-2 flex-shrink-0" />
+          Please confirm your email address. We sent a link to {user.email}.
+        </span>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="font-medium text-yellow-900 underline hover:no-underline disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend link'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,98 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+// How often playback position is reported while a video plays
+const REPORT_INTERVAL_MS = 15000;
+
+let youTubeApi;
+
+// Load the YouTube IFrame API once and share it between players
+const loadYouTubeApi = () => {
+  if (!youTubeApi) {
+    youTubeApi = new Promise((resolve) => {
+      if (window.YT?.Player) {
+        resolve(window.YT);
+        return;
+      }
+      const previous = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        previous?.();
+        resolve(window.YT);
+      };
+      const script = document.createElement('script');
+      script.src = 'https://www.youtube.com/iframe_api';
+      document.body.appendChild(script);
+    });
+  }
+  return youTubeApi;
+};
+
+// Embedded YouTube player that starts at `startSeconds` and calls
+// onProgress({ positionSeconds, percentWatched }) while playing, on pause and at the end
+const YouTubePlayer = ({ videoId, title, startSeconds = 0, onProgress }) => {
+  const containerRef = useRef(null);
+  const onProgressRef = useRef(onProgress);
+  onProgressRef.current = onProgress;
+  // Read when the player is built: a new start time alone doesn't rebuild it
+  const startSecondsRef = useRef(startSeconds);
+  startSecondsRef.current = startSeconds;
+
+  useEffect(() => {
+    let player;
+    let timer;
+    let cancelled = false;
+
+    const report = (ended = false) => {
+      const duration = player?.getDuration?.();
+      if (!duration) return;
+      const position = ended ? duration : player.getCurrentTime();
+      onProgressRef.current?.({
+        positionSeconds: Math.floor(position),
+        percentWatched: Math.min(100, Math.round((position / duration) * 100))
+      });
+    };
+
+    loadYouTubeApi().then((YT) => {
+      if (cancelled) return;
+      player = new YT.Player(containerRef.current, {
+        videoId,
+        width: '100%',
+        height: '100%',
+        playerVars: { start: Math.floor(startSecondsRef.current), rel: 0 },
+        events: {
+          onStateChange: (event) => {
+            clearInterval(timer);
+            if (event.data === YT.PlayerState.PLAYING) {
+              timer = setInterval(() => report(), REPORT_INTERVAL_MS);
+            } else if (event.data === YT.PlayerState.PAUSED) {
+              report();
+            } else if (event.data === YT.PlayerState.ENDED) {
+              report(true);
+            }
+          }
+        }
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      player?.destroy?.();
+    };
+  }, [videoId]);
+
+  return (
+    <div className="w-full h-full" title={title}>
+      <div ref={containerRef} />
+    </div>
+  );
+};
+
+YouTubePlayer.propTypes = {
+  videoId: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  startSeconds: PropTypes.number,
+  onProgress: PropTypes.func
+};
+
+export default YouTubePlayer;
@@ -4,6 +4,32 @@ import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
 
+// The access token lives only in memory and in axios' default header; the refresh token is
+// an httpOnly cookie the server rotates, so a page load starts by trading it for an access token
+const setAccessToken = (token) => {
+  if (token) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common['Authorization'];
+  }
+};
+
+// One refresh at a time; requests that fail together wait for the same new token
+let refreshing = null;
+const refreshAccessToken = () => {
+  if (!refreshing) {
+    refreshing = axios.post('/api/auth/refresh', null, { withCredentials: true, skipAuthRefresh: true })
+      .then(response => {
+        setAccessToken(response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -15,43 +41,59 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(localStorage.getItem('token'));
 
-  // Configure axios defaults
+  // A 401 on an authenticated call means the access token expired or its session ended:
+  // refresh once and retry, or sign out locally when the session is gone
   useEffect(() => {
-    if (token) {
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-    } else {
-      delete axios.defaults.headers.common['Authorization'];
-    }
-  }, [token]);
+    const interceptor = axios.interceptors.response.use(null, async (error) => {
+      const original = error.config;
+      if (error.response?.status !== 401 || !original || original.skipAuthRefresh || original._retried ||
+        !original.headers?.Authorization) {
+        throw error;
+      }
+
+      original._retried = true;
+      try {
+        const newToken = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${newToken}`;
+        return axios(original);
+      } catch {
+        setAccessToken(null);
+        setUser(null);
+        throw error;
+      }
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
 
-  // Check if user is logged in on app load
+  // Restore the session on app load from the refresh cookie
   useEffect(() => {
     const checkAuth = async () => {
-      if (token) {
-        try {
-          const response = await axios.get('/api/auth/me');
-          setUser(response.data.user);
-        } catch (error) {
+      try {
+        await refreshAccessToken();
+        const response = await axios.get('/api/auth/me');
+        setUser(response.data.user);
+      } catch (error) {
+        if (error.response?.status !== 401) {
           console.error('Auth check failed:', error);
-          localStorage.removeItem('token');
-          setToken(null);
         }
+        setAccessToken(null);
       }
       setLoading(false);
     };
 
     checkAuth();
-  }, [token]);
+  }, []);
 
   const login = async (email, password) => {
     try {
-      const response = await axios.post('/api/auth/login', { email, password });
+      const response = await axios.post('/api/auth/login', { email, password }, { withCredentials: true, skipAuthRefresh: true });
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
       const { token: newToken, user: userData } = response.data;
       
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
+      setAccessToken(newToken);
       setUser(userData);
       
       toast.success('Login successful!');
@@ -63,16 +105,30 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second sign-in step for accounts with two-factor authentication
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', { challengeToken, code }, { withCredentials: true, skipAuthRefresh: true });
+      setAccessToken(response.data.token);
+      setUser(response.data.user);
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, error: message, expired: error.response?.status === 401 };
+    }
+  };
+
   const register = async (userData) => {
     try {
-      const response = await axios.post('/api/auth/register', userData);
+      const response = await axios.post('/api/auth/register', userData, { withCredentials: true, skipAuthRefresh: true });
       const { token: newToken, user: newUser } = response.data;
       
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
+      setAccessToken(newToken);
       setUser(newUser);
       
-      toast.success('Registration successful!');
+      toast.success('Registration successful! Check your inbox to confirm your email address.');
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
@@ -81,14 +137,66 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
+  const logout = async () => {
+    try {
+      await axios.post('/api/auth/logout', null, { withCredentials: true, skipAuthRefresh: true });
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setAccessToken(null);
     setUser(null);
-    delete axios.defaults.headers.common['Authorization'];
     toast.success('Logged out successfully');
   };
 
+  // Revoke every session, including this one
+  const logoutAll = async () => {
+    try {
+      const response = await axios.post('/api/auth/logout-all', null, { withCredentials: true });
+      setAccessToken(null);
+      setUser(null);
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to sign out everywhere';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Erase the account for good; resolves with the deletion receipt
+  const deleteAccount = async (confirmation) => {
+    try {
+      const response = await axios.delete('/api/users/account', { data: confirmation, withCredentials: true });
+      setAccessToken(null);
+      setUser(null);
+      return { success: true, receipt: response.data.receipt };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete account';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Hand the browser to an OIDC provider; with link, the provider is connected to this account
+  // instead. The provider sends the browser back to /auth/callback.
+  const startOidc = async (providerId, { link = false } = {}) => {
+    try {
+      const response = await axios.post(`/api/auth/oidc/${providerId}/start`, { link }, { withCredentials: true });
+      window.location.assign(response.data.url);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Sign-in provider is unavailable';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const refreshUser = async () => {
+    const response = await axios.get('/api/auth/me');
+    setUser(response.data.user);
+    return response.data.user;
+  };
+
   const updateProfile = async (profileData) => {
     try {
       const response = await axios.put('/api/auth/profile', profileData);
@@ -104,11 +212,12 @@ export const AuthProvider = ({ children }) => {
 
   const changePassword = async (currentPassword, newPassword) => {
     try {
-      await axios.post('/api/auth/change-password', {
+      const response = await axios.post('/api/auth/change-password', {
         currentPassword,
         newPassword
       });
-      toast.success('Password changed successfully');
+      setUser(prev => prev && { ...prev, passwordResetRequired: false, hasPassword: true });
+      toast.success(response.data.message);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Password change failed';
@@ -117,14 +226,45 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Confirm the address from the emailed link; works whether or not anyone is signed in
+  const verifyEmail = async (verificationToken) => {
+    try {
+      const response = await axios.post('/api/auth/verify-email', { token: verificationToken });
+      setUser(prev => prev && prev.email === response.data.email ? { ...prev, emailVerified: true } : prev);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Email verification failed';
+      return { success: false, error: message };
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to send verification email';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const value = {
     user,
     loading,
     login,
+    verifyTwoFactor,
     register,
     logout,
+    logoutAll,
+    deleteAccount,
+    startOidc,
+    refreshUser,
     updateProfile,
     changePassword,
+    verifyEmail,
+    resendVerification,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'admin',
     isRecruiter: user?.role === 'recruiter' || user?.role === 'admin',
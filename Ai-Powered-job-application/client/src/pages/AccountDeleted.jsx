@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { CheckCircle, AlertTriangle } from 'lucide-react';
+
+// Deletion receipt, shown right after erasing an account and reachable from the receipt email.
+// Record counts are only sent with the signed link; a bare receipt id shows what was done.
+const AccountDeleted = () => {
+  const { receiptId } = useParams();
+  const [searchParams] = useSearchParams();
+  const signature = searchParams.get('signature');
+  const [receipt, setReceipt] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`/api/users/erasure-receipts/${receiptId}`, {
+      params: signature ? { signature } : undefined,
+      skipAuthRefresh: true
+    })
+      .then(response => setReceipt(response.data.receipt))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load the receipt'));
+  }, [receiptId, signature]);
+
+  if (!receipt && !error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+      <div className="max-w-lg w-full card">
+        {error ? (
+          <div className="text-center">
+            <AlertTriangle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900">{error}</h2>
+          </div>
+        ) : (
+          <>
+            <div className="text-center">
+              <CheckCircle className="w-12 h-12 text-green-500 mx-auto mb-4" />
+              <h2 className="text-xl font-semibold text-gray-900">Your account has been deleted</h2>
+              <p className="text-sm text-gray-600 mt-2">
+                Keep this receipt number in case you need to refer to the deletion later.
+              </p>
+              <p className="font-mono text-sm text-gray-900 bg-gray-100 rounded px-3 py-2 mt-3 break-all">
+                {receipt.receiptId}
+              </p>
+            </div>
+
+            <ul className="divide-y divide-gray-200 mt-6 text-sm">
+              {receipt.records.map(entry => (
+                <li key={`${entry.type}-${entry.action}`} className="py-2 flex justify-between">
+                  <span className="text-gray-700 capitalize">{entry.type}</span>
+                  <span className="text-gray-500">
+                    {entry.count !== undefined && `${entry.count} `}{entry.action}
+                  </span>
+                </li>
+              ))}
+              {receipt.files && (
+                <li className="py-2 flex justify-between">
+                  <span className="text-gray-700">Stored files</span>
+                  <span className="text-gray-500">
+                    {receipt.files.deleted} deleted
+                    {receipt.files.pending > 0 && `, ${receipt.files.pending} queued for removal`}
+                  </span>
+                </li>
+              )}
+            </ul>
+
+            <p className="text-xs text-gray-500 mt-4">
+              Completed {new Date(receipt.completedAt).toLocaleString()}
+            </p>
+          </>
+        )}
+
+        <div className="text-center">
+          <Link to="/" className="btn btn-outline mt-6 inline-block">Back to home</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountDeleted;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Shield, GraduationCap, Users, Briefcase, Settings } from 'lucide-react';
+import { Shield, GraduationCap, Users, Briefcase, Settings, KeyRound } from 'lucide-react';
 
 const AdminDashboard = () => {
   const { user } = useAuth();
@@ -28,21 +28,24 @@ const AdminDashboard = () => {
           title="Manage Users"
           description="Activate, deactivate, and assign roles"
           to="/admin/users"
-          disabled
         />
         <AdminCard
           icon={Briefcase}
           title="Moderate Jobs"
           description="Review and moderate job postings"
           to="/admin/jobs"
-          disabled
         />
         <AdminCard
           icon={Settings}
           title="Platform Settings"
-          description="Configure global preferences"
+          description="Matching thresholds, uploads, AI models and job review"
           to="/admin/settings"
-          disabled
+        />
+        <AdminCard
+          icon={KeyRound}
+          title="Roles & Permissions"
+          description="Decide what job seekers, recruiters and admins may do"
+          to="/admin/roles"
         />
       </div>
     </div>
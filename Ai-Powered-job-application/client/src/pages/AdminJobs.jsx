@@ -0,0 +1,250 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Briefcase, Filter, CheckCircle, XCircle, AlertTriangle, MapPin, DollarSign, Building } from 'lucide-react';
+
+const stateTabs = [
+  { value: 'pending', label: 'Awaiting Review' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+const flagLabels = {
+  missing_salary: 'Missing salary',
+  suspicious_keywords: 'Suspicious wording',
+  duplicate: 'Possible duplicate'
+};
+
+const modeDescriptions = {
+  off: 'Moderation is off (see Platform Settings): new postings go live immediately. Only rejected postings that were edited come back here.',
+  flagged: 'Postings with automated flags are held here until an admin reviews them.',
+  all: 'Every new posting is held here until an admin reviews it.'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '—');
+
+const formatSalary = (compensation) => {
+  const salary = compensation?.salary;
+  if (!salary?.min && !salary?.max) return 'Not specified';
+  const currency = salary.currency || 'USD';
+  const range = [salary.min, salary.max].filter(Boolean).map(value => value.toLocaleString()).join(' - ');
+  return `${currency} ${range}${salary.period ? ` / ${salary.period}` : ''}`;
+};
+
+const AdminJobs = () => {
+  const [jobs, setJobs] = useState([]);
+  const [state, setState] = useState('pending');
+  const [flag, setFlag] = useState('');
+  const [mode, setMode] = useState('off');
+  const [pendingCount, setPendingCount] = useState(0);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [rejecting, setRejecting] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const fetchQueue = useCallback(async (page) => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ state, page, limit: 20 });
+      if (flag) params.append('flag', flag);
+
+      const response = await axios.get(`/api/admin/jobs?${params.toString()}`);
+      setJobs(response.data.jobs);
+      setMode(response.data.mode);
+      setPendingCount(response.data.pendingCount);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to fetch moderation queue:', error);
+      toast.error('Failed to fetch moderation queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [state, flag]);
+
+  useEffect(() => {
+    fetchQueue(1);
+  }, [fetchQueue]);
+
+  const approve = async (job) => {
+    try {
+      const response = await axios.put(`/api/admin/jobs/${job.id}/approve`);
+      toast.success(response.data.message);
+      fetchQueue(pagination.current);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to approve job');
+    }
+  };
+
+  const reject = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.put(`/api/admin/jobs/${rejecting.id}/reject`, { reason });
+      toast.success(response.data.message);
+      setRejecting(null);
+      setReason('');
+      fetchQueue(pagination.current);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to reject job');
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+          <Briefcase className="w-8 h-8 text-primary-600 mr-3" />
+          Job Moderation
+        </h1>
+        <p className="text-gray-600 mt-2">{modeDescriptions[mode]}</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="flex gap-2">
+          {stateTabs.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => setState(tab.value)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                state === tab.value ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {tab.label}
+              {tab.value === 'pending' && pendingCount > 0 && ` (${pendingCount})`}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <Filter className="w-4 h-4 text-gray-400" />
+          <select value={flag} onChange={(e) => setFlag(e.target.value)} className="input">
+            <option value="">Any Flags</option>
+            {Object.entries(flagLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12 text-gray-500">Loading postings...</div>
+      ) : jobs.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12 text-gray-500">
+          {state === 'pending' ? 'Nothing is waiting for review.' : 'No postings found.'}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {jobs.map(job => (
+            <div key={job.id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  <h2 className="text-lg font-semibold text-gray-900">{job.title}</h2>
+                  <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 mt-1">
+                    <span className="flex items-center"><Building className="w-4 h-4 mr-1" />{job.company?.name}</span>
+                    <span className="flex items-center">
+                      <MapPin className="w-4 h-4 mr-1" />
+                      {job.location?.remote ? 'Remote' : [job.location?.city, job.location?.country].filter(Boolean).join(', ') || '—'}
+                    </span>
+                    <span className="flex items-center"><DollarSign className="w-4 h-4 mr-1" />{formatSalary(job.compensation)}</span>
+                  </div>
+                  <p className="text-sm text-gray-500 mt-1">
+                    Posted by {job.postedBy ? `${job.postedBy.name} (${job.postedBy.email})` : 'unknown'} ·
+                    {' '}{job.moderation.state === 'pending'
+                      ? `submitted ${formatDate(job.moderation.submittedAt || job.updatedAt)}`
+                      : `reviewed ${formatDate(job.moderation.reviewedAt)}`}
+                  </p>
+
+                  {job.moderation.flags.length > 0 && (
+                    <div className="mt-3 space-y-1">
+                      {job.moderation.flags.map(entry => (
+                        <div key={entry.code} className="flex items-start text-sm text-yellow-800">
+                          <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                          <span>
+                            <span className="font-medium">{flagLabels[entry.code] || entry.code}:</span> {entry.message}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {job.moderation.reason && (
+                    <p className="mt-3 text-sm text-gray-700">
+                      <span className="font-medium">
+                        {job.moderation.state === 'rejected' ? 'Rejection reason' : 'Note'}:
+                      </span> {job.moderation.reason}
+                    </p>
+                  )}
+
+                  <p className="mt-3 text-sm text-gray-700 whitespace-pre-line line-clamp-4">{job.description}</p>
+                </div>
+
+                {job.moderation.state === 'pending' && (
+                  <div className="flex md:flex-col gap-2 flex-shrink-0">
+                    <button onClick={() => approve(job)} className="btn btn-primary flex items-center gap-2">
+                      <CheckCircle className="w-4 h-4" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => { setRejecting(job); setReason(''); }}
+                      className="btn btn-outline flex items-center gap-2 text-red-600"
+                    >
+                      <XCircle className="w-4 h-4" />
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {rejecting?.id === job.id && (
+                <form onSubmit={reject} className="mt-4 border-t border-gray-200 pt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reason (shown to the recruiter)
+                  </label>
+                  <textarea
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    rows={3}
+                    maxLength={1000}
+                    required
+                    className="input w-full"
+                  />
+                  <div className="flex justify-end gap-2 mt-2">
+                    <button type="button" onClick={() => setRejecting(null)} className="btn btn-outline">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={!reason.trim()} className="btn btn-primary">
+                      Reject Posting
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <span>{pagination.total} postings</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => fetchQueue(pagination.current - 1)}
+              disabled={pagination.current <= 1}
+              className="btn btn-outline text-sm"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.current} of {pagination.pages}</span>
+            <button
+              onClick={() => fetchQueue(pagination.current + 1)}
+              disabled={pagination.current >= pagination.pages}
+              className="btn btn-outline text-sm"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminJobs;
@@ -0,0 +1,275 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { KeyRound, RotateCcw, Save, History, Lock } from 'lucide-react';
+
+// { permission: scope } from "resource:action:scope" grants
+const toDraft = (grants) => Object.fromEntries(grants.map(grant => {
+  const parts = grant.split(':');
+  return [`${parts[0]}:${parts[1]}`, parts[2]];
+}));
+
+const fromDraft = (draft) => Object.entries(draft)
+  .filter(([, scope]) => scope)
+  .map(([permission, scope]) => `${permission}:${scope}`);
+
+const sameGrants = (a, b) => a.length === b.length && a.every(grant => b.includes(grant));
+
+const formatGrants = (grants) => (grants?.length ? grants.join(', ') : 'none');
+
+const AdminRoles = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [historyRole, setHistoryRole] = useState('admin');
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await axios.get('/api/admin/roles');
+      setRoles(response.data.roles);
+      setPermissions(response.data.permissions);
+      setDrafts(Object.fromEntries(response.data.roles.map(role => [role.name, toDraft(role.grants)])));
+      setNotes({});
+    } catch (error) {
+      console.error('Failed to fetch roles:', error);
+      toast.error('Failed to fetch roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/admin/roles/${historyRole}/history`);
+      setHistory(response.data.history);
+    } catch (error) {
+      console.error('Failed to fetch role history:', error);
+    }
+  }, [historyRole]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const setScope = (role, permission, scope) => {
+    setDrafts(prev => ({ ...prev, [role]: { ...prev[role], [permission]: scope } }));
+  };
+
+  const save = async (role) => {
+    setSaving(role.name);
+    try {
+      const response = await axios.put(`/api/admin/roles/${role.name}`, {
+        grants: fromDraft(drafts[role.name]),
+        note: notes[role.name] || undefined
+      });
+      toast.success(response.data.message);
+      await Promise.all([fetchRoles(), fetchHistory()]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to update role');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const reset = async (role) => {
+    if (!window.confirm(`Reset "${role.label}" to its built-in permissions?`)) return;
+    setSaving(role.name);
+    try {
+      const response = await axios.delete(`/api/admin/roles/${role.name}`, {
+        data: { note: notes[role.name] || undefined }
+      });
+      toast.success(response.data.message);
+      await Promise.all([fetchRoles(), fetchHistory()]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset role');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const resources = [...new Set(permissions.map(permission => permission.resource))];
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+          <KeyRound className="w-8 h-8 text-primary-600 mr-3" />
+          Roles &amp; Permissions
+        </h1>
+        <p className="text-gray-600 mt-2">
+          What each role may do. &quot;Own&quot; covers only the user&apos;s own records (jobs they posted, their company,
+          their applications); &quot;Any&quot; covers every record. Changes take effect immediately.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Permission</th>
+              {roles.map(role => (
+                <th key={role.name} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {role.label}
+                  <span className="block normal-case font-normal text-gray-400">
+                    {role.isDefault ? 'built-in' : 'customised'}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          {resources.map(resource => {
+            const actions = permissions.filter(permission => permission.resource === resource);
+            return (
+              <tbody key={resource} className="divide-y divide-gray-100">
+                <tr className="bg-gray-50">
+                  <td colSpan={roles.length + 1} className="px-6 py-2 text-sm font-semibold text-gray-900">
+                    {actions[0].resourceLabel}
+                  </td>
+                </tr>
+                {actions.map(permission => (
+                  <tr key={permission.permission}>
+                    <td className="px-6 py-3">
+                      <p className="text-sm font-medium text-gray-900 font-mono">{permission.permission}</p>
+                      <p className="text-xs text-gray-500">{permission.description}</p>
+                    </td>
+                    {roles.map(role => {
+                      const locked = role.locked.some(grant => grant.startsWith(`${permission.permission}:`));
+                      return (
+                        <td key={role.name} className="px-4 py-3">
+                          <div className="flex items-center gap-1">
+                            <select
+                              value={drafts[role.name]?.[permission.permission] || ''}
+                              onChange={(e) => setScope(role.name, permission.permission, e.target.value)}
+                              disabled={locked}
+                              aria-label={`${role.label}: ${permission.permission}`}
+                              className="input text-sm py-1"
+                            >
+                              <option value="">—</option>
+                              {permission.scopes.map(scope => (
+                                <option key={scope} value={scope}>{scope === 'own' ? 'Own' : 'Any'}</option>
+                              ))}
+                            </select>
+                            {locked && (
+                              <span title="Admins always keep this permission">
+                                <Lock className="w-4 h-4 text-gray-400" />
+                              </span>
+                            )}
+                          </div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            );
+          })}
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        {roles.map(role => {
+          const changed = !sameGrants(fromDraft(drafts[role.name] || {}), role.grants);
+          return (
+            <div key={role.name} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-3">
+              <div>
+                <p className="font-medium text-gray-900">{role.label}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {role.isDefault ? 'Using the built-in permissions' : 'Customised'}
+                  {role.updatedBy && ` · last changed by ${role.updatedBy.name} on ${new Date(role.updatedAt).toLocaleString()}`}
+                </p>
+              </div>
+              {changed && (
+                <input
+                  type="text"
+                  value={notes[role.name] || ''}
+                  onChange={(e) => setNotes(prev => ({ ...prev, [role.name]: e.target.value }))}
+                  maxLength={500}
+                  placeholder="Reason for the change (optional)"
+                  className="input w-full text-sm"
+                />
+              )}
+              <div className="flex justify-end gap-2">
+                {!role.isDefault && (
+                  <button
+                    onClick={() => reset(role)}
+                    disabled={saving === role.name}
+                    className="btn btn-outline text-sm flex items-center gap-1"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    Reset
+                  </button>
+                )}
+                <button
+                  onClick={() => save(role)}
+                  disabled={!changed || saving === role.name}
+                  className="btn btn-primary text-sm flex items-center gap-1"
+                >
+                  <Save className="w-4 h-4" />
+                  Save
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <History className="w-5 h-5 mr-2 text-gray-500" />
+            Change History
+          </h2>
+          <select value={historyRole} onChange={(e) => setHistoryRole(e.target.value)} className="input text-sm">
+            {roles.map(role => (
+              <option key={role.name} value={role.name}>{role.label}</option>
+            ))}
+          </select>
+        </div>
+        {history.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No changes yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {history.map((entry, index) => {
+              const added = entry.grants.filter(grant => !entry.previousGrants.includes(grant));
+              const removed = entry.previousGrants.filter(grant => !entry.grants.includes(grant));
+              return (
+                <li key={`${entry.changedAt}-${index}`} className="px-6 py-4 text-sm">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900">
+                      {entry.reset ? 'Reset to built-in permissions' : 'Permissions changed'}
+                    </span>
+                    <span className="text-gray-500">{new Date(entry.changedAt).toLocaleString()}</span>
+                  </div>
+                  {added.length > 0 && <p className="text-green-700 mt-1">+ {formatGrants(added)}</p>}
+                  {removed.length > 0 && <p className="text-red-700 mt-1">− {formatGrants(removed)}</p>}
+                  <p className="text-gray-500">
+                    {entry.changedBy ? entry.changedBy.name : 'Unknown'}
+                    {entry.note && ` · ${entry.note}`}
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminRoles;
@@ -0,0 +1,277 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Settings, RotateCcw, Save, History } from 'lucide-react';
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(', ') || 'none' : String(value ?? '—'));
+
+// Form value for a setting: lists are edited one entry per line
+const toDraft = (setting) => (Array.isArray(setting.value) ? setting.value.join('\n') : String(setting.value));
+
+const fromDraft = (setting, draft) => {
+  if (setting.type === 'list') return draft.split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+  if (setting.type === 'number') return Number(draft);
+  if (setting.type === 'boolean') return draft === 'true';
+  return draft;
+};
+
+const AdminSettings = () => {
+  const [settings, setSettings] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyKey, setHistoryKey] = useState('');
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const response = await axios.get('/api/admin/settings');
+      setSettings(response.data.settings);
+      setDrafts(Object.fromEntries(response.data.settings.map(setting => [setting.key, toDraft(setting)])));
+      setNotes({});
+    } catch (error) {
+      console.error('Failed to fetch settings:', error);
+      toast.error('Failed to fetch settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ limit: 50 });
+      if (historyKey) params.append('key', historyKey);
+      const response = await axios.get(`/api/admin/settings/history?${params.toString()}`);
+      setHistory(response.data.history);
+    } catch (error) {
+      console.error('Failed to fetch settings history:', error);
+    }
+  }, [historyKey]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const save = async (setting) => {
+    setSaving(setting.key);
+    try {
+      const response = await axios.put(`/api/admin/settings/${setting.key}`, {
+        value: fromDraft(setting, drafts[setting.key]),
+        note: notes[setting.key] || undefined
+      });
+      toast.success(response.data.message);
+      await Promise.all([fetchSettings(), fetchHistory()]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to update setting');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const reset = async (setting) => {
+    if (!window.confirm(`Reset "${setting.label}" to its default (${formatValue(setting.default)})?`)) return;
+    setSaving(setting.key);
+    try {
+      const response = await axios.delete(`/api/admin/settings/${setting.key}`, {
+        data: { note: notes[setting.key] || undefined }
+      });
+      toast.success(response.data.message);
+      await Promise.all([fetchSettings(), fetchHistory()]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset setting');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const categories = [...new Set(settings.map(setting => setting.category))];
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+          <Settings className="w-8 h-8 text-primary-600 mr-3" />
+          Platform Settings
+        </h1>
+        <p className="text-gray-600 mt-2">Changes take effect immediately, without a restart.</p>
+      </div>
+
+      {categories.map(category => (
+        <div key={category} className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">{category}</h2>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {settings.filter(setting => setting.category === category).map(setting => {
+              const changed = drafts[setting.key] !== toDraft(setting);
+              return (
+                <div key={setting.key} className="p-6">
+                  <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                    <div className="md:w-1/2">
+                      <label htmlFor={setting.key} className="font-medium text-gray-900">{setting.label}</label>
+                      <p className="text-sm text-gray-600 mt-1">{setting.description}</p>
+                      <p className="text-xs text-gray-500 mt-2">
+                        {setting.isDefault
+                          ? 'Using the default'
+                          : `Default: ${formatValue(setting.default)}`}
+                        {setting.updatedBy && ` · last changed by ${setting.updatedBy.name} on ${new Date(setting.updatedAt).toLocaleString()}`}
+                      </p>
+                    </div>
+                    <div className="md:w-1/2 space-y-2">
+                      {setting.type === 'enum' ? (
+                        <select
+                          id={setting.key}
+                          value={drafts[setting.key]}
+                          onChange={(e) => setDrafts(prev => ({ ...prev, [setting.key]: e.target.value }))}
+                          className="input w-full"
+                        >
+                          {setting.options.map(option => (
+                            <option key={option} value={option}>{option}</option>
+                          ))}
+                        </select>
+                      ) : setting.type === 'boolean' ? (
+                        <select
+                          id={setting.key}
+                          value={drafts[setting.key]}
+                          onChange={(e) => setDrafts(prev => ({ ...prev, [setting.key]: e.target.value }))}
+                          className="input w-full"
+                        >
+                          <option value="true">Enabled</option>
+                          <option value="false">Disabled</option>
+                        </select>
+                      ) : setting.type === 'list' && setting.options ? (
+                        <div id={setting.key} className="space-y-1">
+                          {setting.options.map(option => {
+                            const selected = fromDraft(setting, drafts[setting.key]);
+                            return (
+                              <label key={option} className="flex items-center text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={selected.includes(option)}
+                                  onChange={(e) => setDrafts(prev => ({
+                                    ...prev,
+                                    [setting.key]: setting.options
+                                      .filter(item => (item === option ? e.target.checked : selected.includes(item)))
+                                      .join('\n')
+                                  }))}
+                                  className="h-4 w-4 text-primary-600 rounded border-gray-300 mr-2"
+                                />
+                                {option}
+                              </label>
+                            );
+                          })}
+                        </div>
+                      ) : setting.type === 'list' ? (
+                        <textarea
+                          id={setting.key}
+                          value={drafts[setting.key]}
+                          onChange={(e) => setDrafts(prev => ({ ...prev, [setting.key]: e.target.value }))}
+                          rows={3}
+                          className="input w-full font-mono text-sm"
+                          placeholder="One entry per line"
+                        />
+                      ) : (
+                        <input
+                          id={setting.key}
+                          type={setting.type === 'number' ? 'number' : 'text'}
+                          min={setting.min}
+                          max={setting.max}
+                          step={setting.type === 'number' ? (setting.integer ? 1 : 'any') : undefined}
+                          value={drafts[setting.key]}
+                          onChange={(e) => setDrafts(prev => ({ ...prev, [setting.key]: e.target.value }))}
+                          className="input w-full"
+                        />
+                      )}
+                      {changed && (
+                        <input
+                          type="text"
+                          value={notes[setting.key] || ''}
+                          onChange={(e) => setNotes(prev => ({ ...prev, [setting.key]: e.target.value }))}
+                          maxLength={500}
+                          placeholder="Reason for the change (optional)"
+                          className="input w-full text-sm"
+                        />
+                      )}
+                      <div className="flex justify-end gap-2">
+                        {!setting.isDefault && (
+                          <button
+                            onClick={() => reset(setting)}
+                            disabled={saving === setting.key}
+                            className="btn btn-outline text-sm flex items-center gap-1"
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                            Reset
+                          </button>
+                        )}
+                        <button
+                          onClick={() => save(setting)}
+                          disabled={!changed || saving === setting.key}
+                          className="btn btn-primary text-sm flex items-center gap-1"
+                        >
+                          <Save className="w-4 h-4" />
+                          Save
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <History className="w-5 h-5 mr-2 text-gray-500" />
+            Change History
+          </h2>
+          <select value={historyKey} onChange={(e) => setHistoryKey(e.target.value)} className="input text-sm">
+            <option value="">All settings</option>
+            {settings.map(setting => (
+              <option key={setting.key} value={setting.key}>{setting.label}</option>
+            ))}
+          </select>
+        </div>
+        {history.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No changes yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {history.map((entry, index) => (
+              <li key={`${entry.key}-${entry.changedAt}-${index}`} className="px-6 py-4 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-900">{entry.label}</span>
+                  <span className="text-gray-500">{new Date(entry.changedAt).toLocaleString()}</span>
+                </div>
+                <p className="text-gray-700 mt-1">
+                  {formatValue(entry.previousValue)} → {formatValue(entry.value)}
+                  {entry.reset && <span className="ml-2 text-gray-500">(reset to default)</span>}
+                </p>
+                <p className="text-gray-500">
+                  {entry.changedBy ? entry.changedBy.name : 'Unknown'}
+                  {entry.note && ` · ${entry.note}`}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminSettings;
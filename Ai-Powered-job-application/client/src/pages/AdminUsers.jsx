@@ -0,0 +1,406 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { Users, Search, Filter, KeyRound, UserX, UserCheck, Eye, X, FileText, Briefcase, ShieldOff } from 'lucide-react';
+
+const roleLabels = {
+  job_seeker: 'Job Seeker',
+  recruiter: 'Recruiter',
+  admin: 'Admin'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—');
+
+const AdminUsers = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [status, setStatus] = useState('');
+  const [sort, setSort] = useState('newest');
+  const [selectedUserId, setSelectedUserId] = useState(null);
+  // The search applies on Enter or Apply, not as it is typed
+  const searchRef = useRef(search);
+  searchRef.current = search;
+
+  const fetchUsers = useCallback(async (page) => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: 20, sort });
+      if (searchRef.current) params.append('search', searchRef.current);
+      if (role) params.append('role', role);
+      if (status) params.append('status', status);
+
+      const response = await axios.get(`/api/admin/users?${params.toString()}`);
+      setUsers(response.data.users);
+      setCounts(response.data.counts);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to fetch users:', error);
+      toast.error('Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  }, [role, status, sort]);
+
+  useEffect(() => {
+    fetchUsers(1);
+  }, [fetchUsers]);
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(entry => entry.id === updated.id ? updated : entry));
+  };
+
+  const changeRole = async (target, newRole) => {
+    if (!window.confirm(`Change ${target.fullName}'s role to ${roleLabels[newRole]}?`)) return;
+    try {
+      const response = await axios.put(`/api/admin/users/${target.id}/role`, { role: newRole });
+      replaceUser(response.data.user);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update role');
+    }
+  };
+
+  const toggleActive = async (target) => {
+    const action = target.isActive ? 'Deactivate' : 'Activate';
+    if (!window.confirm(`${action} ${target.fullName}?`)) return;
+    try {
+      const response = await axios.put(`/api/admin/users/${target.id}/status`, { isActive: !target.isActive });
+      replaceUser(response.data.user);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update user');
+    }
+  };
+
+  const forcePasswordReset = async (target) => {
+    if (!window.confirm(`Require ${target.fullName} to choose a new password?`)) return;
+    try {
+      const response = await axios.post(`/api/admin/users/${target.id}/force-password-reset`);
+      replaceUser(response.data.user);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to force password reset');
+    }
+  };
+
+  const resetTwoFactor = async (target) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${target.fullName}? Only do this once you have confirmed who is asking.`)) return;
+    try {
+      const response = await axios.post(`/api/admin/users/${target.id}/reset-two-factor`);
+      replaceUser(response.data.user);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+          <Users className="w-8 h-8 text-primary-600 mr-3" />
+          User Management
+        </h1>
+        <p className="text-gray-600 mt-2">
+          {counts.job_seeker || 0} job seekers · {counts.recruiter || 0} recruiters · {counts.admin || 0} admins
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+        <div className="flex flex-col lg:flex-row gap-4">
+          <div className="flex-1 relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-4 h-4" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && fetchUsers(1)}
+              placeholder="Search by name or email..."
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+          </div>
+          <div className="flex gap-3">
+            <select value={role} onChange={(e) => setRole(e.target.value)} className="input">
+              <option value="">All Roles</option>
+              {Object.entries(roleLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className="input">
+              <option value="">Any Status</option>
+              <option value="active">Active</option>
+              <option value="inactive">Deactivated</option>
+            </select>
+            <select value={sort} onChange={(e) => setSort(e.target.value)} className="input">
+              <option value="newest">Newest</option>
+              <option value="oldest">Oldest</option>
+              <option value="name">Name</option>
+              <option value="lastLogin">Last Login</option>
+            </select>
+            <button onClick={() => fetchUsers(1)} className="btn btn-primary flex items-center gap-2">
+              <Filter className="w-4 h-4" />
+              Apply
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Joined</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Login</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-12 text-center text-gray-500">Loading users...</td>
+              </tr>
+            ) : users.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-12 text-center text-gray-500">No users found.</td>
+              </tr>
+            ) : users.map((entry) => {
+              const isSelf = entry.id === currentUser?.id;
+              return (
+                <tr key={entry.id} className={entry.isActive ? '' : 'bg-gray-50'}>
+                  <td className="px-6 py-4">
+                    <div className="font-medium text-gray-900">{entry.fullName}{isSelf && ' (you)'}</div>
+                    <div className="text-sm text-gray-500">{entry.email}</div>
+                  </td>
+                  <td className="px-6 py-4">
+                    <select
+                      value={entry.role}
+                      disabled={isSelf}
+                      onChange={(e) => changeRole(entry, e.target.value)}
+                      className="text-sm border border-gray-300 rounded-md px-2 py-1"
+                    >
+                      {Object.entries(roleLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      entry.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {entry.isActive ? 'Active' : 'Deactivated'}
+                    </span>
+                    {entry.passwordResetRequired && (
+                      <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                        Reset pending
+                      </span>
+                    )}
+                    {entry.twoFactorEnabled && (
+                      <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                        2FA
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{formatDate(entry.createdAt)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{formatDate(entry.lastLogin)}</td>
+                  <td className="px-6 py-4">
+                    <div className="flex items-center justify-end gap-3">
+                      <button
+                        onClick={() => setSelectedUserId(entry.id)}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="View details"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => forcePasswordReset(entry)}
+                        disabled={entry.passwordResetRequired}
+                        className="text-gray-400 hover:text-yellow-600 disabled:opacity-40"
+                        title="Force password reset"
+                      >
+                        <KeyRound className="w-4 h-4" />
+                      </button>
+                      {entry.twoFactorEnabled && (
+                        <button
+                          onClick={() => resetTwoFactor(entry)}
+                          className="text-gray-400 hover:text-yellow-600"
+                          title="Reset two-factor authentication"
+                        >
+                          <ShieldOff className="w-4 h-4" />
+                        </button>
+                      )}
+                      {!isSelf && (
+                        <button
+                          onClick={() => toggleActive(entry)}
+                          className={entry.isActive ? 'text-gray-400 hover:text-red-600' : 'text-gray-400 hover:text-green-600'}
+                          title={entry.isActive ? 'Deactivate' : 'Activate'}
+                        >
+                          {entry.isActive ? <UserX className="w-4 h-4" /> : <UserCheck className="w-4 h-4" />}
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <span>{pagination.total} users</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => fetchUsers(pagination.current - 1)}
+              disabled={pagination.current <= 1}
+              className="btn btn-outline text-sm"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.current} of {pagination.pages}</span>
+            <button
+              onClick={() => fetchUsers(pagination.current + 1)}
+              disabled={pagination.current >= pagination.pages}
+              className="btn btn-outline text-sm"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {selectedUserId && (
+        <UserDetailsModal userId={selectedUserId} onClose={() => setSelectedUserId(null)} />
+      )}
+    </div>
+  );
+};
+
+// A user's account details with their resumes, applications and posted jobs
+const UserDetailsModal = ({ userId, onClose }) => {
+  const [details, setDetails] = useState(null);
+  // Parents pass a new onClose on every render; only a different user reloads
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const fetchDetails = async () => {
+      try {
+        const response = await axios.get(`/api/admin/users/${userId}`);
+        setDetails(response.data);
+      } catch (error) {
+        toast.error('Failed to fetch user details');
+        onCloseRef.current();
+      }
+    };
+    fetchDetails();
+  }, [userId]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6">
+        {!details ? (
+          <div className="h-48 bg-gray-100 rounded animate-pulse"></div>
+        ) : (
+          <>
+            <div className="flex items-start justify-between mb-6">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">{details.user.fullName}</h2>
+                <p className="text-sm text-gray-500">
+                  {details.user.email} · {roleLabels[details.user.role]} · joined {formatDate(details.user.createdAt)}
+                </p>
+                {details.user.profile?.location && (
+                  <p className="text-sm text-gray-500">{details.user.profile.location}</p>
+                )}
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <h3 className="font-medium text-gray-900 mb-2 flex items-center">
+              <FileText className="w-4 h-4 mr-2" />
+              Resumes ({details.resumes.length})
+            </h3>
+            {details.resumes.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-6">No resumes uploaded.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 mb-6">
+                {details.resumes.map((resume) => (
+                  <li key={resume.id} className="py-2 flex items-center justify-between text-sm">
+                    <span className="text-gray-900">
+                      {resume.originalName}
+                      {resume.isActive && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">Active</span>
+                      )}
+                    </span>
+                    <span className="text-gray-500">{resume.skills} skills · {formatDate(resume.createdAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <h3 className="font-medium text-gray-900 mb-2 flex items-center">
+              <Briefcase className="w-4 h-4 mr-2" />
+              Applications ({details.applications.length})
+            </h3>
+            {details.applications.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-6">No applications.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 mb-6">
+                {details.applications.map((application) => (
+                  <li key={application.id} className="py-2 flex items-center justify-between text-sm">
+                    <span className="text-gray-900">
+                      {application.job ? `${application.job.title} – ${application.job.company}` : 'Deleted job'}
+                    </span>
+                    <span className="text-gray-500 capitalize">{application.status} · {formatDate(application.appliedAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {details.user.role !== 'job_seeker' && (
+              <>
+                <h3 className="font-medium text-gray-900 mb-2 flex items-center">
+                  <Briefcase className="w-4 h-4 mr-2" />
+                  Posted Jobs ({details.jobs.length})
+                </h3>
+                {details.jobs.length === 0 ? (
+                  <p className="text-sm text-gray-500">No jobs posted.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {details.jobs.map((job) => (
+                      <li key={job.id} className="py-2 flex items-center justify-between text-sm">
+                        <span className="text-gray-900">{job.title} – {job.company}</span>
+                        <span className="text-gray-500 capitalize">
+                          {job.status} · {job.applicationCount} applications
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+UserDetailsModal.propTypes = {
+  userId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default AdminUsers;
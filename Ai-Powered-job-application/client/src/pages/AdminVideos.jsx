@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
 import { 
   Plus, 
@@ -12,9 +13,12 @@ import {
   Search,
   Filter,
   Play,
-  ExternalLink
+  ExternalLink,
+  Check,
+  X
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import RatingDistribution from '../components/RatingDistribution.jsx';
 
 const AdminVideos = () => {
   const { user } = useAuth();
@@ -26,6 +30,7 @@ const AdminVideos = () => {
   const [filterTopic, setFilterTopic] = useState('');
   const [filterDifficulty, setFilterDifficulty] = useState('');
   const [topics, setTopics] = useState([]);
+  const [pendingReviews, setPendingReviews] = useState([]);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -54,6 +59,7 @@ const AdminVideos = () => {
   useEffect(() => {
     fetchVideos();
     fetchTopics();
+    fetchPendingReviews();
   }, []);
 
   const fetchVideos = async () => {
@@ -79,34 +85,44 @@ const AdminVideos = () => {
     }
   };
 
+  const fetchPendingReviews = async () => {
+    try {
+      const response = await axios.get('/api/videos/reviews/moderation', { params: { status: 'pending' } });
+      setPendingReviews(response.data.reviews || []);
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    }
+  };
+
+  const handleModerate = async (reviewId, status) => {
+    const note = status === 'rejected' ? window.prompt('Reason shown to the reviewer (optional)') : undefined;
+    if (note === null) return;
+
+    try {
+      await axios.put(`/api/videos/reviews/${reviewId}/moderate`, { status, note: note || undefined });
+      toast.success(status === 'approved' ? 'Review approved' : 'Review rejected');
+      setPendingReviews(prev => prev.filter(review => review.id !== reviewId));
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      toast.error('Failed to moderate review');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       const url = editingVideo ? `/api/videos/${editingVideo._id}` : '/api/videos';
-      const method = editingVideo ? 'PUT' : 'POST';
-
-      const response = await fetch(url, {
-        method,
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
-        body: JSON.stringify(formData)
-      });
-
-      if (response.ok) {
-        toast.success(editingVideo ? 'Video updated successfully' : 'Video added successfully');
-        setShowModal(false);
-        setEditingVideo(null);
-        resetForm();
-        fetchVideos();
-      } else {
-        const error = await response.json();
-        toast.error(error.message || 'Failed to save video');
-      }
+      const method = editingVideo ? 'put' : 'post';
+
+      await axios[method](url, formData);
+      toast.success(editingVideo ? 'Video updated successfully' : 'Video added successfully');
+      setShowModal(false);
+      setEditingVideo(null);
+      resetForm();
+      fetchVideos();
     } catch (error) {
       console.error('Error saving video:', error);
-      toast.error('Failed to save video');
+      toast.error(error.response?.data?.message || 'Failed to save video');
     }
   };
 
@@ -131,19 +147,9 @@ const AdminVideos = () => {
     if (!window.confirm('Are you sure you want to delete this video?')) return;
 
     try {
-      const response = await fetch(`/api/videos/${videoId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-
-      if (response.ok) {
-        toast.success('Video deleted successfully');
-        fetchVideos();
-      } else {
-        toast.error('Failed to delete video');
-      }
+      await axios.delete(`/api/videos/${videoId}`);
+      toast.success('Video deleted successfully');
+      fetchVideos();
     } catch (error) {
       console.error('Error deleting video:', error);
       toast.error('Failed to delete video');
@@ -258,6 +264,49 @@ const AdminVideos = () => {
           </button>
         </div>
 
+        {/* Review Moderation */}
+        {pendingReviews.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">
+              Reviews Awaiting Moderation ({pendingReviews.length})
+            </h2>
+            <div className="divide-y divide-gray-200">
+              {pendingReviews.map((review) => (
+                <div key={review.id} className="py-3 flex items-start justify-between gap-4">
+                  <div className="flex-1">
+                    <div className="text-sm text-gray-500 mb-1">
+                      <span className="font-medium text-gray-900">{review.user?.name || 'Deleted user'}</span>
+                      {' on '}
+                      <span className="font-medium text-gray-900">{review.video?.title || 'Deleted video'}</span>
+                      {' · '}
+                      <span className="inline-flex items-center gap-0.5">
+                        {review.rating}<Star className="w-3 h-3 text-yellow-400 fill-current" />
+                      </span>
+                    </div>
+                    <p className="text-gray-700 text-sm">{review.text}</p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleModerate(review.id, 'approved')}
+                      className="btn btn-outline text-sm text-green-700"
+                      title="Approve"
+                    >
+                      <Check className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleModerate(review.id, 'rejected')}
+                      className="btn btn-secondary text-sm text-red-700"
+                      title="Reject"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Videos Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {filteredVideos.map((video) => (
@@ -309,7 +358,7 @@ const AdminVideos = () => {
                   </div>
                   <div className="flex items-center gap-1">
                     <Star className="w-4 h-4" />
-                    {video.rating}
+                    {video.rating} ({video.ratingCount || 0})
                   </div>
                 </div>
 
@@ -324,6 +373,12 @@ const AdminVideos = () => {
                   )}
                 </div>
 
+                {video.ratingCount > 0 && (
+                  <div className="mb-3">
+                    <RatingDistribution distribution={video.ratingDistribution} compact />
+                  </div>
+                )}
+
                 <div className="flex gap-2">
                   <button
                     onClick={() => handleEdit(video)}
@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Building, Search, MapPin, Briefcase } from 'lucide-react';
+
+const Companies = () => {
+  const [companies, setCompanies] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  // The search applies when the form is submitted, not as it is typed
+  const searchRef = useRef(search);
+  searchRef.current = search;
+
+  const fetchCompanies = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: 24 });
+      if (searchRef.current) params.append('search', searchRef.current);
+
+      const response = await axios.get(`/api/companies?${params.toString()}`);
+      setCompanies(response.data.companies);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to fetch companies:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCompanies(1);
+  }, [fetchCompanies]);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Companies</h1>
+        <p className="text-gray-600 mt-2">Browse employers and all of their open roles</p>
+      </div>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchCompanies(1); }}
+        className="card mb-8 flex gap-4"
+      >
+        <div className="flex-1 relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-4 h-4" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Company name or industry..."
+            className="input pl-10"
+          />
+        </div>
+        <button type="submit" className="btn btn-primary">Search</button>
+      </form>
+
+      {loading ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {[...Array(6)].map((_, index) => (
+            <div key={index} className="card animate-pulse">
+              <div className="h-4 bg-gray-200 rounded w-1/2 mb-2"></div>
+              <div className="h-3 bg-gray-200 rounded w-1/3"></div>
+            </div>
+          ))}
+        </div>
+      ) : companies.length === 0 ? (
+        <div className="text-center py-12">
+          <Building className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900">No companies found</h3>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {companies.map(company => (
+            <Link
+              key={company.id}
+              to={`/companies/${company.slug}`}
+              className="card hover:shadow-lg transition-shadow block"
+            >
+              <div className="flex items-start">
+                {company.logo ? (
+                  <img src={company.logo} alt="" className="w-12 h-12 rounded-lg object-contain flex-shrink-0" />
+                ) : (
+                  <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                    <Building className="w-6 h-6 text-primary-600" />
+                  </div>
+                )}
+                <div className="ml-4 min-w-0">
+                  <h3 className="text-lg font-semibold text-gray-900 truncate">{company.name}</h3>
+                  {company.industry && <p className="text-sm text-gray-600">{company.industry}</p>}
+                  {company.headquarters && (
+                    <p className="text-sm text-gray-500 flex items-center mt-1">
+                      <MapPin className="w-3 h-3 mr-1" />
+                      {company.headquarters}
+                    </p>
+                  )}
+                </div>
+              </div>
+              <p className="text-sm text-primary-600 flex items-center mt-4">
+                <Briefcase className="w-4 h-4 mr-1" />
+                {company.openJobs} open {company.openJobs === 1 ? 'role' : 'roles'}
+              </p>
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-8 text-sm text-gray-600">
+          <button
+            onClick={() => fetchCompanies(pagination.current - 1)}
+            disabled={pagination.current <= 1}
+            className="btn btn-outline text-sm"
+          >
+            Previous
+          </button>
+          <span>Page {pagination.current} of {pagination.pages}</span>
+          <button
+            onClick={() => fetchCompanies(pagination.current + 1)}
+            disabled={pagination.current >= pagination.pages}
+            className="btn btn-outline text-sm"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Companies;
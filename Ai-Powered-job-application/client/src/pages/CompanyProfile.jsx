@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { Building, MapPin, Users, Globe, Briefcase, DollarSign, Clock, Pencil } from 'lucide-react';
+
+const formatSalary = (salary) => {
+  if (!salary?.min && !salary?.max) return null;
+  if (salary.min && salary.max) return `$${salary.min.toLocaleString()} - $${salary.max.toLocaleString()}`;
+  return salary.min ? `$${salary.min.toLocaleString()}+` : `Up to $${salary.max.toLocaleString()}`;
+};
+
+const formatLocation = (location) => {
+  if (!location) return '';
+  const place = [location.city, location.state].filter(Boolean).join(', ');
+  if (location.remote) return place ? `${place} (Remote)` : 'Remote';
+  return place;
+};
+
+const CompanyProfile = () => {
+  const { slug } = useParams();
+  const [company, setCompany] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [myRole, setMyRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    const fetchCompany = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(`/api/companies/${slug}`);
+        setCompany(response.data.company);
+        setJobs(response.data.jobs);
+        setMyRole(response.data.myRole);
+        setNotFound(false);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          setNotFound(true);
+        } else {
+          console.error('Failed to fetch company:', error);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCompany();
+  }, [slug]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (notFound || !company) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-16 text-center">
+        <Building className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-gray-900">Company not found</h1>
+        <Link to="/companies" className="text-primary-600 hover:text-primary-700 mt-4 inline-block">
+          Browse companies
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="card mb-6">
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex items-start">
+            {company.logo ? (
+              <img src={company.logo} alt="" className="w-20 h-20 rounded-lg object-contain flex-shrink-0" />
+            ) : (
+              <div className="w-20 h-20 bg-primary-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                <Building className="w-10 h-10 text-primary-600" />
+              </div>
+            )}
+            <div className="ml-6">
+              <h1 className="text-3xl font-bold text-gray-900">{company.name}</h1>
+              {company.industry && <p className="text-lg text-gray-600">{company.industry}</p>}
+              <div className="flex flex-wrap items-center gap-4 mt-2 text-sm text-gray-500">
+                {company.headquarters && (
+                  <span className="flex items-center"><MapPin className="w-4 h-4 mr-1" />{company.headquarters}</span>
+                )}
+                {company.size && (
+                  <span className="flex items-center"><Users className="w-4 h-4 mr-1" />{company.size} employees</span>
+                )}
+                {company.website && (
+                  <a
+                    href={company.website}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center text-primary-600 hover:text-primary-700"
+                  >
+                    <Globe className="w-4 h-4 mr-1" />
+                    Website
+                  </a>
+                )}
+              </div>
+            </div>
+          </div>
+          {['owner', 'admin'].includes(myRole) && (
+            <Link to="/company" className="btn btn-outline flex items-center gap-2">
+              <Pencil className="w-4 h-4" />
+              Edit
+            </Link>
+          )}
+        </div>
+        {company.description && (
+          <p className="text-gray-700 mt-6 whitespace-pre-line">{company.description}</p>
+        )}
+      </div>
+
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <Briefcase className="w-5 h-5 mr-2 text-gray-500" />
+        Open roles ({jobs.length})
+      </h2>
+      {jobs.length === 0 ? (
+        <div className="card text-center text-gray-500">No open roles right now.</div>
+      ) : (
+        <div className="space-y-4">
+          {jobs.map(job => (
+            <Link key={job.id} to={`/jobs/${job.id}`} className="card hover:shadow-lg transition-shadow block">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">{job.title}</h3>
+                  <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 mt-1">
+                    {formatLocation(job.location) && (
+                      <span className="flex items-center"><MapPin className="w-4 h-4 mr-1" />{formatLocation(job.location)}</span>
+                    )}
+                    {formatSalary(job.compensation?.salary) && (
+                      <span className="flex items-center"><DollarSign className="w-4 h-4 mr-1" />{formatSalary(job.compensation.salary)}</span>
+                    )}
+                    <span className="flex items-center"><Clock className="w-4 h-4 mr-1" />Posted {new Date(job.createdAt).toLocaleDateString()}</span>
+                  </div>
+                </div>
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800 capitalize whitespace-nowrap">
+                  {job.jobType?.replace('-', ' ')}
+                </span>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompanyProfile;
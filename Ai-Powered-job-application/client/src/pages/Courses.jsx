@@ -21,6 +21,7 @@ const Courses = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedPlatform, setSelectedPlatform] = useState('');
   const [recommendations, setRecommendations] = useState([]);
+  const [skillGaps, setSkillGaps] = useState([]);
 
   useEffect(() => {
     fetchRecommendations();
@@ -35,6 +36,7 @@ const Courses = () => {
         }
       });
       setRecommendations(response.data.recommendations);
+      setSkillGaps(response.data.basedOn === 'skillGaps' ? response.data.skillGaps : []);
     } catch (error) {
       console.error('Failed to fetch recommendations:', error);
     } finally {
@@ -151,10 +153,15 @@ const Courses = () => {
       {/* Recommendations */}
       {recommendations.length > 0 && (
         <div className="mb-8">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">Recommended for You</h2>
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">Recommended for You</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {skillGaps.length > 0
+              ? `Based on skills missing from your job matches: ${skillGaps.slice(0, 5).map(gap => gap.skill).join(', ')}`
+              : 'Based on your skills'}
+          </p>
           <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {recommendations.map((course, index) => (
-              <div key={index} className="card hover:shadow-lg transition-shadow">
+            {recommendations.map((course) => (
+              <div key={course.id} className="card hover:shadow-lg transition-shadow">
                 <div className="flex items-start justify-between mb-3">
                   <div className="flex items-center">
                     {getPlatformIcon(course.platform)}
@@ -176,6 +183,16 @@ const Courses = () => {
                   {course.description}
                 </p>
 
+                {course.matchedGaps?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mb-3">
+                    {course.matchedGaps.map((skill) => (
+                      <span key={skill} className="px-2 py-0.5 bg-green-100 text-green-800 text-xs rounded">
+                        {skill}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
                 <div className="flex items-center text-sm text-gray-500 mb-3">
                   <Users className="w-4 h-4 mr-1" />
                   <span className="mr-4">{course.students?.toLocaleString()} students</span>
@@ -0,0 +1,288 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Calendar, Clock, Download, MapPin, RefreshCw, XCircle } from 'lucide-react';
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Save an interview's .ics file (the endpoint needs the auth header, so a plain link won't do)
+const downloadInterviewCalendar = async (interviewId) => {
+  try {
+    const response = await axios.get(`/api/interviews/${interviewId}/ics`, { responseType: 'blob' });
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `interview-${interviewId}.ics`;
+    link.click();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Failed to download calendar file:', error);
+    toast.error('Failed to download calendar file');
+  }
+};
+
+// Open slots of one job; picking one books it or moves the interview there
+const SlotPicker = ({ jobId, actionLabel, onPick }) => {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busySlot, setBusySlot] = useState(null);
+
+  const fetchSlots = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/interviews/slots?jobId=${jobId}`);
+      setSlots(response.data.slots);
+    } catch (error) {
+      console.error('Failed to fetch interview slots:', error);
+      toast.error(error.response?.data?.message || 'Failed to fetch interview slots');
+    } finally {
+      setLoading(false);
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    fetchSlots();
+  }, [fetchSlots]);
+
+  const pick = async (slot) => {
+    setBusySlot(slot.id);
+    const picked = await onPick(slot);
+    setBusySlot(null);
+    // Someone else may have taken it meanwhile
+    if (!picked) fetchSlots();
+  };
+
+  if (loading) {
+    return <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600 my-3"></div>;
+  }
+
+  if (slots.length === 0) {
+    return <p className="text-sm text-gray-600 mt-3">No open times right now. Check back later.</p>;
+  }
+
+  return (
+    <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-2">
+      {slots.map(slot => (
+        <button
+          key={slot.id}
+          onClick={() => pick(slot)}
+          disabled={busySlot !== null}
+          className="text-left border border-gray-200 rounded-md px-3 py-2 text-sm hover:border-primary-500 hover:bg-primary-50 disabled:opacity-50"
+        >
+          <div className="font-medium text-gray-900">{formatDay(slot.start)}</div>
+          <div className="text-gray-600">
+            {formatTime(slot.start)} – {formatTime(slot.end)}
+            {slot.location && ` · ${slot.location}`}
+          </div>
+          <div className="text-xs text-primary-600 mt-1">
+            {busySlot === slot.id ? 'Saving...' : actionLabel}
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+SlotPicker.propTypes = {
+  jobId: PropTypes.string.isRequired,
+  actionLabel: PropTypes.string.isRequired,
+  onPick: PropTypes.func.isRequired
+};
+
+// A booked interview with calendar export, rescheduling and cancelling
+const InterviewCard = ({ interview, onChanged }) => {
+  const [rescheduling, setRescheduling] = useState(false);
+
+  const moveTo = async (slot) => {
+    try {
+      await axios.post(`/api/interviews/${interview.id}/reschedule`, { slotId: slot.id });
+      toast.success('Interview rescheduled');
+      setRescheduling(false);
+      onChanged();
+      return true;
+    } catch (error) {
+      console.error('Failed to reschedule interview:', error);
+      toast.error(error.response?.data?.message || 'Failed to reschedule interview');
+      return false;
+    }
+  };
+
+  const cancel = async () => {
+    const reason = window.prompt('Cancel this interview? Optionally give a reason:');
+    if (reason === null) return;
+
+    try {
+      await axios.post(`/api/interviews/${interview.id}/cancel`, { reason });
+      toast.success('Interview cancelled');
+      onChanged();
+    } catch (error) {
+      console.error('Failed to cancel interview:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel interview');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="font-semibold text-gray-900">{interview.job.title}</h3>
+          {interview.job.company && <p className="text-sm text-gray-600">{interview.job.company}</p>}
+          <div className="flex items-center text-sm text-gray-700 mt-2">
+            <Clock className="w-4 h-4 mr-1" />
+            {formatDay(interview.start)}, {formatTime(interview.start)} – {formatTime(interview.end)}
+          </div>
+          {(interview.location || interview.meetingUrl) && (
+            <div className="flex items-center text-sm text-gray-600 mt-1">
+              <MapPin className="w-4 h-4 mr-1" />
+              {interview.meetingUrl ? (
+                <a href={interview.meetingUrl} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline">
+                  {interview.location || 'Join meeting'}
+                </a>
+              ) : interview.location}
+            </div>
+          )}
+        </div>
+        <div className="flex space-x-3 ml-2">
+          <button
+            onClick={() => downloadInterviewCalendar(interview.id)}
+            title="Add to calendar (.ics)"
+            className="text-gray-500 hover:text-primary-600"
+          >
+            <Download className="w-5 h-5" />
+          </button>
+          <button
+            onClick={() => setRescheduling(!rescheduling)}
+            title="Pick another time"
+            className="text-gray-500 hover:text-primary-600"
+          >
+            <RefreshCw className="w-5 h-5" />
+          </button>
+          <button onClick={cancel} title="Cancel interview" className="text-gray-500 hover:text-red-600">
+            <XCircle className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {rescheduling && <SlotPicker jobId={interview.job.id} actionLabel="Move here" onPick={moveTo} />}
+    </div>
+  );
+};
+
+InterviewCard.propTypes = {
+  interview: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    job: PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string,
+      company: PropTypes.string
+    }).isRequired,
+    start: PropTypes.string.isRequired,
+    end: PropTypes.string.isRequired,
+    location: PropTypes.string,
+    meetingUrl: PropTypes.string
+  }).isRequired,
+  onChanged: PropTypes.func.isRequired
+};
+
+// Candidate side of interview scheduling: book a time for applications invited to interview,
+// then manage the booked interviews
+const Interviews = () => {
+  const [interviews, setInterviews] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [upcoming, applications] = await Promise.all([
+        axios.get('/api/interviews/upcoming?days=365'),
+        axios.get('/api/applications/my-applications?status=interview&limit=50')
+      ]);
+      const booked = new Set(upcoming.data.interviews.map(interview => interview.application));
+      setInterviews(upcoming.data.interviews);
+      setInvitations(applications.data.applications.filter(application => !booked.has(application.id)));
+    } catch (error) {
+      console.error('Failed to fetch interviews:', error);
+      toast.error('Failed to fetch your interviews');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const book = (application) => async (slot) => {
+    try {
+      await axios.post(`/api/interviews/slots/${slot.id}/book`, { applicationId: application.id });
+      toast.success('Interview booked');
+      fetchAll();
+      return true;
+    } catch (error) {
+      console.error('Failed to book interview:', error);
+      toast.error(error.response?.data?.message || 'Failed to book interview');
+      return false;
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+          <Calendar className="w-8 h-8 mr-3 text-primary-600" />
+          Interviews
+        </h1>
+        <p className="text-gray-600 mt-2">
+          Pick a time when you are invited to interview, and keep track of the ones you booked.
+        </p>
+      </div>
+
+      {invitations.length > 0 && (
+        <section className="mb-10">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Choose a time</h2>
+          <div className="space-y-4">
+            {invitations.map(application => (
+              <div key={application.id} className="card">
+                <h3 className="font-semibold text-gray-900">{application.job.title}</h3>
+                {application.job.company?.name && (
+                  <p className="text-sm text-gray-600">{application.job.company.name}</p>
+                )}
+                <SlotPicker jobId={application.job.id} actionLabel="Book this time" onPick={book(application)} />
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      <section>
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Booked interviews</h2>
+        {interviews.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            No interviews booked yet. Keep an eye on your <Link to="/matches" className="text-primary-600 hover:underline">matches</Link> and applications.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {interviews.map(interview => (
+              <InterviewCard key={interview.id} interview={interview} onChanged={fetchAll} />
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Interviews;
@@ -140,7 +140,13 @@ const JobDetails = () => {
                   <h1 className="text-3xl font-bold text-gray-900 mb-2">{job.title}</h1>
                   <div className="flex items-center text-gray-600 mb-2">
                     <Building className="w-5 h-5 mr-2" />
-                    <span className="text-lg">{job.company.name}</span>
+                    {job.company.slug ? (
+                      <Link to={`/companies/${job.company.slug}`} className="text-lg hover:text-primary-600 hover:underline">
+                        {job.company.name}
+                      </Link>
+                    ) : (
+                      <span className="text-lg">{job.company.name}</span>
+                    )}
                   </div>
                   <div className="flex items-center text-gray-500">
                     <MapPin className="w-4 h-4 mr-1" />
@@ -276,9 +282,13 @@ const JobDetails = () => {
         <div className="lg:col-span-1">
           <div className="card sticky top-24">
             <div className="text-center mb-6">
-              <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
-                <Building className="w-8 h-8 text-primary-600" />
-              </div>
+              {job.company.logo ? (
+                <img src={job.company.logo} alt="" className="w-16 h-16 rounded-full object-contain mx-auto mb-4" />
+              ) : (
+                <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                  <Building className="w-8 h-8 text-primary-600" />
+                </div>
+              )}
               <h3 className="text-lg font-semibold text-gray-900">{job.company.name}</h3>
               <p className="text-gray-600">{job.company.industry}</p>
             </div>
@@ -368,6 +378,14 @@ const JobDetails = () => {
                 Visit company website
               </a>
             )}
+            {job.company.slug && (
+              <Link
+                to={`/companies/${job.company.slug}`}
+                className="block text-primary-600 hover:text-primary-700 text-sm mt-2"
+              >
+                See all open roles at {job.company.name}
+              </Link>
+            )}
           </div>
         </div>
       </div>
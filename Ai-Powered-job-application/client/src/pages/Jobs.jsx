@@ -249,7 +249,13 @@ const Jobs = () => {
                       
                       <div className="flex items-center text-gray-600 mb-3">
                         <Building className="w-4 h-4 mr-1" />
-                        <span className="mr-4">{job.company.name}</span>
+                        {job.company.slug ? (
+                          <Link to={`/companies/${job.company.slug}`} className="mr-4 hover:text-primary-600 hover:underline">
+                            {job.company.name}
+                          </Link>
+                        ) : (
+                          <span className="mr-4">{job.company.name}</span>
+                        )}
                         <MapPin className="w-4 h-4 mr-1" />
                         <span className="mr-4">
                           {job.location.city}, {job.location.state}
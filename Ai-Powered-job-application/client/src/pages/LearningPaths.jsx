@@ -0,0 +1,375 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  Route as RouteIcon,
+  Plus,
+  Clock,
+  CheckCircle,
+  Circle,
+  Play,
+  ExternalLink,
+  Archive,
+  Target
+} from 'lucide-react';
+
+const difficultyLevels = [
+  { value: 'beginner', label: 'Beginner', color: 'bg-green-100 text-green-800' },
+  { value: 'intermediate', label: 'Intermediate', color: 'bg-yellow-100 text-yellow-800' },
+  { value: 'advanced', label: 'Advanced', color: 'bg-red-100 text-red-800' }
+];
+
+const formatMinutes = (minutes) => {
+  if (!minutes) return '0m';
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0 ? `${hours}h${rest ? ` ${rest}m` : ''}` : `${rest}m`;
+};
+
+const LearningPaths = () => {
+  const [paths, setPaths] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [targetJob, setTargetJob] = useState('');
+
+  const fetchPath = useCallback(async (id) => {
+    try {
+      const response = await axios.get(`/api/learning-paths/${id}`);
+      setSelectedPath(response.data.path);
+    } catch (error) {
+      console.error('Failed to fetch learning path:', error);
+      toast.error('Failed to fetch learning path');
+    }
+  }, []);
+
+  const fetchPaths = useCallback(async (selectId) => {
+    try {
+      const response = await axios.get('/api/learning-paths');
+      setPaths(response.data.paths);
+      const id = selectId || response.data.paths[0]?.id;
+      if (id) fetchPath(id);
+    } catch (error) {
+      console.error('Failed to fetch learning paths:', error);
+      toast.error('Failed to fetch learning paths');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchPath]);
+
+  const fetchMatches = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/matches/my-matches?limit=50');
+      setMatches(response.data.matches);
+    } catch (error) {
+      console.error('Failed to fetch matches:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPaths();
+    fetchMatches();
+  }, [fetchPaths, fetchMatches]);
+
+  const createPath = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const response = await axios.post('/api/learning-paths', targetJob ? { jobId: targetJob } : {});
+      toast.success(response.data.message);
+      fetchPaths(response.data.path.id);
+    } catch (error) {
+      console.error('Failed to create learning path:', error);
+      toast.error(error.response?.data?.message || 'Failed to create learning path');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const toggleStep = async (step) => {
+    try {
+      const response = await axios.put(`/api/learning-paths/${selectedPath.id}/steps/${step.id}`, {
+        completed: !step.completed
+      });
+      const { progress, remainingMinutes, status } = response.data;
+      setSelectedPath(prev => ({
+        ...prev,
+        progress,
+        remainingMinutes,
+        status,
+        completedSteps: prev.completedSteps + (step.completed ? -1 : 1),
+        steps: prev.steps.map(entry => entry.id === step.id ? { ...entry, completed: !step.completed } : entry)
+      }));
+      setPaths(prev => prev.map(path => path.id === selectedPath.id ? { ...path, progress, status } : path));
+      if (status === 'completed' && selectedPath.status !== 'completed') {
+        toast.success('Learning path completed!');
+      }
+    } catch (error) {
+      console.error('Failed to update step:', error);
+      toast.error('Failed to update progress');
+    }
+  };
+
+  const archivePath = async () => {
+    try {
+      await axios.put(`/api/learning-paths/${selectedPath.id}/archive`, { archived: true });
+      toast.success('Learning path archived');
+      setSelectedPath(null);
+      fetchPaths();
+    } catch (error) {
+      console.error('Failed to archive learning path:', error);
+      toast.error('Failed to archive learning path');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Learning Paths</h1>
+        <p className="text-gray-600">
+          Step-by-step video curricula for the skills your job matches ask for, from beginner to advanced.
+        </p>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-8">
+        {/* Paths list and generator */}
+        <div className="lg:col-span-1 space-y-6">
+          <form onSubmit={createPath} className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">New Learning Path</h2>
+            <label className="label">Build it for</label>
+            <select
+              className="input mb-4"
+              value={targetJob}
+              onChange={(e) => setTargetJob(e.target.value)}
+            >
+              <option value="">All my skill gaps</option>
+              {matches.map((match) => (
+                <option key={match.id} value={match.job.id}>
+                  {match.job.title} – {match.job.company?.name} ({match.matchScore}%)
+                </option>
+              ))}
+            </select>
+            <button type="submit" disabled={creating} className="btn btn-primary w-full flex items-center justify-center">
+              <Plus className="w-4 h-4 mr-2" />
+              {creating ? 'Building...' : 'Build Path'}
+            </button>
+          </form>
+
+          <div className="card p-0">
+            {paths.length === 0 ? (
+              <p className="p-6 text-sm text-gray-600">No learning paths yet.</p>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {paths.map((path) => (
+                  <button
+                    key={path.id}
+                    onClick={() => fetchPath(path.id)}
+                    className={`w-full text-left p-4 hover:bg-gray-50 ${
+                      selectedPath?.id === path.id ? 'bg-primary-50' : ''
+                    }`}
+                  >
+                    <div className="font-medium text-gray-900">{path.title}</div>
+                    <div className="flex items-center justify-between text-sm text-gray-500 mt-1">
+                      <span>{path.totalSteps} videos · {formatMinutes(path.totalDurationMinutes)}</span>
+                      <span>{path.progress}%</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-1.5 mt-2">
+                      <div className="bg-primary-600 h-1.5 rounded-full" style={{ width: `${path.progress}%` }}></div>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Selected path */}
+        <div className="lg:col-span-2">
+          {selectedPath ? (
+            <LearningPathDetails path={selectedPath} onToggleStep={toggleStep} onArchive={archivePath} />
+          ) : (
+            <div className="card text-center py-12">
+              <RouteIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">Build your first path</h3>
+              <p className="text-gray-500">
+                Pick a job you matched with, or use all your skill gaps, and we&apos;ll line up videos to close them.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const LearningPathDetails = ({ path, onToggleStep, onArchive }) => {
+  const [playing, setPlaying] = useState(null);
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{path.title}</h2>
+          <div className="flex items-center text-sm text-gray-500 mt-1 space-x-4">
+            <span className="flex items-center">
+              <Clock className="w-4 h-4 mr-1" />
+              {formatMinutes(path.totalDurationMinutes)} total · {formatMinutes(path.remainingMinutes)} left
+            </span>
+            <span>{path.completedSteps} of {path.totalSteps} done</span>
+          </div>
+        </div>
+        <button onClick={onArchive} className="text-gray-400 hover:text-gray-600" title="Archive path">
+          <Archive className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="w-full bg-gray-200 rounded-full h-2 mb-6">
+        <div className="bg-primary-600 h-2 rounded-full transition-all" style={{ width: `${path.progress}%` }}></div>
+      </div>
+
+      {/* Skill gaps the path targets */}
+      <div className="mb-6">
+        <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+          <Target className="w-4 h-4 mr-1" />
+          Skills covered
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          {path.skillGaps.map((gap) => (
+            <span
+              key={gap.skill}
+              title={gap.advice || (gap.covered ? '' : 'No videos for this skill yet')}
+              className={`px-2 py-1 rounded-full text-xs font-medium ${
+                gap.covered ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500 line-through'
+              }`}
+            >
+              {gap.skill}{gap.required ? ' *' : ''}
+            </span>
+          ))}
+        </div>
+        <p className="text-xs text-gray-400 mt-1">* required by the job</p>
+      </div>
+
+      {/* Curriculum by level */}
+      {difficultyLevels.map((level) => {
+        const steps = path.steps.filter(step => step.difficulty === level.value);
+        if (steps.length === 0) return null;
+
+        return (
+          <div key={level.value} className="mb-6">
+            <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium mb-3 ${level.color}`}>
+              {level.label}
+            </span>
+            <div className="space-y-3">
+              {steps.map((step) => (
+                <div key={step.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-start">
+                    <button
+                      onClick={() => onToggleStep(step)}
+                      className="mr-3 mt-0.5"
+                      title={step.completed ? 'Mark as not done' : 'Mark as done'}
+                    >
+                      {step.completed
+                        ? <CheckCircle className="w-5 h-5 text-green-600" />
+                        : <Circle className="w-5 h-5 text-gray-400" />}
+                    </button>
+                    <div className="flex-1">
+                      <div className={`font-medium ${step.completed ? 'text-gray-500 line-through' : 'text-gray-900'}`}>
+                        {step.video?.title || 'Video no longer available'}
+                      </div>
+                      <div className="flex items-center text-sm text-gray-500 mt-1 space-x-3">
+                        <span className="flex items-center">
+                          <Clock className="w-3 h-3 mr-1" />
+                          {formatMinutes(step.durationMinutes)}
+                        </span>
+                        {step.video?.instructor && <span>{step.video.instructor}</span>}
+                        <span>{step.skills.join(', ')}</span>
+                      </div>
+                    </div>
+                    {step.video && (
+                      <div className="flex items-center space-x-2 ml-2">
+                        {step.video.embedUrl && (
+                          <button
+                            onClick={() => setPlaying(playing === step.id ? null : step.id)}
+                            className="text-primary-600 hover:text-primary-700"
+                            title="Play"
+                          >
+                            <Play className="w-5 h-5" />
+                          </button>
+                        )}
+                        <a
+                          href={step.video.youtubeUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Open on YouTube"
+                        >
+                          <ExternalLink className="w-4 h-4" />
+                        </a>
+                      </div>
+                    )}
+                  </div>
+                  {playing === step.id && step.video?.embedUrl && (
+                    <div className="aspect-video bg-black mt-3 rounded overflow-hidden">
+                      <iframe
+                        title={step.video.title}
+                        src={step.video.embedUrl}
+                        className="w-full h-full"
+                        frameBorder="0"
+                        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+                        allowFullScreen
+                      />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+LearningPathDetails.propTypes = {
+  path: PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    totalDurationMinutes: PropTypes.number,
+    remainingMinutes: PropTypes.number,
+    completedSteps: PropTypes.number,
+    totalSteps: PropTypes.number,
+    progress: PropTypes.number,
+    skillGaps: PropTypes.arrayOf(PropTypes.shape({
+      skill: PropTypes.string.isRequired,
+      required: PropTypes.bool,
+      covered: PropTypes.bool,
+      advice: PropTypes.string
+    })).isRequired,
+    steps: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      difficulty: PropTypes.string,
+      completed: PropTypes.bool,
+      durationMinutes: PropTypes.number,
+      skills: PropTypes.arrayOf(PropTypes.string),
+      video: PropTypes.shape({
+        title: PropTypes.string,
+        instructor: PropTypes.string,
+        embedUrl: PropTypes.string,
+        youtubeUrl: PropTypes.string
+      })
+    })).isRequired
+  }).isRequired,
+  onToggleStep: PropTypes.func.isRequired,
+  onArchive: PropTypes.func.isRequired
+};
+
+export default LearningPaths;
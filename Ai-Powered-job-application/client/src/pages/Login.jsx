@@ -1,7 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-import { Eye, EyeOff, Mail, Lock } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, ShieldCheck } from 'lucide-react';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -10,13 +11,23 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  
-  const { login } = useAuth();
+  const [providers, setProviders] = useState([]);
   const navigate = useNavigate();
   const location = useLocation();
+  // Set once the password (or a sign-in provider) checks out for an account with 2FA
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  
+  const { login, verifyTwoFactor, startOidc } = useAuth();
   
   const from = location.state?.from?.pathname || '/dashboard';
 
+  useEffect(() => {
+    axios.get('/api/auth/oidc/providers')
+      .then(response => setProviders(response.data.providers))
+      .catch(error => console.error('Failed to fetch sign-in providers:', error));
+  }, []);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -32,11 +43,83 @@ const Login = () => {
     
     if (result.success) {
       navigate(from, { replace: true });
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
     }
     
     setLoading(false);
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const result = await verifyTwoFactor(challengeToken, code);
+
+    if (result.success) {
+      navigate(from, { replace: true });
+    } else if (result.expired) {
+      setChallengeToken(null);
+    }
+    setCode('');
+    setLoading(false);
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            <ShieldCheck className="mx-auto h-12 w-12 text-primary-600" />
+            <h2 className="mt-6 text-3xl font-bold text-gray-900">Two-factor authentication</h2>
+            <p className="mt-2 text-sm text-gray-600">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+          </div>
+
+          <form className="space-y-6" onSubmit={handleCodeSubmit}>
+            <div>
+              <label htmlFor="code" className="label">
+                Authentication code
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                className="input"
+                placeholder="123456"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={() => setChallengeToken(null)}
+                className="text-sm font-medium text-primary-600 hover:text-primary-500"
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -130,9 +213,9 @@ const Login = () => {
             </div>
 
             <div className="text-sm">
-              <a href="#" className="font-medium text-primary-600 hover:text-primary-500">
+              <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-500">
                 Forgot your password?
-              </a>
+              </Link>
             </div>
           </div>
 
@@ -153,6 +236,31 @@ const Login = () => {
             </button>
           </div>
 
+          {providers.length > 0 && (
+            <div>
+              <div className="relative mb-4">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300"></div>
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-gray-50 text-gray-500">Or continue with</span>
+                </div>
+              </div>
+              <div className="space-y-2">
+                {providers.map(provider => (
+                  <button
+                    key={provider.id}
+                    type="button"
+                    onClick={() => startOidc(provider.id)}
+                    className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                  >
+                    {provider.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="text-center">
             <p className="text-sm text-gray-600">
               Don't have an account?{' '}
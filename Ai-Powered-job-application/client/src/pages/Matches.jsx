@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { waitForTask } from '../utils/tasks';
 import { 
   Target, 
   Star, 
@@ -16,6 +17,13 @@ import {
   Filter
 } from 'lucide-react';
 
+const breakdownFactors = [
+  { key: 'skillsMatch', label: 'Skills Match', color: 'text-blue-600' },
+  { key: 'experienceMatch', label: 'Experience', color: 'text-green-600' },
+  { key: 'educationMatch', label: 'Education', color: 'text-purple-600' },
+  { key: 'locationMatch', label: 'Location', color: 'text-orange-600' }
+];
+
 const Matches = () => {
   const [matches, setMatches] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -49,12 +57,13 @@ const Matches = () => {
   const generateNewMatches = async () => {
     try {
       setLoading(true);
-      await axios.post('/api/matches/generate');
+      const response = await axios.post('/api/matches/generate');
+      await waitForTask(response.data.task.id, { interval: 2000 });
       toast.success('New job matches generated successfully!');
       fetchMatches();
     } catch (error) {
       console.error('Failed to generate matches:', error);
-      toast.error('Failed to generate new matches');
+      toast.error(error.response?.data?.message || error.message || 'Failed to generate new matches');
     } finally {
       setLoading(false);
     }
@@ -83,8 +92,12 @@ const Matches = () => {
       'viewed': 'text-gray-600 bg-gray-100',
       'applied': 'text-purple-600 bg-purple-100',
       'shortlisted': 'text-green-600 bg-green-100',
+      'screening': 'text-blue-700 bg-blue-100',
+      'interview': 'text-indigo-600 bg-indigo-100',
+      'offer': 'text-green-600 bg-green-100',
       'rejected': 'text-red-600 bg-red-100',
-      'hired': 'text-green-700 bg-green-200'
+      'hired': 'text-green-700 bg-green-200',
+      'withdrawn': 'text-gray-500 bg-gray-100'
     };
     return colors[status] || 'text-gray-600 bg-gray-100';
   };
@@ -139,8 +152,12 @@ const Matches = () => {
                 <option value="viewed">Viewed</option>
                 <option value="applied">Applied</option>
                 <option value="shortlisted">Shortlisted</option>
+                <option value="screening">Screening</option>
+                <option value="interview">Interview</option>
+                <option value="offer">Offer</option>
                 <option value="rejected">Rejected</option>
                 <option value="hired">Hired</option>
+                <option value="withdrawn">Withdrawn</option>
               </select>
             </div>
             <div>
@@ -210,31 +227,46 @@ const Matches = () => {
 
                   {/* Match Breakdown */}
                   {match.breakdown && (
-                    <div className="grid md:grid-cols-4 gap-4 mb-4">
-                      <div className="text-center">
-                        <div className="text-2xl font-bold text-blue-600">
-                          {match.breakdown.skillsMatch?.score || 0}%
-                        </div>
-                        <div className="text-xs text-gray-500">Skills Match</div>
-                      </div>
-                      <div className="text-center">
-                        <div className="text-2xl font-bold text-green-600">
-                          {match.breakdown.experienceMatch?.score || 0}%
-                        </div>
-                        <div className="text-xs text-gray-500">Experience</div>
-                      </div>
-                      <div className="text-center">
-                        <div className="text-2xl font-bold text-purple-600">
-                          {match.breakdown.educationMatch?.score || 0}%
-                        </div>
-                        <div className="text-xs text-gray-500">Education</div>
+                    <div className="mb-4">
+                      <div className="grid md:grid-cols-4 gap-4 mb-3">
+                        {breakdownFactors.map(factor => (
+                          <div key={factor.key} className="text-center">
+                            <div className={`text-2xl font-bold ${factor.color}`}>
+                              {match.breakdown[factor.key]?.score || 0}%
+                            </div>
+                            <div className="text-xs text-gray-500">{factor.label}</div>
+                            {match.breakdown[factor.key]?.weight != null && (
+                              <div className="text-xs text-gray-400">
+                                {match.breakdown[factor.key].weight}% of score
+                              </div>
+                            )}
+                          </div>
+                        ))}
                       </div>
-                      <div className="text-center">
-                        <div className="text-2xl font-bold text-orange-600">
-                          {match.breakdown.locationMatch?.score || 0}%
+
+                      {breakdownFactors.some(factor => match.breakdown[factor.key]?.explanation) && (
+                        <ul className="text-xs text-gray-600 space-y-1">
+                          {breakdownFactors
+                            .filter(factor => match.breakdown[factor.key]?.explanation)
+                            .map(factor => (
+                              <li key={factor.key}>
+                                <span className="font-medium">{factor.label}:</span>{' '}
+                                {match.breakdown[factor.key].explanation}
+                              </li>
+                            ))}
+                        </ul>
+                      )}
+
+                      {match.breakdown.penalties?.length > 0 && (
+                        <div className="mt-2 text-xs text-red-600">
+                          {match.breakdown.penalties.map((penalty, index) => (
+                            <div key={index} className="flex items-center">
+                              <AlertCircle className="w-3 h-3 mr-1" />
+                              {penalty.reason} (−{penalty.points} pts)
+                            </div>
+                          ))}
                         </div>
-                        <div className="text-xs text-gray-500">Location</div>
-                      </div>
+                      )}
                     </div>
                   )}
 
@@ -0,0 +1,300 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { Building, Save, UserPlus, Trash2, ExternalLink, LogOut } from 'lucide-react';
+
+const sizes = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+
+const memberRoleLabels = {
+  owner: 'Owner',
+  admin: 'Admin',
+  recruiter: 'Recruiter'
+};
+
+const emptyProfile = { name: '', logo: '', website: '', size: '', industry: '', headquarters: '', description: '' };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+// The recruiter's company: create one, edit its profile and manage who posts for it
+const MyCompany = () => {
+  const { user } = useAuth();
+  const [company, setCompany] = useState(null);
+  const [myRole, setMyRole] = useState(null);
+  const [profile, setProfile] = useState(emptyProfile);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [newMember, setNewMember] = useState({ email: '', role: 'recruiter' });
+
+  useEffect(() => {
+    fetchCompany();
+  }, []);
+
+  const fetchCompany = async () => {
+    try {
+      const response = await axios.get('/api/companies/mine');
+      setCompany(response.data.company);
+      setMyRole(response.data.myRole || null);
+      if (response.data.company) {
+        setProfile(Object.fromEntries(Object.keys(emptyProfile).map(field => [field, response.data.company[field] || ''])));
+      }
+    } catch (error) {
+      console.error('Failed to fetch company:', error);
+      toast.error('Failed to fetch your company');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canManage = ['owner', 'admin'].includes(myRole);
+
+  const saveProfile = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = company
+        ? await axios.put(`/api/companies/${company.id}`, profile)
+        : await axios.post('/api/companies', profile);
+      toast.success(response.data.linkedJobs
+        ? `${response.data.message}. ${response.data.linkedJobs} of your existing jobs were added to it.`
+        : response.data.message);
+      await fetchCompany();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save company'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addMember = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`/api/companies/${company.id}/members`, newMember);
+      setCompany(prev => ({ ...prev, members: response.data.members }));
+      setNewMember({ email: '', role: 'recruiter' });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add member'));
+    }
+  };
+
+  const changeRole = async (member, role) => {
+    try {
+      const response = await axios.put(`/api/companies/${company.id}/members/${member.id}`, { role });
+      setCompany(prev => ({ ...prev, members: response.data.members }));
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to change role'));
+    }
+  };
+
+  const removeMember = async (member) => {
+    const isSelf = member.id === user?.id;
+    if (!window.confirm(isSelf ? `Leave ${company.name}?` : `Remove ${member.name} from ${company.name}?`)) return;
+    try {
+      const response = await axios.delete(`/api/companies/${company.id}/members/${member.id}`);
+      toast.success(response.data.message);
+      if (isSelf) {
+        setCompany(null);
+        setMyRole(null);
+        setProfile(emptyProfile);
+      } else {
+        setCompany(prev => ({ ...prev, members: prev.members.filter(entry => entry.id !== member.id) }));
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove member'));
+    }
+  };
+
+  const handleChange = (field, value) => setProfile(prev => ({ ...prev, [field]: value }));
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8 flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+            <Building className="w-8 h-8 text-primary-600 mr-3" />
+            {company ? company.name : 'Create Your Company'}
+          </h1>
+          <p className="text-gray-600 mt-2">
+            {company
+              ? `${memberRoleLabels[myRole]} · ${company.openJobs} open ${company.openJobs === 1 ? 'role' : 'roles'}`
+              : 'Jobs you post will appear on your company page, and teammates can post under the same profile.'}
+          </p>
+        </div>
+        {company && (
+          <Link to={`/companies/${company.slug}`} className="btn btn-outline flex items-center gap-2">
+            <ExternalLink className="w-4 h-4" />
+            Public page
+          </Link>
+        )}
+      </div>
+
+      <form onSubmit={saveProfile} className="card mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Company Profile</h2>
+        <fieldset disabled={company && !canManage} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Company Name *</label>
+            <input
+              type="text"
+              className="input"
+              value={profile.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label className="label">Industry</label>
+            <input
+              type="text"
+              className="input"
+              placeholder="e.g., Technology, Healthcare"
+              value={profile.industry}
+              onChange={(e) => handleChange('industry', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="label">Website</label>
+            <input
+              type="url"
+              className="input"
+              placeholder="https://yourcompany.com"
+              value={profile.website}
+              onChange={(e) => handleChange('website', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="label">Logo URL</label>
+            <input
+              type="url"
+              className="input"
+              placeholder="https://yourcompany.com/logo.png"
+              value={profile.logo}
+              onChange={(e) => handleChange('logo', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="label">Company Size</label>
+            <select className="input" value={profile.size} onChange={(e) => handleChange('size', e.target.value)}>
+              <option value="">Select size</option>
+              {sizes.map(size => (
+                <option key={size} value={size}>{size} employees</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Headquarters</label>
+            <input
+              type="text"
+              className="input"
+              placeholder="e.g., Berlin, Germany"
+              value={profile.headquarters}
+              onChange={(e) => handleChange('headquarters', e.target.value)}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="label">About</label>
+            <textarea
+              className="input"
+              rows={5}
+              maxLength={5000}
+              value={profile.description}
+              onChange={(e) => handleChange('description', e.target.value)}
+            />
+          </div>
+        </fieldset>
+        {(!company || canManage) && (
+          <div className="flex justify-end mt-4">
+            <button type="submit" disabled={saving} className="btn btn-primary flex items-center gap-2">
+              <Save className="w-4 h-4" />
+              {saving ? 'Saving...' : company ? 'Save Changes' : 'Create Company'}
+            </button>
+          </div>
+        )}
+      </form>
+
+      {company && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Team</h2>
+          <ul className="divide-y divide-gray-200">
+            {company.members.map(member => {
+              const isSelf = member.id === user?.id;
+              const canRemove = isSelf || myRole === 'owner' || (myRole === 'admin' && member.role === 'recruiter');
+              return (
+                <li key={member.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">{member.name}{isSelf && ' (you)'}</p>
+                    <p className="text-sm text-gray-500">{member.email}</p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {myRole === 'owner' ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => changeRole(member, e.target.value)}
+                        className="text-sm border border-gray-300 rounded-md px-2 py-1"
+                      >
+                        {Object.entries(memberRoleLabels).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-sm text-gray-600">{memberRoleLabels[member.role]}</span>
+                    )}
+                    {canRemove && (
+                      <button
+                        onClick={() => removeMember(member)}
+                        className="text-gray-400 hover:text-red-600"
+                        title={isSelf ? 'Leave company' : 'Remove'}
+                      >
+                        {isSelf ? <LogOut className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          {canManage && (
+            <form onSubmit={addMember} className="mt-4 pt-4 border-t border-gray-200 flex flex-col sm:flex-row gap-3">
+              <input
+                type="email"
+                required
+                value={newMember.email}
+                onChange={(e) => setNewMember(prev => ({ ...prev, email: e.target.value }))}
+                placeholder="Recruiter's email"
+                className="input flex-1"
+              />
+              {myRole === 'owner' && (
+                <select
+                  value={newMember.role}
+                  onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))}
+                  className="input sm:w-36"
+                >
+                  <option value="recruiter">Recruiter</option>
+                  <option value="admin">Admin</option>
+                </select>
+              )}
+              <button type="submit" className="btn btn-primary flex items-center gap-2">
+                <UserPlus className="w-4 h-4" />
+                Add
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyCompany;
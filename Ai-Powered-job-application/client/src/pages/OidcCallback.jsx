@@ -0,0 +1,58 @@
+import { useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { AlertTriangle } from 'lucide-react';
+
+// Where the server sends the browser after an OIDC provider sign-in. The session itself
+// arrives as a refresh cookie, which AuthContext has already traded for the user on load.
+const OidcCallback = () => {
+  const [searchParams] = useSearchParams();
+  const status = searchParams.get('status');
+  const provider = searchParams.get('provider');
+  const { user, loading } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (loading || status === 'error') return;
+
+    if (status === 'two_factor') {
+      navigate('/login', { replace: true, state: { challengeToken: searchParams.get('challenge') } });
+    } else if (!user) {
+      navigate('/login', { replace: true });
+    } else if (status === 'connected') {
+      const imported = searchParams.get('imported');
+      toast.success(imported ? `${provider} connected, profile links imported` : `${provider} connected`);
+      navigate('/profile', { replace: true, state: { tab: 'accounts' } });
+    } else {
+      const messages = {
+        registered: `Welcome! Your account was created with ${provider}.`,
+        linked: `${provider} is now connected to your account`
+      };
+      toast.success(messages[status] || 'Login successful!');
+      navigate('/dashboard', { replace: true });
+    }
+  }, [loading, user, status, provider, searchParams, navigate]);
+
+  if (status !== 'error') {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+      <div className="max-w-md w-full card text-center">
+        <AlertTriangle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900">{searchParams.get('message') || 'Sign-in failed'}</h2>
+        <Link to={user ? '/profile' : '/login'} className="btn btn-primary mt-6 inline-block">
+          {user ? 'Back to your profile' : 'Back to sign in'}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
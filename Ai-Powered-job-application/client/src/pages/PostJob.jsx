@@ -1,4 +1,5 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { 
@@ -8,6 +9,13 @@ import {
   Eye
 } from 'lucide-react';
 
+const companyFields = (company) => ({
+  name: company.name,
+  website: company.website || '',
+  size: company.size || '',
+  industry: company.industry || ''
+});
+
 const PostJob = () => {
   const [loading, setLoading] = React.useState(false);
   const [formData, setFormData] = React.useState({
@@ -39,6 +47,15 @@ const PostJob = () => {
         required: false
       }
     },
+    scoring: {
+      weights: {
+        skills: 40,
+        experience: 30,
+        education: 20,
+        location: 10
+      },
+      missingRequiredPenalty: 15
+    },
     compensation: {
       salary: {
         min: '',
@@ -54,6 +71,44 @@ const PostJob = () => {
 
   const [newSkill, setNewSkill] = React.useState({ name: '', level: 'required', importance: 3 });
   const [newBenefit, setNewBenefit] = React.useState('');
+  const [skillSuggestions, setSkillSuggestions] = React.useState([]);
+  const [company, setCompany] = React.useState(null);
+
+  // Recruiters who belong to a company post under its profile
+  React.useEffect(() => {
+    const fetchCompany = async () => {
+      try {
+        const response = await axios.get('/api/companies/mine');
+        if (response.data.company) {
+          setCompany(response.data.company);
+          setFormData(prev => ({ ...prev, company: companyFields(response.data.company) }));
+        }
+      } catch (error) {
+        console.error('Failed to fetch company:', error);
+      }
+    };
+    fetchCompany();
+  }, []);
+
+  // Suggest canonical skills from the taxonomy as the recruiter types
+  React.useEffect(() => {
+    const search = newSkill.name.trim();
+    if (!search) {
+      setSkillSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get('/api/skills', { params: { search, limit: 8 } });
+        setSkillSuggestions(response.data.skills);
+      } catch (error) {
+        setSkillSuggestions([]);
+      }
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [newSkill.name]);
 
   const handleChange = (section, field, value) => {
     if (!field) {
@@ -88,13 +143,26 @@ const PostJob = () => {
   };
 
   const addSkill = () => {
-    if (!newSkill.name.trim()) return;
-    
+    const typed = newSkill.name.trim();
+    if (!typed) return;
+
+    // Store the canonical name when the typed text is a known skill or alias
+    const key = typed.toLowerCase();
+    const known = skillSuggestions.find(skill =>
+      skill.name.toLowerCase() === key || skill.aliases.includes(key)
+    );
+    const name = known ? known.name : typed;
+
+    if (formData.requirements.skills.some(skill => skill.name.toLowerCase() === name.toLowerCase())) {
+      toast.error(`${name} is already listed`);
+      return;
+    }
+
     setFormData(prev => ({
       ...prev,
       requirements: {
         ...prev.requirements,
-        skills: [...prev.requirements.skills, { ...newSkill }]
+        skills: [...prev.requirements.skills, { ...newSkill, name }]
       }
     }));
     setNewSkill({ name: '', level: 'required', importance: 3 });
@@ -138,15 +206,16 @@ const PostJob = () => {
     setLoading(true);
 
     try {
-      await axios.post('/api/jobs', formData);
-      toast.success('Job posted successfully!');
+      const response = await axios.post('/api/jobs', formData);
+      toast.success(response.data.message || 'Job posted successfully!');
       // Reset form
       setFormData({
         title: '',
         description: '',
-        company: { name: '', website: '', size: '', industry: '' },
+        company: company ? companyFields(company) : { name: '', website: '', size: '', industry: '' },
         location: { city: '', state: '', country: 'United States', remote: false, hybrid: false },
         requirements: { skills: [], experience: { min: '', max: '', unit: 'years' }, education: { degree: '', field: '', required: false } },
+        scoring: { weights: { skills: 40, experience: 30, education: 20, location: 10 }, missingRequiredPenalty: 15 },
         compensation: { salary: { min: '', max: '', currency: 'USD', period: 'yearly' }, benefits: [], equity: '' },
         jobType: 'full-time'
       });
@@ -166,6 +235,15 @@ const PostJob = () => {
     { value: 'freelance', label: 'Freelance' }
   ];
 
+  const scoringFactors = [
+    { key: 'skills', label: 'Skills' },
+    { key: 'experience', label: 'Experience' },
+    { key: 'education', label: 'Education' },
+    { key: 'location', label: 'Location' }
+  ];
+
+  const totalWeight = scoringFactors.reduce((sum, factor) => sum + (Number(formData.scoring.weights[factor.key]) || 0), 0);
+
   const skillLevels = [
     { value: 'required', label: 'Required' },
     { value: 'preferred', label: 'Preferred' },
@@ -224,8 +302,15 @@ const PostJob = () => {
                 placeholder="Your company name"
                 value={formData.company.name}
                 onChange={(e) => handleChange('company', 'name', e.target.value)}
+                disabled={Boolean(company)}
                 required
               />
+              {company && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Posting as {company.name}. Company details come from your{' '}
+                  <Link to="/company" className="text-primary-600 hover:text-primary-700">company profile</Link>.
+                </p>
+              )}
             </div>
 
             <div>
@@ -236,6 +321,7 @@ const PostJob = () => {
                 placeholder="https://yourcompany.com"
                 value={formData.company.website}
                 onChange={(e) => handleChange('company', 'website', e.target.value)}
+                disabled={Boolean(company)}
               />
             </div>
 
@@ -245,6 +331,7 @@ const PostJob = () => {
                 className="input"
                 value={formData.company.size}
                 onChange={(e) => handleChange('company', 'size', e.target.value)}
+                disabled={Boolean(company)}
               >
                 <option value="">Select size</option>
                 <option value="1-10">1-10 employees</option>
@@ -264,6 +351,7 @@ const PostJob = () => {
                 placeholder="e.g., Technology, Healthcare"
                 value={formData.company.industry}
                 onChange={(e) => handleChange('company', 'industry', e.target.value)}
+                disabled={Boolean(company)}
               />
             </div>
           </div>
@@ -373,9 +461,17 @@ const PostJob = () => {
                   type="text"
                   className="input flex-1"
                   placeholder="Add a skill"
+                  list="skill-suggestions"
                   value={newSkill.name}
                   onChange={(e) => setNewSkill({ ...newSkill, name: e.target.value })}
                 />
+                <datalist id="skill-suggestions">
+                  {skillSuggestions.map((skill) => (
+                    <option key={skill.slug} value={skill.name}>
+                      {skill.parent ? skill.parent.name : skill.category}
+                    </option>
+                  ))}
+                </datalist>
                 <select
                   className="input"
                   value={newSkill.level}
@@ -474,6 +570,50 @@ const PostJob = () => {
           </div>
         </div>
 
+        {/* Match Scoring */}
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Match Scoring</h2>
+          <p className="text-sm text-gray-600 mb-6">
+            Choose how much each factor counts towards a candidate&apos;s match score. Weights are relative,
+            and skills are further weighted by their importance and level.
+          </p>
+
+          <div className="grid md:grid-cols-4 gap-6 mb-6">
+            {scoringFactors.map(factor => (
+              <div key={factor.key}>
+                <label className="label">{factor.label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  className="input"
+                  value={formData.scoring.weights[factor.key]}
+                  onChange={(e) => handleNestedChange('scoring', 'weights', factor.key, e.target.value)}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  {totalWeight > 0
+                    ? `${Math.round(((Number(formData.scoring.weights[factor.key]) || 0) / totalWeight) * 100)}% of score`
+                    : 'Defaults apply'}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="md:w-1/2">
+            <label className="label">Penalty per Missing Required Skill</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              className="input"
+              value={formData.scoring.missingRequiredPenalty}
+              onChange={(e) => handleChange('scoring', 'missingRequiredPenalty', e.target.value)}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Points deducted from the match score for each required skill a candidate lacks.
+            </p>
+          </div>
+        </div>
+
         {/* Compensation */}
         <div className="card">
           <h2 className="text-xl font-semibold text-gray-900 mb-6">Compensation</h2>
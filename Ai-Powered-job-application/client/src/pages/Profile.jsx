@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import toast from 'react-hot-toast';
@@ -13,9 +14,23 @@ import {
   Save,
   Eye,
   EyeOff,
-  CheckCircle
+  CheckCircle,
+  Bell,
+  Monitor,
+  LogOut,
+  Link2,
+  ShieldCheck,
+  Trash2
 } from 'lucide-react';
 
+// Notification categories shown on the Notifications tab, by role
+const notificationCategories = [
+  { id: 'applications', label: 'Applications', description: 'New applications and stage changes', roles: ['job_seeker', 'recruiter', 'admin'] },
+  { id: 'interviews', label: 'Interviews', description: 'Bookings, reschedules and cancellations', roles: ['job_seeker', 'recruiter', 'admin'] },
+  { id: 'matches', label: 'Job matches', description: 'New jobs that match your resume', roles: ['job_seeker'] },
+  { id: 'jobs', label: 'Jobs', description: 'Jobs you applied to being closed or removed, and review decisions on your postings', roles: ['job_seeker', 'recruiter'] }
+];
+
 const Profile = () => {
   const { user, updateProfile, changePassword, isRecruiter } = useAuth();
   const [profileData, setProfileData] = useState({
@@ -49,7 +64,10 @@ const Profile = () => {
     confirm: false
   });
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('profile');
+  const location = useLocation();
+  const [activeTab, setActiveTab] = useState(
+    user?.passwordResetRequired ? 'password' : user?.twoFactorSetupRequired ? 'security' : location.state?.tab || 'profile'
+  );
 
   useEffect(() => {
     if (user) {
@@ -152,7 +170,12 @@ const Profile = () => {
       { id: 'skills', name: 'Skills', icon: CheckCircle },
       { id: 'preferences', name: 'Preferences', icon: MapPin }
     ]),
-    { id: 'password', name: 'Password', icon: Eye }
+    { id: 'notifications', name: 'Notifications', icon: Bell },
+    { id: 'password', name: 'Password', icon: Eye },
+    { id: 'security', name: 'Two-factor', icon: ShieldCheck },
+    { id: 'accounts', name: 'Connected accounts', icon: Link2 },
+    { id: 'sessions', name: 'Devices', icon: Monitor },
+    { id: 'delete', name: 'Delete account', icon: Trash2 }
   ];
 
   return (
@@ -280,6 +303,21 @@ const Profile = () => {
                       onChange={(e) => handleProfileChange('profile', 'bio', e.target.value)}
                     />
                   </div>
+
+                  {!isRecruiter && (
+                    <div className="md:col-span-2 flex items-center">
+                      <input
+                        type="checkbox"
+                        id="discoverable"
+                        className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        checked={profileData.profile.discoverable || false}
+                        onChange={(e) => handleProfileChange('profile', 'discoverable', e.target.checked)}
+                      />
+                      <label htmlFor="discoverable" className="ml-2 text-sm text-gray-700">
+                        Let recruiters find my active resume when searching for candidates
+                      </label>
+                    </div>
+                  )}
                 </div>
 
                 <div className="flex justify-end mt-6">
@@ -313,7 +351,14 @@ const Profile = () => {
                     <div key={index} className="border border-gray-200 rounded-lg p-4">
                       <div className="grid md:grid-cols-3 gap-4">
                         <div>
-                          <label className="label">Skill Name</label>
+                          <label className="label">
+                            Skill Name
+                            {skill.source === 'learning' && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                From videos
+                              </span>
+                            )}
+                          </label>
                           <input
                             type="text"
                             className="input"
@@ -454,30 +499,58 @@ const Profile = () => {
               </form>
             )}
 
+            {/* Notifications Tab */}
+            {activeTab === 'notifications' && <NotificationPreferences role={user?.role} />}
+
+            {/* Two-factor Tab */}
+            {activeTab === 'security' && <TwoFactorSettings />}
+
+            {/* Connected Accounts Tab */}
+            {activeTab === 'accounts' && <ConnectedAccounts />}
+
+            {/* Devices Tab */}
+            {activeTab === 'sessions' && <ActiveSessions />}
+
+            {/* Delete Account Tab */}
+            {activeTab === 'delete' && <DeleteAccount />}
+
             {/* Password Tab */}
             {activeTab === 'password' && (
               <form onSubmit={handlePasswordSubmit}>
                 <h2 className="text-xl font-semibold text-gray-900 mb-6">Change Password</h2>
+                {user?.passwordResetRequired && (
+                  <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 mb-6 max-w-md text-sm">
+                    An administrator has asked you to choose a new password before you continue.
+                  </div>
+                )}
+                
+                {user && !user.hasPassword && (
+                  <p className="text-sm text-gray-600 mb-6 max-w-md">
+                    You sign in through a connected provider. Choose a password to also sign in with your email address.
+                  </p>
+                )}
                 
                 <div className="space-y-4 max-w-md">
-                  <div>
-                    <label className="label">Current Password</label>
-                    <div className="relative">
-                      <input
-                        type={showPasswords.current ? 'text' : 'password'}
-                        className="input pr-10"
-                        value={passwordData.currentPassword}
-                        onChange={(e) => setPasswordData(prev => ({ ...prev, currentPassword: e.target.value }))}
-                      />
-                      <button
-                        type="button"
-                        className="absolute right-3 top-1/2 transform -translate-y-1/2"
-                        onClick={() => togglePasswordVisibility('current')}
-                      >
-                        {showPasswords.current ? <EyeOff className="w-4 h-4 text-gray-400" /> : <Eye className="w-4 h-4 text-gray-400" />}
-                      </button>
+                  {user?.hasPassword !== false && (
+                    <div>
+                      <label className="label">Current Password</label>
+                      <div className="relative">
+                        <input
+                          type={showPasswords.current ? 'text' : 'password'}
+                          className="input pr-10"
+                          value={passwordData.currentPassword}
+                          onChange={(e) => setPasswordData(prev => ({ ...prev, currentPassword: e.target.value }))}
+                        />
+                        <button
+                          type="button"
+                          className="absolute right-3 top-1/2 transform -translate-y-1/2"
+                          onClick={() => togglePasswordVisibility('current')}
+                        >
+                          {showPasswords.current ? <EyeOff className="w-4 h-4 text-gray-400" /> : <Eye className="w-4 h-4 text-gray-400" />}
+                        </button>
+                      </div>
                     </div>
-                  </div>
+                  )}
 
                   <div>
                     <label className="label">New Password</label>
@@ -536,4 +609,523 @@ const Profile = () => {
   );
 };
 
+// Per-category switches for in-app and email delivery; each change saves immediately
+const NotificationPreferences = ({ role }) => {
+  const [preferences, setPreferences] = useState(null);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const response = await axios.get('/api/notifications/preferences');
+      setPreferences(response.data.preferences);
+    } catch (error) {
+      console.error('Failed to fetch notification preferences:', error);
+      toast.error('Failed to load notification preferences');
+    }
+  };
+
+  const togglePreference = async (category, channel) => {
+    const value = !preferences[category][channel];
+    setPreferences(prev => ({ ...prev, [category]: { ...prev[category], [channel]: value } }));
+
+    try {
+      const response = await axios.put('/api/notifications/preferences', { [category]: { [channel]: value } });
+      setPreferences(response.data.preferences);
+    } catch (error) {
+      console.error('Failed to update notification preferences:', error);
+      toast.error('Failed to update notification preferences');
+      fetchPreferences();
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-900 mb-6">Notifications</h2>
+
+      {!preferences ? (
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="pb-3 font-medium">Category</th>
+              <th className="pb-3 font-medium text-center w-24">In app</th>
+              <th className="pb-3 font-medium text-center w-24">Email</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {notificationCategories
+              .filter(category => category.roles.includes(role))
+              .map(category => (
+                <tr key={category.id}>
+                  <td className="py-3">
+                    <div className="font-medium text-gray-900">{category.label}</div>
+                    <div className="text-gray-500">{category.description}</div>
+                  </td>
+                  {['inApp', 'email'].map(channel => (
+                    <td key={channel} className="py-3 text-center">
+                      <input
+                        type="checkbox"
+                        checked={preferences[category.id][channel]}
+                        onChange={() => togglePreference(category.id, channel)}
+                        className="h-4 w-4 text-primary-600 rounded border-gray-300"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Authenticator app enrolment: setup shows a QR code, a code from the app turns 2FA on and
+// the recovery codes are shown exactly once
+const TwoFactorSettings = () => {
+  const { user, refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/api/auth/2fa');
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error);
+      toast.error('Failed to load two-factor settings');
+    }
+  };
+
+  // Every change posts the code from the form and clears it afterwards
+  const submit = async (path, onSuccess) => {
+    setBusy(true);
+    try {
+      const response = await axios.post(`/api/auth/2fa/${path}`, code ? { code } : {});
+      setCode('');
+      onSuccess(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => submit('setup', setEnrolment);
+
+  const enable = (e) => {
+    e.preventDefault();
+    submit('enable', async (data) => {
+      toast.success(data.message);
+      setEnrolment(null);
+      setRecoveryCodes(data.recoveryCodes);
+      await fetchStatus();
+      await refreshUser();
+    });
+  };
+
+  const regenerate = () => submit('recovery-codes', (data) => {
+    toast.success(data.message);
+    setRecoveryCodes(data.recoveryCodes);
+    fetchStatus();
+  });
+
+  const disable = () => {
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+    submit('disable', async (data) => {
+      toast.success(data.message);
+      await fetchStatus();
+      await refreshUser();
+    });
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      className="input max-w-xs"
+      placeholder="123456"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+    />
+  );
+
+  if (!status) {
+    return <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>;
+  }
+
+  return (
+    <div className="max-w-lg">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Two-factor authentication</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Ask for a code from an authenticator app (Google Authenticator, 1Password, Authy...) after your password.
+      </p>
+
+      {user?.twoFactorSetupRequired && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 mb-6 text-sm">
+          Your role requires two-factor authentication. Set it up to continue using your account.
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-6">
+          <h3 className="font-medium text-gray-900 mb-1">Recovery codes</h3>
+          <p className="text-sm text-gray-600 mb-3">
+            Each code signs you in once if you lose your device. Save them somewhere safe; they won&apos;t be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 rounded p-3 mb-3">
+            {recoveryCodes.map(recoveryCode => <span key={recoveryCode}>{recoveryCode}</span>)}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              className="btn btn-outline"
+              onClick={() => navigator.clipboard.writeText(recoveryCodes.join('\n')).then(() => toast.success('Copied'))}
+            >
+              Copy
+            </button>
+            <button type="button" className="btn btn-primary" onClick={() => setRecoveryCodes(null)}>
+              I&apos;ve saved them
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status.enabled ? (
+        <div className="space-y-6">
+          <div className="flex items-center text-sm text-green-700">
+            <ShieldCheck className="w-5 h-5 mr-2" />
+            On since {new Date(status.enabledAt).toLocaleDateString()} · {status.recoveryCodesRemaining} recovery codes left
+          </div>
+          <div>
+            <label className="label">Code from your app or a recovery code</label>
+            {codeInput}
+          </div>
+          <div className="flex gap-2">
+            <button type="button" disabled={busy || !code} onClick={regenerate} className="btn btn-outline">
+              New recovery codes
+            </button>
+            {!status.required && (
+              <button type="button" disabled={busy || !code} onClick={disable} className="btn btn-outline text-red-600">
+                Turn off
+              </button>
+            )}
+          </div>
+        </div>
+      ) : enrolment ? (
+        <form onSubmit={enable} className="space-y-4">
+          <p className="text-sm text-gray-700">Scan this code with your authenticator app, then enter the 6-digit code it shows.</p>
+          <img src={enrolment.qrCode} alt="Authenticator QR code" className="w-48 h-48 border border-gray-200 rounded" />
+          <p className="text-xs text-gray-500">
+            Can&apos;t scan it? Enter this key instead: <span className="font-mono break-all">{enrolment.secret}</span>
+            {' '}or <a href={enrolment.otpauthUrl} className="text-primary-600 hover:text-primary-700">open it in an app on this device</a>.
+          </p>
+          <div>
+            <label className="label">Code</label>
+            {codeInput}
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy || !code} className="btn btn-primary">Turn on</button>
+            <button type="button" onClick={() => setEnrolment(null)} className="btn btn-outline">Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <button type="button" disabled={busy} onClick={startSetup} className="btn btn-primary">
+          Set up an authenticator app
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Sign-in providers that can be connected to the account; connecting leaves for the provider
+// and comes back through /auth/callback
+const ConnectedAccounts = () => {
+  const { user, startOidc, refreshUser } = useAuth();
+  const [providers, setProviders] = useState(null);
+
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const response = await axios.get('/api/auth/oidc/providers');
+        setProviders(response.data.providers);
+      } catch (error) {
+        console.error('Failed to fetch sign-in providers:', error);
+        setProviders([]);
+      }
+    };
+
+    fetchProviders();
+  }, []);
+
+  const disconnect = async (provider) => {
+    if (!window.confirm(`Disconnect ${provider.name}? You will no longer be able to sign in with it.`)) return;
+
+    try {
+      const response = await axios.delete(`/api/auth/oidc/identities/${provider.id}`);
+      toast.success(response.data.message);
+      await refreshUser();
+    } catch (error) {
+      console.error('Failed to disconnect provider:', error);
+      toast.error(error.response?.data?.message || 'Failed to disconnect provider');
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Connected accounts</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Sign in with another account instead of your password. Connecting one also fills empty profile links from it.
+      </p>
+
+      {!providers ? (
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+      ) : providers.length === 0 ? (
+        <p className="text-sm text-gray-500">No sign-in providers are set up on this site.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {providers.map(provider => {
+            const identity = user?.identities?.find(entry => entry.provider === provider.id);
+            return (
+              <li key={provider.id} className="py-4 flex items-center justify-between">
+                <div className="text-sm">
+                  <div className="font-medium text-gray-900">{provider.name}</div>
+                  <div className="text-gray-500">
+                    {identity
+                      ? `Connected${identity.email ? ` as ${identity.email}` : ''} since ${new Date(identity.linkedAt).toLocaleDateString()}`
+                      : 'Not connected'}
+                  </div>
+                </div>
+                {identity ? (
+                  <button
+                    type="button"
+                    onClick={() => disconnect(provider)}
+                    className="text-sm font-medium text-red-600 hover:text-red-700"
+                  >
+                    Disconnect
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => startOidc(provider.id, { link: true })}
+                    className="btn btn-outline"
+                  >
+                    Connect
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Devices currently signed in to the account, each of which can be signed out remotely
+const ActiveSessions = () => {
+  const { logout, logoutAll } = useAuth();
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/api/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+      toast.error('Failed to load signed-in devices');
+    }
+  };
+
+  const revokeSession = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/api/auth/sessions/${session.id}`);
+      toast.success(response.data.message);
+      setSessions(prev => prev.filter(entry => entry.id !== session.id));
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    await logoutAll();
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold text-gray-900">Signed-in devices</h2>
+        <button type="button" onClick={handleLogoutAll} className="btn btn-outline flex items-center">
+          <LogOut className="h-4 w-4 mr-2" />
+          Sign out everywhere
+        </button>
+      </div>
+
+      {!sessions ? (
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => (
+            <li key={session.id} className="py-4 flex items-center justify-between">
+              <div className="flex items-start">
+                <Monitor className="h-5 w-5 text-gray-400 mr-3 mt-0.5" />
+                <div className="text-sm">
+                  <div className="font-medium text-gray-900">
+                    {session.device}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </div>
+                  <div className="text-gray-500">
+                    {session.ip && `${session.ip} · `}
+                    Last active {new Date(session.lastUsedAt || session.createdAt).toLocaleString()}
+                  </div>
+                  <div className="text-gray-400">
+                    Signed in {new Date(session.createdAt).toLocaleDateString()}
+                  </div>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => revokeSession(session)}
+                className="text-sm font-medium text-red-600 hover:text-red-700"
+              >
+                {session.current ? 'Sign out' : 'Sign out device'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Erase the account; confirmed with the password (or the email for provider-only accounts)
+// and a two-factor code when 2FA is on
+const DeleteAccount = () => {
+  const { user, deleteAccount } = useAuth();
+  const navigate = useNavigate();
+  const [confirmation, setConfirmation] = useState({ password: '', confirmEmail: '', code: '' });
+  const [deleting, setDeleting] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setConfirmation(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account and personal data? This cannot be undone.')) return;
+
+    setDeleting(true);
+    const result = await deleteAccount(confirmation);
+    setDeleting(false);
+    if (result.success) {
+      const { receiptId, signature } = result.receipt;
+      navigate(`/account-deleted/${receiptId}?signature=${signature}`, { replace: true });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Delete account</h2>
+      <div className="text-sm text-gray-600 mb-6 max-w-xl space-y-2">
+        <p>
+          Your profile, resumes and their files, matches, learning progress, notifications and signed-in
+          devices are deleted. Applications and interviews stay with the employers without your name,
+          contact details, cover letters or notes, so their hiring statistics remain accurate.
+        </p>
+        <p>You will get a deletion receipt, also sent to {user?.email}.</p>
+      </div>
+
+      <div className="space-y-4 max-w-md">
+        {user?.hasPassword ? (
+          <div>
+            <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700 mb-1">
+              Password
+            </label>
+            <input
+              id="deletePassword"
+              type="password"
+              name="password"
+              value={confirmation.password}
+              onChange={handleChange}
+              className="input"
+              autoComplete="current-password"
+              required
+            />
+          </div>
+        ) : (
+          <div>
+            <label htmlFor="confirmEmail" className="block text-sm font-medium text-gray-700 mb-1">
+              Type your email address to confirm
+            </label>
+            <input
+              id="confirmEmail"
+              type="email"
+              name="confirmEmail"
+              value={confirmation.confirmEmail}
+              onChange={handleChange}
+              className="input"
+              required
+            />
+          </div>
+        )}
+
+        {user?.twoFactorEnabled && (
+          <div>
+            <label htmlFor="deleteCode" className="block text-sm font-medium text-gray-700 mb-1">
+              Authentication or recovery code
+            </label>
+            <input
+              id="deleteCode"
+              type="text"
+              name="code"
+              value={confirmation.code}
+              onChange={handleChange}
+              className="input"
+              autoComplete="one-time-code"
+              required
+            />
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={deleting}
+          className="btn bg-red-600 text-white hover:bg-red-700 flex items-center"
+        >
+          <Trash2 className="w-4 h-4 mr-2" />
+          {deleting ? 'Deleting...' : 'Delete my account'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
 export default Profile;
@@ -1,6 +1,8 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
 import { 
   Users, 
   FileText, 
@@ -13,9 +15,134 @@ import {
   CheckCircle,
   XCircle,
   Clock,
-  User
+  User,
+  Search,
+  Calendar,
+  Plus,
+  Trash2,
+  ShieldCheck,
+  AlertTriangle,
+  UserPlus,
+  MessageSquare,
+  Activity,
+  LogOut
 } from 'lucide-react';
 
+// Application stages in workflow order
+const applicationStages = [
+  { value: 'applied', label: 'Applied' },
+  { value: 'screening', label: 'Screening' },
+  { value: 'interview', label: 'Interview' },
+  { value: 'offer', label: 'Offer' },
+  { value: 'hired', label: 'Hired' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'withdrawn', label: 'Withdrawn' }
+];
+
+const getStageLabel = (status) =>
+  applicationStages.find(stage => stage.value === status)?.label || status;
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'applied': return 'bg-yellow-100 text-yellow-800';
+    case 'screening': return 'bg-blue-100 text-blue-800';
+    case 'interview': return 'bg-indigo-100 text-indigo-800';
+    case 'offer': return 'bg-green-100 text-green-800';
+    case 'hired': return 'bg-purple-100 text-purple-800';
+    case 'rejected': return 'bg-red-100 text-red-800';
+    default: return 'bg-gray-100 text-gray-800';
+  }
+};
+
+const getStatusIcon = (status) => {
+  switch (status) {
+    case 'applied': return <Clock className="w-4 h-4" />;
+    case 'screening': return <Eye className="w-4 h-4" />;
+    case 'interview': return <Users className="w-4 h-4" />;
+    case 'offer': return <CheckCircle className="w-4 h-4" />;
+    case 'hired': return <Star className="w-4 h-4" />;
+    case 'rejected': return <XCircle className="w-4 h-4" />;
+    default: return <Clock className="w-4 h-4" />;
+  }
+};
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Review state of a posting, as shown next to it in the jobs list
+const moderationBadges = {
+  pending: { label: 'Under review', className: 'bg-yellow-100 text-yellow-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' }
+};
+
+const moderationActions = {
+  submitted: 'Submitted',
+  flagged: 'Flagged after edit',
+  resubmitted: 'Resubmitted for review',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+// Hiring team roles; each is a preset of permissions the job owner can adjust per member
+const teamRoleLabels = {
+  hiring_manager: 'Hiring manager',
+  interviewer: 'Interviewer',
+  viewer: 'Viewer'
+};
+
+const permissionLabels = {
+  view: 'View',
+  comment: 'Comment',
+  change_status: 'Change status'
+};
+
+// One line of the team activity feed
+const describeActivity = (entry) => {
+  const actor = entry.actor?.name || 'Someone';
+  const candidate = entry.application?.applicant || 'a candidate';
+  switch (entry.type) {
+    case 'application.submitted':
+      return `${candidate} applied`;
+    case 'application.status_changed':
+      return entry.data?.actor === 'applicant'
+        ? `${candidate} withdrew their application`
+        : `${actor} moved ${candidate} to ${getStageLabel(entry.data?.to)}`;
+    case 'application.commented':
+      return `${actor} commented on ${candidate}`;
+    case 'interview.booked':
+      return `${candidate} booked an interview for ${formatDateTime(entry.data?.start)}`;
+    case 'team.member_added':
+      return `${actor} added ${entry.member?.name} as ${teamRoleLabels[entry.data?.role]?.toLowerCase()}`;
+    case 'team.member_updated':
+      return `${actor} changed ${entry.member?.name}'s access`;
+    case 'team.member_removed':
+      return entry.actor?.id === entry.member?.id
+        ? `${actor} left the team`
+        : `${actor} removed ${entry.member?.name}`;
+    default:
+      return entry.type;
+  }
+};
+
+// Save an interview's .ics file (the endpoint needs the auth header, so a plain link won't do)
+const downloadInterviewCalendar = async (interviewId) => {
+  try {
+    const response = await axios.get(`/api/interviews/${interviewId}/ics`, { responseType: 'blob' });
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `interview-${interviewId}.ics`;
+    link.click();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Failed to download calendar file:', error);
+    toast.error('Failed to download calendar file');
+  }
+};
+
 const RecruiterDashboard = () => {
   const [jobs, setJobs] = useState([]);
   const [selectedJob, setSelectedJob] = useState(null);
@@ -25,6 +152,7 @@ const RecruiterDashboard = () => {
   const [selectedApplication, setSelectedApplication] = useState(null);
   const [statusFilter, setStatusFilter] = useState('all');
   const [sortBy, setSortBy] = useState('matchScore');
+  const [activeTab, setActiveTab] = useState('applications');
 
   useEffect(() => {
     fetchMyJobs();
@@ -71,7 +199,7 @@ const RecruiterDashboard = () => {
       toast.success('Application status updated');
     } catch (error) {
       console.error('Failed to update status:', error);
-      toast.error('Failed to update application status');
+      toast.error(error.response?.data?.message || 'Failed to update application status');
     }
   };
 
@@ -81,28 +209,21 @@ const RecruiterDashboard = () => {
     fetchApplications(job.id);
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending': return 'bg-yellow-100 text-yellow-800';
-      case 'reviewed': return 'bg-blue-100 text-blue-800';
-      case 'shortlisted': return 'bg-green-100 text-green-800';
-      case 'rejected': return 'bg-red-100 text-red-800';
-      case 'hired': return 'bg-purple-100 text-purple-800';
-      default: return 'bg-gray-100 text-gray-800';
-    }
+  // Keep the list entry in step when comments are added from the details modal
+  const handleCommentsChange = (applicationId, comments) => {
+    setApplications(prev => prev.map(app => app.id === applicationId ? { ...app, comments } : app));
   };
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'pending': return <Clock className="w-4 h-4" />;
-      case 'reviewed': return <Eye className="w-4 h-4" />;
-      case 'shortlisted': return <CheckCircle className="w-4 h-4" />;
-      case 'rejected': return <XCircle className="w-4 h-4" />;
-      case 'hired': return <Star className="w-4 h-4" />;
-      default: return <Clock className="w-4 h-4" />;
-    }
+  const handleLeaveTeam = () => {
+    setSelectedJob(null);
+    setActiveTab('applications');
+    fetchMyJobs();
   };
 
+  // Shared jobs come with the user's team permissions; their own jobs grant everything
+  const isJobOwner = ['owner', 'admin'].includes(selectedJob?.access?.role);
+  const canChangeStatus = Boolean(selectedJob?.access?.permissions.includes('change_status'));
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -141,16 +262,97 @@ const RecruiterDashboard = () => {
                       <Users className="w-4 h-4 mr-1" />
                       {job.applicationsCount} applications
                     </div>
+                    {moderationBadges[job.moderation?.state] && (
+                      <span className={`inline-block mt-2 px-2 py-0.5 rounded-full text-xs font-medium ${
+                        moderationBadges[job.moderation.state].className
+                      }`}>
+                        {moderationBadges[job.moderation.state].label}
+                      </span>
+                    )}
+                    {job.access && !['owner', 'admin'].includes(job.access.role) && (
+                      <span className="inline-block mt-2 ml-1 px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                        Shared · {teamRoleLabels[job.access.role]}
+                      </span>
+                    )}
+                    {job.moderation?.state === 'rejected' && job.moderation.reason && (
+                      <p className="mt-1 text-xs text-red-700">{job.moderation.reason}</p>
+                    )}
                   </div>
                 ))}
               </div>
             </div>
+
+            <UpcomingInterviews />
+
+            <TeamActivity />
           </div>
 
           {/* Applications List */}
           <div className="lg:col-span-2">
             {selectedJob ? (
               <div className="bg-white rounded-lg shadow">
+                <div className="px-6 pt-4 border-b border-gray-200 flex space-x-6">
+                  <button
+                    onClick={() => setActiveTab('applications')}
+                    className={`pb-3 text-sm font-medium border-b-2 ${
+                      activeTab === 'applications' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                    }`}
+                  >
+                    Applications
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('slots')}
+                    className={`pb-3 text-sm font-medium border-b-2 flex items-center ${
+                      activeTab === 'slots' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                    }`}
+                  >
+                    <Calendar className="w-4 h-4 mr-1" />
+                    Interview Slots
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('candidates')}
+                    className={`pb-3 text-sm font-medium border-b-2 flex items-center ${
+                      activeTab === 'candidates' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                    }`}
+                  >
+                    <Search className="w-4 h-4 mr-1" />
+                    Find Candidates
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('team')}
+                    className={`pb-3 text-sm font-medium border-b-2 flex items-center ${
+                      activeTab === 'team' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                    }`}
+                  >
+                    <UserPlus className="w-4 h-4 mr-1" />
+                    Team
+                  </button>
+                  {isJobOwner && (
+                    <button
+                      onClick={() => setActiveTab('review')}
+                      className={`pb-3 text-sm font-medium border-b-2 flex items-center ${
+                        activeTab === 'review' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      <ShieldCheck className="w-4 h-4 mr-1" />
+                      Review
+                      {selectedJob.moderation?.flags?.length > 0 && (
+                        <AlertTriangle className="w-4 h-4 ml-1 text-yellow-500" />
+                      )}
+                    </button>
+                  )}
+                </div>
+
+                {activeTab === 'review' && isJobOwner ? (
+                  <ModerationPanel key={selectedJob.id} job={selectedJob} />
+                ) : activeTab === 'team' ? (
+                  <TeamPanel key={selectedJob.id} job={selectedJob} onLeave={handleLeaveTeam} />
+                ) : activeTab === 'candidates' ? (
+                  <CandidateSearchPanel key={selectedJob.id} job={selectedJob} />
+                ) : activeTab === 'slots' ? (
+                  <InterviewSlotsPanel key={selectedJob.id} job={selectedJob} canSchedule={canChangeStatus} />
+                ) : (
+                <>
                 <div className="p-6 border-b border-gray-200">
                   <div className="flex items-center justify-between">
                     <div>
@@ -166,11 +368,9 @@ const RecruiterDashboard = () => {
                         className="px-3 py-2 border border-gray-300 rounded-md text-sm"
                       >
                         <option value="all">All Status</option>
-                        <option value="pending">Pending</option>
-                        <option value="reviewed">Reviewed</option>
-                        <option value="shortlisted">Shortlisted</option>
-                        <option value="rejected">Rejected</option>
-                        <option value="hired">Hired</option>
+                        {applicationStages.map((stage) => (
+                          <option key={stage.value} value={stage.value}>{stage.label}</option>
+                        ))}
                       </select>
                       <select
                         value={sortBy}
@@ -231,7 +431,7 @@ const RecruiterDashboard = () => {
                             <div className="flex items-center space-x-2">
                               <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(application.status)}`}>
                                 {getStatusIcon(application.status)}
-                                <span className="ml-1 capitalize">{application.status}</span>
+                                <span className="ml-1">{getStageLabel(application.status)}</span>
                               </span>
                             </div>
                           </div>
@@ -240,6 +440,8 @@ const RecruiterDashboard = () => {
                     )}
                   </div>
                 )}
+                </>
+                )}
               </div>
             ) : (
               <div className="bg-white rounded-lg shadow p-8 text-center">
@@ -267,18 +469,834 @@ const RecruiterDashboard = () => {
             application={selectedApplication}
             onClose={() => setSelectedApplication(null)}
             onUpdateStatus={updateApplicationStatus}
+            onCommentsChange={handleCommentsChange}
+            access={selectedJob?.access}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Agenda of the recruiter's booked interviews for the coming weeks
+const UpcomingInterviews = () => {
+  const [interviews, setInterviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchInterviews();
+  }, []);
+
+  const fetchInterviews = async () => {
+    try {
+      const response = await axios.get('/api/interviews/upcoming?days=30');
+      setInterviews(response.data.interviews);
+    } catch (error) {
+      console.error('Failed to fetch interviews:', error);
+      toast.error('Failed to fetch upcoming interviews');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelInterview = async (interview) => {
+    const reason = window.prompt(`Cancel the interview with ${interview.candidate.name}? Optionally give a reason:`);
+    if (reason === null) return;
+
+    try {
+      await axios.post(`/api/interviews/${interview.id}/cancel`, { reason });
+      toast.success('Interview cancelled');
+      fetchInterviews();
+    } catch (error) {
+      console.error('Failed to cancel interview:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel interview');
+    }
+  };
+
+  // Group by calendar day in the viewer's zone
+  const days = interviews.reduce((groups, interview) => {
+    const day = new Date(interview.start).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+    (groups[day] = groups[day] || []).push(interview);
+    return groups;
+  }, {});
+
+  return (
+    <div className="bg-white rounded-lg shadow mt-8">
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Calendar className="w-5 h-5 mr-2" />
+          Upcoming Interviews
+        </h2>
+      </div>
+      {loading ? (
+        <div className="p-6 text-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>
+        </div>
+      ) : interviews.length === 0 ? (
+        <p className="p-6 text-sm text-gray-600">No interviews booked in the next 30 days.</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {Object.entries(days).map(([day, dayInterviews]) => (
+            <div key={day} className="p-4">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">{day}</h3>
+              <div className="space-y-3">
+                {dayInterviews.map((interview) => (
+                  <div key={interview.id} className="text-sm">
+                    <div className="flex items-start justify-between">
+                      <div>
+                        <div className="font-medium text-gray-900">
+                          {formatTime(interview.start)} – {formatTime(interview.end)}
+                        </div>
+                        <div className="text-gray-700">{interview.candidate.name}</div>
+                        <div className="text-gray-500">{interview.job.title}</div>
+                        {(interview.location || interview.meetingUrl) && (
+                          <div className="flex items-center text-gray-500">
+                            <MapPin className="w-3 h-3 mr-1" />
+                            {interview.meetingUrl ? (
+                              <a href={interview.meetingUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                                {interview.location || 'Join meeting'}
+                              </a>
+                            ) : interview.location}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex space-x-2 ml-2">
+                        <button
+                          onClick={() => downloadInterviewCalendar(interview.id)}
+                          title="Add to calendar (.ics)"
+                          className="text-gray-500 hover:text-blue-600"
+                        >
+                          <Download className="w-4 h-4" />
+                        </button>
+                        {interview.role === 'recruiter' && (
+                          <button
+                            onClick={() => cancelInterview(interview)}
+                            title="Cancel interview"
+                            className="text-gray-500 hover:text-red-600"
+                          >
+                            <XCircle className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Publish and manage bookable interview slots for the selected job. Candidates whose
+// application is at the interview stage pick one of the open slots.
+// The signed-in recruiter's place on a job's hiring team
+const accessShape = PropTypes.shape({
+  role: PropTypes.string,
+  permissions: PropTypes.arrayOf(PropTypes.string)
+});
+
+// A job as the dashboard lists it
+const jobShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  company: PropTypes.shape({ slug: PropTypes.string }),
+  access: accessShape
+});
+
+const InterviewSlotsPanel = ({ job, canSchedule }) => {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [publishing, setPublishing] = useState(false);
+  const [form, setForm] = useState({
+    start: '',
+    durationMinutes: 30,
+    count: 1,
+    gapMinutes: 0,
+    location: '',
+    meetingUrl: ''
+  });
+
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const fetchSlots = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/interviews/slots?jobId=${job.id}`);
+      setSlots(response.data.slots);
+    } catch (error) {
+      console.error('Failed to fetch slots:', error);
+      toast.error('Failed to fetch interview slots');
+    } finally {
+      setLoading(false);
+    }
+  }, [job.id]);
+
+  useEffect(() => {
+    fetchSlots();
+  }, [fetchSlots]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Consecutive slots starting at the chosen time, separated by an optional break
+  const publishSlots = async (e) => {
+    e.preventDefault();
+    if (!form.start) {
+      toast.error('Choose a start time');
+      return;
+    }
+
+    const duration = parseInt(form.durationMinutes);
+    const step = (duration + (parseInt(form.gapMinutes) || 0)) * 60 * 1000;
+    const first = new Date(form.start).getTime();
+    const slotList = Array.from({ length: parseInt(form.count) || 1 }, (_, index) => ({
+      start: new Date(first + index * step).toISOString(),
+      durationMinutes: duration
+    }));
+
+    setPublishing(true);
+    try {
+      const response = await axios.post('/api/interviews/slots', {
+        jobId: job.id,
+        slots: slotList,
+        timezone,
+        location: form.location,
+        meetingUrl: form.meetingUrl
+      });
+      toast.success(response.data.message);
+      setForm(prev => ({ ...prev, start: '' }));
+      fetchSlots();
+    } catch (error) {
+      console.error('Failed to publish slots:', error);
+      toast.error(error.response?.data?.message || 'Failed to publish slots');
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const withdrawSlot = async (slotId) => {
+    try {
+      await axios.delete(`/api/interviews/slots/${slotId}`);
+      toast.success('Slot withdrawn');
+      fetchSlots();
+    } catch (error) {
+      console.error('Failed to withdraw slot:', error);
+      toast.error(error.response?.data?.message || 'Failed to withdraw slot');
+    }
+  };
+
+  return (
+    <div>
+      {canSchedule && (
+        <form onSubmit={publishSlots} className="p-6 border-b border-gray-200 grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div className="md:col-span-2">
+            <label className="block text-xs font-medium text-gray-600 mb-1">First slot starts ({timezone})</label>
+            <input
+              type="datetime-local"
+              value={form.start}
+              onChange={(e) => handleChange('start', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Length (minutes)</label>
+            <select
+              value={form.durationMinutes}
+              onChange={(e) => handleChange('durationMinutes', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {[15, 30, 45, 60, 90, 120].map(minutes => (
+                <option key={minutes} value={minutes}>{minutes}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Number of slots</label>
+            <input
+              type="number"
+              min="1"
+              max="20"
+              value={form.count}
+              onChange={(e) => handleChange('count', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Break between (minutes)</label>
+            <input
+              type="number"
+              min="0"
+              value={form.gapMinutes}
+              onChange={(e) => handleChange('gapMinutes', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Location</label>
+            <input
+              type="text"
+              value={form.location}
+              onChange={(e) => handleChange('location', e.target.value)}
+              placeholder="Office or video call"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Meeting link</label>
+            <input
+              type="url"
+              value={form.meetingUrl}
+              onChange={(e) => handleChange('meetingUrl', e.target.value)}
+              placeholder="https://"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <div className="md:col-span-4 flex justify-end">
+            <button
+              type="submit"
+              disabled={publishing}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center text-sm"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              {publishing ? 'Publishing...' : 'Publish Slots'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="p-8 text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+        </div>
+      ) : slots.length === 0 ? (
+        <div className="p-8 text-center">
+          <Calendar className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Upcoming Slots</h3>
+          <p className="text-gray-600">
+            {canSchedule
+              ? 'Publish availability so candidates at the interview stage can book a time.'
+              : 'No interview times have been published for this job yet.'}
+          </p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {slots.map((slot) => (
+            <div key={slot.id} className="p-4 flex items-center justify-between">
+              <div>
+                <div className="font-medium text-gray-900">
+                  {formatDateTime(slot.start)} – {formatTime(slot.end)}
+                </div>
+                {slot.location && <div className="text-sm text-gray-500">{slot.location}</div>}
+              </div>
+              <div className="flex items-center space-x-3">
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                  slot.status === 'booked' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                }`}>
+                  {slot.status === 'booked' ? 'Booked' : 'Open'}
+                </span>
+                {slot.status === 'booked' && slot.interview ? (
+                  <button
+                    onClick={() => downloadInterviewCalendar(slot.interview)}
+                    title="Add to calendar (.ics)"
+                    className="text-gray-500 hover:text-blue-600"
+                  >
+                    <Download className="w-4 h-4" />
+                  </button>
+                ) : canSchedule && (
+                  <button
+                    onClick={() => withdrawSlot(slot.id)}
+                    title="Withdraw slot"
+                    className="text-gray-500 hover:text-red-600"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+InterviewSlotsPanel.propTypes = {
+  job: jobShape.isRequired,
+  canSchedule: PropTypes.bool
+};
+
+// Recent activity across every job the recruiter posted or helps hire for
+const TeamActivity = () => {
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchActivity = async () => {
+      try {
+        const response = await axios.get('/api/jobs/activity?limit=15');
+        setActivity(response.data.activity);
+      } catch (error) {
+        console.error('Failed to fetch team activity:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchActivity();
+  }, []);
+
+  return (
+    <div className="bg-white rounded-lg shadow mt-8">
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Activity className="w-5 h-5 mr-2" />
+          Team Activity
+        </h2>
+      </div>
+      {loading ? (
+        <div className="p-6 text-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>
+        </div>
+      ) : activity.length === 0 ? (
+        <p className="p-6 text-sm text-gray-600">Nothing has happened on your jobs yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {activity.map(entry => (
+            <li key={entry.id} className="p-4 text-sm">
+              <div className="text-gray-900">{describeActivity(entry)}</div>
+              {entry.type === 'application.commented' && entry.data?.excerpt && (
+                <div className="text-gray-600 italic truncate">&ldquo;{entry.data.excerpt}&rdquo;</div>
+              )}
+              <div className="text-gray-500">
+                {entry.job.title} · {new Date(entry.createdAt).toLocaleString()}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Who shares the selected job's hiring pipeline. The job owner adds recruiters, picks a role
+// for each and can fine-tune its permissions; members can see the team and leave it.
+const TeamPanel = ({ job, onLeave }) => {
+  const { user } = useAuth();
+  const [team, setTeam] = useState(null);
+  const [newMember, setNewMember] = useState({ email: '', role: 'interviewer' });
+  const [adding, setAdding] = useState(false);
+
+  useEffect(() => {
+    const fetchTeam = async () => {
+      try {
+        const response = await axios.get(`/api/jobs/${job.id}/team`);
+        setTeam(response.data);
+      } catch (error) {
+        console.error('Failed to fetch hiring team:', error);
+        toast.error('Failed to fetch hiring team');
+      }
+    };
+    fetchTeam();
+  }, [job.id]);
+
+  const errorMessage = (error, fallback) =>
+    error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+  const addMember = async (e) => {
+    e.preventDefault();
+    setAdding(true);
+    try {
+      const response = await axios.post(`/api/jobs/${job.id}/team`, newMember);
+      setTeam(prev => ({ ...prev, team: response.data.team }));
+      setNewMember({ email: '', role: 'interviewer' });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add team member'));
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const updateMember = async (member, changes) => {
+    try {
+      const response = await axios.put(`/api/jobs/${job.id}/team/${member.id}`, changes);
+      setTeam(prev => ({ ...prev, team: response.data.team }));
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update team member'));
+    }
+  };
+
+  const togglePermission = (member, permission) => {
+    const permissions = member.permissions.includes(permission)
+      ? member.permissions.filter(entry => entry !== permission)
+      : [...member.permissions, permission];
+    updateMember(member, { permissions });
+  };
+
+  const removeMember = async (member) => {
+    const isSelf = member.id === user?.id;
+    if (!window.confirm(isSelf ? `Leave the hiring team for ${job.title}?` : `Remove ${member.name} from this job?`)) return;
+    try {
+      const response = await axios.delete(`/api/jobs/${job.id}/team/${member.id}`);
+      toast.success(response.data.message);
+      if (isSelf) {
+        onLeave();
+      } else {
+        setTeam(prev => ({ ...prev, team: prev.team.filter(entry => entry.id !== member.id) }));
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove team member'));
+    }
+  };
+
+  if (!team) {
+    return <div className="p-6 text-center text-gray-500">Loading hiring team...</div>;
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Hiring team</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          {team.owner.name} posted this job and has full access.
+          {!team.canManage && ` You are ${teamRoleLabels[team.access.role]?.toLowerCase() || 'a member'}.`}
+        </p>
+      </div>
+
+      {team.team.length === 0 ? (
+        <p className="text-sm text-gray-500">No one else is on this job yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {team.team.map(member => {
+            const isSelf = member.id === user?.id;
+            return (
+              <li key={member.id} className="p-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">{member.name}{isSelf && ' (you)'}</p>
+                    <p className="text-sm text-gray-500">{member.email}</p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {team.canManage ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => updateMember(member, { role: e.target.value })}
+                        className="text-sm border border-gray-300 rounded-md px-2 py-1"
+                      >
+                        {Object.entries(teamRoleLabels).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-sm text-gray-600">{teamRoleLabels[member.role]}</span>
+                    )}
+                    {(team.canManage || isSelf) && (
+                      <button
+                        onClick={() => removeMember(member)}
+                        className="text-gray-400 hover:text-red-600"
+                        title={isSelf ? 'Leave team' : 'Remove'}
+                      >
+                        {isSelf ? <LogOut className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-4 mt-2">
+                  {Object.entries(permissionLabels).map(([permission, label]) => (
+                    <label key={permission} className="flex items-center text-xs text-gray-600">
+                      <input
+                        type="checkbox"
+                        className="mr-1"
+                        checked={member.permissions.includes(permission)}
+                        disabled={!team.canManage}
+                        onChange={() => togglePermission(member, permission)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {team.canManage && (
+        <form onSubmit={addMember} className="flex flex-col sm:flex-row gap-3">
+          <input
+            type="email"
+            required
+            value={newMember.email}
+            onChange={(e) => setNewMember(prev => ({ ...prev, email: e.target.value }))}
+            placeholder="Colleague's email"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
           />
+          <select
+            value={newMember.role}
+            onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            {Object.entries(teamRoleLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={adding}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center text-sm"
+          >
+            <UserPlus className="w-4 h-4 mr-2" />
+            {adding ? 'Adding...' : 'Add'}
+          </button>
+        </form>
+      )}
+      {team.canManage && job.company?.slug && (
+        <p className="text-xs text-gray-500">Only recruiters in your company can join this job&apos;s team.</p>
+      )}
+    </div>
+  );
+};
+
+TeamPanel.propTypes = {
+  job: jobShape.isRequired,
+  onLeave: PropTypes.func.isRequired
+};
+
+// Review status of a posting with its automated flags and the history of moderation decisions
+const ModerationPanel = ({ job }) => {
+  const [moderation, setModeration] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchModeration = async () => {
+      try {
+        const response = await axios.get(`/api/jobs/${job.id}/moderation`);
+        setModeration(response.data.moderation);
+      } catch (error) {
+        console.error('Failed to fetch review history:', error);
+        toast.error('Failed to fetch review history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchModeration();
+  }, [job.id]);
+
+  if (loading) {
+    return <div className="p-6 text-center text-gray-500">Loading review history...</div>;
+  }
+  if (!moderation) return null;
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">
+          {moderation.state === 'pending' && 'Waiting for an admin to review this posting'}
+          {moderation.state === 'approved' && 'Approved by an admin'}
+          {moderation.state === 'rejected' && 'Rejected by an admin'}
+          {moderation.state === 'none' && 'Live without review'}
+        </h3>
+        {moderation.state === 'pending' && (
+          <p className="text-sm text-gray-600 mt-1">It will go live once it has been approved.</p>
+        )}
+        {moderation.state === 'rejected' && (
+          <div className="mt-2 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-800">
+            {moderation.reason && <p className="font-medium">{moderation.reason}</p>}
+            <p className="mt-1">Edit the posting to address this and it will be sent back for review.</p>
+          </div>
         )}
       </div>
+
+      {moderation.flags.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Automated flags</h4>
+          <ul className="space-y-1">
+            {moderation.flags.map(flag => (
+              <li key={flag.code} className="flex items-start text-sm text-yellow-800">
+                <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                {flag.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">History</h4>
+        <ol className="border-l-2 border-gray-200 space-y-4 pl-4">
+          {[...moderation.log].reverse().map((entry, index) => (
+            <li key={index} className="text-sm">
+              <div className="font-medium text-gray-900">{moderationActions[entry.action] || entry.action}</div>
+              <div className="text-gray-500">
+                {new Date(entry.at).toLocaleString()}
+                {entry.by && ` · ${entry.by.name}${entry.by.role === 'admin' ? ' (admin)' : ''}`}
+              </div>
+              {entry.flags?.length > 0 && (
+                <div className="text-gray-600">Flags: {entry.flags.join(', ').replace(/_/g, ' ')}</div>
+              )}
+              {entry.reason && <div className="text-gray-700 mt-1">{entry.reason}</div>}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+ModerationPanel.propTypes = {
+  job: jobShape.isRequired
+};
+
+// Candidate discovery: rank every discoverable seeker's resume against the selected job
+const CandidateSearchPanel = ({ job }) => {
+  const [filters, setFilters] = useState({ skills: '', minExperience: '', location: '' });
+  const [candidates, setCandidates] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searched, setSearched] = useState(false);
+
+  const searchCandidates = async (e) => {
+    e?.preventDefault();
+    setSearching(true);
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      const response = await axios.get(`/api/matches/job/${job.id}/candidates?${params.toString()}`);
+      setCandidates(response.data.candidates);
+      setSearched(true);
+    } catch (error) {
+      console.error('Failed to find candidates:', error);
+      toast.error(error.response?.data?.message || 'Failed to find candidates');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <div>
+      <form onSubmit={searchCandidates} className="p-6 border-b border-gray-200 grid grid-cols-1 md:grid-cols-4 gap-3">
+        <input
+          type="text"
+          value={filters.skills}
+          onChange={(e) => handleFilterChange('skills', e.target.value)}
+          placeholder="Skills (comma separated)"
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm md:col-span-2"
+        />
+        <input
+          type="number"
+          min="0"
+          value={filters.minExperience}
+          onChange={(e) => handleFilterChange('minExperience', e.target.value)}
+          placeholder="Min. years"
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+        />
+        <input
+          type="text"
+          value={filters.location}
+          onChange={(e) => handleFilterChange('location', e.target.value)}
+          placeholder="Location"
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+        />
+        <div className="md:col-span-4 flex justify-end">
+          <button
+            type="submit"
+            disabled={searching}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center text-sm"
+          >
+            <Search className="w-4 h-4 mr-2" />
+            {searching ? 'Searching...' : 'Find Candidates'}
+          </button>
+        </div>
+      </form>
+
+      {searching ? (
+        <div className="p-8 text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+        </div>
+      ) : candidates.length === 0 ? (
+        <div className="p-8 text-center">
+          <Users className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            {searched ? 'No Candidates Found' : 'Search Candidates'}
+          </h3>
+          <p className="text-gray-600">
+            {searched
+              ? 'No discoverable candidates match these filters.'
+              : 'Rank job seekers who opted in to discovery against this job.'}
+          </p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {candidates.map((candidate) => (
+            <div key={candidate.resume.id} className="p-4">
+              <div className="flex items-start justify-between">
+                <div className="flex-1">
+                  <h3 className="font-medium text-gray-900">
+                    {candidate.user.firstName} {candidate.user.lastName}
+                  </h3>
+                  <p className="text-sm text-gray-600">{candidate.user.email}</p>
+                  <div className="flex items-center mt-1 text-sm text-gray-500 space-x-4">
+                    {candidate.resume.location && (
+                      <span className="flex items-center">
+                        <MapPin className="w-4 h-4 mr-1" />
+                        {candidate.resume.location}
+                      </span>
+                    )}
+                    <span>{candidate.experienceYears} yrs experience</span>
+                  </div>
+                  {candidate.resume.skills.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {candidate.resume.skills.slice(0, 8).map((skill, index) => (
+                        <span key={index} className="px-2 py-0.5 bg-blue-100 text-blue-800 text-xs rounded">
+                          {skill}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <div className="text-right ml-4">
+                  <div className="text-lg font-semibold text-green-600">{candidate.matchScore}%</div>
+                  <div className="text-xs text-gray-500">
+                    Skills {candidate.scores.skillsMatch}% · Exp {candidate.scores.experienceMatch}%
+                  </div>
+                  {candidate.application && (
+                    <span className="inline-block mt-2 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 capitalize">
+                      Applied · {candidate.application.status}
+                    </span>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
 
+CandidateSearchPanel.propTypes = {
+  job: jobShape.isRequired
+};
+
 // Application Details Modal Component
-const ApplicationDetailsModal = ({ application, onClose, onUpdateStatus }) => {
+const ApplicationDetailsModal = ({ application, onClose, onUpdateStatus, onCommentsChange, access }) => {
+  const { user } = useAuth();
   const [status, setStatus] = useState(application.status);
   const [notes, setNotes] = useState(application.recruiterNotes || '');
   const [updating, setUpdating] = useState(false);
+  const [comments, setComments] = useState(application.comments || []);
+  const [comment, setComment] = useState('');
+  const [posting, setPosting] = useState(false);
+
+  const permissions = access?.permissions || [];
+  const canManageComments = ['owner', 'admin'].includes(access?.role);
 
   // Debug the application data
   console.log('Application Details Modal - Application Data:', application);
@@ -295,6 +1313,36 @@ const ApplicationDetailsModal = ({ application, onClose, onUpdateStatus }) => {
     }
   };
 
+  const saveComments = (updated) => {
+    setComments(updated);
+    onCommentsChange(application.id, updated);
+  };
+
+  const addComment = async (e) => {
+    e.preventDefault();
+    setPosting(true);
+    try {
+      const response = await axios.post(`/api/applications/${application.id}/comments`, { text: comment });
+      saveComments(response.data.comments);
+      setComment('');
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to add comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const deleteComment = async (commentId) => {
+    try {
+      const response = await axios.delete(`/api/applications/${application.id}/comments/${commentId}`);
+      saveComments(response.data.comments);
+    } catch (error) {
+      console.error('Failed to delete comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
       <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
@@ -358,7 +1406,7 @@ const ApplicationDetailsModal = ({ application, onClose, onUpdateStatus }) => {
                   <div className="flex justify-between">
                     <span className="text-sm text-gray-500">Status:</span>
                     <span className={`text-sm font-medium ${getStatusColor(application.status)}`}>
-                      {application.status}
+                      {getStageLabel(application.status)}
                     </span>
                   </div>
                   <div className="flex justify-between">
@@ -510,55 +1558,195 @@ const ApplicationDetailsModal = ({ application, onClose, onUpdateStatus }) => {
             </div>
           </div>
 
-          {/* Status Update */}
+          {/* Status History */}
+          {application.statusHistory?.length > 0 && (
+            <div className="mt-8 pt-6 border-t border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Status History</h3>
+              <ol className="space-y-3">
+                {application.statusHistory.map((entry, index) => (
+                  <li key={index} className="flex items-start text-sm">
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium mr-3 ${getStatusColor(entry.to)}`}>
+                      {getStatusIcon(entry.to)}
+                      <span className="ml-1">{getStageLabel(entry.to)}</span>
+                    </span>
+                    <div className="flex-1">
+                      <div className="text-gray-600">
+                        {entry.from ? `${getStageLabel(entry.from)} → ${getStageLabel(entry.to)}` : 'Application submitted'}
+                        {entry.changedBy?.name && <span> by {entry.changedBy.name}</span>}
+                        <span className="text-gray-400"> · {new Date(entry.changedAt).toLocaleString()}</span>
+                      </div>
+                      {entry.note && <div className="text-gray-500 italic">{entry.note}</div>}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {/* Team Comments (never shown to the applicant) */}
           <div className="mt-8 pt-6 border-t border-gray-200">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Update Application Status</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
-                <select
-                  value={status}
-                  onChange={(e) => setStatus(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                >
-                  <option value="pending">Pending</option>
-                  <option value="reviewed">Reviewed</option>
-                  <option value="shortlisted">Shortlisted</option>
-                  <option value="rejected">Rejected</option>
-                  <option value="hired">Hired</option>
-                </select>
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+            <h3 className="text-lg font-medium text-gray-900 mb-1 flex items-center">
+              <MessageSquare className="w-5 h-5 mr-2" />
+              Team Comments
+            </h3>
+            <p className="text-xs text-gray-500 mb-4">Only your hiring team sees these.</p>
+            {comments.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">No comments yet.</p>
+            ) : (
+              <ul className="space-y-3 mb-4">
+                {comments.map(entry => (
+                  <li key={entry.id} className="p-3 bg-gray-50 rounded-lg text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900">{entry.author?.name || 'Former team member'}</span>
+                      <span className="flex items-center text-gray-400">
+                        {new Date(entry.createdAt).toLocaleString()}
+                        {(entry.author?.id === user?.id || canManageComments) && (
+                          <button
+                            onClick={() => deleteComment(entry.id)}
+                            title="Delete comment"
+                            className="ml-2 hover:text-red-600"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                    <p className="text-gray-700 mt-1 whitespace-pre-wrap">{entry.text}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {permissions.includes('comment') && (
+              <form onSubmit={addComment} className="flex gap-3">
                 <textarea
-                  value={notes}
-                  onChange={(e) => setNotes(e.target.value)}
-                  rows={3}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Add notes about this application..."
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  rows={2}
+                  maxLength={2000}
+                  required
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                  placeholder="Share your take with the team..."
                 />
+                <button
+                  type="submit"
+                  disabled={posting || !comment.trim()}
+                  className="self-end px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+                >
+                  {posting ? 'Posting...' : 'Comment'}
+                </button>
+              </form>
+            )}
+          </div>
+
+          {/* Status Update */}
+          {permissions.includes('change_status') ? (
+            <div className="mt-8 pt-6 border-t border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Update Application Status</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+                  <select
+                    value={status}
+                    onChange={(e) => setStatus(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value={application.status}>{getStageLabel(application.status)} (current)</option>
+                    {(application.allowedTransitions || []).map((stage) => (
+                      <option key={stage} value={stage}>Move to {getStageLabel(stage)}</option>
+                    ))}
+                  </select>
+                  {application.allowedTransitions?.length === 0 && (
+                    <p className="mt-1 text-xs text-gray-500">This application has reached a final stage.</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+                  <textarea
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    rows={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Add notes about this application..."
+                  />
+                </div>
+              </div>
+              <div className="flex justify-end space-x-3 mt-4">
+                <button
+                  onClick={onClose}
+                  className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleStatusUpdate}
+                  disabled={updating}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {updating ? 'Updating...' : 'Update Status'}
+                </button>
               </div>
             </div>
-            <div className="flex justify-end space-x-3 mt-4">
+          ) : (
+            <div className="flex justify-end mt-8 pt-6 border-t border-gray-200">
               <button
                 onClick={onClose}
                 className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
               >
-                Cancel
-              </button>
-              <button
-                onClick={handleStatusUpdate}
-                disabled={updating}
-                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
-              >
-                {updating ? 'Updating...' : 'Update Status'}
+                Close
               </button>
             </div>
-          </div>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
+ApplicationDetailsModal.propTypes = {
+  application: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    appliedAt: PropTypes.string,
+    matchScore: PropTypes.number,
+    coverLetter: PropTypes.string,
+    recruiterNotes: PropTypes.string,
+    applicant: PropTypes.shape({
+      name: PropTypes.string,
+      firstName: PropTypes.string,
+      lastName: PropTypes.string,
+      email: PropTypes.string,
+      profile: PropTypes.shape({
+        phone: PropTypes.string,
+        location: PropTypes.string,
+        linkedin: PropTypes.string
+      })
+    }),
+    resume: PropTypes.shape({
+      fileName: PropTypes.string,
+      originalName: PropTypes.string,
+      fileSize: PropTypes.number,
+      mimeType: PropTypes.string,
+      extractedData: PropTypes.shape({
+        personalInfo: PropTypes.shape({
+          name: PropTypes.string,
+          email: PropTypes.string,
+          phone: PropTypes.string,
+          location: PropTypes.string
+        }),
+        summary: PropTypes.string,
+        skills: PropTypes.arrayOf(PropTypes.object),
+        experience: PropTypes.arrayOf(PropTypes.object),
+        education: PropTypes.arrayOf(PropTypes.object)
+      })
+    }),
+    statusHistory: PropTypes.arrayOf(PropTypes.object),
+    comments: PropTypes.arrayOf(PropTypes.object),
+    allowedTransitions: PropTypes.arrayOf(PropTypes.string)
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onUpdateStatus: PropTypes.func.isRequired,
+  onCommentsChange: PropTypes.func.isRequired,
+  access: accessShape
+};
+
 export default RecruiterDashboard;
@@ -3,6 +3,7 @@ import { useDropzone } from 'react-dropzone';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { waitForTask } from '../utils/tasks';
 import { 
   Upload, 
   FileText, 
@@ -22,6 +23,7 @@ const ResumeUpload = () => {
   const [activeResume, setActiveResume] = useState(null);
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(false);
+  const [parseProgress, setParseProgress] = useState(null);
 
   useEffect(() => {
     fetchResumes();
@@ -66,13 +68,18 @@ const ResumeUpload = () => {
         },
       });
 
+      // Parsing runs in the background; wait for the worker to finish
+      setParseProgress(0);
+      await waitForTask(response.data.task.id, { onProgress: setParseProgress });
+
       toast.success('Resume uploaded and analyzed successfully!');
       fetchResumes();
     } catch (error) {
       console.error('Upload failed:', error);
-      toast.error(error.response?.data?.message || 'Failed to upload resume');
+      toast.error(error.response?.data?.message || error.message || 'Failed to upload resume');
     } finally {
       setUploading(false);
+      setParseProgress(null);
     }
   };
 
@@ -159,7 +166,9 @@ const ResumeUpload = () => {
               {uploading ? (
                 <div className="flex flex-col items-center">
                   <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mb-4"></div>
-                  <p className="text-gray-600">Uploading and analyzing...</p>
+                  <p className="text-gray-600">
+                    {parseProgress === null ? 'Uploading...' : `Analyzing... ${parseProgress}%`}
+                  </p>
                 </div>
               ) : (
                 <div className="flex flex-col items-center">
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { CheckCircle, AlertTriangle } from 'lucide-react';
+
+// Landing page for the link in the verification email
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, verifyEmail, resendVerification } = useAuth();
+  const [result, setResult] = useState(null);
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so don't send it twice (StrictMode runs effects twice in development)
+    if (attempted.current) return;
+    attempted.current = true;
+
+    if (!token) {
+      setResult({ success: false, error: 'This verification link is incomplete' });
+      return;
+    }
+    verifyEmail(token).then(setResult);
+  }, [token, verifyEmail]);
+
+  if (!result) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+      <div className="max-w-md w-full card text-center">
+        {result.success ? (
+          <>
+            <CheckCircle className="w-12 h-12 text-green-500 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900">{result.message}</h2>
+            <Link to={user ? '/dashboard' : '/login'} className="btn btn-primary mt-6 inline-block">
+              {user ? 'Go to your dashboard' : 'Sign in'}
+            </Link>
+          </>
+        ) : (
+          <>
+            <AlertTriangle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900">{result.error}</h2>
+            {user && !user.emailVerified ? (
+              <button onClick={resendVerification} className="btn btn-primary mt-6">
+                Send a new link
+              </button>
+            ) : !user && (
+              <p className="text-gray-600 mt-2">
+                <Link to="/login" className="text-primary-600 hover:text-primary-700">Sign in</Link> to get a new link.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,5 +1,22 @@
-import React, { useEffect, useState } from 'react';
-import { Search, Filter, Play, Clock, User, Star, Tag } from 'lucide-react';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Search, Filter, Play, Clock, User, Star, Tag, Bookmark, CheckCircle, RotateCcw, MessageSquare, X } from 'lucide-react';
+import YouTubePlayer from '../components/YouTubePlayer.jsx';
+import RatingDistribution from '../components/RatingDistribution.jsx';
+
+const views = [
+  { id: 'all', name: 'All Videos' },
+  { id: 'in_progress', name: 'Continue Watching' },
+  { id: 'bookmarked', name: 'Bookmarked' },
+  { id: 'completed', name: 'Completed' }
+];
+
+const formatPosition = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
 
 const Videos = () => {
   const [videos, setVideos] = useState([]);
@@ -8,12 +25,82 @@ const Videos = () => {
   const [search, setSearch] = useState('');
   const [topic, setTopic] = useState('');
   const [difficulty, setDifficulty] = useState('');
+  const [view, setView] = useState('all');
+  const [progress, setProgress] = useState({});
+  const [summary, setSummary] = useState(null);
+  const [reviewing, setReviewing] = useState(null);
+  // The filters are applied on demand, not as they are typed
+  const filtersRef = useRef();
+  filtersRef.current = { search, topic, difficulty };
 
   useEffect(() => {
     fetchTopics();
-    fetchVideos();
   }, []);
 
+  // Progress for every video the user has touched, keyed by video id
+  const fetchProgress = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/videos/progress?populate=false');
+      setProgress(Object.fromEntries(response.data.progress.map(record => [record.video, record])));
+      setSummary(response.data.summary);
+    } catch (e) {
+      // noop
+    }
+  }, []);
+
+  const fetchHistory = useCallback(async (status) => {
+    try {
+      setLoading(true);
+      const [response] = await Promise.all([
+        axios.get(`/api/videos/progress?status=${status}`),
+        fetchProgress()
+      ]);
+      setVideos(response.data.progress.map(record => record.video));
+    } catch (e) {
+      // noop
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchProgress]);
+
+  const saveProgress = async (video, report) => {
+    try {
+      const response = await axios.put(`/api/videos/${video._id}/progress`, report);
+      setProgress(prev => ({ ...prev, [video._id]: { ...response.data.progress, video: video._id } }));
+      // Marking a video watched by hand completes it; only watching it adds its skills
+      const skills = response.data.creditedSkills;
+      if (response.data.completedNow || skills.length > 0) {
+        toast.success(skills.length > 0
+          ? `${response.data.completedNow ? 'Video completed! ' : ''}Added to your skills: ${skills.join(', ')}`
+          : 'Video completed!');
+        fetchProgress();
+      }
+    } catch (e) {
+      // Progress reports are best-effort while watching
+      if (report.completed !== undefined) toast.error('Failed to update progress');
+    }
+  };
+
+  const updateVideoRating = (videoId, stats) => {
+    setVideos(prev => prev.map(video => video._id === videoId
+      ? { ...video, rating: stats.rating, ratingCount: stats.ratingCount, ratingDistribution: stats.ratingDistribution }
+      : video));
+  };
+
+  const toggleBookmark = async (video) => {
+    const bookmarked = !progress[video._id]?.bookmarked;
+    try {
+      const response = await axios.put(`/api/videos/${video._id}/bookmark`, { bookmarked });
+      setProgress(prev => ({ ...prev, [video._id]: { ...response.data.progress, video: video._id } }));
+      setSummary(prev => prev && { ...prev, bookmarked: prev.bookmarked + (bookmarked ? 1 : -1) });
+      if (view === 'bookmarked' && !bookmarked) {
+        setVideos(prev => prev.filter(entry => entry._id !== video._id));
+      }
+    } catch (e) {
+      toast.error('Failed to update bookmark');
+    }
+  };
+
   const fetchTopics = async () => {
     try {
       const res = await fetch('/api/videos/topics/list');
@@ -24,15 +111,19 @@ const Videos = () => {
     }
   };
 
-  const fetchVideos = async () => {
+  const fetchVideos = useCallback(async () => {
     try {
       setLoading(true);
+      const { search, topic, difficulty } = filtersRef.current;
       const params = new URLSearchParams();
       if (search) params.append('search', search);
       if (topic) params.append('topic', topic);
       if (difficulty) params.append('difficulty', difficulty);
 
-      const res = await fetch(`/api/videos?${params.toString()}`);
+      const [res] = await Promise.all([
+        fetch(`/api/videos?${params.toString()}`),
+        fetchProgress()
+      ]);
       const data = await res.json();
       setVideos(data.videos || []);
     } catch (e) {
@@ -40,58 +131,92 @@ const Videos = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [fetchProgress]);
+
+  useEffect(() => {
+    if (view === 'all') {
+      fetchVideos();
+    } else {
+      fetchHistory(view);
+    }
+  }, [view, fetchVideos, fetchHistory]);
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="mb-8">
         <h1 className="text-3xl font-bold text-gray-900 mb-2">Learning Videos</h1>
         <p className="text-gray-600">Curated YouTube videos by topic and skill to help you upskill faster.</p>
+        {summary && summary.started > 0 && (
+          <p className="text-sm text-gray-500 mt-2">
+            {summary.completed} completed · {summary.inProgress} in progress · {summary.minutesWatched} min watched
+            {summary.skills.length > 0 && ` · Skills practised: ${summary.skills.join(', ')}`}
+          </p>
+        )}
       </div>
 
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
-        <div className="flex flex-col lg:flex-row gap-4">
-          <div className="flex-1">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-4 h-4" />
-              <input
-                type="text"
-                value={search}
-                onChange={(e) => setSearch(e.target.value)}
-                onKeyDown={(e) => e.key === 'Enter' && fetchVideos()}
-                placeholder="Search by title, description, topic, or skill..."
-                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-              />
-            </div>
-          </div>
-          <div className="flex gap-3">
-            <select
-              value={topic}
-              onChange={(e) => setTopic(e.target.value)}
-              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+      <div className="border-b border-gray-200 mb-6">
+        <nav className="-mb-px flex space-x-8">
+          {views.map((entry) => (
+            <button
+              key={entry.id}
+              onClick={() => setView(entry.id)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                view === entry.id
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
             >
-              <option value="">All Topics</option>
-              {topics.map((t) => (
-                <option key={t} value={t}>{t}</option>
-              ))}
-            </select>
-            <select
-              value={difficulty}
-              onChange={(e) => setDifficulty(e.target.value)}
-              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-            >
-              <option value="">All Levels</option>
-              <option value="beginner">Beginner</option>
-              <option value="intermediate">Intermediate</option>
-              <option value="advanced">Advanced</option>
-            </select>
-            <button onClick={fetchVideos} className="btn btn-primary flex items-center gap-2">
-              <Filter className="w-4 h-4" />
-              Apply
+              {entry.name}
             </button>
+          ))}
+        </nav>
+      </div>
+
+      {view === 'all' && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+          <div className="flex flex-col lg:flex-row gap-4">
+            <div className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-4 h-4" />
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && fetchVideos()}
+                  placeholder="Search by title, description, topic, or skill..."
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <div className="flex gap-3">
+              <select
+                value={topic}
+                onChange={(e) => setTopic(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">All Topics</option>
+                {topics.map((t) => (
+                  <option key={t} value={t}>{t}</option>
+                ))}
+              </select>
+              <select
+                value={difficulty}
+                onChange={(e) => setDifficulty(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">All Levels</option>
+                <option value="beginner">Beginner</option>
+                <option value="intermediate">Intermediate</option>
+                <option value="advanced">Advanced</option>
+              </select>
+              <button onClick={fetchVideos} className="btn btn-primary flex items-center gap-2">
+                <Filter className="w-4 h-4" />
+                Apply
+              </button>
+            </div>
           </div>
         </div>
-      </div>
+      )}
 
       {loading ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -107,50 +232,297 @@ const Videos = () => {
         <div className="card text-center py-12">
           <Play className="w-12 h-12 text-gray-400 mx-auto mb-4" />
           <h3 className="text-lg font-semibold text-gray-900 mb-2">No videos found</h3>
-          <p className="text-gray-500">Try adjusting your filters or search terms.</p>
+          <p className="text-gray-500">
+            {view === 'all' ? 'Try adjusting your filters or search terms.' : 'Videos you watch and bookmark show up here.'}
+          </p>
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {videos.map((video) => (
-            <div key={video._id} className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
-              <div className="aspect-video bg-black">
-                {video.embedUrl ? (
-                  <iframe
-                    title={video.title}
-                    src={video.embedUrl}
-                    className="w-full h-full"
-                    frameBorder="0"
-                    allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                    allowFullScreen
-                  />
-                ) : (
-                  <img src={video.thumbnail} alt={video.title} className="w-full h-full object-cover" />
-                )}
-              </div>
-              <div className="p-4">
-                <h3 className="font-semibold text-gray-900 mb-1 line-clamp-2">{video.title}</h3>
-                <p className="text-gray-600 text-sm mb-3 line-clamp-2">{video.description}</p>
-                <div className="flex items-center gap-4 text-sm text-gray-500 mb-3">
-                  <div className="flex items-center gap-1"><Clock className="w-4 h-4" />{video.duration}min</div>
-                  <div className="flex items-center gap-1"><User className="w-4 h-4" />{video.instructor}</div>
-                  <div className="flex items-center gap-1"><Star className="w-4 h-4" />{video.rating}</div>
+          {videos.map((video) => {
+            const watch = progress[video._id];
+            return (
+              <div key={video._id} className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                <div className="aspect-video bg-black">
+                  {video.videoId ? (
+                    <YouTubePlayer
+                      videoId={video.videoId}
+                      title={video.title}
+                      startSeconds={watch && !watch.completed ? watch.positionSeconds : 0}
+                      onProgress={(report) => saveProgress(video, report)}
+                    />
+                  ) : (
+                    <img src={video.thumbnail} alt={video.title} className="w-full h-full object-cover" />
+                  )}
                 </div>
-                <div className="flex flex-wrap gap-1">
-                  {video.topics.slice(0, 3).map((t, idx) => (
-                    <span key={idx} className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs flex items-center gap-1">
-                      <Tag className="w-3 h-3" />{t}
-                    </span>
-                  ))}
+                {watch?.percentWatched > 0 && (
+                  <div className="w-full bg-gray-200 h-1">
+                    <div
+                      className={`h-1 ${watch.completed ? 'bg-green-500' : 'bg-primary-600'}`}
+                      style={{ width: `${watch.percentWatched}%` }}
+                    ></div>
+                  </div>
+                )}
+                <div className="p-4">
+                  <h3 className="font-semibold text-gray-900 mb-1 line-clamp-2">{video.title}</h3>
+                  <p className="text-gray-600 text-sm mb-3 line-clamp-2">{video.description}</p>
+                  <div className="flex items-center gap-4 text-sm text-gray-500 mb-3">
+                    <div className="flex items-center gap-1"><Clock className="w-4 h-4" />{video.duration}min</div>
+                    <div className="flex items-center gap-1"><User className="w-4 h-4" />{video.instructor}</div>
+                    <button
+                      onClick={() => setReviewing(video)}
+                      className="flex items-center gap-1 hover:text-gray-700"
+                      title="Ratings and reviews"
+                    >
+                      <Star className="w-4 h-4" />{video.rating} ({video.ratingCount || 0})
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {video.topics.slice(0, 3).map((t, idx) => (
+                      <span key={idx} className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs flex items-center gap-1">
+                        <Tag className="w-3 h-3" />{t}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="flex items-center justify-between mt-4 pt-3 border-t border-gray-100 text-sm">
+                    {watch?.completed ? (
+                      <span className="flex items-center gap-1 text-green-600">
+                        <CheckCircle className="w-4 h-4" />Completed
+                      </span>
+                    ) : watch?.positionSeconds > 0 ? (
+                      <span className="text-gray-500">Resume at {formatPosition(watch.positionSeconds)}</span>
+                    ) : (
+                      <span></span>
+                    )}
+                    <div className="flex items-center gap-3">
+                      <button
+                        onClick={() => setReviewing(video)}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="Rate and review"
+                      >
+                        <MessageSquare className="w-4 h-4" />
+                      </button>
+                      {watch?.completed ? (
+                        <button
+                          onClick={() => saveProgress(video, { completed: false })}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Watch again from the start"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => saveProgress(video, { completed: true })}
+                          className="text-gray-400 hover:text-green-600"
+                          title="Mark as watched"
+                        >
+                          <CheckCircle className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => toggleBookmark(video)}
+                        className={watch?.bookmarked ? 'text-primary-600' : 'text-gray-400 hover:text-gray-600'}
+                        title={watch?.bookmarked ? 'Remove bookmark' : 'Bookmark'}
+                      >
+                        <Bookmark className={`w-4 h-4 ${watch?.bookmarked ? 'fill-current' : ''}`} />
+                      </button>
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       )}
+
+      {reviewing && (
+        <VideoReviewsModal
+          video={reviewing}
+          onClose={() => setReviewing(null)}
+          onRated={(stats) => updateVideoRating(reviewing._id, stats)}
+        />
+      )}
+    </div>
+  );
+};
+
+const reviewStatusLabels = {
+  pending: { label: 'Awaiting moderation', color: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Published', color: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Not published', color: 'bg-red-100 text-red-800' }
+};
+
+// Rating summary, the user's own vote and the approved reviews for one video
+const VideoReviewsModal = ({ video, onClose, onRated }) => {
+  const [data, setData] = useState(null);
+  const [rating, setRating] = useState(0);
+  const [hovered, setHovered] = useState(0);
+  const [review, setReview] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchRatings = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/videos/${video._id}/ratings`);
+      setData(response.data);
+      setRating(response.data.myRating?.rating || 0);
+      setReview(response.data.myRating?.review?.text || '');
+    } catch (e) {
+      toast.error('Failed to load reviews');
+    }
+  }, [video._id]);
+
+  useEffect(() => {
+    fetchRatings();
+  }, [fetchRatings]);
+
+  const saveRating = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      toast.error('Pick a number of stars');
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await axios.post(`/api/videos/${video._id}/rate`, { rating, review });
+      const { myRating, ...stats } = response.data;
+      setData(prev => ({ ...prev, ...stats, myRating }));
+      onRated(stats);
+      toast.success(myRating.review?.status === 'pending'
+        ? 'Rating saved. Your review will appear once it has been approved.'
+        : 'Rating saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save rating');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeRating = async () => {
+    try {
+      const response = await axios.delete(`/api/videos/${video._id}/rate`);
+      const { message, ...stats } = response.data;
+      setData(prev => ({ ...prev, ...stats, myRating: null }));
+      setRating(0);
+      setReview('');
+      onRated(stats);
+      toast.success(message);
+    } catch (e) {
+      toast.error('Failed to remove rating');
+    }
+  };
+
+  const myReview = data?.myRating?.review;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-start justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900 pr-4">{video.title}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!data ? (
+          <div className="h-32 bg-gray-100 rounded animate-pulse"></div>
+        ) : (
+          <>
+            <div className="flex items-center gap-6 mb-6">
+              <div className="text-center">
+                <div className="text-4xl font-bold text-gray-900">{data.rating}</div>
+                <div className="text-sm text-gray-500">{data.ratingCount} ratings</div>
+              </div>
+              <div className="flex-1">
+                <RatingDistribution distribution={data.ratingDistribution} />
+              </div>
+            </div>
+
+            <form onSubmit={saveRating} className="border-t border-gray-200 pt-4 mb-6">
+              <label className="label">Your rating</label>
+              <div className="flex items-center gap-1 mb-3" onMouseLeave={() => setHovered(0)}>
+                {[1, 2, 3, 4, 5].map((stars) => (
+                  <button
+                    key={stars}
+                    type="button"
+                    onClick={() => setRating(stars)}
+                    onMouseEnter={() => setHovered(stars)}
+                    title={`${stars} star${stars > 1 ? 's' : ''}`}
+                  >
+                    <Star className={`w-6 h-6 ${
+                      stars <= (hovered || rating) ? 'text-yellow-400 fill-current' : 'text-gray-300'
+                    }`} />
+                  </button>
+                ))}
+              </div>
+              <textarea
+                className="input mb-2"
+                rows={3}
+                maxLength={2000}
+                placeholder="Share what you thought of this video (optional)"
+                value={review}
+                onChange={(e) => setReview(e.target.value)}
+              />
+              {myReview && (
+                <p className="text-xs mb-3">
+                  <span className={`px-2 py-0.5 rounded-full font-medium ${reviewStatusLabels[myReview.status]?.color}`}>
+                    {reviewStatusLabels[myReview.status]?.label}
+                  </span>
+                  {myReview.moderationNote && <span className="text-gray-500 ml-2">{myReview.moderationNote}</span>}
+                </p>
+              )}
+              <div className="flex gap-2">
+                <button type="submit" disabled={saving} className="btn btn-primary">
+                  {saving ? 'Saving...' : 'Save Rating'}
+                </button>
+                {data.myRating && (
+                  <button type="button" onClick={removeRating} className="btn btn-secondary">
+                    Remove
+                  </button>
+                )}
+              </div>
+            </form>
+
+            <h3 className="text-sm font-medium text-gray-700 mb-3">Reviews</h3>
+            {data.reviews.length === 0 ? (
+              <p className="text-sm text-gray-500">No reviews yet.</p>
+            ) : (
+              <div className="space-y-4">
+                {data.reviews.map((entry) => (
+                  <div key={entry.id} className="border-b border-gray-100 pb-3">
+                    <div className="flex items-center gap-2 text-sm mb-1">
+                      <span className="flex">
+                        {[1, 2, 3, 4, 5].map((stars) => (
+                          <Star
+                            key={stars}
+                            className={`w-3 h-3 ${stars <= entry.rating ? 'text-yellow-400 fill-current' : 'text-gray-300'}`}
+                          />
+                        ))}
+                      </span>
+                      <span className="font-medium text-gray-900">
+                        {entry.user ? `${entry.user.firstName} ${entry.user.lastInitial || ''}.` : 'Former user'}
+                      </span>
+                      <span className="text-gray-400">{new Date(entry.updatedAt).toLocaleDateString()}</span>
+                    </div>
+                    <p className="text-sm text-gray-700">{entry.text}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
     </div>
   );
 };
 
+VideoReviewsModal.propTypes = {
+  video: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    title: PropTypes.string
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRated: PropTypes.func.isRequired
+};
+
 export default Videos;
 
 
@@ -0,0 +1,25 @@
+import axios from 'axios';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Poll a background task until it completes or fails.
+// Resolves with the finished task, rejects with the task's error message on failure.
+export const waitForTask = async (taskId, { onProgress, interval = 1500, timeout = 5 * 60 * 1000 } = {}) => {
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < timeout) {
+    const response = await axios.get(`/api/tasks/${taskId}`);
+    const { task } = response.data;
+
+    if (onProgress) onProgress(task.progress, task);
+
+    if (task.status === 'completed') return task;
+    if (task.status === 'failed') {
+      throw new Error(task.error || 'Background task failed');
+    }
+
+    await sleep(interval);
+  }
+
+  throw new Error('Timed out waiting for background task');
+};
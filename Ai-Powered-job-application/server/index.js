@@ -4,19 +4,41 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 // Load environment variables from multiple possible locations
 require('dotenv').config({ path: '.env.local' });
 require('dotenv').config({ path: '.env' });
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const oidcRoutes = require('./routes/oidc');
+const twoFactorRoutes = require('./routes/twoFactor');
 const userRoutes = require('./routes/users');
 const jobRoutes = require('./routes/jobs');
+const jobTeamRoutes = require('./routes/jobTeam');
 const resumeRoutes = require('./routes/resumes');
 const matchRoutes = require('./routes/matches');
 const interviewRoutes = require('./routes/interviews');
+const interviewSchedulingRoutes = require('./routes/interviewScheduling');
 const videoRoutes = require('./routes/videos');
 const applicationRoutes = require('./routes/applications');
+const taskRoutes = require('./routes/tasks');
+const skillRoutes = require('./routes/skills');
+const notificationRoutes = require('./routes/notifications');
+const courseRoutes = require('./routes/courses');
+const learningPathRoutes = require('./routes/learningPaths');
+const companyRoutes = require('./routes/companies');
+const adminUserRoutes = require('./routes/adminUsers');
+const adminJobRoutes = require('./routes/adminJobs');
+const adminSettingRoutes = require('./routes/adminSettings');
+const adminRoleRoutes = require('./routes/adminRoles');
+const vectorIndex = require('./services/vectorIndex');
+const taskQueue = require('./services/taskHandlers');
+const skillTaxonomy = require('./services/skillTaxonomy');
+const settings = require('./services/settings');
+const policy = require('./services/policy');
+const applicationWorkflow = require('./services/applicationWorkflow');
+const mail = require('./services/mail');
 
 const app = express();
 
@@ -40,6 +62,8 @@ app.use(cors({
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Refresh tokens arrive in an httpOnly cookie (see services/sessions)
+app.use(cookieParser());
 
 // MongoDB connection
 // MongoDB connection
@@ -59,21 +83,64 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
+try {
+  mail.init();
+} catch (error) {
+  console.error('❌ Mail startup error:', error.message);
+  process.exit(1);
+}
+
+connectDB()
+  .then(() => {
+    // Set TASK_WORKERS_ENABLED=false to run an API-only instance
+    if (process.env.TASK_WORKERS_ENABLED !== 'false') {
+      taskQueue.start();
+    }
+    settings.init().catch(error => {
+      console.error('❌ Settings startup error:', error);
+    });
+    policy.init().catch(error => {
+      console.error('❌ Role permissions startup error:', error);
+    });
+    skillTaxonomy.init().catch(error => {
+      console.error('❌ Skill taxonomy startup error:', error);
+    });
+    applicationWorkflow.migrateLegacyStatuses().catch(error => {
+      console.error('❌ Application status migration error:', error);
+    });
+    return vectorIndex.init();
+  })
+  .catch(error => {
+    console.error('❌ Vector index startup error:', error);
+  });
 
 // Routes
+app.use('/api/auth/oidc', oidcRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/jobs', jobTeamRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/resumes', resumeRoutes);
 app.use('/api/matches', matchRoutes);
 app.use('/api/interviews', interviewRoutes);
+app.use('/api/interviews', interviewSchedulingRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/learning-paths', learningPathRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/admin/users', adminUserRoutes);
+app.use('/api/admin/jobs', adminJobRoutes);
+app.use('/api/admin/settings', adminSettingRoutes);
+app.use('/api/admin/roles', adminRoleRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), vectorIndex: vectorIndex.stats(), skillTaxonomy: skillTaxonomy.stats(), settings: settings.stats() });
 });
 
 // Error handling middleware
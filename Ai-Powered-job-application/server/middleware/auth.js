@@ -1,5 +1,25 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const policy = require('../services/policy');
+
+// What a user with a forced password reset may still call
+const PASSWORD_RESET_ALLOWED = ['GET /api/auth/me', 'POST /api/auth/change-password', 'POST /api/auth/logout-all'];
+
+// What a user whose role requires 2FA may call before enrolling
+const TWO_FACTOR_SETUP_ALLOWED = [
+  'GET /api/auth/me', 'GET /api/auth/2fa', 'POST /api/auth/2fa/setup', 'POST /api/auth/2fa/enable', 'POST /api/auth/logout-all'
+];
+
+// Access tokens are only good while their session is; tokens from before sessions
+// existed carry no session id and are refused
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const session = await sessions.findActive(decoded.sid);
+  if (!session || session.user.toString() !== decoded.id) return null;
+  return { userId: decoded.id, session };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -9,8 +29,12 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const verified = await verifyAccessToken(token);
+    if (!verified) {
+      return res.status(401).json({ message: 'Session has ended, please sign in again' });
+    }
+
+    const user = await User.findById(verified.userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
@@ -20,23 +44,44 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
+    const route = `${req.method} ${req.originalUrl.split('?')[0]}`;
+    if (user.passwordResetRequired && !PASSWORD_RESET_ALLOWED.includes(route)) {
+      return res.status(403).json({
+        message: 'You need to change your password before continuing',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    if (!user.twoFactor?.enabled && twoFactor.isRequiredFor(user) && !TWO_FACTOR_SETUP_ALLOWED.includes(route)) {
+      return res.status(403).json({
+        message: 'You need to set up two-factor authentication before continuing',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     req.user = user;
+    req.authSession = verified.session;
     next();
   } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ message: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-const authorize = (...roles) => {
+// Gate a route on a policy permission (services/policy). Ownership of the record itself is
+// checked in the handler with policy.can(req.user, permission, record) once it is loaded.
+const permit = (permission) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!policy.can(req.user, permission)) {
       return res.status(403).json({ 
-        message: `Access denied. Required roles: ${roles.join(', ')}` 
+        message: `Access denied. Requires permission: ${permission}` 
       });
     }
 
@@ -49,10 +94,11 @@ const optionalAuth = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const verified = await verifyAccessToken(token);
+      const user = verified && await User.findById(verified.userId).select('-password');
       if (user && user.isActive) {
         req.user = user;
+        req.authSession = verified.session;
       }
     }
     
@@ -63,4 +109,4 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, authorize, optionalAuth };
+module.exports = { auth, permit, optionalAuth };
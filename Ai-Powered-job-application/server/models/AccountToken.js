@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Single-use link token for account emails (see services/accountTokens). Only a hash of
+// the token is stored; expired tokens are removed by the TTL index.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+accountTokenSchema.index({ user: 1, purpose: 1 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
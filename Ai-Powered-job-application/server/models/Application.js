@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Statuses written before the stage workflow existed, and the stage each became
+const LEGACY_STATUSES = {
+  pending: 'applied',
+  reviewed: 'screening',
+  shortlisted: 'interview'
+};
+
 const applicationSchema = new mongoose.Schema({
   job: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,11 +23,32 @@ const applicationSchema = new mongoose.Schema({
     ref: 'Resume',
     required: true
   },
+  // Current stage; see services/applicationWorkflow.js for the allowed transitions
   status: {
     type: String,
-    enum: ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired'],
-    default: 'pending'
+    enum: ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected', 'withdrawn'],
+    default: 'applied'
   },
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: String,
+    note: {
+      type: String,
+      maxlength: 1000
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   matchScore: {
     type: Number,
     min: 0,
@@ -41,6 +69,23 @@ const applicationSchema = new mongoose.Schema({
     type: String,
     maxlength: 1000
   },
+  // Hiring team discussion; never shown to the applicant
+  comments: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      maxlength: 2000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   appliedAt: {
     type: Date,
     default: Date.now
@@ -71,7 +116,17 @@ applicationSchema.index({ applicant: 1 });
 // Index for match score sorting
 applicationSchema.index({ matchScore: -1 });
 
+// Rows not migrated yet (see applicationWorkflow.migrateLegacyStatuses) would fail the enum
+// on their next save; give them their current stage instead
+applicationSchema.pre('validate', function(next) {
+  if (LEGACY_STATUSES[this.status]) {
+    this.status = LEGACY_STATUSES[this.status];
+  }
+  next();
+});
+
 module.exports = mongoose.model('Application', applicationSchema);
+module.exports.LEGACY_STATUSES = LEGACY_STATUSES;
 
 
 
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+
+// owner: everything, including member roles; admin: edit the profile and add or remove
+// recruiters; recruiter: post jobs under the company
+const MEMBER_ROLES = ['owner', 'admin', 'recruiter'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: 'recruiter'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const companySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  // URL name for the public company page, e.g. "acme-corp"
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  logo: String,
+  website: String,
+  size: {
+    type: String,
+    enum: [...COMPANY_SIZES, '']
+  },
+  industry: {
+    type: String,
+    trim: true
+  },
+  headquarters: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 5000
+  },
+  members: [memberSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A recruiter belongs to at most one company
+companySchema.index({ 'members.user': 1 }, { unique: true });
+
+companySchema.methods.memberRole = function(userId) {
+  return this.members.find(member => member.user.toString() === userId.toString())?.role || null;
+};
+
+// Fields copied onto every job posted under the company (job.company)
+companySchema.methods.toJobSnapshot = function() {
+  return {
+    name: this.name,
+    slug: this.slug,
+    website: this.website,
+    logo: this.logo,
+    size: this.size,
+    industry: this.industry
+  };
+};
+
+companySchema.statics.findForUser = function(userId) {
+  return this.findOne({ 'members.user': userId });
+};
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const courseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  platform: {
+    type: String,
+    enum: ['udemy', 'coursera', 'youtube', 'edx', 'pluralsight', 'linkedin', 'other'],
+    default: 'other'
+  },
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  instructor: {
+    type: String,
+    trim: true
+  },
+  thumbnail: {
+    type: String,
+    default: ''
+  },
+  // Canonical skill names from the taxonomy (see services/skillTaxonomy)
+  skills: [{
+    type: String,
+    required: true,
+    trim: true
+  }],
+  level: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced', 'all'],
+    default: 'all'
+  },
+  durationMinutes: {
+    type: Number,
+    min: 0
+  },
+  // 0 means free
+  price: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  rating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  },
+  students: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  isFeatured: {
+    type: Boolean,
+    default: false
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for skill and platform filters
+courseSchema.index({ skills: 1, isActive: 1 });
+courseSchema.index({ platform: 1, isActive: 1 });
+
+// Text index for search
+courseSchema.index({ title: 'text', description: 'text', tags: 'text' });
+
+module.exports = mongoose.model('Course', courseSchema);
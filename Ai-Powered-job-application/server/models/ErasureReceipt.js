@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Proof that an account was erased (see services/accountErasure). Holds no personal data:
+// the user id only points at the anonymized account and the email is kept as a keyed hash,
+// so a later request about the same address can be matched to the receipt.
+const erasureReceiptSchema = new mongoose.Schema({
+  receiptId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: String,
+  emailHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'completed_with_errors'],
+    default: 'completed'
+  },
+  // What happened to each kind of record
+  records: [{
+    _id: false,
+    type: {
+      type: String,
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['deleted', 'anonymized', 'closed', 'cancelled'],
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  }],
+  files: {
+    deleted: {
+      type: Number,
+      default: 0
+    },
+    // Left for the files.purge task to retry
+    pending: {
+      type: Number,
+      default: 0
+    }
+  },
+  requestedAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ErasureReceipt', erasureReceiptSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const interviewSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recruiter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InterviewSlot'
+  },
+  interviewers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String
+  }],
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  location: String,
+  meetingUrl: String,
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'completed'],
+    default: 'scheduled'
+  },
+  // Incremented on every change so calendar clients replace the previous invite
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['booked', 'rescheduled', 'cancelled', 'completed'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    previousStart: Date,
+    previousEnd: Date,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for upcoming agendas
+interviewSchema.index({ recruiter: 1, status: 1, start: 1 });
+interviewSchema.index({ candidate: 1, status: 1, start: 1 });
+interviewSchema.index({ 'interviewers.user': 1, start: 1 });
+
+// Index for one live interview per application
+interviewSchema.index({ application: 1, status: 1 });
+
+module.exports = mongoose.model('Interview', interviewSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const interviewSlotSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  recruiter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  // IANA zone the slot was published in, used when presenting times
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  interviewers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String
+  }],
+  location: String,
+  meetingUrl: String,
+  status: {
+    type: String,
+    enum: ['open', 'booked', 'cancelled'],
+    default: 'open'
+  },
+  interview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interview'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a job's bookable slots
+interviewSlotSchema.index({ job: 1, status: 1, start: 1 });
+
+// Index for recruiter calendars
+interviewSlotSchema.index({ recruiter: 1, start: 1 });
+
+module.exports = mongoose.model('InterviewSlot', interviewSlotSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LEGACY_STATUSES } = require('./Application');
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -10,12 +11,21 @@ const jobSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Company profile the job was posted under; company below is a copy of its public
+  // fields, kept in sync when the profile changes (free text for older postings)
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
   company: {
     name: {
       type: String,
       required: true,
       trim: true
     },
+    // Public company page, when the job belongs to a company profile
+    slug: String,
     website: String,
     logo: String,
     size: String,
@@ -67,6 +77,22 @@ const jobSchema = new mongoose.Schema({
       }
     }
   },
+  // Recruiter-tunable match scoring. Weights are relative and normalised when scoring;
+  // each required skill the candidate lacks costs missingRequiredPenalty points.
+  scoring: {
+    weights: {
+      skills: { type: Number, min: 0, default: 40 },
+      experience: { type: Number, min: 0, default: 30 },
+      education: { type: Number, min: 0, default: 20 },
+      location: { type: Number, min: 0, default: 10 }
+    },
+    missingRequiredPenalty: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 15
+    }
+  },
   compensation: {
     salary: {
       min: Number,
@@ -89,16 +115,88 @@ const jobSchema = new mongoose.Schema({
     enum: ['full-time', 'part-time', 'contract', 'internship', 'freelance'],
     default: 'full-time'
   },
+  // pending_review and rejected are set by the moderation queue (services/jobModeration.js)
   status: {
     type: String,
-    enum: ['active', 'paused', 'closed', 'draft'],
+    enum: ['active', 'paused', 'closed', 'draft', 'pending_review', 'rejected'],
     default: 'active'
   },
+  moderation: {
+    state: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected'],
+      default: 'none'
+    },
+    // Automated findings from the latest create or edit
+    flags: [{
+      _id: false,
+      code: {
+        type: String,
+        enum: ['missing_salary', 'suspicious_keywords', 'duplicate']
+      },
+      message: String,
+      data: mongoose.Schema.Types.Mixed
+    }],
+    // Status the job gets once approved
+    requestedStatus: {
+      type: String,
+      enum: ['active', 'paused', 'closed', 'draft']
+    },
+    reason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    log: [{
+      _id: false,
+      action: {
+        type: String,
+        enum: ['submitted', 'flagged', 'resubmitted', 'approved', 'rejected']
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      flags: [String],
+      reason: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   postedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Colleagues sharing the hiring pipeline. The poster always has full access; members get
+  // the permissions listed here (see services/jobTeam for the role presets).
+  team: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['hiring_manager', 'interviewer', 'viewer'],
+      default: 'interviewer'
+    },
+    permissions: [{
+      type: String,
+      enum: ['view', 'comment', 'change_status']
+    }],
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   applications: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -110,8 +208,8 @@ const jobSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired'],
-      default: 'pending'
+      enum: ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected', 'withdrawn'],
+      default: 'applied'
     },
     matchScore: Number,
     notes: String
@@ -138,20 +236,36 @@ jobSchema.index({
   tags: 'text'
 });
 
+// Jobs shared with a recruiter
+jobSchema.index({ 'team.user': 1 });
+
+// Open roles on a company page
+jobSchema.index({ companyId: 1, status: 1 });
+
 // Index for location and remote work
 jobSchema.index({
   'location.city': 1,
   'location.remote': 1
 });
 
-// Index for embedding similarity search
-jobSchema.index({ embedding: '2dsphere' });
+// Index for the moderation queue
+jobSchema.index({ 'moderation.state': 1, createdAt: 1 });
 
 // Virtual for application count
 jobSchema.virtual('applicationCount').get(function() {
   return this.applications.length;
 });
 
+// Applicant entries not migrated yet would fail the enum on the job's next save
+jobSchema.pre('validate', function(next) {
+  for (const entry of this.applications || []) {
+    if (LEGACY_STATUSES[entry.status]) {
+      entry.status = LEGACY_STATUSES[entry.status];
+    }
+  }
+  next();
+});
+
 // Method to calculate match score
 jobSchema.methods.calculateMatchScore = function(userSkills, userExperience) {
   // This will be implemented with AI matching logic
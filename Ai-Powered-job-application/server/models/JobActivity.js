@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One entry in a job's team activity feed (see services/jobTeam)
+const jobActivitySchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  // Who did it; the applicant for submissions and withdrawals
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: [
+      'application.submitted',
+      'application.status_changed',
+      'application.commented',
+      'interview.booked',
+      'team.member_added',
+      'team.member_updated',
+      'team.member_removed'
+    ],
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  // Team member the entry is about, for team changes
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Type-specific details, e.g. { from, to } for stage changes
+  data: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+jobActivitySchema.index({ job: 1, createdAt: -1 });
+
+module.exports = mongoose.model('JobActivity', jobActivitySchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const learningPathSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Target job; empty for a path built from all of the user's skill gaps
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // The gaps the path was built for, highest priority first
+  skillGaps: [{
+    skill: String,
+    score: Number,
+    required: Boolean,
+    advice: String,
+    covered: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Ordered curriculum, beginner to advanced
+  steps: [{
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true
+    },
+    skills: [String],
+    difficulty: {
+      type: String,
+      enum: ['beginner', 'intermediate', 'advanced']
+    },
+    durationMinutes: Number,
+    completed: {
+      type: Boolean,
+      default: false
+    },
+    completedAt: Date
+  }],
+  totalDurationMinutes: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'archived'],
+    default: 'active'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for a user's paths
+learningPathSchema.index({ user: 1, status: 1, updatedAt: -1 });
+
+// Percentage of steps completed
+learningPathSchema.virtual('progress').get(function() {
+  if (this.steps.length === 0) return 0;
+  return Math.round((this.steps.filter(step => step.completed).length / this.steps.length) * 100);
+});
+
+// Minutes of video left to watch
+learningPathSchema.virtual('remainingMinutes').get(function() {
+  return this.steps
+    .filter(step => !step.completed)
+    .reduce((sum, step) => sum + (step.durationMinutes || 0), 0);
+});
+
+// Tick a step on or off. Finishing every step completes the path; unticking one reopens it.
+learningPathSchema.methods.setStepCompleted = function(step, completed) {
+  step.completed = completed;
+  step.completedAt = completed ? new Date() : undefined;
+
+  if (this.steps.every(entry => entry.completed)) {
+    if (this.status === 'active') this.status = 'completed';
+    this.completedAt = this.completedAt || new Date();
+  } else if (this.status === 'completed') {
+    this.status = 'active';
+    this.completedAt = undefined;
+  }
+};
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
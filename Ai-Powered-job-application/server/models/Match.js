@@ -25,26 +25,40 @@ const matchSchema = new mongoose.Schema({
   breakdown: {
     skillsMatch: {
       score: Number,
+      weight: Number,
+      explanation: String,
       matchedSkills: [String],
       missingSkills: [String],
+      missingRequired: [String],
       extraSkills: [String]
     },
     experienceMatch: {
       score: Number,
+      weight: Number,
+      explanation: String,
       required: Number,
       actual: Number,
       gap: Number
     },
     educationMatch: {
       score: Number,
+      weight: Number,
+      explanation: String,
       required: Boolean,
       hasRequired: Boolean
     },
     locationMatch: {
       score: Number,
+      weight: Number,
+      explanation: String,
       isRemote: Boolean,
       locationMatch: Boolean
     },
+    penalties: [{
+      reason: String,
+      points: Number
+    }],
+    weightedScore: Number,
     overallCompatibility: Number
   },
   aiInsights: {
@@ -62,7 +76,7 @@ const matchSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['new', 'viewed', 'applied', 'shortlisted', 'rejected', 'hired'],
+    enum: ['new', 'viewed', 'applied', 'shortlisted', 'screening', 'interview', 'offer', 'rejected', 'hired', 'withdrawn'],
     default: 'new'
   },
   userActions: [{
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Event that produced the notification, e.g. 'application.status_changed'
+  type: {
+    type: String,
+    required: true
+  },
+  // Preference group the event belongs to (see services/notifications)
+  category: {
+    type: String,
+    enum: ['applications', 'matches', 'jobs', 'interviews'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  // Client route to open when the notification is clicked
+  link: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  emailedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for the bell dropdown and unread counts
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+// Old notifications expire after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
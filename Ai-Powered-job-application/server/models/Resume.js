@@ -18,6 +18,9 @@ const resumeSchema = new mongoose.Schema({
     type: String,
     required: false // Optional when using Cloudinary
   },
+  cloudinaryUrl: String,
+  // Needed to delete the upload from Cloudinary
+  cloudinaryPublicId: String,
   fileSize: Number,
   mimeType: String,
   parsedText: {
@@ -42,8 +45,11 @@ const resumeSchema = new mongoose.Schema({
       description: String,
       startDate: Date,
       endDate: Date,
-      current: Boolean
+      current: Boolean,
+      months: Number
     }],
+    // Months worked across all roles, with overlapping roles counted once
+    totalExperienceMonths: Number,
     education: [{
       institution: String,
       degree: String,
@@ -55,7 +61,8 @@ const resumeSchema = new mongoose.Schema({
       name: String,
       category: String,
       level: String,
-      yearsOfExperience: Number
+      yearsOfExperience: Number,
+      monthsOfExperience: Number
     }],
     certifications: [{
       name: String,
@@ -106,10 +113,6 @@ const resumeSchema = new mongoose.Schema({
 // Index for user resumes
 resumeSchema.index({ user: 1, isActive: 1 });
 
-// Index for embedding similarity search
-resumeSchema.index({ embedding: '2dsphere' });
-resumeSchema.index({ skillsEmbedding: '2dsphere' });
-
 // Method to get latest resume for user
 resumeSchema.statics.getLatestForUser = function(userId) {
   return this.findOne({ user: userId, isActive: true })
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const roleChangeSchema = new mongoose.Schema({
+  previousGrants: [String],
+  grants: [String],
+  // True when the change dropped the override and went back to the built-in grants
+  reset: {
+    type: Boolean,
+    default: false
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Admin override of a role's permission grants (see services/policy for the catalog and
+// the built-in defaults). A role without grants uses its defaults.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['job_seeker', 'recruiter', 'admin']
+  },
+  // "resource:action:scope", e.g. jobs:update:own
+  grants: {
+    type: [String],
+    default: undefined
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: [roleChangeSchema]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
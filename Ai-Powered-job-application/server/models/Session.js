@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token in its cookie rotates on every use; access
+// tokens carry the session id, so revoking the session signs that device out (see services/sessions).
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token, and of the one it replaced (to spot reuse)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward on every refresh; idle sessions expire and are removed by the TTL index
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'password_changed', 'token_reuse', 'deactivated']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
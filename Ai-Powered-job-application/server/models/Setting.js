@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const settingChangeSchema = new mongoose.Schema({
+  previousValue: mongoose.Schema.Types.Mixed,
+  value: mongoose.Schema.Types.Mixed,
+  // True when the change removed the override and went back to the built-in default
+  reset: {
+    type: Boolean,
+    default: false
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Admin override of a runtime setting (see services/settings for the known keys and
+// their defaults). A key without a value falls back to the default.
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: [settingChangeSchema]
+}, {
+  timestamps: true
+});
+
+settingSchema.index({ 'history.changedAt': -1 });
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const skillSchema = new mongoose.Schema({
+  // Canonical skill id, e.g. "javascript" or "react"
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9+#.-]*$/, 'Slug may only contain lowercase letters, digits, +, #, . and -']
+  },
+  // Display name used wherever the skill is shown or stored
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Other spellings that resolve to this skill ("JS", "ECMAScript")
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Broader skill this one belongs to (React -> Frontend)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    default: null
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+skillSchema.index({ aliases: 1 });
+skillSchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Skill', skillSchema);
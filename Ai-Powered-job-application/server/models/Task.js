@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const taskSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for workers claiming the next due task
+taskSchema.index({ status: 1, runAt: 1 });
+
+// Index for user task listings
+taskSchema.index({ user: 1, createdAt: -1 });
+
+// Index for reclaiming tasks from crashed workers
+taskSchema.index({ status: 1, lockedAt: 1 });
+
+module.exports = mongoose.model('Task', taskSchema);
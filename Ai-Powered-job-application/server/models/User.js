@@ -9,9 +9,12 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Accounts created through an OIDC provider may have no password until they set one
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.identities?.length && !this.erasedAt;
+    },
     minlength: 6
   },
   firstName: {
@@ -35,7 +38,12 @@ const userSchema = new mongoose.Schema({
     bio: String,
     linkedin: String,
     github: String,
-    website: String
+    website: String,
+    // Opt-in: lets recruiters find this seeker's active resume through candidate discovery
+    discoverable: {
+      type: Boolean,
+      default: false
+    }
   },
   skills: [{
     name: String,
@@ -44,7 +52,13 @@ const userSchema = new mongoose.Schema({
       enum: ['beginner', 'intermediate', 'advanced', 'expert'],
       default: 'beginner'
     },
-    yearsOfExperience: Number
+    yearsOfExperience: Number,
+    // 'learning' when credited by finishing videos (see services/videoProgress.js)
+    source: {
+      type: String,
+      enum: ['profile', 'learning'],
+      default: 'profile'
+    }
   }],
   preferences: {
     jobTypes: [String],
@@ -53,21 +67,103 @@ const userSchema = new mongoose.Schema({
       min: Number,
       max: Number
     },
-    remoteWork: Boolean
+    remoteWork: Boolean,
+    // Delivery channels per notification category (see services/notifications.js)
+    notifications: {
+      applications: {
+        inApp: { type: Boolean, default: true },
+        email: { type: Boolean, default: true }
+      },
+      matches: {
+        inApp: { type: Boolean, default: true },
+        email: { type: Boolean, default: false }
+      },
+      jobs: {
+        inApp: { type: Boolean, default: true },
+        email: { type: Boolean, default: false }
+      },
+      interviews: {
+        inApp: { type: Boolean, default: true },
+        email: { type: Boolean, default: true }
+      }
+    }
   },
   isActive: {
     type: Boolean,
     default: true
   },
   lastLogin: Date,
+  // Set by an admin; the user must change their password before doing anything else
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
   emailVerified: {
     type: Boolean,
     default: false
-  }
+  },
+  // TOTP second factor (see services/twoFactor.js); the secrets are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Generated by setup and only promoted to `secret` once a code from it has been verified
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  // Set when the account was erased (see services/accountErasure.js); the document is then
+  // an anonymized placeholder that keeps applications and interviews pointing somewhere
+  erasedAt: Date,
+  // External sign-in accounts (see services/oidc.js)
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -83,6 +179,7 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -95,6 +192,12 @@ userSchema.virtual('fullName').get(function() {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
@@ -51,12 +51,22 @@ const videoSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Average of the VideoRating votes, kept up to date by VideoRating.refreshVideoStats
   rating: {
     type: Number,
     min: 0,
     max: 5,
     default: 0
   },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // Votes per star, 1 star first
+  ratingDistribution: {
+    type: [Number],
+    default: [0, 0, 0, 0, 0]
+  },
   viewCount: {
     type: Number,
     default: 0
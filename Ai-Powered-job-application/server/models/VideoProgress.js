@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One record per user and video: where they are, how much they've seen and whether
+// they finished or bookmarked it
+const videoProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  startedAt: Date,
+  lastWatchedAt: Date,
+  // Playback position to resume from
+  positionSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Furthest point reached, as a percentage of the video
+  percentWatched: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: Date,
+  // When the video's skills were credited to the user; only watching past the completion
+  // threshold does that, marking the video watched by hand doesn't
+  skillsCreditedAt: Date,
+  bookmarked: {
+    type: Boolean,
+    default: false
+  },
+  bookmarkedAt: Date
+}, {
+  timestamps: true
+});
+
+videoProgressSchema.index({ user: 1, video: 1 }, { unique: true });
+videoProgressSchema.index({ user: 1, lastWatchedAt: -1 });
+
+module.exports = mongoose.model('VideoProgress', videoProgressSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One vote per user and video. The star rating counts straight away; the optional
+// review text is only shown once an admin approves it.
+const videoRatingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  review: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date,
+    moderationNote: String
+  }
+}, {
+  timestamps: true
+});
+
+videoRatingSchema.index({ user: 1, video: 1 }, { unique: true });
+videoRatingSchema.index({ video: 1, 'review.status': 1, createdAt: -1 });
+videoRatingSchema.index({ 'review.status': 1, createdAt: 1 });
+
+// Recompute the video's average, vote count and distribution from its ratings
+videoRatingSchema.statics.refreshVideoStats = async function(videoId) {
+  const groups = await this.aggregate([
+    { $match: { video: new mongoose.Types.ObjectId(videoId) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  // ratingDistribution[0] is the number of 1-star votes, [4] of 5-star votes
+  const ratingDistribution = [0, 0, 0, 0, 0];
+  let total = 0;
+  let count = 0;
+  for (const group of groups) {
+    ratingDistribution[group._id - 1] = group.count;
+    total += group._id * group.count;
+    count += group.count;
+  }
+
+  const stats = {
+    rating: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    ratingCount: count,
+    ratingDistribution
+  };
+  await mongoose.model('Video').updateOne({ _id: videoId }, { $set: stats });
+  return stats;
+};
+
+module.exports = mongoose.model('VideoRating', videoRatingSchema);
@@ -0,0 +1,147 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const jobModeration = require('../services/jobModeration');
+const vectorIndex = require('../services/vectorIndex');
+const { auth, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+const STATES = ['pending', 'approved', 'rejected'];
+const FLAGS = ['missing_salary', 'suspicious_keywords', 'duplicate'];
+
+const formatQueuedJob = (job) => ({
+  id: job._id,
+  title: job.title,
+  description: job.description,
+  company: job.company,
+  location: job.location,
+  jobType: job.jobType,
+  compensation: job.compensation,
+  status: job.status,
+  postedBy: job.postedBy && {
+    id: job.postedBy._id,
+    name: `${job.postedBy.firstName} ${job.postedBy.lastName}`,
+    email: job.postedBy.email
+  },
+  moderation: {
+    state: job.moderation.state,
+    flags: job.moderation.flags,
+    requestedStatus: job.moderation.requestedStatus,
+    reason: job.moderation.reason,
+    reviewedAt: job.moderation.reviewedAt,
+    submittedAt: [...job.moderation.log].reverse()
+      .find(entry => ['submitted', 'resubmitted'].includes(entry.action))?.at
+  },
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+// @route   GET /api/admin/jobs
+// @desc    Moderation queue (state: pending, approved or rejected; flag: only jobs with that flag)
+// @access  Private (jobs:moderate)
+router.get('/', auth, permit('jobs:moderate'), async (req, res) => {
+  try {
+    const { state = 'pending', flag, page = 1, limit = 20 } = req.query;
+    const query = { 'moderation.state': STATES.includes(state) ? state : 'pending' };
+    if (FLAGS.includes(flag)) query['moderation.flags.code'] = flag;
+
+    const skip = (page - 1) * limit;
+    const [jobs, total, pendingCount] = await Promise.all([
+      Job.find(query)
+        .populate('postedBy', 'firstName lastName email')
+        .select('-embedding -applications')
+        // Oldest first while waiting; most recent decisions first otherwise
+        .sort(query['moderation.state'] === 'pending' ? { updatedAt: 1 } : { 'moderation.reviewedAt': -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Job.countDocuments(query),
+      Job.countDocuments({ 'moderation.state': 'pending' })
+    ]);
+
+    res.json({
+      jobs: jobs.map(formatQueuedJob),
+      mode: jobModeration.getMode(),
+      pendingCount,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch moderation queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/admin/jobs/:id/approve
+// @desc    Approve a job under review; it gets the status the recruiter asked for
+// @access  Private (jobs:moderate)
+router.put('/:id/approve',
+  auth,
+  permit('jobs:moderate'),
+  body('note').optional().isString().isLength({ max: 1000 }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const job = await Job.findOne({ _id: req.params.id, 'moderation.state': 'pending' });
+      if (!job) {
+        return res.status(404).json({ message: 'No job awaiting review with that id' });
+      }
+
+      await jobModeration.decide(job, req.user, 'approved', req.body.note);
+      vectorIndex.upsertJob(job);
+
+      res.json({ message: 'Job approved', job: { id: job._id, status: job.status, moderation: job.moderation.state } });
+    } catch (error) {
+      console.error('Approve job error:', error);
+      res.status(500).json({
+        message: 'Failed to approve job',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/jobs/:id/reject
+// @desc    Reject a job under review with a reason the recruiter will see
+// @access  Private (jobs:moderate)
+router.put('/:id/reject',
+  auth,
+  permit('jobs:moderate'),
+  body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 1000 }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const job = await Job.findOne({ _id: req.params.id, 'moderation.state': 'pending' });
+      if (!job) {
+        return res.status(404).json({ message: 'No job awaiting review with that id' });
+      }
+
+      await jobModeration.decide(job, req.user, 'rejected', req.body.reason);
+      vectorIndex.upsertJob(job);
+
+      res.json({ message: 'Job rejected', job: { id: job._id, status: job.status, moderation: job.moderation.state } });
+    } catch (error) {
+      console.error('Reject job error:', error);
+      res.status(500).json({
+        message: 'Failed to reject job',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+module.exports = router;
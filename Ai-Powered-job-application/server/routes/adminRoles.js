@@ -0,0 +1,115 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const policy = require('../services/policy');
+const { auth, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Send validation errors and unknown roles with their own status code
+const handlePolicyError = (res, error) => {
+  if (error instanceof policy.PolicyError) {
+    res.status(error.statusCode).json({ message: error.message });
+    return true;
+  }
+  return false;
+};
+
+// What each role is allowed per permission ('any', 'own' or null), asked of the same
+// scopeOf() the routes use, so it shows what is actually enforced
+const accessMatrix = () => policy.catalog().map(({ permission }) => ({
+  permission,
+  roles: Object.fromEntries(
+    Object.keys(policy.ROLES).map(role => [role, policy.scopeOf({ role }, permission)])
+  )
+}));
+
+// @route   GET /api/admin/roles
+// @desc    Every role with its grants, the permission catalog and the effective access matrix
+// @access  Private (roles:manage)
+router.get('/', auth, permit('roles:manage'), async (req, res) => {
+  try {
+    res.json({
+      roles: await policy.listRoles(),
+      permissions: policy.catalog(),
+      matrix: accessMatrix()
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/admin/roles/:name/history
+// @desc    Changes to a role's grants, newest first
+// @access  Private (roles:manage)
+router.get('/:name/history', auth, permit('roles:manage'), async (req, res) => {
+  try {
+    res.json({ history: await policy.history(req.params.name) });
+  } catch (error) {
+    console.error('Get role history error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch role history',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Replace a role's grants ("resource:action:scope"); takes effect without a restart
+// @access  Private (roles:manage)
+router.put('/:name',
+  auth,
+  permit('roles:manage'),
+  body('grants').isArray().withMessage('Grants must be a list'),
+  body('note').optional().isString().isLength({ max: 500 }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const grants = await policy.setGrants(req.params.name, req.body.grants, req.user, req.body.note);
+      res.json({ message: 'Role updated', name: req.params.name, grants, matrix: accessMatrix() });
+    } catch (error) {
+      if (handlePolicyError(res, error)) return;
+      console.error('Update role error:', error);
+      res.status(500).json({
+        message: 'Failed to update role',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Drop the override so the role's built-in grants apply again
+// @access  Private (roles:manage)
+router.delete('/:name',
+  auth,
+  permit('roles:manage'),
+  body('note').optional().isString().isLength({ max: 500 }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const grants = await policy.reset(req.params.name, req.user, req.body.note);
+      res.json({ message: 'Role reset to defaults', name: req.params.name, grants, matrix: accessMatrix() });
+    } catch (error) {
+      if (handlePolicyError(res, error)) return;
+      console.error('Reset role error:', error);
+      res.status(500).json({
+        message: 'Failed to reset role',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const settings = require('../services/settings');
+const { auth, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Send validation errors and unknown keys with their own status code
+const handleSettingsError = (res, error) => {
+  if (error instanceof settings.SettingsError) {
+    res.status(error.statusCode).json({ message: error.message });
+    return true;
+  }
+  return false;
+};
+
+// @route   GET /api/admin/settings
+// @desc    List every runtime setting with its current value and default
+// @access  Private (settings:manage)
+router.get('/', auth, permit('settings:manage'), async (req, res) => {
+  try {
+    res.json({ settings: await settings.list() });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/admin/settings/history
+// @desc    Change history, newest first (key: only that setting)
+// @access  Private (settings:manage)
+router.get('/history', auth, permit('settings:manage'), async (req, res) => {
+  try {
+    const { key, page = 1, limit = 50 } = req.query;
+    const { entries, total } = await settings.history({
+      key,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.json({
+      history: entries,
+      pagination: {
+        current: parseInt(page) || 1,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get settings history error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch settings history',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings/:key
+// @desc    Override a setting; takes effect without a restart
+// @access  Private (settings:manage)
+router.put('/:key',
+  auth,
+  permit('settings:manage'),
+  body('value').exists().withMessage('A value is required'),
+  body('note').optional().isString().isLength({ max: 500 }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const value = await settings.set(req.params.key, req.body.value, req.user, req.body.note);
+      res.json({ message: 'Setting updated', key: req.params.key, value });
+    } catch (error) {
+      if (handleSettingsError(res, error)) return;
+      console.error('Update setting error:', error);
+      res.status(500).json({
+        message: 'Failed to update setting',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/settings/:key
+// @desc    Remove the override so the default applies again
+// @access  Private (settings:manage)
+router.delete('/:key',
+  auth,
+  permit('settings:manage'),
+  body('note').optional().isString().isLength({ max: 500 }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const value = await settings.reset(req.params.key, req.user, req.body.note);
+      res.json({ message: 'Setting reset to default', key: req.params.key, value });
+    } catch (error) {
+      if (handleSettingsError(res, error)) return;
+      console.error('Reset setting error:', error);
+      res.status(500).json({
+        message: 'Failed to reset setting',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+module.exports = router;
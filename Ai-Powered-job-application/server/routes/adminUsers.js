@@ -0,0 +1,317 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Resume = require('../models/Resume');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const mail = require('../services/mail');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const { auth, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ROLES = ['job_seeker', 'recruiter', 'admin'];
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  name: { lastName: 1, firstName: 1 },
+  lastLogin: { lastLogin: -1 }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: user.fullName,
+  role: user.role,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  passwordResetRequired: user.passwordResetRequired,
+  twoFactorEnabled: user.twoFactor?.enabled || false,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+// Refuse changes that would leave the platform without an active admin
+async function isLastActiveAdmin(user) {
+  if (user.role !== 'admin' || !user.isActive) return false;
+  const admins = await User.countDocuments({ role: 'admin', isActive: true });
+  return admins <= 1;
+}
+
+// @route   GET /api/admin/users
+// @desc    Search and paginate users (search matches name or email; role; status active|inactive)
+// @access  Private (users:manage)
+router.get('/', auth, permit('users:manage'), async (req, res) => {
+  try {
+    const { search, role, status, sort = 'newest', page = 1, limit = 20 } = req.query;
+    // Erased accounts are anonymized placeholders, not users
+    const query = { erasedAt: { $exists: false } };
+
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+      query.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+    if (ROLES.includes(role)) query.role = role;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+
+    const skip = (page - 1) * limit;
+    const [users, total, roleCounts] = await Promise.all([
+      User.find(query)
+        .select('-password')
+        .sort(SORTS[sort] || SORTS.newest)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(query),
+      User.aggregate([
+        { $match: { erasedAt: { $exists: false } } },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      users: users.map(formatUser),
+      counts: Object.fromEntries(ROLES.map(name => [name, roleCounts.find(entry => entry._id === name)?.count || 0])),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their resumes, applications and (for recruiters) posted jobs
+// @access  Private (users:manage)
+router.get('/:id', auth, permit('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user || user.erasedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [resumes, applications, jobs] = await Promise.all([
+      Resume.find({ user: user._id })
+        .select('originalName fileSize isActive createdAt extractedData.skills')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Application.find({ applicant: user._id })
+        .populate('job', 'title company.name')
+        .select('job status appliedAt createdAt')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean(),
+      user.role === 'job_seeker'
+        ? []
+        : Job.find({ postedBy: user._id })
+          .select('title company.name status applications createdAt')
+          .sort({ createdAt: -1 })
+          .limit(50)
+          .lean()
+    ]);
+
+    res.json({
+      user: {
+        ...formatUser(user),
+        profile: user.profile,
+        skills: user.skills
+      },
+      resumes: resumes.map(resume => ({
+        id: resume._id,
+        originalName: resume.originalName,
+        fileSize: resume.fileSize,
+        isActive: resume.isActive,
+        skills: resume.extractedData?.skills?.length || 0,
+        createdAt: resume.createdAt
+      })),
+      applications: applications.map(application => ({
+        id: application._id,
+        job: application.job && {
+          id: application.job._id,
+          title: application.job.title,
+          company: application.job.company?.name
+        },
+        status: application.status,
+        appliedAt: application.appliedAt || application.createdAt
+      })),
+      jobs: jobs.map(job => ({
+        id: job._id,
+        title: job.title,
+        company: job.company?.name,
+        status: job.status,
+        applicationCount: job.applications?.length || 0,
+        createdAt: job.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch user',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (users:manage)
+router.put('/:id/role',
+  auth,
+  permit('users:manage'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.user._id.equals(req.params.id)) {
+        return res.status(400).json({ message: 'You cannot change your own role' });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user || user.erasedAt) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (req.body.role !== 'admin' && await isLastActiveAdmin(user)) {
+        return res.status(400).json({ message: 'Cannot demote the last active admin' });
+      }
+
+      user.role = req.body.role;
+      await user.save();
+
+      res.json({ message: 'Role updated', user: formatUser(user) });
+    } catch (error) {
+      console.error('Admin update role error:', error);
+      res.status(500).json({
+        message: 'Failed to update role',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Activate or deactivate a user; deactivated users can no longer sign in
+// @access  Private (users:manage)
+router.put('/:id/status',
+  auth,
+  permit('users:manage'),
+  body('isActive').isBoolean().withMessage('isActive must be true or false'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.user._id.equals(req.params.id)) {
+        return res.status(400).json({ message: 'You cannot deactivate your own account' });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user || user.erasedAt) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const isActive = req.body.isActive === true || req.body.isActive === 'true';
+      if (!isActive && await isLastActiveAdmin(user)) {
+        return res.status(400).json({ message: 'Cannot deactivate the last active admin' });
+      }
+
+      user.isActive = isActive;
+      await user.save();
+      if (!isActive) {
+        await sessions.revokeAll(user._id, { reason: 'deactivated' });
+      }
+
+      res.json({ message: isActive ? 'User activated' : 'User deactivated', user: formatUser(user) });
+    } catch (error) {
+      console.error('Admin update status error:', error);
+      res.status(500).json({
+        message: 'Failed to update user status',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Require the user to choose a new password before they can do anything else
+// @access  Private (users:manage)
+router.post('/:id/force-password-reset', auth, permit('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || user.erasedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.passwordResetRequired = true;
+    await user.save();
+
+    // Best-effort heads-up; the reset is enforced at their next request either way
+    mail.send({
+      to: user.email,
+      subject: 'Please choose a new password',
+      text: `Hi ${user.firstName},\n\nAn administrator has asked you to change your password. ` +
+        `The next time you sign in you'll be taken to a page to choose a new one.\n\n` +
+        `${process.env.CLIENT_URL || 'http://localhost:3000'}/login`
+    }).catch(error => console.error('Password reset email failed:', error.message));
+
+    res.json({ message: 'Password reset required at next sign-in', user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({
+      message: 'Failed to force password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/reset-two-factor
+// @desc    Turn off a user's two-factor authentication (lost device); they enrol again if their role requires it
+// @access  Private (users:manage)
+router.post('/:id/reset-two-factor', auth, permit('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || user.erasedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not turned on for this user' });
+    }
+
+    await twoFactor.reset(user._id);
+    user.twoFactor.enabled = false;
+
+    mail.send({
+      to: user.email,
+      subject: 'Two-factor authentication was turned off',
+      text: `Hi ${user.firstName},\n\nAn administrator turned off two-factor authentication on your account. ` +
+        'You can set it up again from your profile. If you did not ask for this, contact support.'
+    }).catch(error => console.error('Two-factor reset email failed:', error.message));
+
+    res.json({ message: 'Two-factor authentication reset', user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin reset two-factor error:', error);
+    res.status(500).json({
+      message: 'Failed to reset two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
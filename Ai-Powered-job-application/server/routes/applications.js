@@ -5,14 +5,49 @@ const User = require('../models/User');
 const Resume = require('../models/Resume');
 const Match = require('../models/Match');
 const aiMatching = require('../services/aiMatching');
-const { auth, authorize } = require('../middleware/auth');
+const applicationWorkflow = require('../services/applicationWorkflow');
+const notifications = require('../services/notifications');
+const jobTeam = require('../services/jobTeam');
+const settings = require('../services/settings');
+const policy = require('../services/policy');
+const { auth, permit } = require('../middleware/auth');
 
 const router = express.Router();
 
+const formatHistory = (application) => (application.statusHistory || []).map(entry => ({
+  from: entry.from,
+  to: entry.to,
+  changedBy: entry.changedBy?.firstName
+    ? { id: entry.changedBy._id, name: `${entry.changedBy.firstName} ${entry.changedBy.lastName}` }
+    : entry.changedBy,
+  changedByRole: entry.changedByRole,
+  note: entry.note,
+  changedAt: entry.changedAt
+}));
+
+// Hiring team discussion; only ever sent to people with access to the job
+const formatComments = (application) => (application.comments || []).map(comment => ({
+  id: comment._id,
+  author: comment.author?.firstName
+    ? { id: comment.author._id, name: `${comment.author.firstName} ${comment.author.lastName}` }
+    : comment.author,
+  text: comment.text,
+  createdAt: comment.createdAt
+}));
+
+// Send workflow errors (bad or disallowed transitions) with their own status code
+const handleWorkflowError = (res, error) => {
+  if (error instanceof applicationWorkflow.WorkflowError) {
+    res.status(error.statusCode).json({ message: error.message });
+    return true;
+  }
+  return false;
+};
+
 // @route   POST /api/applications
 // @desc    Apply for a job
-// @access  Private (Job seekers only)
-router.post('/', auth, authorize('job_seeker'), async (req, res) => {
+// @access  Private (applications:create)
+router.post('/', auth, permit('applications:create'), async (req, res) => {
   try {
     const { jobId, coverLetter } = req.body;
 
@@ -20,6 +55,13 @@ router.post('/', auth, authorize('job_seeker'), async (req, res) => {
       return res.status(400).json({ message: 'Job ID is required' });
     }
 
+    if (settings.get('applications.requireVerifiedEmail') && !req.user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please confirm your email address before applying',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
     // Check if job exists and is active
     const job = await Job.findById(jobId);
     if (!job) {
@@ -55,16 +97,28 @@ router.post('/', auth, authorize('job_seeker'), async (req, res) => {
       applicant: req.user._id,
       resume: resume._id,
       coverLetter,
-      matchScore: matchScore.overallScore
+      matchScore: matchScore.overallScore,
+      status: 'applied',
+      statusHistory: [{
+        to: 'applied',
+        changedBy: req.user._id,
+        changedByRole: req.user.role
+      }]
     });
 
     await application.save();
 
-    // Update job applications count
+    // Update job applicant list and count
+    job.applications.push({
+      user: req.user._id,
+      status: application.status,
+      matchScore: application.matchScore
+    });
     job.applicationsCount += 1;
     await job.save();
 
-    // Create or update match record
+    // Create or update match record, keeping the score explanation alongside it
+    const breakdown = await aiMatching.generateMatchBreakdown(resume, job, matchScore);
     await Match.findOneAndUpdate(
       { user: req.user._id, job: jobId },
       {
@@ -72,11 +126,15 @@ router.post('/', auth, authorize('job_seeker'), async (req, res) => {
         job: jobId,
         resume: resume._id,
         matchScore: matchScore.overallScore,
+        breakdown,
         status: 'applied'
       },
       { upsert: true, new: true }
     );
 
+    notifications.emit('application.submitted', { application, job, applicant: req.user });
+    jobTeam.record(job, req.user, 'application.submitted', { application });
+
     res.status(201).json({
       message: 'Application submitted successfully',
       application: {
@@ -98,7 +156,7 @@ router.post('/', auth, authorize('job_seeker'), async (req, res) => {
 
 // @route   GET /api/applications/job/:jobId
 // @desc    Get applications for a specific job (recruiters only)
-// @access  Private (Job owner or admin)
+// @access  Private (Job owner, hiring team with view permission, or admin)
 router.get('/job/:jobId', auth, async (req, res) => {
   try {
     const { jobId } = req.params;
@@ -110,13 +168,12 @@ router.get('/job/:jobId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
 
-    // Check if user owns the job or is admin
-    if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!jobTeam.can(job, req.user, 'view')) {
       return res.status(403).json({ message: 'Not authorized to view applications for this job' });
     }
 
     const query = { job: jobId };
-    if (status) query.status = status;
+    if (status && status !== 'all') query.status = applicationWorkflow.statusFilter(status);
 
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -124,6 +181,8 @@ router.get('/job/:jobId', auth, async (req, res) => {
     const applications = await Application.find(query)
       .populate('applicant', 'firstName lastName email profile')
       .populate('resume', 'fileName originalName extractedData')
+      .populate('statusHistory.changedBy', 'firstName lastName')
+      .populate('comments.author', 'firstName lastName')
       .sort(sortOptions)
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -145,10 +204,13 @@ router.get('/job/:jobId', auth, async (req, res) => {
           originalName: app.resume.originalName,
           extractedData: app.resume.extractedData
         },
-        status: app.status,
+        status: applicationWorkflow.normalizeStatus(app.status),
+        statusHistory: formatHistory(app),
+        allowedTransitions: applicationWorkflow.allowedTransitions(app.status, 'recruiter'),
         matchScore: app.matchScore,
         coverLetter: app.coverLetter,
         recruiterNotes: app.recruiterNotes,
+        comments: formatComments(app),
         appliedAt: app.appliedAt,
         reviewedAt: app.reviewedAt
       })),
@@ -177,7 +239,7 @@ router.get('/my-applications', auth, async (req, res) => {
     const { status, page = 1, limit = 20 } = req.query;
 
     const query = { applicant: req.user._id };
-    if (status) query.status = status;
+    if (status && status !== 'all') query.status = applicationWorkflow.statusFilter(status);
 
     const applications = await Application.find(query)
       .populate('job', 'title company location jobType status')
@@ -198,7 +260,9 @@ router.get('/my-applications', auth, async (req, res) => {
           jobType: app.job.jobType,
           status: app.job.status
         },
-        status: app.status,
+        status: applicationWorkflow.normalizeStatus(app.status),
+        statusHistory: formatHistory(app),
+        allowedTransitions: applicationWorkflow.allowedTransitions(app.status, 'applicant'),
         matchScore: app.matchScore,
         appliedAt: app.appliedAt,
         reviewedAt: app.reviewedAt
@@ -220,51 +284,67 @@ router.get('/my-applications', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/applications/workflow
+// @desc    Get application stages and allowed transitions
+// @access  Private
+router.get('/workflow', auth, (req, res) => {
+  res.json({
+    stages: applicationWorkflow.STAGES,
+    transitions: applicationWorkflow.TRANSITIONS
+  });
+});
+
 // @route   PUT /api/applications/:id/status
-// @desc    Update application status (recruiters only)
-// @access  Private (Job owner or admin)
+// @desc    Move an application to its next stage and/or update recruiter notes
+// @access  Private (Job owner, hiring team with change_status permission, or admin)
 router.put('/:id/status', auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, recruiterNotes, interviewScheduled, interviewNotes } = req.body;
+    const { status, note, recruiterNotes, interviewScheduled, interviewNotes } = req.body;
 
     const application = await Application.findById(id)
-      .populate('job', 'postedBy');
+      .populate('job', 'postedBy team');
 
     if (!application) {
       return res.status(404).json({ message: 'Application not found' });
     }
 
-    // Check if user owns the job or is admin
-    if (application.job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!jobTeam.can(application.job, req.user, 'change_status')) {
       return res.status(403).json({ message: 'Not authorized to update this application' });
     }
 
-    const updateData = { status };
-    if (recruiterNotes) updateData.recruiterNotes = recruiterNotes;
-    if (interviewScheduled) updateData.interviewScheduled = interviewScheduled;
-    if (interviewNotes) updateData.interviewNotes = interviewNotes;
-    if (status === 'reviewed') updateData.reviewedAt = new Date();
-    updateData.lastUpdated = new Date();
+    if (recruiterNotes !== undefined) application.recruiterNotes = recruiterNotes;
+    if (interviewScheduled) application.interviewScheduled = interviewScheduled;
+    if (interviewNotes) application.interviewNotes = interviewNotes;
+
+    if (status && status !== applicationWorkflow.normalizeStatus(application.status)) {
+      await applicationWorkflow.transition(application, status, {
+        user: req.user,
+        actor: 'recruiter',
+        note: note || recruiterNotes
+      });
+    } else {
+      application.lastUpdated = new Date();
+      await application.save();
+    }
 
-    const updatedApplication = await Application.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true }
-    ).populate('applicant', 'firstName lastName email');
+    await application.populate('statusHistory.changedBy', 'firstName lastName');
 
     res.json({
       message: 'Application status updated successfully',
       application: {
-        id: updatedApplication._id,
-        status: updatedApplication.status,
-        recruiterNotes: updatedApplication.recruiterNotes,
-        interviewScheduled: updatedApplication.interviewScheduled,
-        interviewNotes: updatedApplication.interviewNotes,
-        lastUpdated: updatedApplication.lastUpdated
+        id: application._id,
+        status: application.status,
+        statusHistory: formatHistory(application),
+        allowedTransitions: applicationWorkflow.allowedTransitions(application.status, 'recruiter'),
+        recruiterNotes: application.recruiterNotes,
+        interviewScheduled: application.interviewScheduled,
+        interviewNotes: application.interviewNotes,
+        lastUpdated: application.lastUpdated
       }
     });
   } catch (error) {
+    if (handleWorkflowError(res, error)) return;
     console.error('Update application status error:', error);
     res.status(500).json({
       message: 'Failed to update application status',
@@ -273,15 +353,142 @@ router.put('/:id/status', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/applications/:id/comments
+// @desc    Comment on an application for the rest of the hiring team
+// @access  Private (Job owner, hiring team with comment permission, or admin)
+router.post('/:id/comments', auth, async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+    if (text.length > 2000) {
+      return res.status(400).json({ message: 'Comments are limited to 2000 characters' });
+    }
+
+    const application = await Application.findById(req.params.id)
+      .populate('job', 'postedBy team');
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (!jobTeam.can(application.job, req.user, 'comment')) {
+      return res.status(403).json({ message: 'Not authorized to comment on this application' });
+    }
+
+    application.comments.push({ author: req.user._id, text });
+    await application.save();
+    await application.populate('comments.author', 'firstName lastName');
+
+    jobTeam.record(application.job, req.user, 'application.commented', {
+      application,
+      data: { excerpt: text.slice(0, 140) }
+    });
+
+    res.status(201).json({
+      message: 'Comment added',
+      comments: formatComments(application)
+    });
+  } catch (error) {
+    console.error('Add application comment error:', error);
+    res.status(500).json({
+      message: 'Failed to add comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/applications/:id/comments/:commentId
+// @desc    Delete a comment
+// @access  Private (Comment author, job owner, or admin)
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .populate('job', 'postedBy team');
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const comment = application.comments.id(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+    if (!isAuthor && !jobTeam.canManageTeam(application.job, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    comment.deleteOne();
+    await application.save();
+    await application.populate('comments.author', 'firstName lastName');
+
+    res.json({
+      message: 'Comment deleted',
+      comments: formatComments(application)
+    });
+  } catch (error) {
+    console.error('Delete application comment error:', error);
+    res.status(500).json({
+      message: 'Failed to delete comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/withdraw
+// @desc    Withdraw an application
+// @access  Private (Applicant)
+router.post('/:id/withdraw', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (!policy.can(req.user, 'applications:withdraw', application)) {
+      return res.status(403).json({ message: 'Not authorized to withdraw this application' });
+    }
+
+    await applicationWorkflow.transition(application, 'withdrawn', {
+      user: req.user,
+      actor: 'applicant',
+      note: req.body.reason
+    });
+
+    res.json({
+      message: 'Application withdrawn',
+      application: {
+        id: application._id,
+        status: application.status,
+        statusHistory: formatHistory(application),
+        lastUpdated: application.lastUpdated
+      }
+    });
+  } catch (error) {
+    if (handleWorkflowError(res, error)) return;
+    console.error('Withdraw application error:', error);
+    res.status(500).json({
+      message: 'Failed to withdraw application',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 // @route   GET /api/applications/:id
 // @desc    Get application details
-// @access  Private (Application owner, job owner, or admin)
+// @access  Private (Application owner, job owner, hiring team, or admin)
 router.get('/:id', auth, async (req, res) => {
   try {
     const application = await Application.findById(req.params.id)
-      .populate('job', 'title company location jobType postedBy')
+      .populate('job', 'title company location jobType postedBy team')
       .populate('applicant', 'firstName lastName email profile')
-      .populate('resume', 'fileName originalName extractedData');
+      .populate('resume', 'fileName originalName extractedData')
+      .populate('statusHistory.changedBy', 'firstName lastName')
+      .populate('comments.author', 'firstName lastName');
 
     if (!application) {
       return res.status(404).json({ message: 'Application not found' });
@@ -289,10 +496,10 @@ router.get('/:id', auth, async (req, res) => {
 
     // Check if user has permission to view this application
     const isApplicant = application.applicant._id.toString() === req.user._id.toString();
-    const isJobOwner = application.job.postedBy.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const access = jobTeam.accessFor(application.job, req.user);
+    const isTeam = access.permissions.includes('view');
 
-    if (!isApplicant && !isJobOwner && !isAdmin) {
+    if (!isApplicant && !isTeam) {
       return res.status(403).json({ message: 'Not authorized to view this application' });
     }
 
@@ -319,9 +526,12 @@ router.get('/:id', auth, async (req, res) => {
           extractedData: application.resume.extractedData
         },
         status: application.status,
+        statusHistory: formatHistory(application),
+        allowedTransitions: applicationWorkflow.allowedTransitions(application.status, isApplicant ? 'applicant' : 'recruiter'),
         matchScore: application.matchScore,
         coverLetter: application.coverLetter,
         recruiterNotes: application.recruiterNotes,
+        ...(isTeam && { comments: formatComments(application), access }),
         interviewScheduled: application.interviewScheduled,
         interviewNotes: application.interviewNotes,
         appliedAt: application.appliedAt,
@@ -1,16 +1,30 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const accountTokens = require('../services/accountTokens');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
+// Roles anyone can sign up with; admins are only made through PUT /api/admin/users/:id/role
+const SELF_SERVICE_ROLES = ['job_seeker', 'recruiter'];
+
+// The user as returned when a sign-in completes
+const signedInUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  fullName: user.fullName,
+  lastLogin: user.lastLogin,
+  emailVerified: user.emailVerified,
+  passwordResetRequired: user.passwordResetRequired,
+  twoFactorEnabled: user.twoFactor.enabled,
+  twoFactorSetupRequired: !user.twoFactor.enabled && twoFactor.isRequiredFor(user)
+});
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -32,6 +46,12 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    if (!SELF_SERVICE_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: 'Accounts can only be registered as job seeker or recruiter'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -51,11 +71,17 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail outage shouldn't block sign-up; the user can ask for a new link later
+    try {
+      await accountTokens.sendVerification(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    const token = await sessions.start(req, res, user);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your inbox to confirm your email address.',
       token,
       user: {
         id: user._id,
@@ -63,7 +89,8 @@ router.post('/register', async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
-        fullName: user.fullName
+        fullName: user.fullName,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -112,25 +139,25 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // The session opens once the second factor checks out (POST /api/auth/login/2fa)
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: twoFactor.issueChallenge(user)
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    const token = await sessions.start(req, res, user);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        fullName: user.fullName,
-        lastLogin: user.lastLogin
-      }
+      user: signedInUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -141,11 +168,320 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: an authenticator or recovery code for the challenge from /login
+// @access  Public (challenge token)
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const userId = twoFactor.verifyChallenge(challengeToken);
+    const user = userId && await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ 
+        message: 'This sign-in attempt has expired, please sign in again' 
+      });
+    }
+
+    const method = await twoFactor.checkCode(user, code);
+    if (method === 'locked') {
+      return res.status(429).json({ 
+        message: `Too many incorrect codes. Try again in ${twoFactor.LOCKOUT_MS / 60000} minutes.` 
+      });
+    }
+    if (!method) {
+      return res.status(400).json({ 
+        message: 'Invalid code' 
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const token = await sessions.start(req, res, user);
+    const remaining = twoFactor.recoveryCodesRemaining(user);
+
+    res.json({
+      message: method === 'recovery'
+        ? `Login successful. You have ${remaining} recovery ${remaining === 1 ? 'code' : 'codes'} left.`
+        : 'Login successful',
+      token,
+      user: signedInUser(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ 
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange the refresh cookie for a new access token (the cookie rotates too)
+// @access  Public (refresh cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await sessions.rotate(req.cookies?.[sessions.COOKIE_NAME], req);
+    if (!result) {
+      sessions.clearRefreshCookie(res);
+      return res.status(401).json({
+        message: 'Session has ended, please sign in again'
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await sessions.revoke(result.session, 'deactivated');
+      sessions.clearRefreshCookie(res);
+      return res.status(401).json({
+        message: 'Account is deactivated'
+      });
+    }
+
+    if (result.refreshToken) {
+      sessions.setRefreshCookie(res, result.refreshToken);
+    }
+
+    res.json({ token: sessions.accessTokenFor(user, result.session) });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      message: 'Server error refreshing session',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session on this device
+// @access  Public (refresh cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await sessions.findByRefreshToken(req.cookies?.[sessions.COOKIE_NAME]);
+    if (session) {
+      await sessions.revoke(session, 'logout');
+    }
+    sessions.clearRefreshCookie(res);
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user, this device included
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const count = await sessions.revokeAll(req.user._id, { reason: 'logout_all' });
+    sessions.clearRefreshCookie(res);
+
+    res.json({ message: `Signed out of ${count} ${count === 1 ? 'session' : 'sessions'}` });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      message: 'Server error signing out everywhere',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's signed-in devices
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const active = await sessions.list(req.user._id);
+
+    res.json({
+      sessions: active.map(session => ({
+        id: session._id,
+        device: sessions.describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Server error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign one device out
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: { $exists: false } });
+    if (!session) {
+      return res.status(404).json({
+        message: 'Session not found'
+      });
+    }
+
+    await sessions.revoke(session, 'revoked');
+    const current = session._id.equals(req.authSession._id);
+    if (current) {
+      sessions.clearRefreshCookie(res);
+    }
+
+    res.json({ message: current ? 'Logged out' : 'Device signed out', current });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Server error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification link
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const record = await accountTokens.consume(req.body.token, 'email_verification');
+    if (!record) {
+      return res.status(400).json({
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(record.user, { emailVerified: true }, { new: true });
+    if (!user) {
+      return res.status(400).json({
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    res.json({ message: 'Email address confirmed', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      message: 'Server error verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification link to the current user
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        message: 'Your email address is already confirmed'
+      });
+    }
+
+    if (await accountTokens.recentlySent(req.user, 'email_verification')) {
+      return res.status(429).json({
+        message: 'A verification email was just sent. Please wait a minute before asking again.'
+      });
+    }
+
+    await accountTokens.sendVerification(req.user);
+
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      message: 'Server error sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link (the response never reveals whether the account exists)
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (!email) {
+      return res.status(400).json({
+        message: 'Please provide your email address'
+      });
+    }
+
+    const user = await User.findOne({ email, isActive: true });
+    if (user && !(await accountTokens.recentlySent(user, 'password_reset'))) {
+      await accountTokens.sendPasswordReset(user);
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a link to reset the password is on its way.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Server error requesting password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Choose a new password with the token from the reset link
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const record = await accountTokens.consume(token, 'password_reset');
+    const user = record && await User.findById(record.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        message: 'This reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetRequired = false;
+    // Following the emailed link proves the address belongs to them
+    user.emailVerified = true;
+    await user.save();
+    await accountTokens.revoke(user, 'password_reset');
+    // Whoever knew the old password is signed out everywhere
+    await sessions.revokeAll(user._id, { reason: 'password_changed' });
+
+    res.json({ message: 'Password reset. You can now sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Server error resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
+    const hasPassword = Boolean(await User.exists({ _id: req.user._id, password: { $exists: true } }));
+
     res.json({
       user: {
         id: req.user._id,
@@ -158,7 +494,16 @@ router.get('/me', auth, async (req, res) => {
         skills: req.user.skills,
         preferences: req.user.preferences,
         lastLogin: req.user.lastLogin,
-        emailVerified: req.user.emailVerified
+        emailVerified: req.user.emailVerified,
+        passwordResetRequired: req.user.passwordResetRequired,
+        twoFactorEnabled: req.user.twoFactor.enabled,
+        twoFactorSetupRequired: !req.user.twoFactor.enabled && twoFactor.isRequiredFor(req.user),
+        hasPassword,
+        identities: req.user.identities.map(identity => ({
+          provider: identity.provider,
+          email: identity.email,
+          linkedAt: identity.linkedAt
+        }))
       }
     });
   } catch (error) {
@@ -218,7 +563,11 @@ router.post('/change-password', auth, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
+    // Get user with password
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Accounts created through a sign-in provider set their first password without one
+    if ((user.password && !currentPassword) || !newPassword) {
       return res.status(400).json({ 
         message: 'Please provide current and new password' 
       });
@@ -230,11 +579,8 @@ router.post('/change-password', auth, async (req, res) => {
       });
     }
 
-    // Get user with password
-    const user = await User.findById(req.user._id).select('+password');
-    
     // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
+    const isMatch = !user.password || await user.comparePassword(currentPassword);
     if (!isMatch) {
       return res.status(400).json({ 
         message: 'Current password is incorrect' 
@@ -243,9 +589,17 @@ router.post('/change-password', auth, async (req, res) => {
 
     // Update password
     user.password = newPassword;
+    user.passwordResetRequired = false;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Keep this device signed in; every other session has to sign in with the new password
+    const signedOut = await sessions.revokeAll(user._id, { except: req.authSession._id, reason: 'password_changed' });
+
+    res.json({
+      message: signedOut > 0
+        ? `Password changed successfully. ${signedOut} other ${signedOut === 1 ? 'session was' : 'sessions were'} signed out.`
+        : 'Password changed successfully'
+    });
   } catch (error) {
     console.error('Change password error:', error);
     res.status(500).json({ 
@@ -0,0 +1,401 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const companies = require('../services/companies');
+const policy = require('../services/policy');
+const { auth, permit, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+const PROFILE_FIELDS = ['name', 'logo', 'website', 'size', 'industry', 'headquarters', 'description'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const profileValidators = (required) => [
+  (required ? body('name') : body('name').optional())
+    .trim().notEmpty().withMessage('Company name is required').isLength({ max: 120 }),
+  body('logo').optional({ checkFalsy: true }).isURL().withMessage('Logo must be a URL'),
+  body('website').optional({ checkFalsy: true }).isURL().withMessage('Website must be a URL'),
+  body('size').optional().isIn([...SIZES, '']).withMessage(`Size must be one of: ${SIZES.join(', ')}`),
+  body('industry').optional().trim().isLength({ max: 100 }),
+  body('headquarters').optional().trim().isLength({ max: 120 }),
+  body('description').optional().isLength({ max: 5000 })
+];
+
+const formatCompany = (company, openJobs) => ({
+  id: company._id,
+  name: company.name,
+  slug: company.slug,
+  logo: company.logo,
+  website: company.website,
+  size: company.size,
+  industry: company.industry,
+  headquarters: company.headquarters,
+  description: company.description,
+  openJobs,
+  createdAt: company.createdAt
+});
+
+const formatMembers = (company) => company.members.map(member => ({
+  id: member.user._id,
+  name: `${member.user.firstName} ${member.user.lastName}`,
+  email: member.user.email,
+  role: member.role,
+  addedAt: member.addedAt
+}));
+
+// Company owners and admins manage the profile; platform admins can step in
+const canManage = (company, user) => policy.can(user, 'companies:update', company);
+
+// Only owners change member roles, add company admins or delete the company
+const canManageMembers = (company, user) => policy.can(user, 'companies:manage_members', company);
+
+// @route   GET /api/companies
+// @desc    Browse companies (search matches name or industry)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { search, industry, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+      query.$or = [{ name: pattern }, { industry: pattern }];
+    }
+    if (industry) query.industry = new RegExp(`^${escapeRegExp(industry.trim())}$`, 'i');
+
+    const skip = (page - 1) * limit;
+    const [results, total] = await Promise.all([
+      Company.find(query)
+        .select('-members')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Company.countDocuments(query)
+    ]);
+    const openJobs = await companies.openJobCounts(results.map(company => company._id));
+
+    res.json({
+      companies: results.map(company => formatCompany(company, openJobs.get(company._id.toString()) || 0)),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get companies error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch companies',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/companies/mine
+// @desc    The company the current recruiter belongs to, with its members (company is null if none)
+// @access  Private (companies:create)
+router.get('/mine', auth, permit('companies:create'), async (req, res) => {
+  try {
+    const company = await Company.findForUser(req.user._id)
+      .populate('members.user', 'firstName lastName email');
+
+    if (!company) {
+      return res.json({ company: null });
+    }
+
+    const openJobs = await companies.openJobCounts([company._id]);
+    res.json({
+      company: {
+        ...formatCompany(company, openJobs.get(company._id.toString()) || 0),
+        members: formatMembers(company)
+      },
+      myRole: company.memberRole(req.user._id)
+    });
+  } catch (error) {
+    console.error('Get my company error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch your company',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/companies/:slug
+// @desc    Public company page with its open roles
+// @access  Public
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const company = await Company.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const jobs = await Job.find({ companyId: company._id, status: 'active' })
+      .select('title location jobType compensation requirements.experience createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      company: formatCompany(company, jobs.length),
+      jobs: jobs.map(job => ({
+        id: job._id,
+        title: job.title,
+        location: job.location,
+        jobType: job.jobType,
+        compensation: job.compensation,
+        experience: job.requirements?.experience,
+        createdAt: job.createdAt
+      })),
+      myRole: req.user ? company.memberRole(req.user._id) : null
+    });
+  } catch (error) {
+    console.error('Get company error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch company',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/companies
+// @desc    Create a company; the creator becomes its owner and their earlier postings
+//          under the same name are attached to it
+// @access  Private (companies:create)
+router.post('/', auth, permit('companies:create'), profileValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (await Company.findForUser(req.user._id)) {
+      return res.status(409).json({ message: 'You already belong to a company' });
+    }
+
+    const profile = Object.fromEntries(PROFILE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    const company = await Company.create({
+      ...profile,
+      slug: await companies.uniqueSlug(profile.name),
+      members: [{ user: req.user._id, role: 'owner', addedBy: req.user._id }],
+      createdBy: req.user._id
+    });
+    const linkedJobs = await companies.linkExistingJobs(company, req.user._id);
+
+    res.status(201).json({
+      message: 'Company created',
+      company: formatCompany(company),
+      linkedJobs
+    });
+  } catch (error) {
+    console.error('Create company error:', error);
+    res.status(500).json({
+      message: 'Failed to create company',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/companies/:id
+// @desc    Update the company profile; jobs posted under it pick up the changes
+// @access  Private (Company owner or admin)
+router.put('/:id', auth, profileValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    if (!canManage(company, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to edit this company' });
+    }
+
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) company[field] = req.body[field];
+    }
+    await company.save();
+    await companies.syncJobs(company);
+
+    res.json({ message: 'Company updated', company: formatCompany(company) });
+  } catch (error) {
+    console.error('Update company error:', error);
+    res.status(500).json({
+      message: 'Failed to update company',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/companies/:id
+// @desc    Delete a company; its jobs stay up under the plain company name
+// @access  Private (Company owner or platform admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    if (!canManageMembers(company, req.user)) {
+      return res.status(403).json({ message: 'Only the company owner can delete it' });
+    }
+
+    await companies.detachJobs(company);
+    await company.deleteOne();
+
+    res.json({ message: 'Company deleted' });
+  } catch (error) {
+    console.error('Delete company error:', error);
+    res.status(500).json({
+      message: 'Failed to delete company',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/companies/:id/members
+// @desc    Add a recruiter to the company by email (only owners can add admins)
+// @access  Private (Company owner or admin)
+router.post('/:id/members',
+  auth,
+  body('email').isEmail().normalizeEmail(),
+  body('role').optional().isIn(['admin', 'recruiter']).withMessage('Role must be admin or recruiter'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const company = await Company.findById(req.params.id);
+      if (!company) {
+        return res.status(404).json({ message: 'Company not found' });
+      }
+      if (!canManage(company, req.user)) {
+        return res.status(403).json({ message: 'Not authorized to manage this company' });
+      }
+
+      const role = req.body.role || 'recruiter';
+      if (role === 'admin' && !canManageMembers(company, req.user)) {
+        return res.status(403).json({ message: 'Only owners can add company admins' });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+      if (!user || !policy.can(user, 'companies:create')) {
+        return res.status(404).json({ message: 'No recruiter account with that email' });
+      }
+      if (await Company.findForUser(user._id)) {
+        return res.status(409).json({ message: 'That recruiter already belongs to a company' });
+      }
+
+      company.members.push({ user: user._id, role, addedBy: req.user._id });
+      await company.save();
+      const linkedJobs = await companies.linkExistingJobs(company, user._id);
+
+      await company.populate('members.user', 'firstName lastName email');
+      res.status(201).json({ message: 'Member added', members: formatMembers(company), linkedJobs });
+    } catch (error) {
+      console.error('Add company member error:', error);
+      res.status(500).json({
+        message: 'Failed to add member',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   PUT /api/companies/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (Company owner)
+router.put('/:id/members/:userId',
+  auth,
+  body('role').isIn(['owner', 'admin', 'recruiter']).withMessage('Role must be owner, admin or recruiter'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const company = await Company.findById(req.params.id);
+      if (!company) {
+        return res.status(404).json({ message: 'Company not found' });
+      }
+      if (!canManageMembers(company, req.user)) {
+        return res.status(403).json({ message: 'Only owners can change member roles' });
+      }
+
+      const member = company.members.find(entry => entry.user.toString() === req.params.userId);
+      if (!member) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
+      const owners = company.members.filter(entry => entry.role === 'owner').length;
+      if (member.role === 'owner' && req.body.role !== 'owner' && owners <= 1) {
+        return res.status(400).json({ message: 'A company needs at least one owner' });
+      }
+
+      member.role = req.body.role;
+      await company.save();
+
+      await company.populate('members.user', 'firstName lastName email');
+      res.json({ message: 'Member role updated', members: formatMembers(company) });
+    } catch (error) {
+      console.error('Update company member error:', error);
+      res.status(500).json({
+        message: 'Failed to update member',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/companies/:id/members/:userId
+// @desc    Remove a member (or leave the company); their jobs stay with the company
+// @access  Private (Company owner or admin, or the member themselves)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const member = company.members.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const isSelf = req.user._id.toString() === req.params.userId;
+    const allowed = isSelf ||
+      canManageMembers(company, req.user) ||
+      (canManage(company, req.user) && member.role === 'recruiter');
+    if (!allowed) {
+      return res.status(403).json({ message: 'Not authorized to remove this member' });
+    }
+
+    const owners = company.members.filter(entry => entry.role === 'owner').length;
+    if (member.role === 'owner' && owners <= 1) {
+      return res.status(400).json({ message: 'Transfer ownership before the last owner leaves, or delete the company' });
+    }
+
+    company.members = company.members.filter(entry => entry !== member);
+    await company.save();
+    // Leaving the company also takes them off its jobs' hiring teams
+    await Job.updateMany({ companyId: company._id }, { $pull: { team: { user: member.user } } });
+
+    res.json({ message: isSelf ? 'You left the company' : 'Member removed' });
+  } catch (error) {
+    console.error('Remove company member error:', error);
+    res.status(500).json({
+      message: 'Failed to remove member',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
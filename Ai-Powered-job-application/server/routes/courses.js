@@ -0,0 +1,337 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const skillTaxonomy = require('../services/skillTaxonomy');
+const { getUserSkillGaps } = require('../services/skillGaps');
+const { auth, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PLATFORMS = ['udemy', 'coursera', 'youtube', 'edx', 'pluralsight', 'linkedin', 'other'];
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'all'];
+
+// Escape user input for use inside a RegExp
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact matchers for a skill, its aliases and more specific skills
+const skillMatchers = (name) =>
+  skillTaxonomy.expandTerms(name).map(term => new RegExp(`^${escapeRegExp(term)}$`, 'i'));
+
+const formatDuration = (minutes) => {
+  if (!minutes) return null;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0 ? `${hours}h${rest ? ` ${rest}m` : ''}` : `${rest}m`;
+};
+
+const formatCourse = (course) => ({
+  id: course._id,
+  title: course.title,
+  description: course.description,
+  platform: course.platform,
+  url: course.url,
+  instructor: course.instructor,
+  thumbnail: course.thumbnail,
+  skills: course.skills,
+  level: course.level,
+  durationMinutes: course.durationMinutes,
+  duration: formatDuration(course.durationMinutes),
+  price: course.price > 0 ? course.price : 'Free',
+  currency: course.currency,
+  rating: course.rating,
+  students: course.students,
+  tags: course.tags,
+  isActive: course.isActive,
+  isFeatured: course.isFeatured
+});
+
+// Filters shared by the list and search endpoints
+function buildFilter({ platform, skill, level, free }) {
+  const filter = { isActive: true };
+  if (platform) filter.platform = platform.toLowerCase();
+  if (level) filter.level = { $in: [level, 'all'] };
+  if (free === 'true') filter.price = 0;
+  if (skill) {
+    filter.$and = skill.split(',').map(name => name.trim()).filter(Boolean)
+      .map(name => ({ skills: { $in: skillMatchers(name) } }));
+  }
+  return filter;
+}
+
+const courseValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('title').trim().notEmpty().withMessage('Title is required'),
+    field('description').trim().notEmpty().withMessage('Description is required'),
+    field('url').isURL().withMessage('A valid course URL is required'),
+    field('skills').isArray({ min: 1 }).withMessage('At least one skill is required'),
+    body('platform').optional().isIn(PLATFORMS).withMessage(`Platform must be one of: ${PLATFORMS.join(', ')}`),
+    body('level').optional().isIn(LEVELS).withMessage(`Level must be one of: ${LEVELS.join(', ')}`),
+    body('durationMinutes').optional().isInt({ min: 0 }).withMessage('Duration must be a whole number of minutes'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+    body('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
+    body('students').optional().isInt({ min: 0 }),
+    body('tags').optional().isArray(),
+    body('isActive').optional().isBoolean(),
+    body('isFeatured').optional().isBoolean()
+  ];
+};
+
+// Fields an admin may set, with skills canonicalised through the taxonomy
+function courseFields(input) {
+  const fields = {};
+  for (const key of ['title', 'description', 'url', 'instructor', 'thumbnail', 'platform', 'level',
+    'durationMinutes', 'price', 'currency', 'rating', 'students', 'isActive', 'isFeatured']) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  if (input.skills) {
+    fields.skills = skillTaxonomy.normalizeSkills(input.skills).map(skill => skill.name);
+  }
+  if (input.tags) {
+    fields.tags = input.tags.map(tag => String(tag).toLowerCase());
+  }
+  return fields;
+}
+
+// @route   GET /api/courses
+// @desc    List the course catalog with optional platform, skill and level filters
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const filter = buildFilter(req.query);
+
+    const [courses, total] = await Promise.all([
+      Course.find(filter)
+        .sort({ isFeatured: -1, rating: -1, students: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize),
+      Course.countDocuments(filter)
+    ]);
+
+    res.json({
+      courses: courses.map(formatCourse),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch courses',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/courses/search
+// @desc    Search courses by text or skill (skill aliases and sub-skills included)
+// @access  Public
+router.get('/search', async (req, res) => {
+  try {
+    const { query = '', limit = 30 } = req.query;
+    const text = query.trim();
+    if (!text) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    const pattern = new RegExp(escapeRegExp(text), 'i');
+    const filter = buildFilter(req.query);
+    filter.$or = [
+      { title: pattern },
+      { description: pattern },
+      { tags: pattern },
+      { skills: { $in: [...skillMatchers(text), pattern] } }
+    ];
+
+    const courses = await Course.find(filter)
+      .sort({ isFeatured: -1, rating: -1, students: -1 })
+      .limit(Math.min(parseInt(limit) || 30, 100));
+
+    res.json({ courses: courses.map(formatCourse), query: text });
+  } catch (error) {
+    console.error('Search courses error:', error);
+    res.status(500).json({
+      message: 'Failed to search courses',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/courses/recommendations
+// @desc    Courses covering the skills missing from the user's job matches.
+//          Falls back to the `skills` query parameter when there are no gaps yet.
+// @access  Private
+router.get('/recommendations', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+
+    let gaps = await getUserSkillGaps(req.user._id, { limit: 10 });
+    const basedOn = gaps.length > 0 ? 'skillGaps' : 'skills';
+    if (gaps.length === 0) {
+      gaps = (req.query.skills || '').split(',').map(name => name.trim()).filter(Boolean)
+        .map(name => ({ id: skillTaxonomy.canonicalId(name), skill: skillTaxonomy.canonicalName(name), score: 50 }));
+    }
+    if (gaps.length === 0) {
+      return res.json({ recommendations: [], skillGaps: [], basedOn });
+    }
+
+    const candidates = await Course.find({
+      isActive: true,
+      skills: { $in: gaps.flatMap(gap => skillMatchers(gap.skill)) }
+    }).limit(500);
+
+    // Rank by how much gap weight each course covers, then by quality
+    const ranked = candidates
+      .map(course => {
+        const covered = gaps.filter(gap =>
+          course.skills.some(skill => skillTaxonomy.matchStrength(skill, gap.skill) > 0)
+        );
+        const coverage = covered.reduce((sum, gap) => sum + gap.score, 0);
+        return {
+          course,
+          covered,
+          rank: coverage * (1 + (course.rating || 0) / 10) + (course.isFeatured ? 10 : 0)
+        };
+      })
+      .filter(entry => entry.covered.length > 0)
+      .sort((a, b) => b.rank - a.rank || (b.course.students || 0) - (a.course.students || 0))
+      .slice(0, limit);
+
+    res.json({
+      recommendations: ranked.map(({ course, covered }) => ({
+        ...formatCourse(course),
+        matchedGaps: covered.map(gap => gap.skill)
+      })),
+      skillGaps: gaps,
+      basedOn
+    });
+  } catch (error) {
+    console.error('Get course recommendations error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch course recommendations',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/courses/:id
+// @desc    Get a course
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course || !course.isActive) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    res.json({ course: formatCourse(course) });
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch course',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/courses
+// @desc    Add a course to the catalog
+// @access  Private (courses:manage)
+router.post('/',
+  auth,
+  permit('courses:manage'),
+  ...courseValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (await Course.exists({ url: req.body.url.trim() })) {
+        return res.status(409).json({ message: 'A course with this URL already exists' });
+      }
+
+      const course = new Course({ ...courseFields(req.body), addedBy: req.user._id });
+      await course.save();
+
+      res.status(201).json({
+        message: 'Course created successfully',
+        course: formatCourse(course)
+      });
+    } catch (error) {
+      console.error('Create course error:', error);
+      res.status(500).json({
+        message: 'Failed to create course',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   PUT /api/courses/:id
+// @desc    Update a course
+// @access  Private (courses:manage)
+router.put('/:id',
+  auth,
+  permit('courses:manage'),
+  ...courseValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      const fields = courseFields(req.body);
+      if (fields.url && fields.url !== course.url && await Course.exists({ url: fields.url })) {
+        return res.status(409).json({ message: 'A course with this URL already exists' });
+      }
+
+      course.set(fields);
+      await course.save();
+
+      res.json({
+        message: 'Course updated successfully',
+        course: formatCourse(course)
+      });
+    } catch (error) {
+      console.error('Update course error:', error);
+      res.status(500).json({
+        message: 'Failed to update course',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/courses/:id
+// @desc    Remove a course from the catalog
+// @access  Private (courses:manage)
+router.delete('/:id', auth, permit('courses:manage'), async (req, res) => {
+  try {
+    const course = await Course.findByIdAndDelete(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    res.json({ message: 'Course deleted successfully' });
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({
+      message: 'Failed to delete course',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,586 @@
+const express = require('express');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const calendar = require('../services/calendar');
+const notifications = require('../services/notifications');
+const jobTeam = require('../services/jobTeam');
+const policy = require('../services/policy');
+const { auth, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_SLOTS_PER_REQUEST = 50;
+const MIN_DURATION_MINUTES = 15;
+const MAX_DURATION_MINUTES = 480;
+
+const fullName = (user) => user ? `${user.firstName} ${user.lastName}` : '';
+
+// Publishing and withdrawing slots needs change_status on the job's hiring team
+const canSchedule = (job, user) => jobTeam.can(job, user, 'change_status');
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Interviewers default to the recruiter; listed emails that belong to users are linked to them
+async function resolveInterviewers(interviewers, recruiter) {
+  const list = Array.isArray(interviewers) ? interviewers.filter(entry => entry?.email) : [];
+  if (list.length === 0) {
+    return [{ user: recruiter._id, name: fullName(recruiter), email: recruiter.email }];
+  }
+
+  const users = await User.find({ email: { $in: list.map(entry => entry.email.toLowerCase()) } })
+    .select('firstName lastName email');
+  const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+  return list.map(entry => {
+    const user = usersByEmail.get(entry.email.toLowerCase());
+    return {
+      user: user?._id,
+      name: entry.name || fullName(user),
+      email: entry.email.toLowerCase()
+    };
+  });
+}
+
+// Whether `user` takes part in the interview, and in which role
+function participantRole(interview, user) {
+  const userId = user._id.toString();
+  if (interview.candidate._id.toString() === userId) return 'candidate';
+  if (policy.can(user, 'interviews:schedule', interview)) return 'recruiter';
+  if (interview.interviewers.some(entry => entry.user?.toString() === userId)) return 'interviewer';
+  return null;
+}
+
+const populateInterview = (query) => query
+  .populate('job', 'title company.name')
+  .populate('candidate', 'firstName lastName email')
+  .populate('recruiter', 'firstName lastName email');
+
+function formatInterview(interview, user) {
+  return {
+    id: interview._id,
+    job: interview.job?.title
+      ? { id: interview.job._id, title: interview.job.title, company: interview.job.company?.name }
+      : interview.job,
+    application: interview.application,
+    candidate: interview.candidate?.firstName
+      ? { id: interview.candidate._id, name: fullName(interview.candidate), email: interview.candidate.email }
+      : interview.candidate,
+    recruiter: interview.recruiter?.firstName
+      ? { id: interview.recruiter._id, name: fullName(interview.recruiter), email: interview.recruiter.email }
+      : interview.recruiter,
+    interviewers: interview.interviewers.map(entry => ({ name: entry.name, email: entry.email })),
+    start: interview.start,
+    end: interview.end,
+    timezone: interview.timezone,
+    location: interview.location,
+    meetingUrl: interview.meetingUrl,
+    status: interview.status,
+    history: interview.history,
+    role: user ? participantRole(interview, user) : undefined
+  };
+}
+
+function formatSlot(slot) {
+  return {
+    id: slot._id,
+    job: slot.job,
+    start: slot.start,
+    end: slot.end,
+    timezone: slot.timezone,
+    interviewers: slot.interviewers.map(entry => ({ name: entry.name, email: entry.email })),
+    location: slot.location,
+    meetingUrl: slot.meetingUrl,
+    status: slot.status,
+    interview: slot.interview
+  };
+}
+
+// Copy a slot's time and logistics onto an interview
+function applySlot(interview, slot) {
+  interview.slot = slot._id;
+  interview.start = slot.start;
+  interview.end = slot.end;
+  interview.timezone = slot.timezone;
+  interview.interviewers = slot.interviewers;
+  interview.location = slot.location;
+  interview.meetingUrl = slot.meetingUrl;
+}
+
+// Atomically claim an open, future slot of `jobId`; null when it was taken meanwhile
+const claimSlot = (slotId, jobId, interviewId) => InterviewSlot.findOneAndUpdate(
+  { _id: slotId, job: jobId, status: 'open', start: { $gt: new Date() } },
+  { status: 'booked', interview: interviewId },
+  { new: true }
+);
+
+// Another scheduled interview or booked slot of the interview's recruiter or interviewers
+// that overlaps [start, end); null when they are all free
+async function findClash(interview, start, end) {
+  const userIds = [interview.recruiter, ...interview.interviewers.map(entry => entry.user)].filter(Boolean);
+  const emails = interview.interviewers.map(entry => entry.email).filter(Boolean);
+  const people = [
+    { recruiter: { $in: userIds } },
+    { 'interviewers.user': { $in: userIds } },
+    ...(emails.length > 0 ? [{ 'interviewers.email': { $in: emails } }] : [])
+  ];
+  const overlapping = { start: { $lt: end }, end: { $gt: start } };
+
+  const clash = await Interview.findOne({
+    _id: { $ne: interview._id },
+    status: 'scheduled',
+    ...overlapping,
+    $or: people
+  });
+  if (clash) return clash;
+
+  return InterviewSlot.findOne({
+    status: 'booked',
+    interview: { $ne: interview._id },
+    ...overlapping,
+    $or: people
+  });
+}
+
+const releaseSlot = (slotId, status = 'open') => slotId
+  ? InterviewSlot.updateOne({ _id: slotId }, { status, $unset: { interview: 1 } })
+  : Promise.resolve();
+
+// @route   POST /api/interviews/slots
+// @desc    Publish availability slots for a job
+// @access  Private (interviews:schedule)
+router.post('/slots', auth, permit('interviews:schedule'), async (req, res) => {
+  try {
+    const { jobId, slots, timezone = 'UTC', interviewers, location, meetingUrl } = req.body;
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    if (!canSchedule(job, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_SLOTS_PER_REQUEST) {
+      return res.status(400).json({ message: `Provide between 1 and ${MAX_SLOTS_PER_REQUEST} slots` });
+    }
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    const now = new Date();
+    const windows = [];
+    for (const slot of slots) {
+      const start = new Date(slot.start);
+      const duration = parseInt(slot.durationMinutes) || 30;
+      if (isNaN(start) || start <= now) {
+        return res.status(400).json({ message: 'Slots must start in the future' });
+      }
+      if (duration < MIN_DURATION_MINUTES || duration > MAX_DURATION_MINUTES) {
+        return res.status(400).json({
+          message: `Slot length must be between ${MIN_DURATION_MINUTES} and ${MAX_DURATION_MINUTES} minutes`
+        });
+      }
+      windows.push({ start, end: new Date(start.getTime() + duration * 60 * 1000) });
+    }
+
+    // Refuse slots that overlap each other or the recruiter's live slots
+    const sorted = [...windows].sort((a, b) => a.start - b.start);
+    if (sorted.some((window, index) => index > 0 && window.start < sorted[index - 1].end)) {
+      return res.status(400).json({ message: 'Slots overlap each other' });
+    }
+    const clash = await InterviewSlot.findOne({
+      recruiter: req.user._id,
+      status: { $ne: 'cancelled' },
+      $or: windows.map(window => ({ start: { $lt: window.end }, end: { $gt: window.start } }))
+    });
+    if (clash) {
+      return res.status(409).json({
+        message: 'One or more slots overlap an existing slot',
+        conflict: formatSlot(clash)
+      });
+    }
+
+    const resolvedInterviewers = await resolveInterviewers(interviewers, req.user);
+    const created = await InterviewSlot.insertMany(windows.map(window => ({
+      job: job._id,
+      recruiter: req.user._id,
+      start: window.start,
+      end: window.end,
+      timezone,
+      interviewers: resolvedInterviewers,
+      location,
+      meetingUrl
+    })));
+
+    res.status(201).json({
+      message: `${created.length} slot${created.length === 1 ? '' : 's'} published`,
+      slots: created.map(formatSlot)
+    });
+  } catch (error) {
+    console.error('Create interview slots error:', error);
+    res.status(500).json({
+      message: 'Failed to publish interview slots',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/interviews/slots
+// @desc    List a job's slots: all of them for its hiring team, open future ones for invited candidates
+// @access  Private
+router.get('/slots', auth, async (req, res) => {
+  try {
+    const { jobId, includePast } = req.query;
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    let filter;
+    if (jobTeam.can(job, req.user, 'view')) {
+      filter = { job: job._id, status: { $ne: 'cancelled' } };
+      if (includePast !== 'true') filter.start = { $gt: new Date() };
+    } else {
+      const application = await Application.findOne({ job: job._id, applicant: req.user._id, status: 'interview' });
+      if (!application) {
+        return res.status(403).json({ message: 'Slots are available once you are invited to interview' });
+      }
+      filter = { job: job._id, status: 'open', start: { $gt: new Date() } };
+    }
+
+    const slots = await InterviewSlot.find(filter).sort({ start: 1 });
+
+    res.json({ slots: slots.map(formatSlot) });
+  } catch (error) {
+    console.error('Get interview slots error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch interview slots',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/interviews/slots/:id
+// @desc    Withdraw an open slot
+// @access  Private (interviews:schedule)
+router.delete('/slots/:id', auth, permit('interviews:schedule'), async (req, res) => {
+  try {
+    const slot = await InterviewSlot.findById(req.params.id).populate('job', 'postedBy team');
+    if (!slot) {
+      return res.status(404).json({ message: 'Slot not found' });
+    }
+    if (!canSchedule(slot.job, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const updated = await InterviewSlot.updateOne({ _id: slot._id, status: 'open' }, { status: 'cancelled' });
+    if (updated.modifiedCount === 0) {
+      return res.status(409).json({ message: 'Only open slots can be withdrawn; cancel the interview instead' });
+    }
+
+    res.json({ message: 'Slot withdrawn' });
+  } catch (error) {
+    console.error('Delete interview slot error:', error);
+    res.status(500).json({
+      message: 'Failed to withdraw slot',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/interviews/slots/:id/book
+// @desc    Book a slot for one of the candidate's applications
+// @access  Private (interviews:book)
+router.post('/slots/:id/book', auth, permit('interviews:book'), async (req, res) => {
+  try {
+    const application = await Application.findOne({ _id: req.body.applicationId, applicant: req.user._id });
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    if (application.status !== 'interview') {
+      return res.status(400).json({ message: 'This application has not been invited to interview' });
+    }
+    if (await Interview.exists({ application: application._id, status: 'scheduled' })) {
+      return res.status(409).json({ message: 'An interview is already booked; reschedule it instead' });
+    }
+
+    const interview = new Interview({
+      job: application.job,
+      application: application._id,
+      candidate: req.user._id
+    });
+
+    const slot = await claimSlot(req.params.id, application.job, interview._id);
+    if (!slot) {
+      return res.status(409).json({ message: 'This slot is no longer available' });
+    }
+
+    interview.recruiter = slot.recruiter;
+    applySlot(interview, slot);
+    interview.history.push({ action: 'booked', by: req.user._id });
+
+    try {
+      await interview.save();
+    } catch (error) {
+      await releaseSlot(slot._id);
+      throw error;
+    }
+
+    application.interviewScheduled = interview.start;
+    application.lastUpdated = new Date();
+    await application.save();
+
+    const populated = await populateInterview(Interview.findById(interview._id));
+    notifications.emit('interview.booked', { interview: populated, job: populated.job, candidate: req.user });
+    jobTeam.record(application.job, req.user, 'interview.booked', {
+      application,
+      data: { interviewId: interview._id, start: interview.start }
+    });
+
+    res.status(201).json({
+      message: 'Interview booked',
+      interview: formatInterview(populated, req.user)
+    });
+  } catch (error) {
+    console.error('Book interview slot error:', error);
+    res.status(500).json({
+      message: 'Failed to book interview',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/interviews/upcoming
+// @desc    Upcoming interviews for the current user (agenda)
+// @access  Private
+router.get('/upcoming', auth, async (req, res) => {
+  try {
+    const { days = 30, includeCancelled } = req.query;
+    const from = new Date();
+    const to = new Date(from.getTime() + Math.min(parseInt(days) || 30, 365) * 24 * 60 * 60 * 1000);
+
+    const filter = {
+      end: { $gte: from },
+      start: { $lte: to },
+      status: includeCancelled === 'true' ? { $in: ['scheduled', 'cancelled'] } : 'scheduled'
+    };
+    if (!policy.can(req.user, 'interviews:schedule')) {
+      filter.candidate = req.user._id;
+    } else {
+      filter.$or = [{ recruiter: req.user._id }, { 'interviewers.user': req.user._id }];
+    }
+
+    const interviews = await populateInterview(Interview.find(filter).sort({ start: 1 }).limit(200));
+
+    res.json({ interviews: interviews.map(interview => formatInterview(interview, req.user)) });
+  } catch (error) {
+    console.error('Get upcoming interviews error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch upcoming interviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/interviews/:id/reschedule
+// @desc    Move an interview to another open slot, or (recruiter) to an explicit time
+// @access  Private (Participants)
+router.post('/:id/reschedule', auth, async (req, res) => {
+  try {
+    const { slotId, start, durationMinutes, reason } = req.body;
+
+    const interview = await Interview.findById(req.params.id);
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    const role = participantRole(interview, req.user);
+    if (role !== 'candidate' && role !== 'recruiter') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (interview.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled interviews can be rescheduled' });
+    }
+
+    const previous = { slot: interview.slot, start: interview.start, end: interview.end };
+
+    if (slotId) {
+      const slot = await claimSlot(slotId, interview.job, interview._id);
+      if (!slot) {
+        return res.status(409).json({ message: 'This slot is no longer available' });
+      }
+      applySlot(interview, slot);
+    } else if (role === 'recruiter' && start) {
+      const newStart = new Date(start);
+      const duration = parseInt(durationMinutes) || Math.round((interview.end - interview.start) / 60000);
+      if (isNaN(newStart) || newStart <= new Date()) {
+        return res.status(400).json({ message: 'The new time must be in the future' });
+      }
+      if (duration < MIN_DURATION_MINUTES || duration > MAX_DURATION_MINUTES) {
+        return res.status(400).json({
+          message: `Interview length must be between ${MIN_DURATION_MINUTES} and ${MAX_DURATION_MINUTES} minutes`
+        });
+      }
+      const newEnd = new Date(newStart.getTime() + duration * 60 * 1000);
+      const clash = await findClash(interview, newStart, newEnd);
+      if (clash) {
+        return res.status(409).json({
+          message: 'The new time overlaps another interview of the recruiter or interviewers',
+          conflict: { start: clash.start, end: clash.end }
+        });
+      }
+      interview.slot = undefined;
+      interview.start = newStart;
+      interview.end = newEnd;
+    } else {
+      return res.status(400).json({
+        message: role === 'recruiter' ? 'Provide a slot or a new start time' : 'Choose one of the open slots'
+      });
+    }
+
+    interview.sequence += 1;
+    interview.history.push({
+      action: 'rescheduled',
+      by: req.user._id,
+      previousStart: previous.start,
+      previousEnd: previous.end,
+      reason
+    });
+    await interview.save();
+
+    // The old time becomes bookable again
+    await releaseSlot(previous.slot);
+    await Application.updateOne(
+      { _id: interview.application },
+      { interviewScheduled: interview.start, lastUpdated: new Date() }
+    );
+
+    const populated = await populateInterview(Interview.findById(interview._id));
+    notifications.emit('interview.rescheduled', { interview: populated, job: populated.job, by: req.user });
+
+    res.json({
+      message: 'Interview rescheduled',
+      interview: formatInterview(populated, req.user)
+    });
+  } catch (error) {
+    console.error('Reschedule interview error:', error);
+    res.status(500).json({
+      message: 'Failed to reschedule interview',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/interviews/:id/cancel
+// @desc    Cancel an interview. A candidate's cancellation reopens the slot; a recruiter's withdraws it.
+// @access  Private (Participants)
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const interview = await Interview.findById(req.params.id);
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    const role = participantRole(interview, req.user);
+    if (role !== 'candidate' && role !== 'recruiter') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (interview.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled interviews can be cancelled' });
+    }
+
+    interview.status = 'cancelled';
+    interview.sequence += 1;
+    interview.history.push({ action: 'cancelled', by: req.user._id, reason: req.body.reason });
+    await interview.save();
+
+    await releaseSlot(interview.slot, role === 'candidate' ? 'open' : 'cancelled');
+    await Application.updateOne(
+      { _id: interview.application },
+      { $unset: { interviewScheduled: 1 }, lastUpdated: new Date() }
+    );
+
+    await interview.populate([
+      { path: 'job', select: 'title company.name' },
+      { path: 'candidate', select: 'firstName lastName email' },
+      { path: 'recruiter', select: 'firstName lastName email' }
+    ]);
+    notifications.emit('interview.cancelled', {
+      interview,
+      job: interview.job,
+      by: req.user,
+      reason: req.body.reason
+    });
+
+    res.json({ message: 'Interview cancelled' });
+  } catch (error) {
+    console.error('Cancel interview error:', error);
+    res.status(500).json({
+      message: 'Failed to cancel interview',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/interviews/:id/ics
+// @desc    Download the interview as an iCalendar file
+// @access  Private (Participants)
+router.get('/:id/ics', auth, async (req, res) => {
+  try {
+    const interview = await populateInterview(Interview.findById(req.params.id));
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    if (!participantRole(interview, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const ics = calendar.interviewEvent(interview);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="interview-${interview._id}.ics"`
+    });
+    res.send(ics);
+  } catch (error) {
+    console.error('Export interview calendar error:', error);
+    res.status(500).json({
+      message: 'Failed to export interview',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/interviews/:id
+// @desc    Get an interview
+// @access  Private (Participants)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const interview = await populateInterview(Interview.findById(req.params.id));
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    if (!participantRole(interview, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ interview: formatInterview(interview, req.user) });
+  } catch (error) {
+    console.error('Get interview error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch interview',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
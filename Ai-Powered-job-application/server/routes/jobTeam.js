@@ -0,0 +1,280 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobActivity = require('../models/JobActivity');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const jobTeam = require('../services/jobTeam');
+const notifications = require('../services/notifications');
+const policy = require('../services/policy');
+const { auth, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ROLES = Object.keys(jobTeam.ROLE_PERMISSIONS);
+
+const memberValidators = (required) => [
+  (required ? body('role') : body('role').optional())
+    .isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('permissions').optional().isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').isIn(jobTeam.PERMISSIONS)
+    .withMessage(`Permissions must be from: ${jobTeam.PERMISSIONS.join(', ')}`)
+];
+
+const formatTeam = (job) => job.team.map(member => ({
+  id: member.user._id,
+  name: `${member.user.firstName} ${member.user.lastName}`,
+  email: member.user.email,
+  role: member.role,
+  permissions: member.permissions,
+  addedAt: member.addedAt
+}));
+
+const formatActivity = (entry) => ({
+  id: entry._id,
+  type: entry.type,
+  job: entry.job?.title ? { id: entry.job._id, title: entry.job.title } : { id: entry.job },
+  actor: entry.actor ? { id: entry.actor._id, name: `${entry.actor.firstName} ${entry.actor.lastName}` } : null,
+  member: entry.member ? { id: entry.member._id, name: `${entry.member.firstName} ${entry.member.lastName}` } : null,
+  application: entry.application ? {
+    id: entry.application._id,
+    applicant: entry.application.applicant
+      ? `${entry.application.applicant.firstName} ${entry.application.applicant.lastName}`
+      : null
+  } : null,
+  data: entry.data,
+  createdAt: entry.createdAt
+});
+
+// @route   GET /api/jobs/activity
+// @desc    Team activity feed across the jobs the user posted or is on the team for
+// @access  Private (Recruiters only)
+router.get('/activity', auth, permit('applications:review'), async (req, res) => {
+  try {
+    const { jobId, page = 1, limit = 20 } = req.query;
+
+    const jobs = await Job.find(jobTeam.accessibleJobsQuery(req.user._id)).select('postedBy team');
+    const visible = jobs.filter(job => jobTeam.can(job, req.user, 'view')).map(job => job._id.toString());
+
+    if (jobId && !visible.includes(jobId)) {
+      return res.status(403).json({ message: 'Not authorized to view activity for this job' });
+    }
+
+    const query = { job: { $in: jobId ? [jobId] : visible } };
+
+    const activity = await JobActivity.find(query)
+      .populate('job', 'title')
+      .populate('actor', 'firstName lastName')
+      .populate('member', 'firstName lastName')
+      .populate({ path: 'application', select: 'applicant', populate: { path: 'applicant', select: 'firstName lastName' } })
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await JobActivity.countDocuments(query);
+
+    res.json({
+      activity: activity.map(formatActivity),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get team activity error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch team activity',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/jobs/:id/team
+// @desc    Get a job's hiring team and the current user's access
+// @access  Private (Job owner, hiring team, or admin)
+router.get('/:id/team', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id)
+      .select('title postedBy team companyId')
+      .populate('postedBy', 'firstName lastName email')
+      .populate('team.user', 'firstName lastName email');
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const access = jobTeam.accessFor(job, req.user);
+    if (!access.permissions.includes('view')) {
+      return res.status(403).json({ message: 'Not authorized to view this job\'s team' });
+    }
+
+    res.json({
+      owner: {
+        id: job.postedBy._id,
+        name: `${job.postedBy.firstName} ${job.postedBy.lastName}`,
+        email: job.postedBy.email
+      },
+      team: formatTeam(job),
+      access,
+      canManage: jobTeam.canManageTeam(job, req.user),
+      roles: jobTeam.ROLE_PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Get job team error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch hiring team',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/jobs/:id/team
+// @desc    Add a recruiter to the job's hiring team by email (company jobs: company members only)
+// @access  Private (Job owner or admin)
+router.post('/:id/team',
+  auth,
+  body('email').isEmail().normalizeEmail(),
+  memberValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const job = await Job.findById(req.params.id).select('title postedBy team companyId');
+      if (!job) {
+        return res.status(404).json({ message: 'Job not found' });
+      }
+      if (!jobTeam.canManageTeam(job, req.user)) {
+        return res.status(403).json({ message: 'Only the job owner can manage its hiring team' });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+      if (!user || !policy.can(user, 'applications:review')) {
+        return res.status(404).json({ message: 'No recruiter account with that email' });
+      }
+      if (user._id.equals(job.postedBy)) {
+        return res.status(400).json({ message: 'The job owner already has full access' });
+      }
+      if (job.team.some(member => member.user.equals(user._id))) {
+        return res.status(409).json({ message: 'That recruiter is already on the team' });
+      }
+      if (job.companyId) {
+        const company = await Company.findById(job.companyId).select('members');
+        if (!company?.memberRole(user._id)) {
+          return res.status(400).json({ message: 'Only members of the job\'s company can join its hiring team' });
+        }
+      }
+
+      const role = req.body.role || 'interviewer';
+      const member = {
+        user: user._id,
+        role,
+        permissions: jobTeam.permissionsFor(role, req.body.permissions),
+        addedBy: req.user._id
+      };
+      job.team.push(member);
+      await job.save();
+
+      jobTeam.record(job, req.user, 'team.member_added', { member: user, data: { role } });
+      notifications.emit('job.team_added', { job, member, addedBy: req.user });
+
+      await job.populate('team.user', 'firstName lastName email');
+      res.status(201).json({ message: 'Team member added', team: formatTeam(job) });
+    } catch (error) {
+      console.error('Add job team member error:', error);
+      res.status(500).json({
+        message: 'Failed to add team member',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   PUT /api/jobs/:id/team/:userId
+// @desc    Change a team member's role or permissions
+// @access  Private (Job owner or admin)
+router.put('/:id/team/:userId', auth, memberValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await Job.findById(req.params.id).select('title postedBy team');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    if (!jobTeam.canManageTeam(job, req.user)) {
+      return res.status(403).json({ message: 'Only the job owner can manage its hiring team' });
+    }
+
+    const member = job.team.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    const previous = { role: member.role, permissions: [...member.permissions] };
+    if (req.body.role) member.role = req.body.role;
+    // A new role resets permissions to its preset unless a custom set comes with it
+    if (req.body.role || req.body.permissions) {
+      member.permissions = jobTeam.permissionsFor(member.role, req.body.permissions);
+    }
+    await job.save();
+
+    jobTeam.record(job, req.user, 'team.member_updated', {
+      member: member.user,
+      data: { from: previous, to: { role: member.role, permissions: member.permissions } }
+    });
+
+    await job.populate('team.user', 'firstName lastName email');
+    res.json({ message: 'Team member updated', team: formatTeam(job) });
+  } catch (error) {
+    console.error('Update job team member error:', error);
+    res.status(500).json({
+      message: 'Failed to update team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/jobs/:id/team/:userId
+// @desc    Remove a team member (or leave the team)
+// @access  Private (Job owner or admin, or the member themselves)
+router.delete('/:id/team/:userId', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('title postedBy team');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const member = job.team.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    const isSelf = req.user._id.toString() === req.params.userId;
+    if (!isSelf && !jobTeam.canManageTeam(job, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to remove this team member' });
+    }
+
+    job.team = job.team.filter(entry => entry !== member);
+    await job.save();
+
+    jobTeam.record(job, req.user, 'team.member_removed', { member: member.user, data: { role: member.role } });
+
+    res.json({ message: isSelf ? 'You left the hiring team' : 'Team member removed' });
+  } catch (error) {
+    console.error('Remove job team member error:', error);
+    res.status(500).json({
+      message: 'Failed to remove team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
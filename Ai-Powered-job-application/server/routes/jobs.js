@@ -1,31 +1,60 @@
   const express = require('express');
   const Job = require('../models/Job');
   const Match = require('../models/Match');
+  const Application = require('../models/Application');
   const aiMatching = require('../services/aiMatching');
-  const { auth, authorize } = require('../middleware/auth');
+  const vectorIndex = require('../services/vectorIndex');
+  const skillTaxonomy = require('../services/skillTaxonomy');
+  const notifications = require('../services/notifications');
+  const jobModeration = require('../services/jobModeration');
+  const settings = require('../services/settings');
+  const companies = require('../services/companies');
+  const jobTeam = require('../services/jobTeam');
+  const policy = require('../services/policy');
+  const { auth, permit, optionalAuth } = require('../middleware/auth');
 
   const router = express.Router();
 
+  // Escape user input for use inside a RegExp
+  const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Tell applicants who are still in the running that the job has gone
+  const notifyJobClosed = async (job, reason) => {
+    const applicantIds = await Application.find({
+      job: job._id,
+      status: { $nin: ['hired', 'rejected', 'withdrawn'] }
+    }).distinct('applicant');
+    notifications.emit('job.closed', { job, applicantIds, reason });
+  };
+
   // @route   POST /api/jobs
   // @desc    Create a new job posting
-  // @access  Private (Recruiters only)
-  router.post('/', auth, authorize('recruiter'), async (req, res) => {
+  // @access  Private (jobs:create)
+  router.post('/', auth, permit('jobs:create'), async (req, res) => {
     try {
+      // The hiring team is managed through /api/jobs/:id/team so changes land in the activity feed
+      const { moderation, companyId, team, postedBy, ...body } = req.body;
       const jobData = {
-        ...req.body,
+        ...body,
         postedBy: req.user._id
       };
+      jobData.requirements = {
+        ...jobData.requirements,
+        skills: skillTaxonomy.normalizeJobSkills(jobData.requirements?.skills)
+      };
 
       // Generate embedding for job description
-      const jobText = `${jobData.title} ${jobData.description} ${jobData.requirements.skills.map(s => s.name).join(' ')}`;
-      const embedding = await aiMatching.generateEmbedding(jobText);
-      jobData.embedding = embedding;
+      jobData.embedding = await aiMatching.generateEmbedding(aiMatching.jobEmbeddingText(jobData));
 
       const job = new Job(jobData);
+      // Members of a company post under its profile rather than the free-text company fields
+      await companies.applyToJob(job, req.user._id);
+      const { held } = await jobModeration.screenNewJob(job, req.user);
       await job.save();
+      vectorIndex.upsertJob(job);
 
       res.status(201).json({
-        message: 'Job posted successfully',
+        message: held ? 'Job submitted for review. It will go live once an admin approves it.' : 'Job posted successfully',
         job: {
           id: job._id,
           title: job.title,
@@ -33,6 +62,7 @@
           location: job.location,
           jobType: job.jobType,
           status: job.status,
+          moderation: { state: job.moderation.state, flags: job.moderation.flags },
           createdAt: job.createdAt
         }
       });
@@ -93,10 +123,10 @@
         if (maxSalary) query['compensation.salary'].$lte = parseInt(maxSalary);
       }
 
-      // Skills filter
+      // Skills filter (any of the skills, their aliases or more specific skills)
       if (skills) {
-        const skillArray = skills.split(',').map(s => s.trim());
-        query['requirements.skills.name'] = { $in: skillArray };
+        const terms = skills.split(',').map(s => s.trim()).filter(Boolean).flatMap(s => skillTaxonomy.expandTerms(s));
+        query['requirements.skills.name'] = { $in: terms.map(term => new RegExp(`^${escapeRegExp(term)}$`, 'i')) };
       }
 
       const sortOptions = {};
@@ -159,24 +189,20 @@
       // Generate embedding for search query
       const queryEmbedding = await aiMatching.generateEmbedding(query);
 
-      // Find jobs using vector similarity (simplified - in production use proper vector DB)
-      const jobs = await Job.find({ status: 'active' })
-        .populate('postedBy', 'firstName lastName company')
-        .limit(100); // Get more jobs for similarity calculation
-
-      const jobsWithSimilarity = jobs.map(job => {
-        if (job.embedding && job.embedding.length > 0) {
-          const similarity = aiMatching.cosineSimilarity(queryEmbedding, job.embedding);
-          return { job, similarity };
-        }
-        return { job, similarity: 0 };
+      // Nearest active jobs from the vector index, above the minimum similarity threshold
+      const hits = await vectorIndex.searchJobs(queryEmbedding, {
+        k: parseInt(limit),
+        minScore: settings.get('search.minSimilarity')
       });
 
-      // Sort by similarity and limit results
-      const sortedJobs = jobsWithSimilarity
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, limit)
-        .filter(item => item.similarity > 0.3); // Minimum similarity threshold
+      const jobs = await Job.find({ _id: { $in: hits.map(hit => hit.id) }, status: 'active' })
+        .populate('postedBy', 'firstName lastName company');
+      const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+
+      // Keep the index ranking (already sorted by similarity)
+      const sortedJobs = hits
+        .filter(hit => jobsById.has(hit.id))
+        .map(hit => ({ job: jobsById.get(hit.id), similarity: hit.score }));
 
       res.json({
         jobs: sortedJobs.map(item => ({
@@ -207,13 +233,13 @@
   });
 
   // @route   GET /api/jobs/my-jobs
-  // @desc    Get jobs posted by current user
-  // @access  Private (Recruiters only)
-  router.get('/my-jobs', auth, authorize('recruiter', 'admin'), async (req, res) => {
+  // @desc    Get jobs posted by current user or shared with them through a hiring team
+  // @access  Private (applications:review)
+  router.get('/my-jobs', auth, permit('applications:review'), async (req, res) => {
     try {
       const { status, page = 1, limit = 20 } = req.query;
 
-      const query = { postedBy: req.user._id };
+      const query = jobTeam.accessibleJobsQuery(req.user._id);
       if (status) query.status = status;
 
       const jobs = await Job.find(query)
@@ -232,8 +258,15 @@
           location: job.location,
           jobType: job.jobType,
           status: job.status,
+          moderation: {
+            state: job.moderation?.state || 'none',
+            reason: job.moderation?.reason,
+            flags: job.moderation?.flags || []
+          },
           views: job.views,
           applicationsCount: job.applicationsCount,
+          teamSize: job.team.length,
+          access: jobTeam.accessFor(job, req.user),
           createdAt: job.createdAt
         })),
         pagination: {
@@ -253,10 +286,55 @@
     }
   });
 
+  // @route   GET /api/jobs/:id/moderation
+  // @desc    Get a job's moderation state, flags and log
+  // @access  Private (Job owner or admin)
+  router.get('/:id/moderation', auth, async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.id)
+        .select('title status postedBy moderation')
+        .populate('moderation.log.by', 'firstName lastName role');
+
+      if (!job) {
+        return res.status(404).json({ message: 'Job not found' });
+      }
+
+      if (!policy.can(req.user, 'jobs:update', job)) {
+        return res.status(403).json({ message: 'Not authorized to view this job' });
+      }
+
+      res.json({
+        job: { id: job._id, title: job.title, status: job.status },
+        moderation: {
+          state: job.moderation?.state || 'none',
+          flags: job.moderation?.flags || [],
+          reason: job.moderation?.reason,
+          reviewedAt: job.moderation?.reviewedAt,
+          log: (job.moderation?.log || []).map(entry => ({
+            action: entry.action,
+            by: entry.by && {
+              name: `${entry.by.firstName} ${entry.by.lastName}`,
+              role: entry.by.role
+            },
+            flags: entry.flags,
+            reason: entry.reason,
+            at: entry.at
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Get job moderation error:', error);
+      res.status(500).json({
+        message: 'Failed to fetch moderation history',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  });
+
   // @route   GET /api/jobs/:id
   // @desc    Get job by ID
-  // @access  Public
-  router.get('/:id', async (req, res) => {
+  // @access  Public (jobs under review or rejected: owner, hiring team and admins only)
+  router.get('/:id', optionalAuth, async (req, res) => {
     try {
       const job = await Job.findById(req.params.id)
         .populate('postedBy', 'firstName lastName company profile')
@@ -266,6 +344,11 @@
         return res.status(404).json({ message: 'Job not found' });
       }
 
+      const canSeeUnpublished = jobTeam.can(job, req.user, 'view');
+      if (['pending_review', 'rejected'].includes(job.status) && !canSeeUnpublished) {
+        return res.status(404).json({ message: 'Job not found' });
+      }
+
       // Increment view count
       job.views += 1;
       await job.save();
@@ -307,27 +390,43 @@
         return res.status(404).json({ message: 'Job not found' });
       }
 
-      // Check if user owns the job or is admin
-      if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      if (!policy.can(req.user, 'jobs:update', job)) {
         return res.status(403).json({ message: 'Not authorized to update this job' });
       }
 
-      const updateData = { ...req.body };
+      // Moderation fields are the queue's; a job under review or rejected can't publish itself.
+      // The owner is fixed and the hiring team only changes through /api/jobs/:id/team.
+      const { moderation, companyId, team, postedBy, ...updateData } = req.body;
+      // Company details of a company's job come from its profile
+      if (job.companyId) {
+        delete updateData.company;
+      }
+      if (['pending_review', 'rejected'].includes(job.status) || ['pending_review', 'rejected'].includes(updateData.status)) {
+        delete updateData.status;
+      }
+      if (updateData.requirements?.skills) {
+        updateData.requirements.skills = skillTaxonomy.normalizeJobSkills(updateData.requirements.skills);
+      }
 
-      // Regenerate embedding if description or requirements changed
-      if (updateData.description || updateData.requirements) {
-        const jobText = `${updateData.title || job.title} ${updateData.description || job.description} ${(updateData.requirements?.skills || job.requirements.skills).map(s => s.name).join(' ')}`;
-        updateData.embedding = await aiMatching.generateEmbedding(jobText);
+      const previousStatus = job.status;
+      job.set(updateData);
+
+      // Regenerate the embedding from the merged job when any text it covers changed
+      if (['title', 'description', 'requirements'].some(path => job.isModified(path))) {
+        job.embedding = await aiMatching.generateEmbedding(aiMatching.jobEmbeddingText(job));
       }
+      const { held } = await jobModeration.screenEditedJob(job, req.user);
+      await job.save();
 
-      const updatedJob = await Job.findByIdAndUpdate(
-        req.params.id,
-        updateData,
-        { new: true, runValidators: true }
-      ).populate('postedBy', 'firstName lastName company');
+      const updatedJob = await job.populate('postedBy', 'firstName lastName company');
+      vectorIndex.upsertJob(updatedJob);
+
+      if (updatedJob.status === 'closed' && previousStatus !== 'closed') {
+        await notifyJobClosed(updatedJob, 'closed');
+      }
 
       res.json({
-        message: 'Job updated successfully',
+        message: held ? 'Job updated and sent for review' : 'Job updated successfully',
         job: {
           id: updatedJob._id,
           title: updatedJob.title,
@@ -335,6 +434,7 @@
           location: updatedJob.location,
           jobType: updatedJob.jobType,
           status: updatedJob.status,
+          moderation: { state: updatedJob.moderation.state, flags: updatedJob.moderation.flags },
           updatedAt: updatedJob.updatedAt
         }
       });
@@ -358,12 +458,13 @@
         return res.status(404).json({ message: 'Job not found' });
       }
 
-      // Check if user owns the job or is admin
-      if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      if (!policy.can(req.user, 'jobs:delete', job)) {
         return res.status(403).json({ message: 'Not authorized to delete this job' });
       }
 
+      await notifyJobClosed(job, 'deleted');
       await Job.findByIdAndDelete(req.params.id);
+      vectorIndex.removeJob(req.params.id);
 
       res.json({ message: 'Job deleted successfully' });
     } catch (error) {
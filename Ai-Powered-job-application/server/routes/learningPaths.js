@@ -0,0 +1,206 @@
+const express = require('express');
+const LearningPath = require('../models/LearningPath');
+const learningPaths = require('../services/learningPaths');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const VIDEO_FIELDS = 'title description youtubeUrl thumbnail duration difficulty instructor skills';
+
+const formatPath = (path, { includeSteps = true } = {}) => ({
+  id: path._id,
+  title: path.title,
+  job: path.job?.title
+    ? { id: path.job._id, title: path.job.title, company: path.job.company?.name }
+    : path.job,
+  skillGaps: path.skillGaps,
+  steps: includeSteps
+    ? path.steps.map(step => ({
+      id: step._id,
+      video: step.video,
+      skills: step.skills,
+      difficulty: step.difficulty,
+      durationMinutes: step.durationMinutes,
+      completed: step.completed,
+      completedAt: step.completedAt
+    }))
+    : undefined,
+  totalSteps: path.steps.length,
+  completedSteps: path.steps.filter(step => step.completed).length,
+  totalDurationMinutes: path.totalDurationMinutes,
+  remainingMinutes: path.remainingMinutes,
+  progress: path.progress,
+  status: path.status,
+  completedAt: path.completedAt,
+  createdAt: path.createdAt,
+  updatedAt: path.updatedAt
+});
+
+// @route   POST /api/learning-paths
+// @desc    Build a learning path for a target job (jobId) or for all of the user's skill gaps
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const path = await learningPaths.buildLearningPath(req.user._id, { jobId: req.body.jobId });
+    if (!path) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (path.skillGaps.length === 0) {
+      return res.status(422).json({
+        message: req.body.jobId
+          ? 'Your resume already covers the skills this job asks for'
+          : 'No skill gaps found yet. Generate job matches first.'
+      });
+    }
+    if (path.steps.length === 0) {
+      return res.status(422).json({
+        message: 'The video library has nothing for these skills yet',
+        skillGaps: path.skillGaps
+      });
+    }
+
+    await path.save();
+    await path.populate([
+      { path: 'steps.video', select: VIDEO_FIELDS },
+      { path: 'job', select: 'title company.name' }
+    ]);
+
+    res.status(201).json({
+      message: 'Learning path created',
+      path: formatPath(path)
+    });
+  } catch (error) {
+    console.error('Create learning path error:', error);
+    res.status(500).json({
+      message: 'Failed to create learning path',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/learning-paths
+// @desc    List the user's learning paths (archived ones only with status=archived)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { user: req.user._id };
+    query.status = status && status !== 'all' ? status : { $ne: 'archived' };
+
+    const paths = await LearningPath.find(query)
+      .populate('job', 'title company.name')
+      .sort({ updatedAt: -1 });
+
+    res.json({ paths: paths.map(path => formatPath(path, { includeSteps: false })) });
+  } catch (error) {
+    console.error('Get learning paths error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch learning paths',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/learning-paths/:id
+// @desc    Get a learning path with its videos
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const path = await LearningPath.findOne({ _id: req.params.id, user: req.user._id })
+      .populate('steps.video', VIDEO_FIELDS)
+      .populate('job', 'title company.name');
+
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    res.json({ path: formatPath(path) });
+  } catch (error) {
+    console.error('Get learning path error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch learning path',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/learning-paths/:id/steps/:stepId
+// @desc    Mark a step as completed or not
+// @access  Private
+router.put('/:id/steps/:stepId', auth, async (req, res) => {
+  try {
+    const path = await LearningPath.findOne({ _id: req.params.id, user: req.user._id });
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    const step = path.steps.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({ message: 'Step not found' });
+    }
+
+    const completed = req.body.completed !== false;
+    path.setStepCompleted(step, completed);
+    await path.save();
+
+    res.json({
+      message: completed ? 'Step completed' : 'Step marked as not completed',
+      progress: path.progress,
+      remainingMinutes: path.remainingMinutes,
+      status: path.status
+    });
+  } catch (error) {
+    console.error('Update learning path step error:', error);
+    res.status(500).json({
+      message: 'Failed to update learning path',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/learning-paths/:id/archive
+// @desc    Archive or restore a learning path
+// @access  Private
+router.put('/:id/archive', auth, async (req, res) => {
+  try {
+    const path = await LearningPath.findOne({ _id: req.params.id, user: req.user._id });
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    const archived = req.body.archived !== false;
+    path.status = archived ? 'archived' : (path.steps.every(step => step.completed) ? 'completed' : 'active');
+    await path.save();
+
+    res.json({ message: archived ? 'Learning path archived' : 'Learning path restored', status: path.status });
+  } catch (error) {
+    console.error('Archive learning path error:', error);
+    res.status(500).json({
+      message: 'Failed to update learning path',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/learning-paths/:id
+// @desc    Delete a learning path
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const result = await LearningPath.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    res.json({ message: 'Learning path deleted' });
+  } catch (error) {
+    console.error('Delete learning path error:', error);
+    res.status(500).json({
+      message: 'Failed to delete learning path',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
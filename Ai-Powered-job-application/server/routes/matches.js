@@ -1,10 +1,18 @@
 const express = require('express');
 const Match = require('../models/Match');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
 const aiMatching = require('../services/aiMatching');
-const { auth } = require('../middleware/auth');
+const taskQueue = require('../services/taskHandlers');
+const applicationWorkflow = require('../services/applicationWorkflow');
+const jobTeam = require('../services/jobTeam');
+const { auth, permit } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Statuses a job seeker can set on a match they have not applied to
+const MATCH_STATUSES = ['new', 'viewed', 'shortlisted'];
+
 // @route   GET /api/matches/my-matches
 // @desc    Get job matches for current user
 // @access  Private
@@ -48,47 +56,27 @@ router.get('/my-matches', auth, async (req, res) => {
 });
 
 // @route   POST /api/matches/generate
-// @desc    Generate new job matches for user
+// @desc    Queue generation of new job matches for user (poll GET /api/tasks/:id)
 // @access  Private
 router.post('/generate', auth, async (req, res) => {
   try {
-    const { minScore = 30, limit = 20 } = req.body;
+    const { minScore, limit = 20 } = req.body;
 
-    // Find job matches using AI
-    const matches = await aiMatching.findJobMatches(req.user._id, {
-      minScore: parseInt(minScore),
+    const task = await taskQueue.enqueue('matches.generate', {
+      userId: req.user._id.toString(),
+      // Without one the service uses the matching.minScore setting
+      minScore: minScore !== undefined ? parseInt(minScore) : undefined,
       limit: parseInt(limit)
-    });
-
-    // Save matches to database
-    const savedMatches = [];
-    for (const match of matches) {
-      const savedMatch = await aiMatching.saveMatch(
-        req.user._id,
-        match.job._id,
-        match.resume._id,
-        { overallScore: match.matchScore },
-        match.breakdown,
-        match.insights
-      );
-      savedMatches.push(savedMatch);
-    }
+    }, { user: req.user._id });
 
-    res.json({
-      message: 'Job matches generated successfully',
-      matches: savedMatches.map(match => ({
-        id: match._id,
-        job: {
-          id: match.job._id,
-          title: match.job.title,
-          company: match.job.company,
-          location: match.job.location
-        },
-        matchScore: match.matchScore,
-        breakdown: match.breakdown,
-        aiInsights: match.aiInsights
-      })),
-      totalMatches: savedMatches.length
+    res.status(202).json({
+      message: 'Match generation started',
+      task: {
+        id: task._id,
+        type: task.type,
+        status: task.status,
+        progress: task.progress
+      }
     });
   } catch (error) {
     console.error('Generate matches error:', error);
@@ -145,20 +133,26 @@ router.put('/:id/status', auth, async (req, res) => {
   try {
     const { status, notes } = req.body;
 
-    const match = await Match.findOneAndUpdate(
-      { _id: req.params.id, user: req.user._id },
-      { 
-        status,
-        recruiterNotes: notes,
-        lastUpdated: new Date()
-      },
-      { new: true }
-    );
+    // Seekers triage their own matches; once applied, the status follows the application
+    if (!MATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${MATCH_STATUSES.join(', ')}` });
+    }
+
+    const match = await Match.findOne({ _id: req.params.id, user: req.user._id });
 
     if (!match) {
       return res.status(404).json({ message: 'Match not found' });
     }
 
+    if (applicationWorkflow.STAGES.includes(match.status)) {
+      return res.status(409).json({ message: 'This match has an application; its status follows the application' });
+    }
+
+    match.status = status;
+    match.recruiterNotes = notes;
+    match.lastUpdated = new Date();
+    await match.save();
+
     res.json({
       message: 'Match status updated successfully',
       match: {
@@ -253,4 +247,79 @@ router.get('/job/:jobId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/matches/job/:jobId/candidates
+// @desc    Rank the discoverable candidates' active resumes nearest to a job
+// @access  Private (Job owner, hiring team, or admin)
+router.get('/job/:jobId/candidates', auth, permit('applications:review'), async (req, res) => {
+  try {
+    const { skills, minExperience, location, minScore, page = 1, limit = 20 } = req.query;
+
+    const job = await Job.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (!jobTeam.can(job, req.user, 'view')) {
+      return res.status(403).json({ message: 'Not authorized to search candidates for this job' });
+    }
+
+    const candidates = await aiMatching.findCandidates(job, {
+      skills: skills ? skills.split(',').map(s => s.trim()).filter(Boolean) : [],
+      minExperience: minExperience ? parseFloat(minExperience) : undefined,
+      location: location?.trim(),
+      minScore: minScore ? parseInt(minScore) : undefined,
+      shortlist: page * limit
+    });
+
+    const start = (page - 1) * limit;
+    const pageCandidates = candidates.slice(start, start + parseInt(limit));
+
+    // Flag candidates who already applied so recruiters can jump to their application
+    const applications = await Application.find({
+      job: job._id,
+      applicant: { $in: pageCandidates.map(c => c.user._id) }
+    }).select('applicant status');
+    const applicationsByUser = new Map(applications.map(app => [app.applicant.toString(), app]));
+
+    res.json({
+      candidates: pageCandidates.map(({ user, resume, experienceYears, scores }) => {
+        const application = applicationsByUser.get(user._id.toString());
+        return {
+          user: {
+            id: user._id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+            profile: user.profile
+          },
+          resume: {
+            id: resume._id,
+            fileName: resume.fileName,
+            skills: resume.extractedData?.skills?.map(skill => skill.name) || [],
+            location: resume.extractedData?.personalInfo?.location || user.profile?.location,
+            summary: resume.extractedData?.summary
+          },
+          experienceYears,
+          matchScore: scores.overallScore,
+          scores,
+          application: application ? { id: application._id, status: application.status } : null
+        };
+      }),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(candidates.length / limit),
+        totalCandidates: candidates.length,
+        hasNext: page * limit < candidates.length,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Find candidates error:', error);
+    res.status(500).json({
+      message: 'Failed to find candidates',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 module.exports = router;
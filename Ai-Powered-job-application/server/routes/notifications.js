@@ -0,0 +1,186 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notifications = require('../services/notifications');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const formatNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  category: notification.category,
+  title: notification.title,
+  message: notification.message,
+  link: notification.link,
+  data: notification.data,
+  read: notification.read,
+  createdAt: notification.createdAt
+});
+
+const effectivePreferences = (user) => Object.fromEntries(
+  notifications.CATEGORIES.map(category => [category, notifications.channelsFor(user, category)])
+);
+
+// @route   GET /api/notifications
+// @desc    List the current user's notifications, newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+    const query = { user: req.user._id };
+    if (unread === 'true') query.read = false;
+
+    const [items, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .skip((page - 1) * pageSize),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user._id, read: false })
+    ]);
+
+    res.json({
+      notifications: items.map(formatNotification),
+      unreadCount,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications (polled by the navbar bell)
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, read: false });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Delivery channels per notification category
+// @access  Private
+router.get('/preferences', auth, (req, res) => {
+  res.json({ preferences: effectivePreferences(req.user) });
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update delivery channels, e.g. { matches: { email: true } }
+// @access  Private
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const updates = {};
+    for (const [category, channels] of Object.entries(req.body || {})) {
+      if (!notifications.CATEGORIES.includes(category)) {
+        return res.status(400).json({ message: `Unknown notification category "${category}"` });
+      }
+      for (const channel of ['inApp', 'email']) {
+        if (channels?.[channel] !== undefined) {
+          if (typeof channels[channel] !== 'boolean') {
+            return res.status(400).json({ message: `${category}.${channel} must be true or false` });
+          }
+          updates[`preferences.notifications.${category}.${channel}`] = channels[channel];
+        }
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true });
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: effectivePreferences(user)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      message: 'Failed to update notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      message: 'Failed to update notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ notification: formatNotification(notification) });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      message: 'Failed to update notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Dismiss a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const result = await Notification.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification dismissed' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      message: 'Failed to dismiss notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
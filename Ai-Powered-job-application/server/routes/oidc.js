@@ -0,0 +1,221 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const oidc = require('../services/oidc');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const { auth, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// State, nonce and PKCE verifier of the sign-in in progress travel in a signed, short-lived
+// cookie; lax so the browser sends it back on the provider's redirect
+const FLOW_COOKIE = 'oidcFlow';
+const FLOW_TTL_MS = 10 * 60 * 1000;
+
+const flowCookieOptions = () => ({
+  ...sessions.cookieOptions(),
+  sameSite: 'lax',
+  path: '/api/auth/oidc',
+  maxAge: FLOW_TTL_MS
+});
+
+// Send the browser back to the client app with the outcome
+const finish = (res, params) => {
+  const client = process.env.CLIENT_URL || 'http://localhost:3000';
+  res.redirect(`${client}/auth/callback?${new URLSearchParams(params).toString()}`);
+};
+
+const findByIdentity = (provider, subject) =>
+  User.findOne({ identities: { $elemMatch: { provider: provider.id, subject } } });
+
+const identityFor = (provider, claims) => ({
+  provider: provider.id,
+  subject: claims.sub,
+  email: claims.email
+});
+
+// @route   GET /api/auth/oidc/providers
+// @desc    List the configured sign-in providers
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({ providers: oidc.listProviders() });
+});
+
+// @route   POST /api/auth/oidc/:provider/start
+// @desc    Begin signing in (or, with link: true, connecting the current account); returns the provider URL
+// @access  Public (Private to link)
+router.post('/:provider/start', optionalAuth, async (req, res) => {
+  try {
+    const provider = oidc.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown sign-in provider' });
+    }
+
+    const link = Boolean(req.body.link);
+    if (link && !req.user) {
+      return res.status(401).json({ message: 'Sign in to connect another account' });
+    }
+
+    const flow = oidc.newFlow();
+    const url = await oidc.authorizationUrl(provider, flow);
+
+    const flowToken = jwt.sign(
+      { ...flow, provider: provider.id, userId: link ? req.user._id.toString() : undefined },
+      process.env.JWT_SECRET,
+      { expiresIn: Math.floor(FLOW_TTL_MS / 1000) }
+    );
+    res.cookie(FLOW_COOKIE, flowToken, flowCookieOptions());
+
+    res.json({ url });
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(502).json({
+      message: 'Sign-in provider is unavailable',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Provider redirect target: finish sign-in or account linking and return to the client
+// @access  Public (flow cookie)
+router.get('/:provider/callback', async (req, res) => {
+  const provider = oidc.getProvider(req.params.provider);
+  const flowToken = req.cookies?.[FLOW_COOKIE];
+  const { maxAge, ...clearOptions } = flowCookieOptions();
+  res.clearCookie(FLOW_COOKIE, clearOptions);
+
+  if (!provider) {
+    return finish(res, { status: 'error', message: 'Unknown sign-in provider' });
+  }
+  if (req.query.error) {
+    return finish(res, { status: 'error', message: req.query.error_description || `${provider.name} sign-in was cancelled` });
+  }
+
+  let flow = null;
+  try {
+    flow = jwt.verify(flowToken, process.env.JWT_SECRET);
+  } catch (error) {
+    flow = null;
+  }
+  if (!flow || flow.provider !== provider.id || flow.state !== req.query.state || !req.query.code) {
+    return finish(res, { status: 'error', message: 'This sign-in link has expired, please try again' });
+  }
+
+  try {
+    const claims = await oidc.complete(provider, flow, req.query.code);
+    const linkedUser = await findByIdentity(provider, claims.sub);
+
+    // Connecting a provider to the signed-in account
+    if (flow.userId) {
+      if (linkedUser && linkedUser._id.toString() !== flow.userId) {
+        return finish(res, { status: 'error', message: `That ${provider.name} account is already connected to another user` });
+      }
+
+      const user = await User.findById(flow.userId);
+      if (!user || !user.isActive) {
+        return finish(res, { status: 'error', message: 'Account is deactivated' });
+      }
+      if (!linkedUser) {
+        user.identities.push(identityFor(provider, claims));
+      }
+      const imported = oidc.importProfile(user, provider, claims);
+      await user.save();
+
+      return finish(res, { status: 'connected', provider: provider.name, imported: imported.join(',') });
+    }
+
+    let user = linkedUser;
+    let status = 'signed_in';
+
+    if (!user) {
+      const email = claims.email?.toLowerCase();
+      if (!email) {
+        return finish(res, { status: 'error', message: `${provider.name} did not share an email address` });
+      }
+
+      const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+      user = await User.findOne({ email });
+
+      if (user) {
+        // Only a provider that vouches for the address may take over an existing account
+        if (!emailVerified) {
+          return finish(res, {
+            status: 'error',
+            message: `An account with ${email} already exists. Sign in with your password and connect ${provider.name} from your profile.`
+          });
+        }
+        user.identities.push(identityFor(provider, claims));
+        user.emailVerified = true;
+        oidc.importProfile(user, provider, claims);
+        status = 'linked';
+      } else {
+        const details = oidc.profileFromClaims(provider, claims);
+        user = new User({
+          email,
+          firstName: details.firstName,
+          lastName: details.lastName,
+          profile: details.profile,
+          emailVerified,
+          identities: [identityFor(provider, claims)]
+        });
+        status = 'registered';
+      }
+    }
+
+    if (!user.isActive) {
+      return finish(res, { status: 'error', message: 'Account is deactivated' });
+    }
+
+    // The provider stands in for the password only; the second factor is still asked for
+    if (user.twoFactor.enabled) {
+      await user.save();
+      return finish(res, { status: 'two_factor', provider: provider.name, challenge: twoFactor.issueChallenge(user) });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    // The client picks the session up through its refresh cookie
+    await sessions.start(req, res, user);
+
+    finish(res, { status, provider: provider.name });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    finish(res, { status: 'error', message: `Could not sign in with ${provider.name}` });
+  }
+});
+
+// @route   DELETE /api/auth/oidc/identities/:provider
+// @desc    Disconnect a sign-in provider from the current account
+// @access  Private
+router.delete('/identities/:provider', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const identity = user.identities.find(entry => entry.provider === req.params.provider);
+    if (!identity) {
+      return res.status(404).json({ message: 'That provider is not connected' });
+    }
+
+    // Keep at least one way to sign in
+    if (!user.password && user.identities.length === 1) {
+      return res.status(400).json({
+        message: 'Set a password before disconnecting your only sign-in provider'
+      });
+    }
+
+    user.identities.pull(identity._id);
+    await user.save();
+
+    res.json({ message: 'Provider disconnected' });
+  } catch (error) {
+    console.error('OIDC unlink error:', error);
+    res.status(500).json({
+      message: 'Server error disconnecting provider',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
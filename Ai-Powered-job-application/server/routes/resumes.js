@@ -5,6 +5,9 @@ const fs = require('fs');
 const cloudinary = require('cloudinary').v2;
 const Resume = require('../models/Resume');
 const resumeParser = require('../services/resumeParser');
+const vectorIndex = require('../services/vectorIndex');
+const taskQueue = require('../services/taskHandlers');
+const settings = require('../services/settings');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -25,30 +28,28 @@ if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && proce
 const memoryStorage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(',') || [
-    'application/pdf',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-  ];
+  const allowedTypes = settings.get('resumes.allowedFileTypes');
   
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF and DOCX files are allowed.'), false);
+    cb(new Error(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`), false);
   }
 };
 
-const upload = multer({
+// Built per request so the size limit follows the resumes.maxFileSizeMb setting
+const uploadResume = (req, res, next) => multer({
   storage: memoryStorage,
   fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
+    fileSize: settings.get('resumes.maxFileSizeMb') * 1024 * 1024
   }
-});
+}).single('resume')(req, res, next);
 
 // @route   POST /api/resumes/upload
-// @desc    Upload and parse resume
+// @desc    Upload resume and queue it for parsing (poll GET /api/tasks/:id)
 // @access  Private
-router.post('/upload', auth, upload.single('resume'), async (req, res) => {
+router.post('/upload', auth, uploadResume, async (req, res) => {
   // Declare variables outside try block for cleanup in catch
   let cloudinaryUrl = null;
   let cloudinaryPublicId = null;
@@ -59,12 +60,6 @@ router.post('/upload', auth, upload.single('resume'), async (req, res) => {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    // Archive existing active resume
-    const existingResume = await Resume.findOne({ user: req.user._id, isActive: true });
-    if (existingResume) {
-      await existingResume.archive();
-    }
-
     // Get file buffer (from memory storage)
     const fileBuffer = req.file.buffer;
     const fileName = req.file.originalname;
@@ -94,11 +89,12 @@ router.post('/upload', auth, upload.single('resume'), async (req, res) => {
         cloudinaryPublicId = uploadResult.public_id;
       } catch (cloudinaryError) {
         console.error('Cloudinary upload error:', cloudinaryError);
-        // Continue without Cloudinary - file will be processed from buffer
-        // In production, you might want to fail here or use fallback storage
+        // Continue without Cloudinary - file will be kept in local storage for the worker
       }
-    } else {
-      // Fallback: Save to local storage if Cloudinary is not configured
+    }
+
+    if (!cloudinaryUrl) {
+      // Fallback: Save to local storage if Cloudinary is not configured or failed
       const uploadsDir = path.join(__dirname, '../uploads/resumes');
       if (!fs.existsSync(uploadsDir)) {
         fs.mkdirSync(uploadsDir, { recursive: true });
@@ -109,42 +105,25 @@ router.post('/upload', auth, upload.single('resume'), async (req, res) => {
       fs.writeFileSync(localFilePath, fileBuffer);
     }
 
-    // Parse the uploaded resume from buffer
-    const parseResult = await resumeParser.parseResume(fileBuffer, mimeType);
-
-    // Create new resume record
-    const resume = new Resume({
-      user: req.user._id,
+    // Parsing, embeddings and AI analysis run in the background worker
+    const task = await taskQueue.enqueue('resume.parse', {
+      userId: req.user._id.toString(),
       fileName: cloudinaryPublicId || fileName || `resume-${Date.now()}`,
       originalName: fileName,
-      filePath: localFilePath || cloudinaryUrl || '', // Optional: can be Cloudinary URL or local path
-      cloudinaryUrl: cloudinaryUrl,
-      cloudinaryPublicId: cloudinaryPublicId,
-      fileSize: fileSize,
-      mimeType: mimeType,
-      parsedText: parseResult.parsedText,
-      extractedData: parseResult.extractedData,
-      embedding: parseResult.embedding,
-      skillsEmbedding: parseResult.skillsEmbedding,
-      aiAnalysis: {
-        ...parseResult.aiAnalysis,
-        lastAnalyzed: new Date()
-      }
-    });
-
-    await resume.save();
-
-    res.status(201).json({
-      message: 'Resume uploaded and parsed successfully',
-      resume: {
-        id: resume._id,
-        fileName: resume.fileName,
-        originalName: resume.originalName,
-        cloudinaryUrl: resume.cloudinaryUrl,
-        fileSize: resume.fileSize,
-        extractedData: resume.extractedData,
-        aiAnalysis: resume.aiAnalysis,
-        createdAt: resume.createdAt
+      filePath: localFilePath,
+      cloudinaryUrl,
+      cloudinaryPublicId,
+      fileSize,
+      mimeType
+    }, { user: req.user._id });
+
+    res.status(202).json({
+      message: 'Resume uploaded. Parsing in progress.',
+      task: {
+        id: task._id,
+        type: task.type,
+        status: task.status,
+        progress: task.progress
       }
     });
   } catch (error) {
@@ -169,7 +148,7 @@ router.post('/upload', auth, upload.single('resume'), async (req, res) => {
     }
 
     res.status(500).json({
-      message: 'Failed to upload and parse resume',
+      message: 'Failed to upload resume',
       error: process.env.NODE_ENV === 'development' ? error.message : {}
     });
   }
@@ -268,6 +247,8 @@ router.put('/:id/activate', auth, async (req, res) => {
       return res.status(404).json({ message: 'Resume not found' });
     }
 
+    await vectorIndex.sync('resumes', { user: req.user._id });
+
     res.json({
       message: 'Resume activated successfully',
       resume: {
@@ -304,6 +285,7 @@ router.delete('/:id', auth, async (req, res) => {
 
     // Delete resume record
     await Resume.findByIdAndDelete(id);
+    vectorIndex.removeResume(id);
 
     res.json({ message: 'Resume deleted successfully' });
   } catch (error) {
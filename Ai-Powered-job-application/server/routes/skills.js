@@ -0,0 +1,223 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Skill = require('../models/Skill');
+const skillTaxonomy = require('../services/skillTaxonomy');
+const { auth, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Check that none of `terms` already names or aliases a different skill
+function findConflicts(terms, slug) {
+  return terms
+    .map(term => ({ term, skill: skillTaxonomy.resolve(term) }))
+    .filter(({ term, skill }) =>
+      skill && skill.slug !== slug &&
+      [skill.slug, skill.name, ...skill.aliases].some(existing => skillTaxonomy.normalizeKey(existing) === skillTaxonomy.normalizeKey(term))
+    )
+    .map(({ term, skill }) => `"${term}" already belongs to ${skill.name}`);
+}
+
+// Resolve a parent slug to its id, refusing unknown parents and cycles
+async function resolveParent(parentSlug, slug) {
+  if (!parentSlug) return { parent: null };
+
+  const parent = await Skill.findOne({ slug: parentSlug.toLowerCase() });
+  if (!parent) {
+    return { error: `Parent skill "${parentSlug}" not found` };
+  }
+  if (parent.slug === slug || (slug && skillTaxonomy.ancestors(parent.slug).includes(slug))) {
+    return { error: 'A skill cannot be its own ancestor' };
+  }
+  return { parent: parent._id };
+}
+
+const normalizeAliases = (aliases = []) =>
+  [...new Set(aliases.map(alias => skillTaxonomy.normalizeKey(alias)).filter(Boolean))];
+
+// @route   GET /api/skills
+// @desc    Search the skill taxonomy (autocomplete)
+// @access  Public
+router.get('/', (req, res) => {
+  const { search = '', category, limit = 20 } = req.query;
+
+  res.json({
+    skills: skillTaxonomy.search(search, { category, limit: Math.min(parseInt(limit) || 20, 200) })
+  });
+});
+
+// @route   GET /api/skills/resolve
+// @desc    Map free-text skill names to canonical skills
+// @access  Public
+router.get('/resolve', (req, res) => {
+  const names = (req.query.names || '').split(',').map(name => name.trim()).filter(Boolean);
+
+  res.json({
+    results: names.map(name => {
+      const skill = skillTaxonomy.resolve(name);
+      return { input: name, skill: skill ? skillTaxonomy.describe(skill) : null };
+    })
+  });
+});
+
+// @route   GET /api/skills/:slug
+// @desc    Get a skill with its parent and children
+// @access  Public
+router.get('/:slug', (req, res) => {
+  const skill = skillTaxonomy.get(req.params.slug.toLowerCase());
+  if (!skill) {
+    return res.status(404).json({ message: 'Skill not found' });
+  }
+
+  res.json({
+    skill: {
+      ...skillTaxonomy.describe(skill),
+      ancestors: skillTaxonomy.ancestors(skill.slug).map(slug => ({ slug, name: skillTaxonomy.get(slug).name }))
+    }
+  });
+});
+
+// @route   POST /api/skills
+// @desc    Add a skill to the taxonomy
+// @access  Private (skills:manage)
+router.post('/',
+  auth,
+  permit('skills:manage'),
+  body('slug').trim().matches(/^[a-z0-9][a-z0-9+#.-]*$/i).withMessage('Slug may only contain letters, digits, +, #, . and -'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('aliases').optional().isArray().withMessage('Aliases must be a list'),
+  body('parent').optional({ nullable: true }).isString(),
+  body('category').optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const slug = req.body.slug.toLowerCase();
+      if (await Skill.exists({ slug })) {
+        return res.status(409).json({ message: 'A skill with this slug already exists' });
+      }
+
+      const aliases = normalizeAliases(req.body.aliases);
+      const conflicts = findConflicts([slug, req.body.name, ...aliases], slug);
+      if (conflicts.length > 0) {
+        return res.status(409).json({ message: 'Skill names must be unique', conflicts });
+      }
+
+      const { parent, error } = await resolveParent(req.body.parent, slug);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const skill = new Skill({
+        slug,
+        name: req.body.name,
+        aliases,
+        parent,
+        category: req.body.category || '',
+        updatedBy: req.user._id
+      });
+      await skill.save();
+      await skillTaxonomy.reload();
+
+      res.status(201).json({
+        message: 'Skill created successfully',
+        skill: skillTaxonomy.describe(skillTaxonomy.get(slug))
+      });
+    } catch (error) {
+      console.error('Create skill error:', error);
+      res.status(500).json({
+        message: 'Failed to create skill',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   PUT /api/skills/:slug
+// @desc    Update a skill's name, aliases, parent or category
+// @access  Private (skills:manage)
+router.put('/:slug',
+  auth,
+  permit('skills:manage'),
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('aliases').optional().isArray().withMessage('Aliases must be a list'),
+  body('parent').optional({ nullable: true }).isString(),
+  body('category').optional().isString(),
+  body('isActive').optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const skill = await Skill.findOne({ slug: req.params.slug.toLowerCase() });
+      if (!skill) {
+        return res.status(404).json({ message: 'Skill not found' });
+      }
+
+      const aliases = req.body.aliases ? normalizeAliases(req.body.aliases) : skill.aliases;
+      const conflicts = findConflicts([req.body.name || skill.name, ...aliases], skill.slug);
+      if (conflicts.length > 0) {
+        return res.status(409).json({ message: 'Skill names must be unique', conflicts });
+      }
+
+      if (req.body.parent !== undefined) {
+        const { parent, error } = await resolveParent(req.body.parent, skill.slug);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        skill.parent = parent;
+      }
+
+      if (req.body.name) skill.name = req.body.name;
+      if (req.body.category !== undefined) skill.category = req.body.category;
+      if (req.body.isActive !== undefined) skill.isActive = req.body.isActive;
+      skill.aliases = aliases;
+      skill.updatedBy = req.user._id;
+
+      await skill.save();
+      await skillTaxonomy.reload();
+
+      const cached = skillTaxonomy.get(skill.slug);
+      res.json({
+        message: 'Skill updated successfully',
+        skill: cached ? skillTaxonomy.describe(cached) : { slug: skill.slug, name: skill.name, isActive: skill.isActive }
+      });
+    } catch (error) {
+      console.error('Update skill error:', error);
+      res.status(500).json({
+        message: 'Failed to update skill',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/skills/:slug
+// @desc    Remove a skill; its children move up to its parent
+// @access  Private (skills:manage)
+router.delete('/:slug', auth, permit('skills:manage'), async (req, res) => {
+  try {
+    const skill = await Skill.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found' });
+    }
+
+    await Skill.updateMany({ parent: skill._id }, { parent: skill.parent || null });
+    await skill.deleteOne();
+    await skillTaxonomy.reload();
+
+    res.json({ message: 'Skill deleted successfully' });
+  } catch (error) {
+    console.error('Delete skill error:', error);
+    res.status(500).json({
+      message: 'Failed to delete skill',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
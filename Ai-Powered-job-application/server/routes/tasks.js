@@ -0,0 +1,74 @@
+const express = require('express');
+const Task = require('../models/Task');
+const policy = require('../services/policy');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const formatTask = (task) => ({
+  id: task._id,
+  type: task.type,
+  status: task.status,
+  progress: task.progress,
+  result: task.result,
+  error: task.status === 'failed' ? task.error : undefined,
+  attempts: task.attempts,
+  maxAttempts: task.maxAttempts,
+  createdAt: task.createdAt,
+  startedAt: task.startedAt,
+  completedAt: task.completedAt
+});
+
+// @route   GET /api/tasks
+// @desc    Get current user's recent background tasks
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type, status, limit = 20 } = req.query;
+
+    const query = { user: req.user._id };
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const tasks = await Task.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      tasks: tasks.map(formatTask)
+    });
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch tasks',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   GET /api/tasks/:id
+// @desc    Get background task status
+// @access  Private (Task owner or admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!policy.can(req.user, 'tasks:view', task)) {
+      return res.status(403).json({ message: 'Not authorized to view this task' });
+    }
+
+    res.json({ task: formatTask(task) });
+  } catch (error) {
+    console.error('Get task error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch task',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const User = require('../models/User');
+const twoFactor = require('../services/twoFactor');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Check a code for a change to an enrolled account, answering for the failure cases;
+// resolves to the user when the code is good
+const confirmWithCode = async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRETS);
+  if (!user.twoFactor.enabled) {
+    res.status(400).json({ message: 'Two-factor authentication is not turned on' });
+    return null;
+  }
+
+  const method = await twoFactor.checkCode(user, req.body.code);
+
+  if (method === 'locked') {
+    res.status(429).json({ message: 'Too many incorrect codes. Try again later.' });
+    return null;
+  }
+  if (!method) {
+    res.status(400).json({ message: 'Invalid code' });
+    return null;
+  }
+  return user;
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status of the current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes role');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: twoFactor.recoveryCodesRemaining(user),
+      required: twoFactor.isRequiredFor(user)
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      message: 'Server error fetching two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment: a new secret with its otpauth URI and QR code (not active until verified)
+// @access  Private
+router.post('/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already turned on' });
+    }
+
+    const secret = twoFactor.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': twoFactor.encrypt(secret) });
+
+    res.json(await twoFactor.enrolment(req.user, secret));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Server error starting two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrolment with a code from the app; returns the recovery codes (shown once)
+// @access  Private
+router.post('/enable', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRETS);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already turned on' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start the setup first' });
+    }
+
+    const step = twoFactor.verifyCode(twoFactor.decrypt(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code. Check the time on your device and try again.' });
+    }
+
+    const { codes, stored } = twoFactor.generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = stored;
+    user.twoFactor.failedAttempts = 0;
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication is on',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      message: 'Server error enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (needs a current code); returns the new ones
+// @access  Private
+router.post('/recovery-codes', auth, async (req, res) => {
+  try {
+    const user = await confirmWithCode(req, res);
+    if (!user) return;
+
+    const { codes, stored } = twoFactor.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = stored;
+    await user.save();
+
+    res.json({ message: 'New recovery codes generated', recoveryCodes: codes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      message: 'Server error generating recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (needs a current or recovery code)
+// @access  Private
+router.post('/disable', auth, async (req, res) => {
+  try {
+    if (twoFactor.isRequiredFor(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const user = await confirmWithCode(req, res);
+    if (!user) return;
+
+    await twoFactor.reset(user._id);
+
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      message: 'Server error disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const vectorIndex = require('../services/vectorIndex');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const accountErasure = require('../services/accountErasure');
+const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -152,12 +156,22 @@ router.get('/dashboard', auth, async (req, res) => {
     // Get active resume
     const activeResume = await Resume.getLatestForUser(req.user._id);
 
-    // Get recommended jobs (simplified)
-    const recommendedJobs = await Job.find({ status: 'active' })
-      .populate('postedBy', 'firstName lastName company')
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select('-embedding');
+    // Get recommended jobs: nearest to the active resume, else the most recent
+    const hits = activeResume ? await vectorIndex.jobsForResume(activeResume, { k: 5 }) : [];
+    let recommendedJobs;
+    if (hits.length > 0) {
+      const jobs = await Job.find({ _id: { $in: hits.map(hit => hit.id) }, status: 'active' })
+        .populate('postedBy', 'firstName lastName company')
+        .select('-embedding');
+      const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+      recommendedJobs = hits.map(hit => jobsById.get(hit.id)).filter(Boolean);
+    } else {
+      recommendedJobs = await Job.find({ status: 'active' })
+        .populate('postedBy', 'firstName lastName company')
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .select('-embedding');
+    }
 
     // Get user stats
     const stats = {
@@ -214,33 +228,48 @@ router.get('/dashboard', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/users/account
-// @desc    Delete user account
+// @desc    Erase the account: personal data is deleted or anonymized and a deletion receipt returned
 // @access  Private
 router.delete('/account', auth, async (req, res) => {
   try {
-    const { password } = req.body;
+    const { password, confirmEmail, code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-    if (!password) {
-      return res.status(400).json({ message: 'Password is required to delete account' });
+    // Accounts without a password (provider sign-in only) confirm by typing their email
+    if (user.password) {
+      if (!password) {
+        return res.status(400).json({ message: 'Password is required to delete account' });
+      }
+      if (!await user.comparePassword(password)) {
+        return res.status(400).json({ message: 'Incorrect password' });
+      }
+    } else if (String(confirmEmail || '').trim().toLowerCase() !== user.email) {
+      return res.status(400).json({ message: 'Type your email address to confirm' });
     }
 
-    // Verify password
-    const user = await User.findById(req.user._id).select('+password');
-    const isMatch = await user.comparePassword(password);
-    
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Incorrect password' });
+    if (user.twoFactor.enabled) {
+      const method = await twoFactor.checkCode(user, code);
+      if (method === 'locked') {
+        return res.status(429).json({ message: 'Too many incorrect codes. Try again later.' });
+      }
+      if (!method) {
+        return res.status(400).json({ message: 'A valid two-factor code is required to delete account', code: 'TWO_FACTOR_REQUIRED' });
+      }
     }
 
-    // Delete user and related data
-    await User.findByIdAndDelete(req.user._id);
-    
-    // Note: In production, you might want to soft delete and clean up related data
-    // await Resume.deleteMany({ user: req.user._id });
-    // await Match.deleteMany({ user: req.user._id });
+    const receipt = await accountErasure.erase(user);
+    sessions.clearRefreshCookie(res);
 
-    res.json({ message: 'Account deleted successfully' });
+    res.json({
+      message: 'Account deleted successfully',
+      receipt: accountErasure.formatReceipt(receipt, { detailed: true })
+    });
   } catch (error) {
+    if (error instanceof accountErasure.ErasureError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Delete account error:', error);
     res.status(500).json({
       message: 'Failed to delete account',
@@ -249,4 +278,25 @@ router.delete('/account', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/erasure-receipts/:receiptId
+// @desc    Look up a deletion receipt (holds no personal data); record counts need ?signature=
+// @access  Public
+router.get('/erasure-receipts/:receiptId', async (req, res) => {
+  try {
+    const receipt = await accountErasure.findReceipt(req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    const detailed = accountErasure.verifyReceiptSignature(receipt.receiptId, req.query.signature);
+    res.json({ receipt: accountErasure.formatReceipt(receipt, { detailed }) });
+  } catch (error) {
+    console.error('Get erasure receipt error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+});
+
 module.exports = router;
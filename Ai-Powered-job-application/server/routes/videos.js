@@ -1,9 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const Video = require('../models/Video');
-const { auth } = require('../middleware/auth');
+const VideoProgress = require('../models/VideoProgress');
+const VideoRating = require('../models/VideoRating');
+const videoProgress = require('../services/videoProgress');
+const { auth, permit, optionalAuth } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 
+const formatProgress = (progress) => progress && ({
+  video: progress.video,
+  positionSeconds: progress.positionSeconds,
+  percentWatched: progress.percentWatched,
+  completed: progress.completed,
+  completedAt: progress.completedAt,
+  bookmarked: progress.bookmarked,
+  startedAt: progress.startedAt,
+  lastWatchedAt: progress.lastWatchedAt
+});
+
+// Reviewers are shown by first name and last initial
+const formatReview = (rating) => ({
+  id: rating._id,
+  rating: rating.rating,
+  text: rating.review?.text,
+  status: rating.review?.status,
+  user: rating.user?.firstName
+    ? { firstName: rating.user.firstName, lastInitial: rating.user.lastName?.charAt(0) }
+    : undefined,
+  createdAt: rating.createdAt,
+  updatedAt: rating.updatedAt
+});
+
+const formatMyRating = (rating) => rating && ({
+  video: rating.video,
+  rating: rating.rating,
+  review: rating.review?.text ? {
+    text: rating.review.text,
+    status: rating.review.status,
+    moderationNote: rating.review.status === 'rejected' ? rating.review.moderationNote : undefined
+  } : undefined
+});
+
 // @route   GET /api/videos
 // @desc    Get all videos with optional filtering
 // @access  Public
@@ -73,6 +110,45 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/videos/progress
+// @desc    Get the current user's watch history (status: in_progress, completed or bookmarked)
+// @access  Private
+router.get('/progress', auth, async (req, res) => {
+  try {
+    const { status, populate } = req.query;
+    const query = { user: req.user._id };
+
+    if (status === 'in_progress') {
+      query.startedAt = { $exists: true };
+      query.completed = false;
+    } else if (status === 'completed') {
+      query.completed = true;
+    } else if (status === 'bookmarked') {
+      query.bookmarked = true;
+    }
+
+    let records = VideoProgress.find(query).sort({ lastWatchedAt: -1, updatedAt: -1 });
+    // Without populate=false the videos come along for the history views
+    if (populate !== 'false') {
+      records = records.populate({
+        path: 'video',
+        match: { isActive: true },
+        populate: { path: 'addedBy', select: 'firstName lastName' }
+      });
+    }
+
+    const [progress, summary] = await Promise.all([records, videoProgress.getSummary(req.user._id)]);
+
+    res.json({
+      progress: progress.filter(record => record.video).map(formatProgress),
+      summary
+    });
+  } catch (error) {
+    console.error('Error fetching video progress:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/videos/:id
 // @desc    Get single video
 // @access  Public
@@ -97,9 +173,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/videos
 // @desc    Create new video (Admin only)
-// @access  Private (Admin)
+// @access  Private (videos:manage)
 router.post('/', 
   auth,
+  permit('videos:manage'),
   body('title').notEmpty().withMessage('Title is required'),
   body('description').notEmpty().withMessage('Description is required'),
   body('youtubeUrl').isURL().withMessage('Valid YouTube URL is required'),
@@ -114,11 +191,6 @@ router.post('/',
       return res.status(400).json({ errors: errors.array() });
     }
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -168,9 +240,10 @@ router.post('/',
 
 // @route   PUT /api/videos/:id
 // @desc    Update video (Admin only)
-// @access  Private (Admin)
+// @access  Private (videos:manage)
 router.put('/:id', 
   auth,
+  permit('videos:manage'),
   body('title').optional().notEmpty(),
   body('description').optional().notEmpty(),
   body('youtubeUrl').optional().isURL(),
@@ -184,11 +257,6 @@ router.put('/:id',
       return res.status(400).json({ errors: errors.array() });
     }
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -199,7 +267,8 @@ router.put('/:id',
       return res.status(404).json({ message: 'Video not found' });
     }
 
-    const updateData = { ...req.body };
+    // Ratings come from votes only
+    const { rating, ratingCount, ratingDistribution, ...updateData } = req.body;
 
     // Update thumbnail if YouTube URL changed
     if (updateData.youtubeUrl) {
@@ -233,20 +302,19 @@ router.put('/:id',
 
 // @route   DELETE /api/videos/:id
 // @desc    Delete video (Admin only)
-// @access  Private (Admin)
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (videos:manage)
+router.delete('/:id', auth, permit('videos:manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-
     const video = await Video.findById(req.params.id);
     if (!video) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
     await Video.findByIdAndDelete(req.params.id);
+    await Promise.all([
+      VideoProgress.deleteMany({ video: req.params.id }),
+      VideoRating.deleteMany({ video: req.params.id })
+    ]);
     res.json({ message: 'Video deleted successfully' });
   } catch (error) {
     console.error('Error deleting video:', error);
@@ -280,12 +348,145 @@ router.get('/skills/list', async (req, res) => {
   }
 });
 
+// @route   GET /api/videos/ratings/mine
+// @desc    Get the current user's ratings and reviews
+// @access  Private
+router.get('/ratings/mine', auth, async (req, res) => {
+  try {
+    const ratings = await VideoRating.find({ user: req.user._id }).lean();
+    res.json({ ratings: ratings.map(formatMyRating) });
+  } catch (error) {
+    console.error('Error fetching ratings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/videos/reviews/moderation
+// @desc    Get reviews awaiting moderation (status: pending, approved or rejected) (Admin only)
+// @access  Private (videos:moderate)
+router.get('/reviews/moderation', auth, permit('videos:moderate'), async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const query = { 'review.status': status };
+    const skip = (page - 1) * limit;
+
+    const [reviews, total] = await Promise.all([
+      VideoRating.find(query)
+        .populate('user', 'firstName lastName email')
+        .populate('video', 'title')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      VideoRating.countDocuments(query)
+    ]);
+
+    res.json({
+      reviews: reviews.map(rating => ({
+        ...formatReview(rating),
+        user: rating.user && {
+          id: rating.user._id,
+          name: `${rating.user.firstName} ${rating.user.lastName}`,
+          email: rating.user.email
+        },
+        video: rating.video && { id: rating.video._id, title: rating.video.title },
+        moderationNote: rating.review.moderationNote,
+        moderatedAt: rating.review.moderatedAt
+      })),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/videos/reviews/:id/moderate
+// @desc    Approve or reject a review (Admin only)
+// @access  Private (videos:moderate)
+router.put('/reviews/:id/moderate',
+  auth,
+  permit('videos:moderate'),
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('note').optional().isString().isLength({ max: 500 }),
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rating = await VideoRating.findOne({ _id: req.params.id, 'review.text': { $exists: true } });
+    if (!rating) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    rating.review.status = req.body.status;
+    rating.review.moderatedBy = req.user._id;
+    rating.review.moderatedAt = new Date();
+    rating.review.moderationNote = req.body.note;
+    await rating.save();
+
+    res.json({ message: `Review ${req.body.status}`, review: formatReview(rating) });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/videos/:id/ratings
+// @desc    Get a video's rating summary and approved reviews (plus the caller's own vote)
+// @access  Public
+router.get('/:id/ratings', optionalAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const video = await Video.findById(req.params.id).select('rating ratingCount ratingDistribution');
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const query = { video: video._id, 'review.status': 'approved' };
+    const skip = (page - 1) * limit;
+
+    const [reviews, total, myRating] = await Promise.all([
+      VideoRating.find(query)
+        .populate('user', 'firstName lastName')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      VideoRating.countDocuments(query),
+      req.user ? VideoRating.findOne({ video: video._id, user: req.user._id }) : null
+    ]);
+
+    res.json({
+      rating: video.rating,
+      ratingCount: video.ratingCount,
+      ratingDistribution: video.ratingDistribution,
+      reviews: reviews.map(formatReview),
+      myRating: formatMyRating(myRating),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching ratings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/videos/:id/rate
-// @desc    Rate a video
+// @desc    Rate a video (1-5 stars) with an optional review; rating again replaces your vote
 // @access  Private
 router.post('/:id/rate', 
   auth,
-  body('rating').isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+  body('review').optional().isString().isLength({ max: 2000 }).withMessage('Review must be at most 2000 characters'),
   async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -293,22 +494,144 @@ router.post('/:id/rate',
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const video = await Video.findById(req.params.id);
+    const video = await Video.findOne({ _id: req.params.id, isActive: true }).select('_id');
     if (!video) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
-    // Update rating (simple average for now)
-    const newRating = (video.rating + req.body.rating) / 2;
-    video.rating = Math.round(newRating * 10) / 10; // Round to 1 decimal place
+    let rating = await VideoRating.findOne({ user: req.user._id, video: video._id });
+    if (!rating) {
+      rating = new VideoRating({ user: req.user._id, video: video._id });
+    }
+    rating.rating = parseInt(req.body.rating);
+
+    // New or edited review text goes back into the moderation queue; an empty one removes it
+    if (req.body.review !== undefined) {
+      const text = req.body.review.trim();
+      if (!text) {
+        rating.review = undefined;
+      } else if (text !== rating.review?.text) {
+        rating.review = { text, status: 'pending' };
+      }
+    }
 
-    await video.save();
-    res.json({ message: 'Rating updated successfully', rating: video.rating });
+    try {
+      await rating.save();
+    } catch (error) {
+      // A parallel first vote from the same user won the race
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({ message: 'Your rating was already recorded. Please try again.' });
+    }
+
+    const stats = await VideoRating.refreshVideoStats(video._id);
+
+    res.json({
+      message: 'Rating saved',
+      ...stats,
+      myRating: formatMyRating(rating)
+    });
   } catch (error) {
     console.error('Error rating video:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   DELETE /api/videos/:id/rate
+// @desc    Remove your rating and review
+// @access  Private
+router.delete('/:id/rate', auth, async (req, res) => {
+  try {
+    const result = await VideoRating.deleteOne({ user: req.user._id, video: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const stats = await VideoRating.refreshVideoStats(req.params.id);
+    res.json({ message: 'Rating removed', ...stats });
+  } catch (error) {
+    console.error('Error removing rating:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/videos/:id/progress
+// @desc    Report playback progress; completed: true marks the video watched (without crediting its skills), false starts over
+// @access  Private
+router.put('/:id/progress',
+  auth,
+  body('positionSeconds').optional().isFloat({ min: 0 }).withMessage('Position must be a positive number'),
+  body('percentWatched').optional().isFloat({ min: 0, max: 100 }).withMessage('Percent watched must be between 0 and 100'),
+  body('completed').optional().isBoolean().withMessage('Completed must be true or false'),
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, isActive: true });
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const { progress, completedNow, creditedSkills } = await videoProgress.recordProgress(req.user._id, video, {
+      positionSeconds: req.body.positionSeconds,
+      percentWatched: req.body.percentWatched,
+      completed: req.body.completed
+    });
+
+    res.json({
+      progress: formatProgress(progress),
+      completedNow,
+      creditedSkills
+    });
+  } catch (error) {
+    console.error('Error updating video progress:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/videos/:id/bookmark
+// @desc    Bookmark or unbookmark a video
+// @access  Private
+router.put('/:id/bookmark', auth, async (req, res) => {
+  try {
+    const video = await Video.findOne({ _id: req.params.id, isActive: true }).select('_id');
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const bookmarked = req.body.bookmarked !== false;
+    const progress = await VideoProgress.findOneAndUpdate(
+      { user: req.user._id, video: video._id },
+      bookmarked
+        ? { $set: { bookmarked: true, bookmarkedAt: new Date() } }
+        : { $set: { bookmarked: false }, $unset: { bookmarkedAt: 1 } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: bookmarked ? 'Video bookmarked' : 'Bookmark removed',
+      progress: formatProgress(progress)
+    });
+  } catch (error) {
+    console.error('Error bookmarking video:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/videos/:id/progress
+// @desc    Remove a video from the current user's watch history
+// @access  Private
+router.delete('/:id/progress', auth, async (req, res) => {
+  try {
+    await VideoProgress.deleteOne({ user: req.user._id, video: req.params.id });
+    res.json({ message: 'Removed from history' });
+  } catch (error) {
+    console.error('Error removing video progress:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
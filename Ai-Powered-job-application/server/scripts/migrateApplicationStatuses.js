@@ -0,0 +1,24 @@
+// migrateApplicationStatuses.js
+// Rewrites application statuses stored before the stage workflow (pending, reviewed,
+// shortlisted) on applications and on jobs' applicant lists. The server also does this on
+// boot; run it with `npm run migrate:application-statuses` before deploying to have the
+// data migrated before the new code serves requests.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const applicationWorkflow = require('../services/applicationWorkflow');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  try {
+    await applicationWorkflow.migrateLegacyStatuses();
+    console.log('✅ Application statuses migrated');
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Application status migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+// mockOidcProvider.js
+// A minimal OpenID Connect provider for local development: `npm run mock-idp`, then set
+// OIDC_PROVIDERS=mock with the OIDC_MOCK_* values from env.example. The authorize page lets
+// you pick who to sign in as (email, name, whether the email counts as verified, profile URL).
+// Signing keys, codes and tokens live in memory and are gone on restart. tests/oidc.test.js
+// runs the sign-in flow against it.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT) || 4010;
+const ISSUER = process.env.OIDC_MOCK_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_MOCK_CLIENT_ID || 'ai-jobmatch-local';
+const CLIENT_SECRET = process.env.OIDC_MOCK_CLIENT_SECRET || 'local-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const subjectFor = (email) => crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+  if (clientId !== CLIENT_ID || !redirectUri || responseType !== 'code') {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escape(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html><head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+  <h2>Mock IdP sign-in</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required value="jane.doe@example.com" style="width: 100%"></label></p>
+    <p><label>Name<br><input name="name" value="Jane Doe" style="width: 100%"></label></p>
+    <p><label>Profile URL<br><input name="profile" value="https://github.com/janedoe" style="width: 100%"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email is verified</label></p>
+    <p><button type="submit" name="decision" value="allow">Sign in</button>
+       <button type="submit" name="decision" value="deny">Cancel</button></p>
+  </form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.body;
+  if (req.body.client_id !== CLIENT_ID || !redirectUri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const target = new URL(redirectUri);
+  if (state) target.searchParams.set('state', state);
+
+  if (req.body.decision !== 'allow') {
+    target.searchParams.set('error', 'access_denied');
+    target.searchParams.set('error_description', 'Sign-in was cancelled');
+    return res.redirect(target.toString());
+  }
+
+  const [givenName, ...familyName] = (req.body.name || '').trim().split(/\s+/);
+  const code = base64url(crypto.randomBytes(24));
+  codes.set(code, {
+    redirectUri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: subjectFor(req.body.email),
+      email: req.body.email,
+      email_verified: req.body.email_verified === 'on',
+      name: req.body.name,
+      given_name: givenName || undefined,
+      family_name: familyName.join(' ') || undefined,
+      profile: req.body.profile || undefined
+    }
+  });
+
+  target.searchParams.set('code', code);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const basic = (req.get('authorization') || '').match(/^Basic (.+)$/);
+  const [clientId, clientSecret] = basic
+    ? Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent)
+    : [req.body.client_id, req.body.client_secret];
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+    grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+  if (grant.codeChallenge && challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = base64url(crypto.randomBytes(24));
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    id_token: jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    })
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const claims = accessTokens.get((req.get('authorization') || '').replace('Bearer ', ''));
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Mock OIDC provider at ${ISSUER} (client id ${CLIENT_ID})`);
+  });
+}
+
+// Tests mount the app on the port OIDC_MOCK_ISSUER names
+module.exports = app;
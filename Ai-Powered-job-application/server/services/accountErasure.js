@@ -0,0 +1,448 @@
+// accountErasure.js
+// GDPR-style erasure of an account. What only concerns the user (resumes and their files,
+// matches, sessions, notifications, learning progress) is deleted. Records other people rely
+// on are kept but stripped of personal data: applications and interviews stay in recruiters'
+// pipelines so their counts and funnels don't change, star ratings keep counting towards the
+// video averages. The user document itself becomes an anonymized placeholder with the same id,
+// so those records still resolve (as "Deleted user") and nobody can sign in to it.
+//
+// Every erasure leaves an ErasureReceipt listing what was done, which is also emailed to the
+// address being erased. Stored files that can't be removed right away are handed to the
+// files.purge task, which retries them.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Resume = require('../models/Resume');
+const Match = require('../models/Match');
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const Job = require('../models/Job');
+const JobActivity = require('../models/JobActivity');
+const Company = require('../models/Company');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const AccountToken = require('../models/AccountToken');
+const Task = require('../models/Task');
+const LearningPath = require('../models/LearningPath');
+const VideoProgress = require('../models/VideoProgress');
+const VideoRating = require('../models/VideoRating');
+const ErasureReceipt = require('../models/ErasureReceipt');
+const companies = require('./companies');
+const notifications = require('./notifications');
+const vectorIndex = require('./vectorIndex');
+const taskQueue = require('./taskQueue');
+const mail = require('./mail');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads/resumes');
+const OPEN_JOB_STATUSES = ['active', 'paused', 'draft', 'pending_review'];
+
+class ErasureError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'ErasureError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Keyed so the hash can't be reversed by hashing a list of known addresses
+const hashEmail = (email) => crypto.createHmac('sha256', `erasure:${process.env.JWT_SECRET}`)
+  .update(String(email).trim().toLowerCase())
+  .digest('hex');
+
+const isCloudinaryUrl = (value) => /^https?:\/\//.test(value || '');
+
+// Why the account can't be erased yet, or null. Mirrors the rules for demoting admins and
+// for owners leaving a company.
+async function blockerFor(user) {
+  if (user.role === 'admin' && user.isActive) {
+    const admins = await User.countDocuments({ role: 'admin', isActive: true });
+    if (admins <= 1) return 'The last active admin cannot delete their account';
+  }
+
+  const company = await Company.findForUser(user._id);
+  if (company && company.memberRole(user._id) === 'owner' && company.members.length > 1) {
+    const owners = company.members.filter(member => member.role === 'owner').length;
+    if (owners <= 1) {
+      return `Transfer ownership of ${company.name} to another member before deleting your account`;
+    }
+  }
+  return null;
+}
+
+// Remove stored resume files; returns the ones that are still there
+async function purgeFiles({ localFiles = [], cloudinaryIds = [] }) {
+  const remaining = { localFiles: [], cloudinaryIds: [] };
+  let deleted = 0;
+
+  for (const filePath of localFiles) {
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        deleted++;
+      }
+    } catch (error) {
+      console.error('Erasure file delete error:', error.message);
+      remaining.localFiles.push(filePath);
+    }
+  }
+
+  if (cloudinaryIds.length > 0) {
+    if (!process.env.CLOUDINARY_CLOUD_NAME) {
+      // Nothing can reach them from here, so retrying would only fail until the task gives up
+      console.warn(`Erasure skipped ${cloudinaryIds.length} Cloudinary file(s): Cloudinary is not configured`);
+    } else {
+      const cloudinary = require('cloudinary').v2;
+      for (const publicId of cloudinaryIds) {
+        try {
+          const result = await cloudinary.uploader.destroy(publicId, { resource_type: 'raw' });
+          // "not found" means it is already gone
+          if (result.result !== 'ok' && result.result !== 'not found') {
+            throw new Error(`Cloudinary answered ${result.result}`);
+          }
+          deleted++;
+        } catch (error) {
+          console.error('Erasure Cloudinary delete error:', error.message);
+          remaining.cloudinaryIds.push(publicId);
+        }
+      }
+    }
+  }
+
+  return { deleted, remaining };
+}
+
+// Every stored upload of the user: resumes and their earlier versions, uploads still waiting
+// in the task queue, and stray local files named after the user
+async function storedFilesOf(userId, resumes) {
+  const localFiles = new Set();
+  const cloudinaryIds = new Set();
+
+  for (const resume of resumes) {
+    if (resume.cloudinaryPublicId) {
+      cloudinaryIds.add(resume.cloudinaryPublicId);
+    } else if (isCloudinaryUrl(resume.filePath)) {
+      // Older records only kept the public id as the file name
+      cloudinaryIds.add(resume.fileName);
+    } else if (resume.filePath) {
+      localFiles.add(resume.filePath);
+    }
+    for (const version of resume.previousVersions || []) {
+      if (version.filePath && !isCloudinaryUrl(version.filePath)) localFiles.add(version.filePath);
+    }
+  }
+
+  const tasks = await Task.find({ user: userId, type: 'resume.parse' }).select('payload').lean();
+  for (const { payload } of tasks) {
+    if (payload?.filePath) localFiles.add(payload.filePath);
+    if (payload?.cloudinaryPublicId) cloudinaryIds.add(payload.cloudinaryPublicId);
+  }
+
+  if (fs.existsSync(UPLOADS_DIR)) {
+    const prefix = `resume-${userId}-`;
+    for (const name of fs.readdirSync(UPLOADS_DIR)) {
+      if (name.startsWith(prefix)) localFiles.add(path.join(UPLOADS_DIR, name));
+    }
+  }
+
+  return { localFiles: [...localFiles], cloudinaryIds: [...cloudinaryIds] };
+}
+
+// Cancel the user's upcoming interviews so nobody waits for them, and tell the other side
+async function cancelInterviews(user) {
+  const interviews = await Interview.find({
+    $or: [{ candidate: user._id }, { recruiter: user._id }],
+    status: 'scheduled',
+    start: { $gte: new Date() }
+  }).populate('job', 'title company.name');
+
+  for (const interview of interviews) {
+    interview.status = 'cancelled';
+    interview.sequence += 1;
+    interview.history.push({ action: 'cancelled', by: user._id, reason: 'Account deleted' });
+    await interview.save();
+
+    if (interview.slot) {
+      // A candidate's slot opens up again for others
+      const status = interview.candidate.equals(user._id) ? 'open' : 'cancelled';
+      await InterviewSlot.updateOne({ _id: interview.slot }, { status, $unset: { interview: 1 } });
+    }
+    await Application.updateOne({ _id: interview.application }, { $unset: { interviewScheduled: 1 } });
+
+    notifications.emit('interview.cancelled', { interview, job: interview.job, by: user, reason: 'Account deleted' });
+  }
+  return interviews.length;
+}
+
+// Leave (or, as its only member, delete) the user's company and every hiring team
+async function leaveCompanyAndTeams(user) {
+  const result = { companies: 0, teams: 0 };
+
+  const company = await Company.findForUser(user._id);
+  if (company) {
+    if (company.members.length === 1) {
+      await companies.detachJobs(company);
+      await company.deleteOne();
+    } else {
+      company.members = company.members.filter(member => !member.user.equals(user._id));
+      await company.save();
+    }
+    result.companies = 1;
+  }
+
+  const teams = await Job.updateMany({ 'team.user': user._id }, { $pull: { team: { user: user._id } } });
+  result.teams = teams.modifiedCount;
+  return result;
+}
+
+// Close the user's open postings; they stay for the recruiters' and admins' statistics
+async function closeJobs(user) {
+  const jobs = await Job.find({ postedBy: user._id, status: { $in: OPEN_JOB_STATUSES } }).select('title company status');
+
+  for (const job of jobs) {
+    const applicantIds = await Application.find({
+      job: job._id,
+      status: { $nin: ['hired', 'rejected', 'withdrawn'] }
+    }).distinct('applicant');
+    job.status = 'closed';
+    await job.save();
+    notifications.emit('job.closed', { job, applicantIds, reason: 'closed' });
+  }
+  return jobs.length;
+}
+
+// Strip what the user wrote or what was written about them from records that stay
+async function anonymizeApplications(user) {
+  const applications = await Application.find({ applicant: user._id });
+  for (const application of applications) {
+    application.coverLetter = undefined;
+    application.recruiterNotes = undefined;
+    application.interviewNotes = undefined;
+    application.comments = [];
+    for (const entry of application.statusHistory) entry.note = undefined;
+    await application.save();
+  }
+
+  if (applications.length === 0) return 0;
+
+  const ids = applications.map(application => application._id);
+
+  // The legacy per-job copy holds free-text notes too
+  await Job.updateMany(
+    { 'applications.user': user._id },
+    { $unset: { 'applications.$[entry].notes': 1 } },
+    { arrayFilters: [{ 'entry.user': user._id }] }
+  );
+  // Team discussion excerpts about the candidate
+  await JobActivity.updateMany(
+    { application: { $in: ids }, type: 'application.commented' },
+    { $unset: { 'data.excerpt': 1 } }
+  );
+  return applications.length;
+}
+
+async function anonymizeInterviews(user) {
+  const interviews = await Interview.find({ candidate: user._id });
+  for (const interview of interviews) {
+    for (const entry of interview.history) entry.reason = undefined;
+    await interview.save();
+  }
+
+  // Copies of the user's name and address on interviews and slots they help run
+  const asInterviewer = { 'interviewers.user': user._id };
+  const scrub = {
+    $set: { 'interviewers.$[entry].name': 'Deleted user' },
+    $unset: { 'interviewers.$[entry].email': 1 }
+  };
+  const options = { arrayFilters: [{ 'entry.user': user._id }] };
+  await Interview.updateMany(asInterviewer, scrub, options);
+  await InterviewSlot.updateMany(asInterviewer, scrub, options);
+
+  return interviews.length;
+}
+
+// Replace every personal field; the document keeps its id so other records still resolve
+async function anonymizeUser(user) {
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      email: `deleted-${user._id}@erased.invalid`,
+      firstName: 'Deleted',
+      lastName: 'user',
+      isActive: false,
+      erasedAt: new Date(),
+      skills: [],
+      identities: [],
+      'profile.discoverable': false,
+      'twoFactor.enabled': false
+    },
+    $unset: {
+      password: 1,
+      lastLogin: 1,
+      preferences: 1,
+      'profile.phone': 1,
+      'profile.location': 1,
+      'profile.bio': 1,
+      'profile.linkedin': 1,
+      'profile.github': 1,
+      'profile.website': 1,
+      'twoFactor.enabledAt': 1,
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.lockedUntil': 1
+    }
+  });
+}
+
+// Erase `user` (loaded, not yet anonymized). Resolves to the saved receipt.
+async function erase(user) {
+  const blocker = await blockerFor(user);
+  if (blocker) {
+    throw new ErasureError(blocker);
+  }
+
+  const requestedAt = new Date();
+  const email = user.email;
+  const firstName = user.firstName;
+  const records = [];
+  const note = (type, action, count) => {
+    if (count > 0) records.push({ type, action, count });
+  };
+
+  // Stop new activity first: no sessions, no pending resets or verifications
+  note('sessions', 'deleted', (await Session.deleteMany({ user: user._id })).deletedCount);
+  note('account tokens', 'deleted', (await AccountToken.deleteMany({ user: user._id })).deletedCount);
+
+  // Everyone's notifications about the user's applications and interviews carry their name.
+  // Cleared before the cancellations below send new ones.
+  const applicationIds = await Application.find({ applicant: user._id }).distinct('_id');
+  const interviewIds = await Interview.find({ candidate: user._id }).distinct('_id');
+  note('notifications', 'deleted', (await Notification.deleteMany({
+    $or: [
+      { user: user._id },
+      { 'data.applicationId': { $in: applicationIds.map(String) } },
+      { 'data.interviewId': { $in: interviewIds.map(String) } }
+    ]
+  })).deletedCount);
+
+  note('interviews', 'cancelled', await cancelInterviews(user));
+
+  const resumes = await Resume.find({ user: user._id }).select('filePath fileName cloudinaryPublicId previousVersions');
+  const files = await storedFilesOf(user._id.toString(), resumes);
+  for (const resume of resumes) vectorIndex.removeResume(resume._id);
+  note('resumes', 'deleted', (await Resume.deleteMany({ user: user._id })).deletedCount);
+  note('matches', 'deleted', (await Match.deleteMany({ user: user._id })).deletedCount);
+  note('background tasks', 'deleted', (await Task.deleteMany({ user: user._id })).deletedCount);
+
+  note('applications', 'anonymized', await anonymizeApplications(user));
+  note('interviews', 'anonymized', await anonymizeInterviews(user));
+
+  note('learning paths', 'deleted', (await LearningPath.deleteMany({ user: user._id })).deletedCount);
+  note('video progress', 'deleted', (await VideoProgress.deleteMany({ user: user._id })).deletedCount);
+  // Star ratings keep counting towards the video averages; the review text goes
+  note('video reviews', 'anonymized', (await VideoRating.updateMany(
+    { user: user._id, 'review.text': { $exists: true } },
+    { $unset: { review: 1 } }
+  )).modifiedCount);
+
+  note('jobs', 'closed', await closeJobs(user));
+  const membership = await leaveCompanyAndTeams(user);
+  note('company memberships', 'deleted', membership.companies);
+  note('hiring team memberships', 'deleted', membership.teams);
+
+  await anonymizeUser(user);
+  note('account', 'anonymized', 1);
+
+  const purge = await purgeFiles(files);
+  const pending = purge.remaining.localFiles.length + purge.remaining.cloudinaryIds.length;
+  if (pending > 0) {
+    await taskQueue.enqueue('files.purge', purge.remaining, { maxAttempts: 10 });
+  }
+
+  const receipt = await ErasureReceipt.create({
+    receiptId: crypto.randomBytes(16).toString('hex'),
+    user: user._id,
+    role: user.role,
+    emailHash: hashEmail(email),
+    status: pending > 0 ? 'completed_with_errors' : 'completed',
+    records,
+    files: { deleted: purge.deleted, pending },
+    requestedAt,
+    completedAt: new Date()
+  });
+
+  mail.send({
+    to: email,
+    subject: 'Your account has been deleted',
+    text: `Hi ${firstName},\n\nYour account and personal data have been erased. ` +
+      `Your deletion receipt is ${receipt.receiptId}:\n\n${describe(receipt)}\n\n` +
+      `You can look the receipt up again at ${receiptLink(receipt)}\n\n` +
+      'Applications and interviews you took part in are kept without your personal details, ' +
+      'so employers\' statistics stay accurate. This is the last email we will send to this address.'
+  }).catch(error => console.error('Erasure receipt email failed:', error.message));
+
+  return receipt;
+}
+
+// Plain-text summary of a receipt, one line per record type
+function describe(receipt) {
+  const lines = receipt.records.map(entry => `- ${entry.type}: ${entry.count} ${entry.action}`);
+  lines.push(`- stored files: ${receipt.files.deleted} deleted` +
+    (receipt.files.pending ? `, ${receipt.files.pending} queued for removal` : ''));
+  return lines.join('\n');
+}
+
+// Receipt ids are 32 random hex characters; anything else (an ObjectId, say) is never looked up
+const RECEIPT_ID = /^[a-f0-9]{32}$/;
+
+// Signature that unlocks the record counts of a receipt, handed out only to the erased user
+const receiptSignature = (receiptId) => crypto.createHmac('sha256', `erasure-receipt:${process.env.JWT_SECRET}`)
+  .update(receiptId)
+  .digest('hex');
+
+function verifyReceiptSignature(receiptId, signature) {
+  const expected = Buffer.from(receiptSignature(receiptId));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function receiptLink(receipt) {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/account-deleted/${receipt.receiptId}` +
+    `?signature=${receiptSignature(receipt.receiptId)}`;
+}
+
+// Public view of a receipt. The counts (how many applications, jobs, ...) could point at a
+// particular person, so they are only included with `detailed`, i.e. for the erased user
+// right after the deletion or with the signed link from the receipt email.
+function formatReceipt(receipt, { detailed = false } = {}) {
+  const formatted = {
+    receiptId: receipt.receiptId,
+    status: receipt.status,
+    records: receipt.records.map(({ type, action, count }) => (detailed ? { type, action, count } : { type, action })),
+    requestedAt: receipt.requestedAt,
+    completedAt: receipt.completedAt
+  };
+  if (detailed) {
+    formatted.files = { deleted: receipt.files.deleted, pending: receipt.files.pending };
+    formatted.signature = receiptSignature(receipt.receiptId);
+  }
+  return formatted;
+}
+
+async function findReceipt(receiptId) {
+  if (!RECEIPT_ID.test(String(receiptId))) return null;
+  return ErasureReceipt.findOne({ receiptId: String(receiptId) });
+}
+
+module.exports = {
+  ErasureError,
+  hashEmail,
+  blockerFor,
+  purgeFiles,
+  erase,
+  formatReceipt,
+  findReceipt,
+  verifyReceiptSignature
+};
@@ -0,0 +1,100 @@
+// accountTokens.js
+// Links sent by email to verify an address or reset a forgotten password. Each link
+// carries a random token; we keep only its SHA-256 hash, it expires (EMAIL_VERIFICATION_TTL_HOURS,
+// PASSWORD_RESET_TTL_MINUTES) and consume() marks it used, so a link works once. Issuing
+// a new link replaces any unused one for the same purpose.
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const mail = require('./mail');
+
+const PURPOSES = {
+  email_verification: {
+    ttlMs: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000,
+    path: '/verify-email'
+  },
+  password_reset: {
+    ttlMs: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000,
+    path: '/reset-password'
+  }
+};
+
+// Minimum gap between two emails of the same kind to one user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const linkFor = (purpose, token) =>
+  `${process.env.CLIENT_URL || 'http://localhost:3000'}${PURPOSES[purpose].path}?token=${token}`;
+
+// Create a token for `user` and return the raw value (only ever sent by email)
+async function issue(user, purpose) {
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: { $exists: false } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + PURPOSES[purpose].ttlMs)
+  });
+  return token;
+}
+
+// Use up a token; resolves to the token document (with .user) or null when it is
+// unknown, expired or already used
+function consume(token, purpose) {
+  if (!token) return Promise.resolve(null);
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+// Drop every outstanding token of this kind, e.g. once the password has been reset
+function revoke(user, purpose) {
+  return AccountToken.deleteMany({ user: user._id, purpose, usedAt: { $exists: false } });
+}
+
+async function recentlySent(user, purpose) {
+  return Boolean(await AccountToken.exists({
+    user: user._id,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) }
+  }));
+}
+
+async function sendVerification(user) {
+  const token = await issue(user, 'email_verification');
+  const hours = Math.round(PURPOSES.email_verification.ttlMs / (60 * 60 * 1000));
+  await mail.send({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link:\n\n` +
+      `${linkFor('email_verification', token)}\n\nThe link is valid for ${hours} hours. ` +
+      'If you did not create an account, you can ignore this email.'
+  });
+}
+
+async function sendPasswordReset(user) {
+  const token = await issue(user, 'password_reset');
+  const minutes = Math.round(PURPOSES.password_reset.ttlMs / (60 * 1000));
+  await mail.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\nSomeone asked to reset the password for your account. ` +
+      `To choose a new one, open this link:\n\n${linkFor('password_reset', token)}\n\n` +
+      `The link is valid for ${minutes} minutes and can be used once. ` +
+      'If you did not ask for this, you can ignore this email; your password stays the same.'
+  });
+}
+
+module.exports = {
+  RESEND_COOLDOWN_MS,
+  issue,
+  consume,
+  revoke,
+  recentlySent,
+  sendVerification,
+  sendPasswordReset
+};
@@ -1,46 +1,32 @@
 // AIMatchingService.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Match = require('../models/Match');
 const Job = require('../models/Job');
 const Resume = require('../models/Resume');
-require('dotenv').config();
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-// Get model from environment or use default (gemini-pro is more widely available)
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-pro';
-// Embedding model - use text-embedding-004 for better quality
-const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-004';
-
-// Helper function to clean and parse JSON from AI responses
-function parseAIJsonResponse(text) {
-  try {
-    // Remove markdown code fences (```json and ```)
-    let cleaned = text.replace(/```json|```/g, '').trim();
-    
-    // Find JSON object boundaries
-    const jsonStart = cleaned.indexOf('{');
-    const jsonEnd = cleaned.lastIndexOf('}');
-    
-    if (jsonStart === -1 || jsonEnd === -1 || jsonEnd < jsonStart) {
-      // If no JSON object found, try to find JSON array
-      const arrayStart = cleaned.indexOf('[');
-      const arrayEnd = cleaned.lastIndexOf(']');
-      
-      if (arrayStart !== -1 && arrayEnd !== -1 && arrayEnd > arrayStart) {
-        cleaned = cleaned.substring(arrayStart, arrayEnd + 1);
-      } else {
-        throw new Error('No valid JSON found in AI response');
-      }
-    } else {
-      cleaned = cleaned.substring(jsonStart, jsonEnd + 1);
-    }
-    
-    return JSON.parse(cleaned);
-  } catch (error) {
-    console.error('JSON parsing error:', error);
-    console.error('Raw response text:', text.substring(0, 500)); // Log first 500 chars to avoid huge logs
-    throw error;
-  }
+const User = require('../models/User');
+const llm = require('./llm');
+const vectorIndex = require('./vectorIndex');
+const skillTaxonomy = require('./skillTaxonomy');
+const experienceDates = require('./experienceDates');
+const settings = require('./settings');
+
+// Relative weight of each factor when a job has no scoring configuration
+const DEFAULT_SCORING_WEIGHTS = { skills: 40, experience: 30, education: 20, location: 10 };
+const DEFAULT_MISSING_REQUIRED_PENALTY = 15;
+
+// How much a listed skill counts towards the skills score, by requirement level
+const SKILL_LEVEL_FACTORS = { required: 1, preferred: 0.6, 'nice-to-have': 0.3 };
+
+// Candidate discovery only scores the resumes nearest to the job in the vector index: at
+// least CANDIDATE_SHORTLIST of them (more when paging deeper), never more than
+// MAX_CANDIDATE_SHORTLIST, so a request costs the same however many resumes there are.
+// The skills and location filters narrow the resumes before the search; minExperience and
+// minScore need the scoring and apply to the shortlist.
+const CANDIDATE_SHORTLIST = 200;
+const MAX_CANDIDATE_SHORTLIST = 1000;
+
+// Escape user input for use inside a RegExp
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 class AIMatchingService {
@@ -74,18 +60,21 @@ class AIMatchingService {
     return dotProduct / (normA * normB);
   }
 
-  // Generate embedding for text using Gemini
-  async generateEmbedding(text) {
-    try {
-      const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
-      const result = await model.embedContent(text.substring(0, 8000));
-      return result.embedding.values;
-    } catch (error) {
-      console.error('Embedding generation error:', error);
-      
-      // Check if it's a quota limit error
-      if (error.message && (error.message.includes('quota') || error.message.includes('429'))) {
-        console.warn('API quota exceeded for embeddings, using fallback method');
+  // Text a job's embedding is generated from
+  jobEmbeddingText(job) {
+    return `${job.title} ${job.description} ${(job.requirements?.skills || []).map(s => s.name).join(' ')}`;
+  }
+
+  // Generate embedding for text using the configured LLM provider
+  async generateEmbedding(text) {
+    try {
+      return await llm.embed(text.substring(0, 8000));
+    } catch (error) {
+      console.error('Embedding generation error:', error);
+      
+      // Check if it's a quota limit error or the provider is offline
+      if (llm.shouldFallback(error)) {
+        console.warn('Embedding provider unavailable, using fallback method');
         return this.generateFallbackEmbedding(text);
       }
       
@@ -131,27 +120,41 @@ class AIMatchingService {
         throw new Error('No active resume found for user');
       }
 
-      const jobs = await Job.find({ status: 'active' })
-        .populate('postedBy', 'firstName lastName company')
-        .limit(options.limit || 50);
-
-      const matches = [];
-
-      for (const job of jobs) {
-        const matchScore = await this.calculateJobMatchScore(userResume, job);
-        
-        if (matchScore.overallScore >= (options.minScore || 30)) {
-          const breakdown = await this.generateMatchBreakdown(userResume, job, matchScore);
-          const insights = await this.generateAIInsights(userResume, job, matchScore);
-
-          matches.push({
-            job,
-            matchScore: matchScore.overallScore,
-            breakdown,
-            insights
-          });
-        }
-      }
+      // Shortlist the nearest jobs from the vector index; fall back to any active jobs
+      // when the resume has no embedding to search with
+      const limit = options.limit || 50;
+      const hits = await vectorIndex.jobsForResume(userResume, { k: limit });
+      const jobQuery = hits.length > 0
+        ? { _id: { $in: hits.map(hit => hit.id) }, status: 'active' }
+        : { status: 'active' };
+
+      const jobs = await Job.find(jobQuery)
+        .populate('postedBy', 'firstName lastName company')
+        .limit(limit);
+
+      const matches = [];
+
+      for (const [index, job] of jobs.entries()) {
+        const matchScore = await this.calculateJobMatchScore(userResume, job);
+        
+        if (matchScore.overallScore >= (options.minScore ?? settings.get('matching.minScore'))) {
+          const breakdown = await this.generateMatchBreakdown(userResume, job, matchScore);
+          const insights = await this.generateAIInsights(userResume, job, matchScore);
+
+          matches.push({
+            job,
+            resume: userResume,
+            matchScore: matchScore.overallScore,
+            breakdown,
+            insights
+          });
+        }
+
+        // Report progress for background callers
+        if (options.onProgress) {
+          await options.onProgress(((index + 1) / jobs.length) * 100);
+        }
+      }
 
       // Sort by match score
       matches.sort((a, b) => b.matchScore - a.matchScore);
@@ -163,54 +166,214 @@ class AIMatchingService {
     }
   }
 
-  // Calculate match score between resume and job
-  async calculateJobMatchScore(resume, job) {
-    try {
-      const scores = {
-        skillsMatch: 0,
-        experienceMatch: 0,
-        educationMatch: 0,
-        locationMatch: 0,
-        overallScore: 0
-      };
-
-      // Skills matching
-      if (resume.skillsEmbedding && job.embedding) {
-        const skillsSimilarity = this.cosineSimilarity(resume.skillsEmbedding, job.embedding);
-        scores.skillsMatch = Math.round(skillsSimilarity * 100);
-      } else {
-        scores.skillsMatch = await this.calculateSkillsMatch(resume.extractedData.skills, job.requirements.skills);
-      }
+  // Score the active resumes of discoverable job seekers nearest to a job (recruiter discovery).
+  // Filters: skills (all required), minExperience (years), location, minScore;
+  // shortlist: how many nearest resumes to score (capped, see CANDIDATE_SHORTLIST)
+  async findCandidates(job, options = {}) {
+    const resumeQuery = { isActive: true };
+
+    // Every requested skill must be present, under any alias or as a more specific skill
+    if (options.skills && options.skills.length > 0) {
+      resumeQuery.$and = options.skills.map(skill => ({
+        'extractedData.skills.name': {
+          $in: skillTaxonomy.expandTerms(skill).map(term => new RegExp(`^${escapeRegExp(term)}$`, 'i'))
+        }
+      }));
+    }
 
-      // Experience matching
-      scores.experienceMatch = this.calculateExperienceMatch(resume.extractedData.experience, job.requirements.experience);
+    // Resumes that pass the filters and belong to discoverable job seekers; the location may
+    // come from the resume or from the owner's profile
+    const locationPattern = options.location ? new RegExp(escapeRegExp(options.location), 'i') : null;
+    const eligible = await Resume.aggregate([
+      { $match: resumeQuery },
+      {
+        $lookup: {
+          from: 'users',
+          let: { userId: '$user' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$_id', '$$userId'] },
+                role: 'job_seeker',
+                isActive: true,
+                'profile.discoverable': true
+              }
+            },
+            { $project: { 'profile.location': 1 } }
+          ],
+          as: 'owner'
+        }
+      },
+      {
+        $match: {
+          'owner.0': { $exists: true },
+          ...(locationPattern && {
+            $or: [
+              { 'extractedData.personalInfo.location': locationPattern },
+              { 'owner.profile.location': locationPattern }
+            ]
+          })
+        }
+      },
+      { $project: { _id: 1 } }
+    ]);
+
+    if (eligible.length === 0) {
+      return [];
+    }
 
-      // Education matching
-      scores.educationMatch = this.calculateEducationMatch(resume.extractedData.education, job.requirements.education);
+    // Nearest eligible resumes; when the job has no embedding to search with, the first k
+    const k = Math.min(Math.max(options.shortlist || 0, CANDIDATE_SHORTLIST), MAX_CANDIDATE_SHORTLIST);
+    const eligibleIds = new Set(eligible.map(resume => resume._id.toString()));
+    const hits = await vectorIndex.resumesForJob(job, { k, filter: id => eligibleIds.has(id) });
+    const shortlist = hits.length > 0 ? hits.map(hit => hit.id) : [...eligibleIds].slice(0, k);
 
-      // Location matching
-      scores.locationMatch = this.calculateLocationMatch(resume.extractedData.personalInfo, job.location);
+    const resumes = await Resume.find({ _id: { $in: shortlist } }).select('-parsedText -embedding');
+    const users = await User.find({ _id: { $in: resumes.map(resume => resume.user) } })
+      .select('firstName lastName email profile');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const candidates = [];
 
-      // Calculate overall score with weights
-      scores.overallScore = Math.round(
-        (scores.skillsMatch * 0.4) +
-        (scores.experienceMatch * 0.3) +
-        (scores.educationMatch * 0.2) +
-        (scores.locationMatch * 0.1)
-      );
+    for (const resume of resumes) {
+      const user = usersById.get(resume.user.toString());
+      if (!user) continue;
 
-      return scores;
-    } catch (error) {
-      console.error('Match score calculation error:', error);
-      return {
-        skillsMatch: 0,
-        experienceMatch: 0,
-        educationMatch: 0,
-        locationMatch: 0,
-        overallScore: 0
-      };
-    }
-  }
+      const experienceYears = this.calculateTotalExperience(resume.extractedData?.experience || []);
+      if (options.minExperience && experienceYears < options.minExperience) continue;
+
+      const scores = await this.calculateJobMatchScore(resume, job);
+      if (scores.overallScore < (options.minScore || 0)) continue;
+
+      candidates.push({ user, resume, experienceYears, scores });
+    }
+
+    candidates.sort((a, b) => b.scores.overallScore - a.scores.overallScore);
+    return candidates;
+  }
+
+  // Calculate match score between resume and job using the job's scoring weights
+  async calculateJobMatchScore(resume, job) {
+    try {
+      const scores = {
+        skillsMatch: 0,
+        experienceMatch: 0,
+        educationMatch: 0,
+        locationMatch: 0,
+        overallScore: 0
+      };
+
+      const resumeSkills = resume.extractedData?.skills || [];
+      const jobSkills = job.requirements?.skills || [];
+
+      // Skills matching: importance-weighted coverage when both sides list skills,
+      // otherwise semantic similarity
+      if (resumeSkills.length > 0 && jobSkills.length > 0) {
+        scores.skillDetails = this.calculateWeightedSkillsMatch(resumeSkills, jobSkills);
+        scores.skillsMatch = scores.skillDetails.score;
+      } else if (resume.skillsEmbedding && job.embedding) {
+        const skillsSimilarity = this.cosineSimilarity(resume.skillsEmbedding, job.embedding);
+        scores.skillsMatch = Math.round(skillsSimilarity * 100);
+      } else {
+        scores.skillsMatch = await this.calculateSkillsMatch(resumeSkills, jobSkills);
+      }
+
+      // Experience matching
+      scores.experienceMatch = this.calculateExperienceMatch(resume.extractedData.experience, job.requirements.experience, jobSkills);
+
+      // Education matching
+      scores.educationMatch = this.calculateEducationMatch(resume.extractedData.education, job.requirements.education);
+
+      // Location matching
+      scores.locationMatch = this.calculateLocationMatch(resume.extractedData.personalInfo, job.location);
+
+      // Weighted score, then must-have penalties for each missing required skill
+      scores.weights = this.getScoringWeights(job);
+      scores.weightedScore = Math.round(
+        (scores.skillsMatch * scores.weights.skills) +
+        (scores.experienceMatch * scores.weights.experience) +
+        (scores.educationMatch * scores.weights.education) +
+        (scores.locationMatch * scores.weights.location)
+      );
+
+      const penaltyPoints = job.scoring?.missingRequiredPenalty ?? DEFAULT_MISSING_REQUIRED_PENALTY;
+      scores.penalties = (scores.skillDetails?.missingRequired || []).map(skill => ({
+        reason: `Missing required skill: ${skill}`,
+        points: penaltyPoints
+      }));
+
+      const totalPenalty = scores.penalties.reduce((sum, penalty) => sum + penalty.points, 0);
+      scores.overallScore = Math.max(0, scores.weightedScore - totalPenalty);
+
+      return scores;
+    } catch (error) {
+      console.error('Match score calculation error:', error);
+      return {
+        skillsMatch: 0,
+        experienceMatch: 0,
+        educationMatch: 0,
+        locationMatch: 0,
+        overallScore: 0
+      };
+    }
+  }
+
+  // Job scoring weights as fractions summing to 1 (defaults when unset or all zero)
+  getScoringWeights(job) {
+    const configured = job.scoring?.weights || {};
+    const weights = {};
+    for (const factor of Object.keys(DEFAULT_SCORING_WEIGHTS)) {
+      const value = Number(configured[factor]);
+      weights[factor] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_SCORING_WEIGHTS[factor];
+    }
+
+    let total = Object.values(weights).reduce((sum, value) => sum + value, 0);
+    if (total === 0) {
+      Object.assign(weights, DEFAULT_SCORING_WEIGHTS);
+      total = 100;
+    }
+
+    for (const factor of Object.keys(weights)) {
+      weights[factor] = weights[factor] / total;
+    }
+    return weights;
+  }
+
+  // Whether a resume skill covers a job skill (same skill, alias or more specific child)
+  skillsMatch(resumeSkill, jobSkill) {
+    return skillTaxonomy.matchStrength(resumeSkill, jobSkill) > 0;
+  }
+
+  // Coverage of the job's skills, each weighted by importance (1-5) and level.
+  // A broader resume skill (Frontend for React) earns partial credit.
+  calculateWeightedSkillsMatch(resumeSkills, jobSkills) {
+    const resumeSkillNames = resumeSkills.map(skill => skill.name).filter(Boolean);
+    const result = { score: 0, matched: [], missing: [], missingRequired: [] };
+
+    let totalWeight = 0;
+    let matchedWeight = 0;
+
+    for (const jobSkill of jobSkills) {
+      if (!jobSkill.name) continue;
+
+      const level = jobSkill.level || 'required';
+      const weight = (jobSkill.importance || 3) * (SKILL_LEVEL_FACTORS[level] ?? 1);
+      totalWeight += weight;
+
+      const strength = Math.max(0, ...resumeSkillNames.map(name => skillTaxonomy.matchStrength(name, jobSkill.name)));
+      if (strength > 0) {
+        matchedWeight += weight * strength;
+        result.matched.push(jobSkill.name);
+      } else {
+        result.missing.push(jobSkill.name);
+        if (level === 'required') {
+          result.missingRequired.push(jobSkill.name);
+        }
+      }
+    }
+
+    result.score = totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) : 0;
+    return result;
+  }
 
   // Calculate skills match using AI
   async calculateSkillsMatch(resumeSkills, jobSkills) {
@@ -237,17 +400,15 @@ class AIMatchingService {
         Return only a number between 0-100.
       `;
 
-      const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const score = parseInt(response.text().trim());
+      const text = await llm.generateText(prompt);
+      const score = parseInt(text.trim());
       return isNaN(score) ? 0 : Math.min(Math.max(score, 0), 100);
     } catch (error) {
       console.error('Skills match calculation error:', error);
       
-      // Check if it's a quota limit error
-      if (error.message && (error.message.includes('quota') || error.message.includes('429'))) {
-        console.warn('API quota exceeded for skills matching, using fallback method');
+      // Check if it's a quota limit error or the provider is offline
+      if (llm.shouldFallback(error)) {
+        console.warn('AI unavailable for skills matching, using fallback method');
         return this.calculateSkillsMatchFallback(resumeSkills, jobSkills);
       }
       
@@ -255,71 +416,64 @@ class AIMatchingService {
     }
   }
 
-  // Fallback skills matching without AI
-  calculateSkillsMatchFallback(resumeSkills, jobSkills) {
-    if (!resumeSkills || resumeSkills.length === 0 || !jobSkills || jobSkills.length === 0) {
-      return 0;
-    }
+  // Fallback skills matching without AI: taxonomy-aware coverage of the job's skills
+  calculateSkillsMatchFallback(resumeSkills, jobSkills) {
+    if (!resumeSkills || resumeSkills.length === 0 || !jobSkills || jobSkills.length === 0) {
+      return 0;
+    }
 
-    const resumeSkillNames = resumeSkills.map(skill => skill.name.toLowerCase());
-    const jobSkillNames = jobSkills.map(skill => skill.name.toLowerCase());
-    
-    let exactMatches = 0;
-    let partialMatches = 0;
-    
-    // Check for exact matches
-    for (const jobSkill of jobSkillNames) {
-      if (resumeSkillNames.includes(jobSkill)) {
-        exactMatches++;
-      } else {
-        // Check for partial matches (one skill contains the other)
-        const hasPartialMatch = resumeSkillNames.some(resumeSkill => 
-          resumeSkill.includes(jobSkill) || jobSkill.includes(resumeSkill)
-        );
-        if (hasPartialMatch) {
-          partialMatches++;
-        }
-      }
-    }
-    
-    // Calculate score: exact matches get full points, partial matches get half points
-    const totalMatches = exactMatches + (partialMatches * 0.5);
-    const matchPercentage = (totalMatches / jobSkillNames.length) * 100;
-    
-    return Math.round(Math.min(Math.max(matchPercentage, 0), 100));
-  }
+    const resumeSkillNames = resumeSkills.map(skill => skill.name).filter(Boolean);
+    const jobSkillNames = jobSkills.map(skill => skill.name).filter(Boolean);
+    if (jobSkillNames.length === 0) {
+      return 0;
+    }
 
-  // Calculate experience match
-  calculateExperienceMatch(resumeExperience, jobExperience) {
-    if (!jobExperience || !resumeExperience || resumeExperience.length === 0) {
-      return jobExperience ? 0 : 100;
-    }
+    // Best coverage of each job skill by any resume skill
+    const totalMatches = jobSkillNames.reduce((sum, jobSkill) =>
+      sum + Math.max(0, ...resumeSkillNames.map(name => skillTaxonomy.matchStrength(name, jobSkill))), 0);
+    const matchPercentage = (totalMatches / jobSkillNames.length) * 100;
 
-    const totalExperience = this.calculateTotalExperience(resumeExperience);
-    const requiredExperience = jobExperience.min || 0;
+    return Math.round(Math.min(Math.max(matchPercentage, 0), 100));
+  }
 
-    if (totalExperience >= requiredExperience) {
-      return 100;
-    } else {
-      return Math.round((totalExperience / requiredExperience) * 100);
-    }
-  }
+  // Calculate experience match: overall time worked against the job's minimum, blended with
+  // time spent using the job's required skills when the resume shows any
+  calculateExperienceMatch(resumeExperience, jobExperience, jobSkills = []) {
+    if (!jobExperience || !resumeExperience || resumeExperience.length === 0) {
+      return jobExperience ? 0 : 100;
+    }
 
-  // Calculate total experience from resume
-  calculateTotalExperience(experience) {
-    let totalMonths = 0;
+    const requiredMonths = this.requiredExperienceMonths(jobExperience);
+    if (requiredMonths === 0) {
+      return 100;
+    }
 
-    for (const exp of experience) {
-      if (exp.startDate && exp.endDate) {
-        const start = new Date(exp.startDate);
-        const end = new Date(exp.endDate);
-        const months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
-        totalMonths += months;
-      }
-    }
+    const totalMonths = experienceDates.totalMonths(resumeExperience);
+    const overall = Math.min(1, totalMonths / requiredMonths);
 
-    return Math.round(totalMonths / 12); // Convert to years
-  }
+    const requiredSkills = jobSkills.filter(skill => skill.name && (skill.level || 'required') === 'required');
+    const monthsBySkill = experienceDates.skillMonths(resumeExperience, requiredSkills.map(skill => skill.name));
+    const relevantMonths = [...monthsBySkill.values()];
+
+    if (relevantMonths.length === 0 || relevantMonths.every(months => months === 0)) {
+      return Math.round(overall * 100);
+    }
+
+    const relevant = relevantMonths.reduce((sum, months) => sum + Math.min(1, months / requiredMonths), 0) / relevantMonths.length;
+    return Math.round((overall * 0.6 + relevant * 0.4) * 100);
+  }
+
+  // Job minimum experience in months
+  requiredExperienceMonths(jobExperience) {
+    const min = Number(jobExperience?.min) || 0;
+    return jobExperience?.unit === 'months' ? min : min * 12;
+  }
+
+  // Calculate total experience in years from resume, counting overlapping roles once
+  calculateTotalExperience(experience) {
+    const months = experienceDates.totalMonths(experience || []);
+    return Math.round((months / 12) * 10) / 10;
+  }
 
   // Calculate education match
   calculateEducationMatch(resumeEducation, jobEducation) {
@@ -360,63 +514,108 @@ class AIMatchingService {
     return 30; // Different locations
   }
 
-  // Generate detailed match breakdown
-  async generateMatchBreakdown(resume, job, matchScore) {
-    try {
-      const resumeSkills = resume.extractedData.skills.map(s => s.name);
-      const jobSkills = job.requirements.skills.map(s => s.name);
-
-      const matchedSkills = resumeSkills.filter(skill => 
-        jobSkills.some(jobSkill => 
-          skill.toLowerCase().includes(jobSkill.toLowerCase()) ||
-          jobSkill.toLowerCase().includes(skill.toLowerCase())
-        )
-      );
-
-      const missingSkills = jobSkills.filter(jobSkill => 
-        !resumeSkills.some(skill => 
-          skill.toLowerCase().includes(jobSkill.toLowerCase()) ||
-          jobSkill.toLowerCase().includes(skill.toLowerCase())
-        )
-      );
-
-      const extraSkills = resumeSkills.filter(skill => 
-        !jobSkills.some(jobSkill => 
-          skill.toLowerCase().includes(jobSkill.toLowerCase()) ||
-          jobSkill.toLowerCase().includes(skill.toLowerCase())
-        )
-      );
-
-      return {
-        skillsMatch: {
-          score: matchScore.skillsMatch,
-          matchedSkills,
-          missingSkills,
-          extraSkills
-        },
-        experienceMatch: {
-          score: matchScore.experienceMatch,
-          required: job.requirements.experience?.min || 0,
-          actual: this.calculateTotalExperience(resume.extractedData.experience),
-          gap: Math.max(0, (job.requirements.experience?.min || 0) - this.calculateTotalExperience(resume.extractedData.experience))
-        },
-        educationMatch: {
-          score: matchScore.educationMatch,
-          required: job.requirements.education?.required || false,
-          hasRequired: this.calculateEducationMatch(resume.extractedData.education, job.requirements.education) > 0
-        },
-        locationMatch: {
-          score: matchScore.locationMatch,
-          isRemote: job.location.remote,
-          locationMatch: matchScore.locationMatch > 50
-        },
-        overallCompatibility: matchScore.overallScore
-      };
-    } catch (error) {
-      console.error('Match breakdown generation error:', error);
-      return {};
-    }
-  }
+  // Generate detailed match breakdown with a plain-language explanation per factor
+  async generateMatchBreakdown(resume, job, matchScore) {
+    try {
+      const resumeSkills = resume.extractedData.skills.map(s => s.name);
+      const jobSkills = job.requirements.skills.map(s => s.name);
+      const weights = matchScore.weights || this.getScoringWeights(job);
+      const percent = fraction => Math.round(fraction * 100);
+
+      const matchedSkills = resumeSkills.filter(skill =>
+        jobSkills.some(jobSkill => this.skillsMatch(skill, jobSkill))
+      );
+
+      const missingSkills = jobSkills.filter(jobSkill =>
+        !resumeSkills.some(skill => this.skillsMatch(skill, jobSkill))
+      );
+
+      const extraSkills = resumeSkills.filter(skill =>
+        !jobSkills.some(jobSkill => this.skillsMatch(skill, jobSkill))
+      );
+
+      const missingRequired = matchScore.skillDetails?.missingRequired || [];
+      const skillsExplanation = matchScore.skillDetails
+        ? `You have ${matchScore.skillDetails.matched.length} of ${jobSkills.length} listed skills; ` +
+          'skills are weighted by importance and whether they are required, preferred or nice to have.'
+        : 'Scored on overall similarity between your skills and the job description.';
+
+      const requiredExperience = Math.round((this.requiredExperienceMonths(job.requirements.experience) / 12) * 10) / 10;
+      const actualExperience = this.calculateTotalExperience(resume.extractedData.experience);
+      let experienceExplanation = 'The job has no minimum experience requirement.';
+      if (requiredExperience > 0) {
+        experienceExplanation = `The job asks for ${requiredExperience}+ years; your resume shows about ${actualExperience}, with overlapping roles counted once.`;
+
+        const requiredSkills = job.requirements.skills.filter(s => s.name && (s.level || 'required') === 'required');
+        const monthsBySkill = experienceDates.skillMonths(resume.extractedData.experience, requiredSkills.map(s => s.name));
+        const skillYears = requiredSkills
+          .map(s => ({ name: s.name, months: monthsBySkill.get(skillTaxonomy.canonicalId(s.name)) || 0 }))
+          .filter(s => s.months > 0)
+          .map(s => `${s.name} ${Math.round((s.months / 12) * 10) / 10}y`);
+        if (skillYears.length > 0) {
+          experienceExplanation += ` Time using required skills: ${skillYears.join(', ')}.`;
+        }
+      }
+
+      const educationRequired = job.requirements.education?.required || false;
+      const hasRequired = this.calculateEducationMatch(resume.extractedData.education, job.requirements.education) > 0;
+      let educationExplanation = 'The job has no required degree.';
+      if (educationRequired) {
+        educationExplanation = hasRequired
+          ? `You hold the required ${job.requirements.education.degree} degree.`
+          : `The job requires a ${job.requirements.education.degree} degree, which was not found on your resume.`;
+      }
+
+      let locationExplanation = 'Your location matches the job location.';
+      if (job.location.remote) {
+        locationExplanation = 'The job can be done remotely.';
+      } else if (matchScore.locationMatch === 50) {
+        locationExplanation = 'Your location or the job location is unknown.';
+      } else if (matchScore.locationMatch <= 50) {
+        locationExplanation = `The job is based in ${job.location.city}, away from your listed location.`;
+      }
+
+      return {
+        skillsMatch: {
+          score: matchScore.skillsMatch,
+          weight: percent(weights.skills),
+          explanation: skillsExplanation,
+          matchedSkills,
+          missingSkills,
+          missingRequired,
+          extraSkills
+        },
+        experienceMatch: {
+          score: matchScore.experienceMatch,
+          weight: percent(weights.experience),
+          explanation: experienceExplanation,
+          required: requiredExperience,
+          actual: actualExperience,
+          gap: Math.max(0, Math.round((requiredExperience - actualExperience) * 10) / 10)
+        },
+        educationMatch: {
+          score: matchScore.educationMatch,
+          weight: percent(weights.education),
+          explanation: educationExplanation,
+          required: educationRequired,
+          hasRequired
+        },
+        locationMatch: {
+          score: matchScore.locationMatch,
+          weight: percent(weights.location),
+          explanation: locationExplanation,
+          isRemote: job.location.remote,
+          locationMatch: matchScore.locationMatch > 50
+        },
+        penalties: matchScore.penalties || [],
+        weightedScore: matchScore.weightedScore ?? matchScore.overallScore,
+        overallCompatibility: matchScore.overallScore
+      };
+    } catch (error) {
+      console.error('Match breakdown generation error:', error);
+      return {};
+    }
+  }
 
   // Generate AI insights for the match
   async generateAIInsights(resume, job, matchScore) {
@@ -452,11 +651,7 @@ class AIMatchingService {
         }
       `;
 
-      const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const insightsText = response.text();
-      const insights = parseAIJsonResponse(insightsText);
+      const insights = await llm.generateJSON(prompt);
       
       // Ensure all required fields exist with defaults
       if (!insights.strengths || !Array.isArray(insights.strengths)) {
@@ -485,9 +680,9 @@ class AIMatchingService {
         return this.generateFallbackInsights(resume, job, matchScore);
       }
       
-      // Check if it's a quota limit error
-      if (error.message && (error.message.includes('quota') || error.message.includes('429'))) {
-        console.warn('API quota exceeded for insights generation, using fallback method');
+      // Check if it's a quota limit error or the provider is offline
+      if (llm.shouldFallback(error)) {
+        console.warn('AI unavailable for insights generation, using fallback method');
         return this.generateFallbackInsights(resume, job, matchScore);
       }
       
@@ -499,21 +694,11 @@ class AIMatchingService {
 
   // Fallback insights generation without AI
   generateFallbackInsights(resume, job, matchScore) {
-    const resumeSkills = resume.extractedData.skills.map(s => s.name.toLowerCase());
-    const jobSkills = job.requirements.skills.map(s => s.name.toLowerCase());
-    
-    // Find matched and missing skills
-    const matchedSkills = jobSkills.filter(jobSkill => 
-      resumeSkills.some(resumeSkill => 
-        resumeSkill.includes(jobSkill) || jobSkill.includes(resumeSkill)
-      )
-    );
-    
-    const missingSkills = jobSkills.filter(jobSkill => 
-      !resumeSkills.some(resumeSkill => 
-        resumeSkill.includes(jobSkill) || jobSkill.includes(resumeSkill)
-      )
-    );
+    // Find matched and missing skills through the taxonomy, as the match score does
+    const { matched: matchedSkills, missing: missingSkills } = this.calculateWeightedSkillsMatch(
+      resume.extractedData?.skills || [],
+      job.requirements?.skills || []
+    );
     
     // Generate basic insights based on match analysis
     const strengths = [];
@@ -590,20 +775,22 @@ class AIMatchingService {
     };
   }
 
-  // Save match to database
-  async saveMatch(userId, jobId, resumeId, matchScore, breakdown, insights) {
-    try {
-      const match = new Match({
-        user: userId,
-        job: jobId,
-        resume: resumeId,
-        matchScore: matchScore.overallScore,
-        breakdown,
-        aiInsights: insights
-      });
-
-      await match.save();
-      return match;
+  // Save match to database (re-generating refreshes an existing match but keeps its status)
+  async saveMatch(userId, jobId, resumeId, matchScore, breakdown, insights) {
+    try {
+      const match = await Match.findOneAndUpdate(
+        { user: userId, job: jobId },
+        {
+          resume: resumeId,
+          matchScore: matchScore.overallScore,
+          breakdown,
+          aiInsights: insights,
+          lastUpdated: new Date()
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      return match;
     } catch (error) {
       console.error('Save match error:', error);
       throw error;
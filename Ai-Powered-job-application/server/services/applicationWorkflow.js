@@ -0,0 +1,184 @@
+// applicationWorkflow.js
+// Application stages and the transitions allowed between them. Every status change goes
+// through transition(), which records who made it and keeps Job.applications and the
+// applicant's Match in step with the application.
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const Match = require('../models/Match');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const notifications = require('./notifications');
+const jobTeam = require('./jobTeam');
+
+const STAGES = ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected', 'withdrawn'];
+
+// Allowed next stages; hired, rejected and withdrawn are final
+const TRANSITIONS = {
+  applied: ['screening', 'rejected', 'withdrawn'],
+  screening: ['interview', 'rejected', 'withdrawn'],
+  interview: ['offer', 'rejected', 'withdrawn'],
+  offer: ['hired', 'rejected', 'withdrawn'],
+  hired: [],
+  rejected: [],
+  withdrawn: []
+};
+
+// Stages the applicant may move to themselves; every other move is the recruiter's
+const APPLICANT_STAGES = ['withdrawn'];
+
+// Statuses written before the workflow existed
+const { LEGACY_STATUSES } = Application;
+
+class WorkflowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+function normalizeStatus(status) {
+  return LEGACY_STATUSES[status] || status;
+}
+
+// Query condition for applications in `stage`, including rows still holding a legacy
+// status that maps to it
+function statusFilter(stage) {
+  const legacy = Object.keys(LEGACY_STATUSES).filter(status => LEGACY_STATUSES[status] === stage);
+  return legacy.length > 0 ? { $in: [stage, ...legacy] } : stage;
+}
+
+// Next stages `actor` may choose for an application ('applicant' or 'recruiter')
+function allowedTransitions(status, actor) {
+  const next = TRANSITIONS[normalizeStatus(status)] || [];
+  return actor === 'applicant'
+    ? next.filter(stage => APPLICANT_STAGES.includes(stage))
+    : next.filter(stage => !APPLICANT_STAGES.includes(stage));
+}
+
+// Move an application to `to`, recording the change in its history.
+// `actor` is 'applicant' or 'recruiter'; throws WorkflowError for disallowed moves.
+async function transition(application, to, { user, actor, note } = {}) {
+  const from = normalizeStatus(application.status);
+
+  if (!STAGES.includes(to)) {
+    throw new WorkflowError(`Unknown application status "${to}"`);
+  }
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    throw new WorkflowError(`Cannot move an application from ${from} to ${to}`);
+  }
+  if (!allowedTransitions(from, actor).includes(to)) {
+    throw new WorkflowError(`Not allowed to move this application to ${to}`, 403);
+  }
+
+  const now = new Date();
+  application.status = to;
+  application.statusHistory.push({
+    from,
+    to,
+    changedBy: user?._id,
+    changedByRole: user?.role,
+    note,
+    changedAt: now
+  });
+  if (from === 'applied' && !application.reviewedAt) {
+    application.reviewedAt = now;
+  }
+  application.lastUpdated = now;
+
+  await application.save();
+  await syncRelated(application);
+  if (to === 'rejected' || to === 'withdrawn') {
+    await cancelInterviews(application, { user, reason: `Application ${to}` });
+  }
+
+  const job = application.job?.title
+    ? application.job
+    : await Job.findById(application.job?._id || application.job).select('title postedBy team company.name');
+  notifications.emit('application.status_changed', {
+    application,
+    job,
+    applicant: actor === 'applicant' ? user : application.applicant,
+    from,
+    to,
+    actor
+  });
+  jobTeam.record(job, user, 'application.status_changed', { application, data: { from, to, actor } });
+
+  return application;
+}
+
+// Cancel the application's booked interviews and reopen their slots
+async function cancelInterviews(application, { user, reason } = {}) {
+  const interviews = await Interview.find({ application: application._id, status: 'scheduled' });
+  for (const interview of interviews) {
+    interview.status = 'cancelled';
+    interview.sequence += 1;
+    interview.history.push({ action: 'cancelled', by: user?._id, reason });
+    await interview.save();
+    if (interview.slot) {
+      await InterviewSlot.updateOne({ _id: interview.slot }, { status: 'open', $unset: { interview: 1 } });
+    }
+  }
+  if (interviews.length > 0) {
+    await Application.updateOne({ _id: application._id }, { $unset: { interviewScheduled: 1 } });
+  }
+}
+
+// Mirror the application's status onto the job's applicant list and the applicant's match
+async function syncRelated(application) {
+  const jobId = application.job?._id || application.job;
+  const applicantId = application.applicant?._id || application.applicant;
+
+  const updated = await Job.updateOne(
+    { _id: jobId, 'applications.user': applicantId },
+    { $set: { 'applications.$.status': application.status, 'applications.$.matchScore': application.matchScore } }
+  );
+  if (updated.matchedCount === 0) {
+    await Job.updateOne(
+      { _id: jobId },
+      {
+        $push: {
+          applications: {
+            user: applicantId,
+            appliedAt: application.appliedAt,
+            status: application.status,
+            matchScore: application.matchScore
+          }
+        }
+      }
+    );
+  }
+
+  await Match.updateOne(
+    { user: applicantId, job: jobId },
+    { status: application.status, lastUpdated: new Date() }
+  );
+}
+
+// Rewrite statuses stored before the workflow existed; safe to run on every boot
+async function migrateLegacyStatuses() {
+  for (const [legacy, stage] of Object.entries(LEGACY_STATUSES)) {
+    const result = await Application.updateMany({ status: legacy }, { status: stage });
+    await Job.updateMany(
+      { 'applications.status': legacy },
+      { $set: { 'applications.$[entry].status': stage } },
+      { arrayFilters: [{ 'entry.status': legacy }] }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Migrated ${result.modifiedCount} applications from ${legacy} to ${stage}`);
+    }
+  }
+}
+
+module.exports = {
+  STAGES,
+  TRANSITIONS,
+  WorkflowError,
+  normalizeStatus,
+  statusFilter,
+  allowedTransitions,
+  transition,
+  syncRelated,
+  migrateLegacyStatuses
+};
@@ -0,0 +1,123 @@
+// calendar.js
+// Minimal RFC 5545 (iCalendar) writer for interview invites. Times are written in UTC so
+// every calendar client converts them to the attendee's own zone.
+
+const PRODUCT_ID = '-//AI Job Platform//Interview Scheduling//EN';
+
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Parameter values take no backslash escapes; quote them instead, dropping what a quoted
+// value can't hold (double quotes and control characters)
+function quoteParam(value) {
+  return `"${String(value).replace(/["\x00-\x08\x0a-\x1f\x7f]/g, '')}"`;
+}
+
+function person(property, { name, email }, params = []) {
+  const cn = name ? `;CN=${quoteParam(name)}` : '';
+  return `${property}${cn}${params.map(param => `;${param}`).join('')}:mailto:${email}`;
+}
+
+// Build a calendar with one event.
+// method: 'REQUEST' for new or updated invites, 'CANCEL' for cancellations
+function buildEvent({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = []
+}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer?.email) lines.push(person('ORGANIZER', organizer));
+  for (const attendee of attendees.filter(a => a.email)) {
+    lines.push(person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=TRUE']));
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+const fullName = (user) => user?.firstName ? `${user.firstName} ${user.lastName}` : '';
+
+// The event for an interview whose job, candidate and recruiter are populated. Used for the
+// .ics download and the file attached to invite, reschedule and cancellation emails.
+function interviewEvent(interview) {
+  const title = interview.job?.title || 'Interview';
+  const company = interview.job?.company?.name;
+  const recruiterEmail = interview.recruiter?.email;
+
+  return buildEvent({
+    uid: `interview-${interview._id}@ai-job-platform`,
+    sequence: interview.sequence,
+    method: interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST',
+    start: interview.start,
+    end: interview.end,
+    summary: `Interview: ${title}${company ? ` at ${company}` : ''} with ${fullName(interview.candidate)}`,
+    description: [
+      `Interview for ${title}${company ? ` at ${company}` : ''}.`,
+      interview.meetingUrl ? `Join: ${interview.meetingUrl}` : null,
+      `Times are shown in your calendar's zone; scheduled in ${interview.timezone}.`
+    ].filter(Boolean).join('\n'),
+    location: interview.location || interview.meetingUrl,
+    url: interview.meetingUrl,
+    organizer: { name: fullName(interview.recruiter), email: recruiterEmail },
+    attendees: [
+      { name: fullName(interview.candidate), email: interview.candidate?.email },
+      ...interview.interviewers.filter(entry => entry.email !== recruiterEmail)
+    ]
+  });
+}
+
+module.exports = { buildEvent, interviewEvent };
@@ -0,0 +1,89 @@
+// companies.js
+// Company profiles and their recruiters. Jobs posted by a member reference the company
+// (job.companyId) and carry a copy of its public fields in job.company, so listings,
+// matches and applications can show the employer without a lookup. The copy is refreshed
+// here whenever the profile changes.
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const slugify = (name) => String(name)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60) || 'company';
+
+// First free slug for `name`: acme, acme-2, acme-3...
+async function uniqueSlug(name) {
+  const base = slugify(name);
+  const taken = new Set(
+    (await Company.find({ slug: new RegExp(`^${escapeRegExp(base)}(-\\d+)?$`) }).select('slug').lean())
+      .map(company => company.slug)
+  );
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+}
+
+// Refresh the company copy on every job posted under it
+async function syncJobs(company) {
+  const snapshot = company.toJobSnapshot();
+  // null rather than undefined, so cleared fields are cleared on the jobs too
+  const update = Object.fromEntries(Object.entries(snapshot).map(([field, value]) => [`company.${field}`, value ?? null]));
+  await Job.updateMany({ companyId: company._id }, { $set: update });
+}
+
+// Attach a member's earlier free-text postings for the same employer name to the company
+async function linkExistingJobs(company, userId) {
+  const result = await Job.updateMany(
+    {
+      postedBy: userId,
+      companyId: null,
+      'company.name': new RegExp(`^\\s*${escapeRegExp(company.name.trim())}\\s*$`, 'i')
+    },
+    { $set: { companyId: company._id } }
+  );
+  if (result.modifiedCount > 0) {
+    await syncJobs(company);
+  }
+  return result.modifiedCount;
+}
+
+// Point a job about to be saved at the poster's company, if they belong to one
+async function applyToJob(job, userId) {
+  const company = await Company.findForUser(userId);
+  if (!company) return null;
+
+  job.companyId = company._id;
+  job.company = company.toJobSnapshot();
+  return company;
+}
+
+// Open roles per company, for listings
+async function openJobCounts(companyIds) {
+  const counts = await Job.aggregate([
+    { $match: { companyId: { $in: companyIds }, status: 'active' } },
+    { $group: { _id: '$companyId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+}
+
+// Jobs keep the company name they were posted with once the company is gone
+async function detachJobs(company) {
+  await Job.updateMany({ companyId: company._id }, { $set: { companyId: null }, $unset: { 'company.slug': 1 } });
+}
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  syncJobs,
+  linkExistingJobs,
+  applyToJob,
+  openJobCounts,
+  detachJobs
+};
@@ -0,0 +1,272 @@
+// experienceDates.js
+// Normalises free-text employment dates ("Jan 2020 – Present", "2019-2021", "03/2018 to now")
+// into month intervals, merges overlapping roles and attributes months of experience to skills.
+// Months are handled as integer indexes (year * 12 + month) with exclusive interval ends.
+const skillTaxonomy = require('./skillTaxonomy');
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+// One date point: a "present" word, "Jan 2020", "2020-03(-15)", "03/2018", "'19" after a month, or a bare year.
+// A short-year range ("2019-20") is matched whole and split into two years by findPoints; a
+// valid month after a plain hyphen ("2019-12") still reads as a month.
+const DATE_POINT = new RegExp([
+  '(?<present>\\b(?:present|current(?:ly)?|now|today|ongoing|to date|till date)\\b)',
+  '(?<monthName>\\b(?:jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?,?\\s*(?:\'?\\d{2}\\b|\\d{4}\\b))',
+  '(?<isoMonth>\\b\\d{4}[-/.](?:0?[1-9]|1[0-2])(?:[-/.]\\d{1,2})?\\b)',
+  '(?<shortYearRange>\\b(?:19|20)\\d{2}\\s*[-–]\\s*\\d{2}\\b)',
+  '(?<numericMonth>\\b\\d{1,2}[-/.]\\d{4}\\b)',
+  '(?<year>\\b(?:19|20)\\d{2}\\b)'
+].join('|'), 'gi');
+
+function monthIndex(year, month) {
+  return year * 12 + month;
+}
+
+function currentMonthIndex(now = new Date()) {
+  return monthIndex(now.getFullYear(), now.getMonth());
+}
+
+function expandYear(year) {
+  if (year.length === 4) return parseInt(year);
+  const short = parseInt(year);
+  return short + (short > (new Date().getFullYear() % 100) ? 1900 : 2000);
+}
+
+// Parse one matched date point. Bare years resolve to January when starting a range and
+// December when ending one. Returns { month, present } or null.
+function parsePoint(token, kind, { isEnd = false, now = new Date() } = {}) {
+  const text = token.toLowerCase();
+
+  if (kind === 'present') {
+    return { month: currentMonthIndex(now), present: true };
+  }
+
+  if (kind === 'monthName') {
+    const [, name, year] = text.match(/^([a-z]+)\.?,?\s*'?(\d{2,4})$/) || [];
+    const month = MONTHS[name?.slice(0, 4)] ?? MONTHS[name?.slice(0, 3)];
+    return month === undefined ? null : { month: monthIndex(expandYear(year), month), present: false };
+  }
+
+  if (kind === 'isoMonth') {
+    const [year, month] = text.split(/[-/.]/).map(Number);
+    return month >= 1 && month <= 12 ? { month: monthIndex(year, month - 1), present: false } : null;
+  }
+
+  if (kind === 'numericMonth') {
+    const [month, year] = text.split(/[-/.]/).map(Number);
+    return month >= 1 && month <= 12 ? { month: monthIndex(year, month - 1), present: false } : null;
+  }
+
+  const year = parseInt(text);
+  if (isEnd && year === now.getFullYear()) {
+    return { month: currentMonthIndex(now), present: false };
+  }
+  return { month: monthIndex(year, isEnd ? 11 : 0), present: false };
+}
+
+// All date points in `text`, in order of appearance
+function findPoints(text) {
+  const points = [];
+  for (const match of String(text || '').matchAll(DATE_POINT)) {
+    const kind = Object.keys(match.groups).find(key => match.groups[key] !== undefined);
+    if (kind === 'shortYearRange') {
+      // The second year is in the same century as the first
+      const [first, second] = match[0].split(/\s*[-–]\s*/);
+      points.push({ token: first, kind: 'year' }, { token: first.slice(0, 2) + second, kind: 'year' });
+    } else {
+      points.push({ token: match[0], kind });
+    }
+  }
+  return points;
+}
+
+// Parse a single date value (string, Date or null) into a month index
+function parseDate(value, options = {}) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : { month: monthIndex(value.getUTCFullYear(), value.getUTCMonth()), present: false };
+  }
+  const [point] = findPoints(value);
+  return point ? parsePoint(point.token, point.kind, options) : null;
+}
+
+// Parse a free-text range. Returns { start, end, current } as inclusive month indexes
+// (end is null when only a start date is present), or null when no start date is found.
+function parseRange(text, { now = new Date() } = {}) {
+  const points = findPoints(text);
+  if (points.length === 0) return null;
+
+  const start = parsePoint(points[0].token, points[0].kind, { now });
+  if (!start || start.present) return null;
+
+  const end = points[1] ? parsePoint(points[1].token, points[1].kind, { isEnd: true, now }) : null;
+  return { start: start.month, end: end ? end.month : null, current: Boolean(end?.present) };
+}
+
+// Resolve an experience entry to { start, end, current } with an exclusive end, using its
+// startDate/endDate/current fields and falling back to a range written in `duration` or `dates`.
+// Roles with no end date that are not marked current cannot be measured and return null.
+function entryInterval(entry, { now = new Date() } = {}) {
+  if (!entry) return null;
+
+  let range = null;
+  const start = entry.startDate ? parseDate(entry.startDate, { now }) : null;
+  if (start) {
+    const end = entry.endDate ? parseDate(entry.endDate, { isEnd: true, now }) : null;
+    range = { start: start.month, end: end ? end.month : null, current: Boolean(entry.current) || Boolean(end?.present) };
+  }
+
+  if (!range || (range.end === null && !range.current)) {
+    const texts = [entry.duration, entry.dates, typeof entry.startDate === 'string' ? entry.startDate : null];
+    for (const text of texts) {
+      const parsed = text ? parseRange(text, { now }) : null;
+      if (parsed && (parsed.end !== null || parsed.current)) {
+        range = { ...parsed, current: parsed.current || Boolean(entry.current) };
+        break;
+      }
+    }
+  }
+
+  if (!range) return null;
+
+  const endMonth = range.current ? currentMonthIndex(now) : range.end;
+  if (endMonth === null || endMonth < range.start) return null;
+
+  return { start: range.start, end: endMonth + 1, current: range.current };
+}
+
+// Merge overlapping or touching intervals
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .filter(Boolean)
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+function intervalMonths(intervals) {
+  return mergeIntervals(intervals).reduce((sum, { start, end }) => sum + (end - start), 0);
+}
+
+// Total months worked across all roles, counting overlapping roles once
+function totalMonths(experience = [], options = {}) {
+  return intervalMonths((experience || []).map(entry => entryInterval(entry, options)));
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matcher for a skill's names and aliases inside free text. Very short names ("Go", "JS")
+// match case-sensitively so they don't hit ordinary words.
+function skillPattern(skillName) {
+  const entry = skillTaxonomy.resolve(skillName);
+  const terms = entry ? [entry.name, ...entry.aliases] : [skillName];
+  const wrap = parts => `(?<![\\w+#])(?:${parts.map(escapeRegExp).join('|')})(?![\\w+#])`;
+
+  const long = terms.filter(term => term.length > 2);
+  const short = [...new Set(terms.filter(term => term.length <= 2).flatMap(term => [term, term.toUpperCase()]))];
+
+  const patterns = [];
+  if (long.length > 0) patterns.push(new RegExp(wrap(long), 'i'));
+  if (short.length > 0) patterns.push(new RegExp(wrap(short)));
+  return text => patterns.some(pattern => pattern.test(text));
+}
+
+// Months of experience per skill: the merged intervals of every role whose title or
+// description mentions the skill. Returns a Map of canonical skill id -> months.
+function skillMonths(experience = [], skillNames = [], options = {}) {
+  const entries = (experience || [])
+    .map(entry => ({
+      interval: entryInterval(entry, options),
+      text: [entry.position, entry.description].filter(Boolean).join(' ')
+    }))
+    .filter(entry => entry.interval && entry.text);
+
+  const result = new Map();
+  for (const name of skillNames) {
+    if (!name) continue;
+    const mentions = skillPattern(name);
+    const months = intervalMonths(entries.filter(entry => mentions(entry.text)).map(entry => entry.interval));
+    result.set(skillTaxonomy.canonicalId(name), months);
+  }
+  return result;
+}
+
+function monthToDate(month) {
+  return new Date(Date.UTC(Math.floor(month / 12), month % 12, 1));
+}
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function formatMonth(month) {
+  return `${MONTH_LABELS[month % 12]} ${Math.floor(month / 12)}`;
+}
+
+// Rewrite parsed resume data in place: real Date values on each role, a readable duration,
+// total months of experience and months per skill
+function normalizeExtractedData(extractedData, options = {}) {
+  if (!extractedData) return extractedData;
+
+  const experience = (extractedData.experience || []).map(entry => {
+    const interval = entryInterval(entry, options);
+    if (!interval) {
+      // Drop unparseable dates so they cannot fail Date casting on save
+      const { startDate, endDate, ...rest } = entry;
+      return {
+        ...rest,
+        ...(startDate instanceof Date ? { startDate } : {}),
+        ...(endDate instanceof Date ? { endDate } : {}),
+        current: Boolean(entry.current)
+      };
+    }
+
+    return {
+      ...entry,
+      startDate: monthToDate(interval.start),
+      endDate: interval.current ? undefined : monthToDate(interval.end - 1),
+      current: interval.current,
+      duration: entry.duration || `${formatMonth(interval.start)} – ${interval.current ? 'Present' : formatMonth(interval.end - 1)}`,
+      months: interval.end - interval.start
+    };
+  });
+
+  const skills = extractedData.skills || [];
+  const monthsBySkill = skillMonths(experience, skills.map(skill => skill.name), options);
+
+  return {
+    ...extractedData,
+    experience,
+    totalExperienceMonths: totalMonths(experience, options),
+    skills: skills.map(skill => {
+      const months = monthsBySkill.get(skillTaxonomy.canonicalId(skill.name)) || 0;
+      return {
+        ...skill,
+        monthsOfExperience: months,
+        yearsOfExperience: skill.yearsOfExperience || (months > 0 ? Math.round((months / 12) * 10) / 10 : undefined)
+      };
+    })
+  };
+}
+
+module.exports = {
+  parseDate,
+  parseRange,
+  entryInterval,
+  mergeIntervals,
+  totalMonths,
+  skillMonths,
+  normalizeExtractedData
+};
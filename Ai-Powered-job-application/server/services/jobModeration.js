@@ -0,0 +1,166 @@
+// jobModeration.js
+// Review queue for job postings. The jobs.moderation setting (JOB_MODERATION by default)
+// decides what needs an admin's approval before it goes live: off (nothing), flagged
+// (postings with automated flags) or all.
+// Flags are computed on every create and edit: missing salary, suspicious keywords and
+// duplicates of an existing posting. Every decision is appended to job.moderation.log,
+// which the posting recruiter can read.
+const Job = require('../models/Job');
+const notifications = require('./notifications');
+const settings = require('./settings');
+
+const MODES = ['off', 'flagged', 'all'];
+
+// Phrases that show up in scam and money-mule postings
+const DEFAULT_SUSPICIOUS_KEYWORDS = [
+  'wire transfer',
+  'western union',
+  'moneygram',
+  'upfront fee',
+  'registration fee',
+  'training fee',
+  'gift card',
+  'bitcoin',
+  'crypto payment',
+  'bank account details',
+  'social security number',
+  'reshipping',
+  'package forwarding',
+  'money transfer agent',
+  'guaranteed income',
+  'no interview required',
+  'contact us on whatsapp',
+  'contact us on telegram'
+];
+
+// Only jobs that are or may become visible count as duplicates
+const DUPLICATE_STATUSES = ['active', 'paused', 'draft', 'pending_review'];
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const exactly = (value) => new RegExp(`^\\s*${escapeRegExp(value.trim())}\\s*$`, 'i');
+
+function getMode() {
+  return settings.get('jobs.moderation');
+}
+
+function suspiciousKeywords() {
+  const extra = (process.env.JOB_MODERATION_KEYWORDS || '')
+    .split(',')
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DEFAULT_SUSPICIOUS_KEYWORDS, ...extra];
+}
+
+// Automated flags for a job (saved or not): [{ code, message, data }]
+async function detectFlags(job) {
+  const flags = [];
+
+  const salary = job.compensation?.salary;
+  if (!salary?.min && !salary?.max) {
+    flags.push({ code: 'missing_salary', message: 'No salary range given' });
+  }
+
+  const text = `${job.title || ''} ${job.description || ''} ${job.compensation?.equity || ''}`.toLowerCase();
+  const keywords = suspiciousKeywords().filter(keyword => text.includes(keyword));
+  if (keywords.length > 0) {
+    flags.push({
+      code: 'suspicious_keywords',
+      message: `Contains suspicious wording: ${keywords.join(', ')}`,
+      data: { keywords }
+    });
+  }
+
+  if (job.title && job.company?.name) {
+    const duplicate = await Job.findOne({
+      _id: { $ne: job._id },
+      title: exactly(job.title),
+      'company.name': exactly(job.company.name),
+      status: { $in: DUPLICATE_STATUSES }
+    }).select('_id title postedBy').lean();
+
+    if (duplicate) {
+      flags.push({
+        code: 'duplicate',
+        message: 'Same title and company as an existing posting',
+        data: { jobId: duplicate._id, samePoster: String(duplicate.postedBy) === String(job.postedBy) }
+      });
+    }
+  }
+
+  return flags;
+}
+
+function appendLog(job, entry) {
+  job.moderation.log.push({ ...entry, at: new Date() });
+}
+
+// Check a new posting and hold it for review when the mode calls for it. Call before the
+// first save; `requestedStatus` is what the recruiter asked for and applies on approval.
+async function screenNewJob(job, user) {
+  const flags = await detectFlags(job);
+  const mode = getMode();
+  const hold = mode === 'all' || (mode === 'flagged' && flags.length > 0);
+
+  job.moderation = { state: hold ? 'pending' : 'none', flags, log: [] };
+  appendLog(job, { action: 'submitted', by: user._id, flags: flags.map(flag => flag.code) });
+
+  if (hold) {
+    job.moderation.requestedStatus = job.status === 'draft' ? 'draft' : 'active';
+    job.status = 'pending_review';
+  }
+  return { held: hold, flags };
+}
+
+// Re-check a job after its owner edited it. Rejected jobs always go back to the queue;
+// approved or unreviewed ones do when an edit introduces a flag that wasn't there before.
+async function screenEditedJob(job, user) {
+  const previous = new Set((job.moderation?.flags || []).map(flag => flag.code));
+  const flags = await detectFlags(job);
+  const mode = getMode();
+
+  if (!job.moderation?.state) {
+    job.moderation = { state: 'none', flags: [], log: [] };
+  }
+  job.moderation.flags = flags;
+
+  const newFlags = flags.filter(flag => !previous.has(flag.code));
+  const resubmit = job.moderation.state === 'rejected' ||
+    (mode !== 'off' && job.moderation.state !== 'pending' && newFlags.length > 0);
+
+  if (resubmit) {
+    job.moderation.requestedStatus = job.status === 'rejected' || job.status === 'pending_review'
+      ? job.moderation.requestedStatus || 'active'
+      : job.status;
+    job.moderation.state = 'pending';
+    job.moderation.reason = undefined;
+    job.status = 'pending_review';
+    appendLog(job, { action: 'resubmitted', by: user._id, flags: flags.map(flag => flag.code) });
+  } else if (newFlags.length > 0) {
+    appendLog(job, { action: 'flagged', by: user._id, flags: newFlags.map(flag => flag.code) });
+  }
+
+  return { held: resubmit, flags };
+}
+
+// Admin decision on a pending job. `decision` is 'approved' or 'rejected'.
+async function decide(job, admin, decision, reason) {
+  job.moderation.state = decision;
+  job.moderation.reason = reason || undefined;
+  job.moderation.reviewedBy = admin._id;
+  job.moderation.reviewedAt = new Date();
+  job.status = decision === 'approved' ? job.moderation.requestedStatus || 'active' : 'rejected';
+  appendLog(job, { action: decision, by: admin._id, reason });
+
+  await job.save();
+  notifications.emit('job.moderated', { job, decision, reason });
+  return job;
+}
+
+module.exports = {
+  MODES,
+  getMode,
+  detectFlags,
+  screenNewJob,
+  screenEditedJob,
+  decide
+};
@@ -0,0 +1,93 @@
+// jobTeam.js
+// Shared hiring pipelines. A job's poster can add colleagues to job.team, each with a
+// set of permissions:
+//   view           see the job's applications, candidates and team activity
+//   comment        discuss applications with the rest of the team
+//   change_status  move applications through the workflow and manage interview slots
+// Roles are presets for those permissions. The poster and users who may review
+// applications on any job (platform admins by default) can do everything, including
+// managing the team and editing the job itself. All of it needs the applications:review
+// permission (services/policy) in the first place.
+const JobActivity = require('../models/JobActivity');
+const policy = require('./policy');
+
+const PERMISSIONS = ['view', 'comment', 'change_status'];
+
+const ROLE_PERMISSIONS = {
+  hiring_manager: ['view', 'comment', 'change_status'],
+  interviewer: ['view', 'comment'],
+  viewer: ['view']
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// { role, permissions } of `user` on `job`; role is null when they have no access
+function accessFor(job, user) {
+  if (!job || !user) return { role: null, permissions: [] };
+
+  const scope = policy.scopeOf(user, 'applications:review');
+  if (scope === 'any') return { role: 'admin', permissions: PERMISSIONS };
+  if (!scope) return { role: null, permissions: [] };
+  if (idOf(job.postedBy) === idOf(user)) return { role: 'owner', permissions: PERMISSIONS };
+
+  const member = (job.team || []).find(entry => idOf(entry.user) === idOf(user));
+  if (!member) return { role: null, permissions: [] };
+  return { role: member.role, permissions: member.permissions };
+}
+
+function can(job, user, permission) {
+  return accessFor(job, user).permissions.includes(permission);
+}
+
+// Only the poster (or an admin) changes who is on the team
+function canManageTeam(job, user) {
+  return ['owner', 'admin'].includes(accessFor(job, user).role);
+}
+
+// Jobs a recruiter posted or was added to
+function accessibleJobsQuery(userId) {
+  return { $or: [{ postedBy: userId }, { 'team.user': userId }] };
+}
+
+// Poster plus the members holding `permission`, for notifications
+function recipients(job, permission = 'change_status') {
+  return [
+    job.postedBy,
+    ...(job.team || []).filter(member => member.permissions.includes(permission)).map(member => member.user)
+  ];
+}
+
+// Permissions for a new or updated member: the role preset unless a subset is given
+function permissionsFor(role, permissions) {
+  if (!Array.isArray(permissions)) return ROLE_PERMISSIONS[role];
+  const granted = PERMISSIONS.filter(permission => permissions.includes(permission));
+  // Anything else needs to see the job first
+  return granted.length > 0 && !granted.includes('view') ? ['view', ...granted] : granted;
+}
+
+// Add an entry to the job's activity feed; failures are logged, never thrown
+function record(job, actor, type, { application, member, data } = {}) {
+  return JobActivity.create({
+    job: idOf(job),
+    actor: idOf(actor),
+    type,
+    application: idOf(application),
+    member: idOf(member),
+    data
+  }).catch(error => {
+    console.error(`Job activity ${type} failed:`, error);
+    return null;
+  });
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  accessFor,
+  can,
+  canManageTeam,
+  accessibleJobsQuery,
+  recipients,
+  permissionsFor,
+  record
+};
@@ -0,0 +1,111 @@
+// learningPaths.js
+// Builds a video curriculum for a set of skill gaps: for each gap, up to one video per
+// difficulty level from the Video library, then the whole list ordered beginner → advanced
+// (and by gap priority within a level).
+const Video = require('../models/Video');
+const Job = require('../models/Job');
+const LearningPath = require('../models/LearningPath');
+const skillTaxonomy = require('./skillTaxonomy');
+const { getUserSkillGaps, getJobSkillGaps } = require('./skillGaps');
+
+const DIFFICULTY_ORDER = ['beginner', 'intermediate', 'advanced'];
+const MAX_VIDEOS_PER_SKILL = 3;
+const MAX_GAPS = 8;
+
+const difficultyRank = (difficulty) => {
+  const rank = DIFFICULTY_ORDER.indexOf(difficulty);
+  return rank === -1 ? 0 : rank;
+};
+
+// Video skills that teach `skill` (the same skill or a more specific one)
+const teaches = (video, skill) =>
+  video.skills.filter(videoSkill => skillTaxonomy.matchStrength(videoSkill, skill) === 1);
+
+// Ordered steps for `gaps` ([{ skill, ... }] in priority order) plus the gaps with a `covered` flag
+async function buildCurriculum(gaps, { maxVideosPerSkill = MAX_VIDEOS_PER_SKILL } = {}) {
+  if (gaps.length === 0) return { steps: [], skillGaps: [], totalDurationMinutes: 0 };
+
+  // Video skills are stored lowercase
+  const terms = [...new Set(gaps.flatMap(gap => skillTaxonomy.expandTerms(gap.skill).map(term => term.toLowerCase())))];
+  const videos = await Video.find({ isActive: true, skills: { $in: terms } })
+    .sort({ isFeatured: -1, rating: -1, viewCount: -1 })
+    .lean();
+
+  const chosen = new Map(); // video id -> step
+  const skillGaps = gaps.map((gap, priority) => {
+    const candidates = videos
+      .filter(video => teaches(video, gap.skill).length > 0)
+      .sort((a, b) => difficultyRank(a.difficulty) - difficultyRank(b.difficulty));
+
+    // Climb the levels: at most one video per difficulty for each skill
+    const levels = new Set();
+    let picked = 0;
+    for (const video of candidates) {
+      if (picked >= maxVideosPerSkill) break;
+      if (levels.has(video.difficulty)) continue;
+      levels.add(video.difficulty);
+      picked++;
+
+      // A video already chosen for another gap now covers this one too
+      const id = video._id.toString();
+      if (chosen.has(id)) {
+        chosen.get(id).skills.push(gap.skill);
+        continue;
+      }
+      chosen.set(id, {
+        video: video._id,
+        skills: [gap.skill],
+        difficulty: video.difficulty,
+        durationMinutes: video.duration || 0,
+        priority
+      });
+    }
+
+    return {
+      skill: gap.skill,
+      score: gap.score,
+      required: Boolean(gap.required),
+      advice: gap.advice || undefined,
+      covered: picked > 0
+    };
+  });
+
+  const steps = [...chosen.values()]
+    .sort((a, b) => difficultyRank(a.difficulty) - difficultyRank(b.difficulty) || a.priority - b.priority)
+    .map(({ priority, ...step }) => step);
+
+  return {
+    steps,
+    skillGaps,
+    totalDurationMinutes: steps.reduce((sum, step) => sum + step.durationMinutes, 0)
+  };
+}
+
+// Build (but don't save) a learning path for `userId`, targeting `jobId` or all of their
+// open matches. Returns null when there is no job with that id.
+async function buildLearningPath(userId, { jobId } = {}) {
+  let job = null;
+  let gaps;
+
+  if (jobId) {
+    job = await Job.findById(jobId).select('title company.name requirements.skills');
+    if (!job) return null;
+    gaps = await getJobSkillGaps(userId, job, { limit: MAX_GAPS });
+  } else {
+    gaps = await getUserSkillGaps(userId, { limit: MAX_GAPS });
+  }
+
+  const curriculum = await buildCurriculum(gaps);
+  return new LearningPath({
+    user: userId,
+    job: job?._id,
+    title: job ? `Path to ${job.title}${job.company?.name ? ` at ${job.company.name}` : ''}` : 'Close your skill gaps',
+    ...curriculum
+  });
+}
+
+module.exports = {
+  DIFFICULTY_ORDER,
+  buildCurriculum,
+  buildLearningPath
+};
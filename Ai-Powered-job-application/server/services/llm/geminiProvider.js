@@ -0,0 +1,39 @@
+// geminiProvider.js
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const settings = require('../settings');
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+
+  // Model names are runtime settings (defaulting to GEMINI_MODEL and EMBEDDING_MODEL)
+  get model() {
+    return settings.get('llm.geminiModel');
+  }
+
+  // Resume parsing has its own model so it keeps the faster one it always used
+  modelFor(purpose) {
+    return purpose === 'resume' ? settings.get('llm.geminiResumeModel') : this.model;
+  }
+
+  get embeddingModel() {
+    return settings.get('llm.geminiEmbeddingModel');
+  }
+
+  async generateText(prompt, options = {}) {
+    const model = this.client.getGenerativeModel({ model: options.model || this.modelFor(options.purpose) });
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+
+  async embed(text, options = {}) {
+    const model = this.client.getGenerativeModel({ model: options.model || this.embeddingModel });
+    const result = await model.embedContent(text);
+    return result.embedding.values;
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,117 @@
+// llm/index.js
+// Single entry point for text generation and embeddings. The backend is chosen with
+// LLM_PROVIDER (gemini | openai | ollama | stub); without it we use Gemini when a key
+// is configured and the offline stub otherwise.
+require('dotenv').config();
+
+const providers = {
+  gemini: () => require('./geminiProvider'),
+  openai: () => require('./openaiProvider'),
+  ollama: () => require('./ollamaProvider'),
+  stub: () => require('./stubProvider')
+};
+
+function resolveProviderName() {
+  const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (configured) {
+    if (!providers[configured]) {
+      throw new Error(`Unknown LLM_PROVIDER "${configured}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return configured;
+  }
+  return process.env.GEMINI_API_KEY ? 'gemini' : 'stub';
+}
+
+// Helper function to clean and parse JSON from AI responses
+function parseJsonResponse(text) {
+  try {
+    // Remove markdown code fences (```json and ```)
+    let cleaned = text.replace(/```json|```/g, '').trim();
+
+    // Find JSON object boundaries
+    const jsonStart = cleaned.indexOf('{');
+    const jsonEnd = cleaned.lastIndexOf('}');
+
+    if (jsonStart === -1 || jsonEnd === -1 || jsonEnd < jsonStart) {
+      // If no JSON object found, try to find JSON array
+      const arrayStart = cleaned.indexOf('[');
+      const arrayEnd = cleaned.lastIndexOf(']');
+
+      if (arrayStart !== -1 && arrayEnd !== -1 && arrayEnd > arrayStart) {
+        cleaned = cleaned.substring(arrayStart, arrayEnd + 1);
+      } else {
+        throw new Error('No valid JSON found in AI response');
+      }
+    } else {
+      cleaned = cleaned.substring(jsonStart, jsonEnd + 1);
+    }
+
+    return JSON.parse(cleaned);
+  } catch (error) {
+    console.error('JSON parsing error:', error);
+    console.error('Raw response text:', text.substring(0, 500)); // Log first 500 chars to avoid huge logs
+    throw error;
+  }
+}
+
+class LLMService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const Provider = providers[resolveProviderName()]();
+      this.provider = new Provider();
+      console.log(`LLM provider: ${this.provider.name}`);
+    }
+    return this.provider;
+  }
+
+  // Swap the active backend at runtime (mainly for scripts and tests)
+  setProvider(name) {
+    if (!providers[name]) {
+      throw new Error(`Unknown LLM provider "${name}"`);
+    }
+    const Provider = providers[name]();
+    this.provider = new Provider();
+    return this.provider;
+  }
+
+  get providerName() {
+    return this.getProvider().name;
+  }
+
+  // Generate a text completion for a single prompt. options.purpose (e.g. 'resume') lets a
+  // provider use the model configured for that job
+  async generateText(prompt, options = {}) {
+    return this.getProvider().generateText(prompt, options);
+  }
+
+  // Generate a completion and parse the JSON object/array it contains
+  async generateJSON(prompt, options = {}) {
+    const text = await this.generateText(prompt, options);
+    return parseJsonResponse(text);
+  }
+
+  // Parse the JSON object/array out of a raw completion
+  parseJsonResponse(text) {
+    return parseJsonResponse(text);
+  }
+
+  // Generate an embedding vector for text
+  async embed(text, options = {}) {
+    return this.getProvider().embed(text, options);
+  }
+
+  // True when the caller should switch to its non-AI fallback instead of failing
+  // (quota/rate limits, or the offline stub provider)
+  shouldFallback(error) {
+    if (!error) return false;
+    if (error.code === 'LLM_OFFLINE') return true;
+    if (error.response?.status === 429) return true;
+    return Boolean(error.message && (error.message.includes('quota') || error.message.includes('429')));
+  }
+}
+
+module.exports = new LLMService();
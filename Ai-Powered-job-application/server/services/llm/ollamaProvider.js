@@ -0,0 +1,42 @@
+// ollamaProvider.js
+// Talks to a local Ollama-style server (POST /api/generate, POST /api/embeddings)
+const axios = require('axios');
+
+class OllamaProvider {
+  constructor() {
+    this.name = 'ollama';
+    this.baseUrl = (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, '');
+    this.model = process.env.OLLAMA_MODEL || 'llama3';
+    this.embeddingModel = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+    this.timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 120000;
+  }
+
+  async generateText(prompt, options = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/generate`,
+      {
+        model: options.model || this.model,
+        prompt,
+        stream: false
+      },
+      { timeout: this.timeout }
+    );
+
+    return response.data.response || '';
+  }
+
+  async embed(text, options = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/embeddings`,
+      {
+        model: options.model || this.embeddingModel,
+        prompt: text
+      },
+      { timeout: this.timeout }
+    );
+
+    return response.data.embedding || [];
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,51 @@
+// openaiProvider.js
+// Talks to any OpenAI-compatible HTTP endpoint (OpenAI, Azure proxies, vLLM, LM Studio, ...)
+const axios = require('axios');
+
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async generateText(prompt, options = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: options.model || this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: options.temperature ?? 0.2
+      },
+      { headers: this.headers(), timeout: this.timeout }
+    );
+
+    return response.data.choices?.[0]?.message?.content || '';
+  }
+
+  async embed(text, options = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/embeddings`,
+      {
+        model: options.model || this.embeddingModel,
+        input: text
+      },
+      { headers: this.headers(), timeout: this.timeout }
+    );
+
+    return response.data.data?.[0]?.embedding || [];
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,44 @@
+// stubProvider.js
+// Deterministic offline provider: no network, no API key.
+// Text generation always fails with LLM_OFFLINE so callers take their rule-based fallbacks;
+// embeddings are hashed bag-of-words vectors, so identical text always yields identical vectors
+// and texts sharing vocabulary still score a meaningful cosine similarity.
+const DIMENSIONS = 256;
+
+// FNV-1a hash of a token, mapped onto a vector slot
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash % DIMENSIONS;
+}
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.model = 'stub';
+    this.embeddingModel = 'stub-hash-256';
+  }
+
+  async generateText() {
+    const error = new Error('LLM provider "stub" is offline and does not generate text');
+    error.code = 'LLM_OFFLINE';
+    throw error;
+  }
+
+  async embed(text) {
+    const vector = new Array(DIMENSIONS).fill(0);
+    const tokens = String(text || '').toLowerCase().match(/[a-z0-9+#.]+/g) || [];
+
+    for (const token of tokens) {
+      vector[hashToken(token)] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+  }
+}
+
+module.exports = StubProvider;
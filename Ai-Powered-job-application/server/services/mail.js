@@ -0,0 +1,81 @@
+// mail.js
+// Outgoing email behind one send() call. The transport is chosen with MAIL_TRANSPORT
+// (smtp | file | console); without it we use SMTP when SMTP_HOST is set and the console
+// sink otherwise, so development never needs a mail server. Production refuses to fall back
+// to the console: messages carry sign-in links and tokens that don't belong in the logs.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+  // Render the full message but keep it local: file writes .eml files, console prints the subject
+  file: () => nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' }),
+  console: () => nodemailer.createTransport({ jsonTransport: true })
+};
+
+function resolveTransportName() {
+  const configured = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+  if (configured) {
+    if (!transports[configured]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${configured}". Expected one of: ${Object.keys(transports).join(', ')}`);
+    }
+    return configured;
+  }
+  if (process.env.SMTP_HOST) return 'smtp';
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT');
+  }
+  return 'console';
+}
+
+class MailService {
+  constructor() {
+    this.name = null;
+    this.transport = null;
+  }
+
+  // Pick the transport now so a missing configuration stops the server at startup
+  init() {
+    this.getTransport();
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.name = resolveTransportName();
+      this.transport = transports[this.name]();
+      console.log(`✅ Mail transport: ${this.name}`);
+    }
+    return this.transport;
+  }
+
+  // Send one message: { to, subject, text, html, attachments }
+  async send(message) {
+    const transport = this.getTransport();
+    const info = await transport.sendMail({
+      from: process.env.MAIL_FROM || 'AI JobMatch <no-reply@localhost>',
+      ...message
+    });
+
+    if (this.name === 'file') {
+      const dir = process.env.MAIL_FILE_DIR || './data/mail';
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      fs.writeFileSync(file, info.message);
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+    } else if (this.name === 'console') {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    }
+
+    return info;
+  }
+}
+
+module.exports = new MailService();
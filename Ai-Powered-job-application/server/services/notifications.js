@@ -0,0 +1,263 @@
+// notifications.js
+// Turns domain events (an application arrived, its stage changed, an interview moved...)
+// into in-app notifications and emails. Each event maps to a category; users choose per
+// category whether they want it in the app, by email, or not at all (User.preferences.notifications).
+// emit() never throws, so callers can fire and forget without breaking the request.
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const mail = require('./mail');
+const calendar = require('./calendar');
+const jobTeam = require('./jobTeam');
+
+const CATEGORIES = ['applications', 'matches', 'jobs', 'interviews'];
+
+// Used when a user has no stored preference for a category
+const DEFAULT_PREFERENCES = {
+  applications: { inApp: true, email: true },
+  matches: { inApp: true, email: false },
+  jobs: { inApp: true, email: false },
+  interviews: { inApp: true, email: true }
+};
+
+const STAGE_LABELS = {
+  applied: 'Applied',
+  screening: 'Screening',
+  interview: 'Interview',
+  offer: 'Offer',
+  hired: 'Hired',
+  rejected: 'Not selected',
+  withdrawn: 'Withdrawn'
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+const nameOf = (user) => user?.firstName ? `${user.firstName} ${user.lastName}` : 'A candidate';
+const formatWhen = (date) => new Date(date).toUTCString().replace(' GMT', ' UTC');
+
+// Candidates manage interviews on their interviews page, the hiring side on the dashboard
+const interviewLink = (interview) => (user) =>
+  idOf(user) === idOf(interview.candidate) ? '/interviews' : '/recruiter-dashboard';
+
+// The interview as an .ics attachment, so the email lands in the recipient's calendar
+const calendarAttachment = (interview) => ({
+  filename: 'interview.ics',
+  content: calendar.interviewEvent(interview),
+  contentType: `text/calendar; charset=utf-8; method=${interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST'}`
+});
+
+// Event name -> { category, build(payload) } where build returns the recipients and content.
+// `link` may be a function of the recipient; `attachments` go with the email only.
+const EVENTS = {
+  'application.submitted': {
+    category: 'applications',
+    build: ({ application, job, applicant }) => ({
+      recipients: jobTeam.recipients(job),
+      title: `New application for ${job.title}`,
+      message: `${nameOf(applicant)} applied${application.matchScore ? ` with a ${application.matchScore}% match` : ''}.`,
+      link: '/recruiter-dashboard',
+      data: { applicationId: idOf(application), jobId: idOf(job) }
+    })
+  },
+
+  // Recruiter moves reach the applicant; an applicant withdrawing reaches the hiring team
+  'application.status_changed': {
+    category: 'applications',
+    build: ({ application, job, applicant, from, to, actor }) => actor === 'applicant'
+      ? {
+        recipients: jobTeam.recipients(job),
+        title: `Application withdrawn for ${job.title}`,
+        message: `${nameOf(applicant)} withdrew their application.`,
+        link: '/recruiter-dashboard',
+        data: { applicationId: idOf(application), jobId: idOf(job), from, to }
+      }
+      : {
+        recipients: [application.applicant],
+        title: `Your application for ${job.title} is now: ${STAGE_LABELS[to] || to}`,
+        message: to === 'interview'
+          ? 'You have been invited to interview. Pick one of the available interview slots.'
+          : `Your application moved from ${STAGE_LABELS[from] || from} to ${STAGE_LABELS[to] || to}.`,
+        link: to === 'interview' ? '/interviews' : '/matches',
+        data: { applicationId: idOf(application), jobId: idOf(job), from, to }
+      }
+  },
+
+  'matches.generated': {
+    category: 'matches',
+    build: ({ userId, count, topScore }) => count > 0 && {
+      recipients: [userId],
+      title: `${count} new job match${count === 1 ? '' : 'es'}`,
+      message: topScore ? `Your best new match scores ${topScore}%.` : 'New jobs match your resume.',
+      link: '/matches',
+      data: { count, topScore }
+    }
+  },
+
+  // The job stopped taking applications; tell everyone still in the running
+  'job.closed': {
+    category: 'jobs',
+    build: ({ job, applicantIds, reason }) => ({
+      recipients: applicantIds,
+      title: `${job.title} is no longer accepting applications`,
+      message: reason === 'deleted'
+        ? `${job.company?.name || 'The employer'} removed this job posting.`
+        : `${job.company?.name || 'The employer'} closed this job posting.`,
+      link: '/jobs',
+      data: { jobId: idOf(job), reason }
+    })
+  },
+
+  // An admin approved or rejected a posting from the moderation queue
+  'job.moderated': {
+    category: 'jobs',
+    build: ({ job, decision, reason }) => ({
+      recipients: [job.postedBy],
+      title: decision === 'approved'
+        ? `${job.title} was approved`
+        : `${job.title} was not approved`,
+      message: decision === 'approved'
+        ? `Your job posting passed review${job.status === 'active' ? ' and is now live' : ''}.`
+        : `Your job posting was rejected${reason ? `: ${reason}` : '.'} Edit it to submit it again.`,
+      link: '/recruiter-dashboard',
+      data: { jobId: idOf(job), decision }
+    })
+  },
+
+  // Someone was added to a job's hiring team
+  'job.team_added': {
+    category: 'jobs',
+    build: ({ job, member, addedBy }) => ({
+      recipients: [member.user],
+      title: `You joined the hiring team for ${job.title}`,
+      message: `${nameOf(addedBy)} added you as ${member.role.replace('_', ' ')}.`,
+      link: '/recruiter-dashboard',
+      data: { jobId: idOf(job), role: member.role }
+    })
+  },
+
+  'interview.booked': {
+    category: 'interviews',
+    build: ({ interview, job, candidate }) => ({
+      recipients: [interview.recruiter, ...interview.interviewers.map(entry => entry.user)],
+      title: `Interview booked for ${job.title}`,
+      message: `${nameOf(candidate)} booked ${formatWhen(interview.start)}.`,
+      link: '/recruiter-dashboard',
+      data: { interviewId: idOf(interview), jobId: idOf(job) },
+      attachments: [calendarAttachment(interview)]
+    })
+  },
+
+  'interview.rescheduled': {
+    category: 'interviews',
+    build: ({ interview, job, by }) => ({
+      recipients: otherParticipants(interview, by),
+      title: `Interview for ${job.title} rescheduled`,
+      message: `The interview now starts ${formatWhen(interview.start)}.`,
+      link: interviewLink(interview),
+      data: { interviewId: idOf(interview), jobId: idOf(job) },
+      attachments: [calendarAttachment(interview)]
+    })
+  },
+
+  'interview.cancelled': {
+    category: 'interviews',
+    build: ({ interview, job, by, reason }) => ({
+      recipients: otherParticipants(interview, by),
+      title: `Interview for ${job.title} cancelled`,
+      message: `The interview on ${formatWhen(interview.start)} was cancelled${reason ? `: ${reason}` : '.'}`,
+      link: interviewLink(interview),
+      data: { interviewId: idOf(interview), jobId: idOf(job) },
+      attachments: [calendarAttachment(interview)]
+    })
+  }
+};
+
+// Everyone on the interview except the user who changed it
+function otherParticipants(interview, by) {
+  const byId = idOf(by);
+  return [interview.candidate, interview.recruiter, ...interview.interviewers.map(entry => entry.user)]
+    .filter(user => user && idOf(user) !== byId);
+}
+
+// Effective { inApp, email } for one user and category
+function channelsFor(user, category) {
+  const stored = user.preferences?.notifications?.[category] || {};
+  return {
+    inApp: stored.inApp ?? DEFAULT_PREFERENCES[category].inApp,
+    email: stored.email ?? DEFAULT_PREFERENCES[category].email
+  };
+}
+
+function emailBody(notification) {
+  const url = notification.link ? `${process.env.CLIENT_URL || 'http://localhost:3000'}${notification.link}` : null;
+  return [
+    notification.message,
+    url ? `\nOpen: ${url}` : null,
+    '\nYou can change which emails you receive in your profile settings.'
+  ].filter(Boolean).join('\n');
+}
+
+async function deliver(event, payload) {
+  const definition = EVENTS[event];
+  if (!definition) {
+    throw new Error(`Unknown notification event "${event}"`);
+  }
+
+  const content = definition.build(payload);
+  if (!content) return [];
+
+  const recipientIds = [...new Set((content.recipients || []).filter(Boolean).map(idOf))];
+  if (recipientIds.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: recipientIds }, isActive: true })
+    .select('email firstName preferences.notifications');
+
+  const created = [];
+  for (const user of users) {
+    const channels = channelsFor(user, definition.category);
+    if (!channels.inApp && !channels.email) continue;
+
+    const notification = {
+      user: user._id,
+      type: event,
+      category: definition.category,
+      title: content.title,
+      message: content.message,
+      link: typeof content.link === 'function' ? content.link(user) : content.link,
+      data: content.data
+    };
+
+    if (channels.email) {
+      try {
+        await mail.send({
+          to: user.email,
+          subject: content.title,
+          text: emailBody(notification),
+          attachments: content.attachments
+        });
+        notification.emailedAt = new Date();
+      } catch (error) {
+        console.error(`Notification email to ${user.email} failed:`, error.message);
+      }
+    }
+
+    if (channels.inApp) {
+      created.push(await Notification.create(notification));
+    }
+  }
+  return created;
+}
+
+// Publish an event; failures are logged, never thrown
+function emit(event, payload) {
+  return deliver(event, payload).catch(error => {
+    console.error(`Notification ${event} failed:`, error);
+    return [];
+  });
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_PREFERENCES,
+  EVENTS,
+  channelsFor,
+  emit
+};
@@ -0,0 +1,189 @@
+// oidc.js
+// Sign-in through OpenID Connect providers, next to password login. Providers are listed in
+// OIDC_PROVIDERS (comma-separated ids) and each one is configured with OIDC_<ID>_ISSUER,
+// OIDC_<ID>_CLIENT_ID and OIDC_<ID>_CLIENT_SECRET; endpoints come from the issuer's discovery
+// document. We run the authorization code flow with PKCE, verify the ID token against the
+// issuer's JWKS and merge in the userinfo claims.
+//
+// `npm run mock-idp` starts a local provider (scripts/mockOidcProvider.js) for development.
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+// Discovery documents and key sets are refetched after this long
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const PROFILE_FIELDS = ['linkedin', 'github', 'website'];
+
+const providers = (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean)
+  .map(id => {
+    const env = (key) => process.env[`OIDC_${id.toUpperCase()}_${key}`];
+    return {
+      id,
+      name: env('NAME') || id.charAt(0).toUpperCase() + id.slice(1),
+      issuer: (env('ISSUER') || '').replace(/\/$/, ''),
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET'),
+      scopes: env('SCOPES') || 'openid email profile',
+      // Which profile link the provider's `profile` claim fills in (linkedin, github or website)
+      profileField: PROFILE_FIELDS.includes(env('PROFILE_FIELD')) ? env('PROFILE_FIELD') : 'website'
+    };
+  })
+  .filter(provider => {
+    if (provider.issuer && provider.clientId) return true;
+    console.warn(`OIDC provider "${provider.id}" is missing its ISSUER or CLIENT_ID and is disabled`);
+    return false;
+  });
+
+const metadataCache = new Map();
+const keyCache = new Map();
+
+function getProvider(id) {
+  return providers.find(provider => provider.id === id) || null;
+}
+
+function listProviders() {
+  return providers.map(({ id, name }) => ({ id, name }));
+}
+
+function redirectUri(provider) {
+  const base = process.env.OIDC_REDIRECT_BASE_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}/api/auth/oidc/${provider.id}/callback`;
+}
+
+async function discover(provider) {
+  const cached = metadataCache.get(provider.id);
+  if (cached && cached.fetchedAt > Date.now() - METADATA_TTL_MS) return cached.metadata;
+
+  const { data } = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+  if (data.issuer?.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error(`OIDC discovery for "${provider.id}" returned issuer ${data.issuer}`);
+  }
+  metadataCache.set(provider.id, { metadata: data, fetchedAt: Date.now() });
+  return data;
+}
+
+// The signing key for an ID token; an unknown kid refetches the key set once (key rotation)
+async function signingKey(provider, kid) {
+  const metadata = await discover(provider);
+  const load = async () => {
+    const { data } = await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+    keyCache.set(provider.id, { keys: data.keys || [], fetchedAt: Date.now() });
+    return data.keys || [];
+  };
+
+  const cached = keyCache.get(provider.id);
+  let keys = cached && cached.fetchedAt > Date.now() - METADATA_TTL_MS ? cached.keys : await load();
+  let jwk = keys.find(key => !kid || key.kid === kid);
+  if (!jwk && cached) {
+    keys = await load();
+    jwk = keys.find(key => !kid || key.kid === kid);
+  }
+  if (!jwk) throw new Error(`No signing key "${kid}" published by ${provider.issuer}`);
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Fresh state, nonce and PKCE verifier for one sign-in attempt
+function newFlow() {
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier: base64url(crypto.randomBytes(48))
+  };
+}
+
+async function authorizationUrl(provider, flow) {
+  const metadata = await discover(provider);
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri(provider),
+    scope: provider.scopes,
+    state: flow.state,
+    nonce: flow.nonce,
+    code_challenge: base64url(crypto.createHash('sha256').update(flow.codeVerifier).digest()),
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+}
+
+// Trade the authorization code for tokens and return the verified claims of the user
+async function complete(provider, flow, code) {
+  const metadata = await discover(provider);
+
+  const { data: tokens } = await axios.post(metadata.token_endpoint, new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri(provider),
+    code_verifier: flow.codeVerifier
+  }).toString(), {
+    auth: provider.clientSecret ? { username: provider.clientId, password: provider.clientSecret } : undefined,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    timeout: HTTP_TIMEOUT_MS
+  });
+  if (!tokens.id_token) throw new Error(`${provider.name} did not return an ID token`);
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  if (!header) throw new Error('Malformed ID token');
+  const claims = jwt.verify(tokens.id_token, await signingKey(provider, header.kid), {
+    algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+    issuer: [provider.issuer, `${provider.issuer}/`],
+    audience: provider.clientId
+  });
+  if (claims.nonce !== flow.nonce) throw new Error('ID token nonce does not match');
+
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    const { data: userinfo } = await axios.get(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+      timeout: HTTP_TIMEOUT_MS
+    });
+    // Userinfo only adds to the ID token, and only when it is about the same person
+    if (userinfo.sub === claims.sub) return { ...userinfo, ...claims };
+  }
+  return claims;
+}
+
+// Names and profile fields to start a new account with, or to fill gaps in an existing one
+function profileFromClaims(provider, claims) {
+  const [first, ...rest] = (claims.name || '').trim().split(/\s+/);
+  const profile = {};
+
+  if (claims.profile) profile[provider.profileField] = claims.profile;
+  if (claims.website && provider.profileField !== 'website') profile.website = claims.website;
+  if (claims.phone_number) profile.phone = claims.phone_number;
+  const address = claims.address;
+  if (address?.formatted || address?.locality) {
+    profile.location = [address.locality, address.country].filter(Boolean).join(', ') || address.formatted;
+  }
+  if (claims.bio) profile.bio = String(claims.bio).slice(0, 1000);
+
+  return {
+    firstName: claims.given_name || first || (claims.email || '').split('@')[0],
+    lastName: claims.family_name || rest.join(' ') || '-',
+    profile
+  };
+}
+
+// Copy imported profile fields into the user where they are still empty; returns what changed
+function importProfile(user, provider, claims) {
+  const { profile } = profileFromClaims(provider, claims);
+  const filled = Object.keys(profile).filter(field => !user.profile?.[field]);
+  filled.forEach(field => user.set(`profile.${field}`, profile[field]));
+  return filled;
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  newFlow,
+  authorizationUrl,
+  complete,
+  profileFromClaims,
+  importProfile
+};
@@ -0,0 +1,378 @@
+// policy.js
+// Central authorization. Every permission is an action on a resource ("jobs:update") and a
+// role grants it with a scope: "any" (every record) or "own" (records the resource's ownership
+// rule matches, e.g. jobs the user posted). Routes gate on a permission with the permit()
+// middleware and check ownership with can(user, permission, record) once the record is loaded.
+//
+// The built-in grants below are defaults; admins can override a role's grants at runtime.
+// Overrides live in the roles collection and are cached like settings (ROLES_REFRESH_MS).
+const Role = require('../models/Role');
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.ROLES_REFRESH_MS) || 60 * 1000;
+const HISTORY_LIMIT = 100;
+
+const ROLES = {
+  job_seeker: 'Job Seeker',
+  recruiter: 'Recruiter',
+  admin: 'Admin'
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+const sameId = (a, b) => Boolean(a) && Boolean(b) && idOf(a) === idOf(b);
+
+// Which company member roles count as "own" for each company action
+const COMPANY_MEMBER_ROLES = {
+  update: ['owner', 'admin'],
+  manage_members: ['owner']
+};
+
+// Resources, their actions (with the scopes a grant may use) and ownership rules. An action
+// may bring its own rule when the record it is checked against isn't the resource itself.
+const RESOURCES = {
+  jobs: {
+    label: 'Jobs',
+    owns: (user, job) => sameId(job.postedBy, user),
+    actions: {
+      create: { description: 'Post new jobs', scopes: ['any'] },
+      update: { description: 'Edit job postings', scopes: ['own', 'any'] },
+      delete: { description: 'Delete job postings', scopes: ['own', 'any'] },
+      moderate: { description: 'Review postings in the moderation queue', scopes: ['any'] }
+    }
+  },
+  applications: {
+    label: 'Applications',
+    owns: (user, application) => sameId(application.applicant, user),
+    actions: {
+      create: { description: 'Apply to jobs', scopes: ['any'] },
+      withdraw: { description: 'Withdraw applications', scopes: ['own', 'any'] },
+      review: {
+        description: 'Work the hiring pipeline of jobs (own: jobs they posted or whose hiring team they are on)',
+        scopes: ['own', 'any'],
+        owns: (user, job) => sameId(job.postedBy, user) || (job.team || []).some(member => sameId(member.user, user))
+      }
+    }
+  },
+  interviews: {
+    label: 'Interviews',
+    owns: (user, interview) => sameId(interview.recruiter, user),
+    actions: {
+      schedule: { description: 'Publish interview slots and manage interviews', scopes: ['own', 'any'] },
+      book: { description: 'Book interview slots', scopes: ['any'] }
+    }
+  },
+  companies: {
+    label: 'Companies',
+    owns: (user, company, action) =>
+      (COMPANY_MEMBER_ROLES[action] || []).includes(company.memberRole(idOf(user))),
+    actions: {
+      create: { description: 'Create or belong to a company profile', scopes: ['any'] },
+      update: { description: 'Edit company profiles and add members (own: company owners and admins)', scopes: ['own', 'any'] },
+      manage_members: { description: 'Change member roles and delete companies (own: company owners)', scopes: ['own', 'any'] }
+    }
+  },
+  tasks: {
+    label: 'Background tasks',
+    owns: (user, task) => sameId(task.user, user),
+    actions: {
+      view: { description: 'Follow resume parsing and match generation tasks', scopes: ['own', 'any'] }
+    }
+  },
+  videos: {
+    label: 'Learning videos',
+    actions: {
+      manage: { description: 'Add, edit and delete videos', scopes: ['any'] },
+      moderate: { description: 'Moderate video reviews', scopes: ['any'] }
+    }
+  },
+  courses: {
+    label: 'Courses',
+    actions: {
+      manage: { description: 'Add, edit and delete courses', scopes: ['any'] }
+    }
+  },
+  skills: {
+    label: 'Skill taxonomy',
+    actions: {
+      manage: { description: 'Edit skills, aliases and categories', scopes: ['any'] }
+    }
+  },
+  users: {
+    label: 'Users',
+    actions: {
+      manage: { description: 'Change roles, deactivate accounts, force password and 2FA resets', scopes: ['any'] }
+    }
+  },
+  settings: {
+    label: 'Platform settings',
+    actions: {
+      manage: { description: 'Change runtime settings', scopes: ['any'] }
+    }
+  },
+  roles: {
+    label: 'Roles',
+    actions: {
+      manage: { description: 'Change what each role may do', scopes: ['any'] }
+    }
+  }
+};
+
+const DEFAULT_GRANTS = {
+  job_seeker: [
+    'applications:create:any',
+    'applications:withdraw:own',
+    'interviews:book:any',
+    'tasks:view:own'
+  ],
+  recruiter: [
+    'jobs:create:any',
+    'jobs:update:own',
+    'jobs:delete:own',
+    'applications:review:own',
+    'interviews:schedule:own',
+    'companies:create:any',
+    'companies:update:own',
+    'companies:manage_members:own',
+    'tasks:view:own'
+  ],
+  admin: [
+    'jobs:update:any',
+    'jobs:delete:any',
+    'jobs:moderate:any',
+    'applications:review:any',
+    'interviews:schedule:any',
+    'companies:update:any',
+    'companies:manage_members:any',
+    'tasks:view:any',
+    'videos:manage:any',
+    'videos:moderate:any',
+    'courses:manage:any',
+    'skills:manage:any',
+    'users:manage:any',
+    'settings:manage:any',
+    'roles:manage:any'
+  ]
+};
+
+// Grants the admin role always keeps, so nobody can lock the platform out of its own controls
+const LOCKED_ADMIN_GRANTS = ['users:manage:any', 'roles:manage:any'];
+
+class PolicyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PolicyError';
+    this.statusCode = statusCode;
+  }
+}
+
+function actionFor(permission) {
+  const [resource, action] = permission.split(':');
+  const definition = RESOURCES[resource]?.actions[action];
+  if (!definition) {
+    throw new PolicyError(`Unknown permission "${permission}"`, 500);
+  }
+  return { resource, action, definition };
+}
+
+// Every permission with its description and allowed scopes, for the admin matrix
+function catalog() {
+  return Object.entries(RESOURCES).flatMap(([resource, { label, actions }]) =>
+    Object.entries(actions).map(([action, { description, scopes }]) => ({
+      permission: `${resource}:${action}`,
+      resource,
+      resourceLabel: label,
+      action,
+      description,
+      scopes
+    }))
+  );
+}
+
+// Validate admin-supplied grants; "any" makes "own" of the same permission redundant
+function normalizeGrants(role, grants) {
+  if (!Array.isArray(grants)) {
+    throw new PolicyError('Grants must be a list');
+  }
+
+  const scopes = new Map();
+  for (const grant of grants) {
+    const [resource, action, scope] = String(grant).split(':');
+    const definition = RESOURCES[resource]?.actions[action];
+    if (!definition) {
+      throw new PolicyError(`Unknown permission "${resource}:${action}"`);
+    }
+    if (!definition.scopes.includes(scope)) {
+      throw new PolicyError(`${resource}:${action} can only be granted with scope ${definition.scopes.join(' or ')}`);
+    }
+    const key = `${resource}:${action}`;
+    if (scopes.get(key) !== 'any') scopes.set(key, scope);
+  }
+
+  const normalized = [...scopes].map(([permission, scope]) => `${permission}:${scope}`);
+  if (role === 'admin') {
+    const missing = LOCKED_ADMIN_GRANTS.filter(grant => !normalized.includes(grant));
+    if (missing.length > 0) {
+      throw new PolicyError(`The admin role must keep ${missing.join(' and ')}`);
+    }
+  }
+  return normalized;
+}
+
+class PolicyService {
+  constructor() {
+    this.overrides = new Map(); // role -> grants
+    this.loadedAt = null;
+    this.initPromise = null;
+    this.timer = null;
+  }
+
+  // Load overrides once and keep refreshing them; safe to call repeatedly
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.reload()
+        .then(() => {
+          console.log(`✅ Role permissions loaded (${this.overrides.size} overridden)`);
+          this.timer = setInterval(() => {
+            this.reload().catch(error => console.error('Role permissions refresh error:', error));
+          }, REFRESH_INTERVAL_MS);
+          this.timer.unref();
+        })
+        .catch(error => {
+          console.error('Role permissions initialisation error:', error);
+          this.initPromise = null;
+          throw error;
+        });
+    }
+    return this.initPromise;
+  }
+
+  async reload() {
+    const docs = await Role.find({ grants: { $exists: true } }).select('name grants').lean();
+    this.overrides = new Map(docs.map(doc => [doc.name, doc.grants]));
+    this.loadedAt = new Date();
+  }
+
+  grantsFor(role) {
+    return this.overrides.get(role) || DEFAULT_GRANTS[role] || [];
+  }
+
+  // 'any', 'own' or null: how far the user's role grants `permission`
+  scopeOf(user, permission) {
+    if (!user) return null;
+    const grants = this.grantsFor(user.role);
+    if (grants.includes(`${permission}:any`)) return 'any';
+    if (grants.includes(`${permission}:own`)) return 'own';
+    return null;
+  }
+
+  // Whether `user` may do `permission`. Without a record this only asks whether the role
+  // has the permission at all; with one, an "own" grant also has to match the ownership rule.
+  can(user, permission, record) {
+    const { resource, action, definition } = actionFor(permission);
+    const scope = this.scopeOf(user, permission);
+    if (scope === 'any') return true;
+    if (scope !== 'own') return false;
+    if (record === undefined) return true;
+
+    const owns = definition.owns || RESOURCES[resource].owns;
+    return Boolean(record) && owns(user, record, action);
+  }
+
+  // Every role with its grants, defaults and last change, for the admin matrix
+  async listRoles() {
+    const docs = await Role.find({})
+      .select('name grants updatedBy updatedAt')
+      .populate('updatedBy', 'firstName lastName')
+      .lean();
+    const docsByName = new Map(docs.map(doc => [doc.name, doc]));
+
+    return Object.entries(ROLES).map(([name, label]) => {
+      const doc = docsByName.get(name);
+      const overridden = Array.isArray(doc?.grants);
+      return {
+        name,
+        label,
+        grants: overridden ? doc.grants : DEFAULT_GRANTS[name],
+        defaultGrants: DEFAULT_GRANTS[name],
+        isDefault: !overridden,
+        locked: name === 'admin' ? LOCKED_ADMIN_GRANTS : [],
+        updatedAt: doc?.updatedAt || null,
+        updatedBy: doc?.updatedBy
+          ? { id: doc.updatedBy._id, name: `${doc.updatedBy.firstName} ${doc.updatedBy.lastName}` }
+          : null
+      };
+    });
+  }
+
+  async record(role, update, change) {
+    await Role.findOneAndUpdate(
+      { name: role },
+      {
+        ...update,
+        $push: { history: { $each: [{ ...change, changedAt: new Date() }], $slice: -HISTORY_LIMIT } }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Replace a role's grants. Returns the stored grants.
+  async setGrants(role, grants, user, note) {
+    if (!ROLES[role]) {
+      throw new PolicyError(`Unknown role "${role}"`, 404);
+    }
+    const normalized = normalizeGrants(role, grants);
+    const previousGrants = await this.current(role);
+
+    await this.record(
+      role,
+      { $set: { grants: normalized, updatedBy: user._id } },
+      { previousGrants, grants: normalized, changedBy: user._id, note }
+    );
+    this.overrides.set(role, normalized);
+    return normalized;
+  }
+
+  // Drop the override so the built-in grants apply again. Returns them.
+  async reset(role, user, note) {
+    if (!ROLES[role]) {
+      throw new PolicyError(`Unknown role "${role}"`, 404);
+    }
+    const previousGrants = await this.current(role);
+
+    await this.record(
+      role,
+      { $unset: { grants: 1 }, $set: { updatedBy: user._id } },
+      { previousGrants, grants: DEFAULT_GRANTS[role], reset: true, changedBy: user._id, note }
+    );
+    this.overrides.delete(role);
+    return DEFAULT_GRANTS[role];
+  }
+
+  // Grants straight from the database, so history is right even when the cache is stale
+  async current(role) {
+    const doc = await Role.findOne({ name: role }).select('grants').lean();
+    return Array.isArray(doc?.grants) ? doc.grants : DEFAULT_GRANTS[role];
+  }
+
+  async history(role) {
+    const doc = await Role.findOne({ name: role })
+      .select('history')
+      .populate('history.changedBy', 'firstName lastName')
+      .lean();
+
+    return (doc?.history || []).reverse().map(entry => ({
+      previousGrants: entry.previousGrants,
+      grants: entry.grants,
+      reset: entry.reset,
+      note: entry.note,
+      changedAt: entry.changedAt,
+      changedBy: entry.changedBy
+        ? { id: entry.changedBy._id, name: `${entry.changedBy.firstName} ${entry.changedBy.lastName}` }
+        : null
+    }));
+  }
+}
+
+module.exports = new PolicyService();
+module.exports.PolicyError = PolicyError;
+module.exports.ROLES = ROLES;
+module.exports.catalog = catalog;
@@ -4,15 +4,9 @@ const path = require('path');
 const os = require('os');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-require('dotenv').config();
-
-// Initialize the Gemini AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-// Get model from environment or use default (gemini-pro is more widely available)
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-// Embedding model - use text-embedding-004 for better quality
-const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-004';
+const llm = require('./llm');
+const skillTaxonomy = require('./skillTaxonomy');
+const experienceDates = require('./experienceDates');
 
 class ResumeParser {
   constructor() {
@@ -32,7 +26,11 @@ class ResumeParser {
       const text = await parser(filePathOrBuffer, mimeType);
       
       // 2. Extract Structured Data using AI
-      const extractedData = await this.extractStructuredData(text);
+      const rawData = await this.extractStructuredData(text);
+      rawData.skills = skillTaxonomy.normalizeSkills(rawData.skills);
+
+      // Normalise employment dates and derive months of experience overall and per skill
+      const extractedData = experienceDates.normalizeExtractedData(rawData);
       
       // 3. Generate Embeddings (for retrieval/search)
       const embedding = await this.generateEmbedding(text);
@@ -243,6 +241,7 @@ You are an expert resume parsing API. Your sole task is to analyze the provided
 - Group fragmented education lines (Degree, Institution, Dates, GPA) into a single object. The key delimiter for details is '||'.
 - For Skills, you must split the list by '||' and clean up parenthetical notes to ensure each is a unique skill object with a 'name' field.
 - Remove titles like 'Software Engineer' from the main 'name' field.
+- For Experience dates, copy each start and end date as written (e.g. "Jan 2020", "03/2018", "2019"). Use null for a missing date and set 'current' to true when the role is ongoing ("Present", "Now").
 
 **REQUIRED JSON SCHEMA OUTPUT (STRICTLY ADHERE TO THIS FORMAT):**
 {
@@ -259,8 +258,10 @@ You are an expert resume parsing API. Your sole task is to analyze the provided
         {
             "company": "string",
             "position": "string",
+            "description": "string",
             "startDate": "string/null",
-            "endDate": "string/null"
+            "endDate": "string/null",
+            "current": "boolean"
         }
     ],
     "education": [
@@ -295,11 +296,8 @@ You are an expert resume parsing API. Your sole task is to analyze the provided
 ${text}
       `;
 
-      // Use configured Gemini model for data extraction
-      const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const extractedText = response.text();
+      // Use configured LLM provider for data extraction
+      const extractedText = await llm.generateText(prompt, { purpose: 'resume' });
 
       // Clean and parse JSON (handles ```json fences)
       const fencedClean = extractedText.replace(/```json|```/g, '').trim();
@@ -362,10 +360,8 @@ ${text}
   // --- EMBEDDING GENERATION ---
   async generateEmbedding(text) {
     try {
-      const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
       // Truncate text to avoid model input limits if necessary
-      const result = await model.embedContent(text.substring(0, 8000));
-      return result.embedding.values;
+      return await llm.embed(text.substring(0, 8000));
     } catch (error) {
       console.error('Embedding generation error:', error);
       return []; // prevent crash on quota limit
@@ -376,9 +372,7 @@ ${text}
     try {
       if (!skills || skills.length === 0) return [];
       const skillsText = skills.map(skill => skill.name || skill).join(', ');
-      const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
-      const result = await model.embedContent(skillsText);
-      return result.embedding.values;
+      return await llm.embed(skillsText);
     } catch (error) {
       console.error('Skills embedding generation error:', error);
       return [];
@@ -407,10 +401,7 @@ Provide the analysis in this JSON format:
 Provide the following analysis points, making sure the overallScore is a thoughtful reflection of the candidate's quality (0-100).
       `;
 
-      const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await llm.generateText(prompt, { purpose: 'resume' });
 
       // Clean and parse JSON response
       let fencedClean = text.replace(/```json|```/g, '').trim();
@@ -0,0 +1,173 @@
+// sessions.js
+// Sign-in sessions. Signing in creates a Session and hands out two credentials:
+//   - a short-lived access token (JWT with the user and session id, ACCESS_TOKEN_TTL) that
+//     the client keeps in memory and sends as a Bearer header
+//   - a refresh token in an httpOnly cookie, scoped to /api/auth, that buys a new access
+//     token. It rotates on every use and the session's idle expiry (REFRESH_TOKEN_TTL_DAYS)
+//     moves forward with it.
+// The auth middleware checks the session behind every access token, so revoking a session
+// signs that device out within one request. Presenting a refresh token that was already
+// rotated away (outside a short grace period for parallel tabs) means it leaked, and the
+// whole session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const COOKIE_NAME = 'refreshToken';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Two tabs refreshing at once both present the same token; the loser gets this long
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newToken = () => crypto.randomBytes(48).toString('hex');
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip
+});
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.REFRESH_COOKIE_SECURE
+      ? process.env.REFRESH_COOKIE_SECURE === 'true'
+      : process.env.NODE_ENV === 'production',
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+    path: '/api/auth',
+    maxAge: REFRESH_TTL_MS
+  };
+}
+
+function setRefreshCookie(res, token) {
+  res.cookie(COOKIE_NAME, token, cookieOptions());
+}
+
+function clearRefreshCookie(res) {
+  const { maxAge, ...options } = cookieOptions();
+  res.clearCookie(COOKIE_NAME, options);
+}
+
+function accessTokenFor(user, session) {
+  return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+// Start a session for `user` on the requesting device: { session, refreshToken }
+async function create(user, req) {
+  const refreshToken = newToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS)
+  });
+  return { session, refreshToken };
+}
+
+// Sign `user` in on this device: opens a session, sets its refresh cookie and returns the access token
+async function start(req, res, user) {
+  const { session, refreshToken } = await create(user, req);
+  setRefreshCookie(res, refreshToken);
+  return accessTokenFor(user, session);
+}
+
+// Trade a refresh token for a new one: { session, refreshToken } where refreshToken is
+// null inside the parallel-refresh grace period (the cookie already holds the newer one).
+// Resolves to null when the token is unknown, expired, revoked or reused.
+async function rotate(token, req) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  const now = new Date();
+
+  const session = await Session.findOne({ $or: [{ refreshTokenHash: hash }, { previousTokenHash: hash }] });
+  if (!session || session.revokedAt || session.expiresAt <= now) return null;
+
+  if (session.previousTokenHash === hash) {
+    if (now - session.rotatedAt < REUSE_GRACE_MS) return { session, refreshToken: null };
+    await revoke(session, 'token_reuse');
+    return null;
+  }
+
+  const refreshToken = newToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: { $exists: false } },
+    {
+      refreshTokenHash: hashToken(refreshToken),
+      previousTokenHash: hash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      ...clientInfo(req),
+      expiresAt: new Date(now.getTime() + REFRESH_TTL_MS)
+    },
+    { new: true }
+  );
+  // Another request rotated it a moment ago
+  if (!rotated) return { session, refreshToken: null };
+  return { session: rotated, refreshToken };
+}
+
+// The session behind an access token, if it is still live
+async function findActive(sessionId) {
+  if (!sessionId) return null;
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+  return session;
+}
+
+async function findByRefreshToken(token) {
+  if (!token) return null;
+  return Session.findOne({ refreshTokenHash: hashToken(token) });
+}
+
+function revoke(session, reason = 'revoked') {
+  return Session.updateOne(
+    { _id: session._id, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// Revoke every live session of a user, optionally keeping one (the current device)
+async function revokeAll(userId, { except, reason = 'logout_all' } = {}) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+}
+
+function list(userId) {
+  return Session.find({ user: userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+}
+
+// "Chrome on Windows" from a user agent string, good enough to tell devices apart
+function describeDevice(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser || 'Browser', os && `on ${os}`].filter(Boolean).join(' ');
+}
+
+module.exports = {
+  COOKIE_NAME,
+  cookieOptions,
+  setRefreshCookie,
+  clearRefreshCookie,
+  accessTokenFor,
+  create,
+  start,
+  rotate,
+  findActive,
+  findByRefreshToken,
+  revoke,
+  revokeAll,
+  list,
+  describeDevice
+};
@@ -0,0 +1,332 @@
+// settings.js
+// Runtime configuration that admins can change without a restart. Every known key is
+// declared in DEFINITIONS with its type, limits and default (usually the env var that
+// configured it before); overrides live in the settings collection and are cached in
+// memory so callers can read them synchronously. Other instances pick up changes on
+// the next refresh (SETTINGS_REFRESH_MS).
+const Setting = require('../models/Setting');
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.SETTINGS_REFRESH_MS) || 60 * 1000;
+
+// Changes kept per key
+const HISTORY_LIMIT = 100;
+
+const DEFINITIONS = {
+  'matching.minScore': {
+    category: 'Matching',
+    label: 'Minimum match score',
+    description: 'Generated job matches with an overall score (0-100) below this are discarded.',
+    type: 'number',
+    integer: true,
+    min: 0,
+    max: 100,
+    default: () => 30
+  },
+  'search.minSimilarity': {
+    category: 'Matching',
+    label: 'Search similarity cut-off',
+    description: 'Semantic job search drops results whose similarity to the query (0-1) is below this.',
+    type: 'number',
+    min: 0,
+    max: 1,
+    default: () => 0.3
+  },
+  'resumes.allowedFileTypes': {
+    category: 'Resumes',
+    label: 'Allowed resume file types',
+    description: 'MIME types accepted for resume uploads. The parser only understands PDF and DOCX.',
+    type: 'list',
+    default: () => process.env.ALLOWED_FILE_TYPES?.split(',') || [
+      'application/pdf',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ]
+  },
+  'resumes.maxFileSizeMb': {
+    category: 'Resumes',
+    label: 'Maximum resume size (MB)',
+    description: 'Larger uploads are refused.',
+    type: 'number',
+    min: 1,
+    max: 50,
+    default: () => (parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024) / (1024 * 1024)
+  },
+  'llm.geminiModel': {
+    category: 'AI',
+    label: 'Gemini text model',
+    description: 'Model used for match insights, interview questions and other text generation when the Gemini provider is active.',
+    type: 'string',
+    default: () => process.env.GEMINI_MODEL || 'gemini-pro'
+  },
+  'llm.geminiResumeModel': {
+    category: 'AI',
+    label: 'Gemini resume parsing model',
+    description: 'Model used to extract and analyze resumes when the Gemini provider is active.',
+    type: 'string',
+    default: () => process.env.GEMINI_RESUME_MODEL || process.env.GEMINI_MODEL || 'gemini-2.5-flash'
+  },
+  'llm.geminiEmbeddingModel': {
+    category: 'AI',
+    label: 'Gemini embedding model',
+    description: 'Model used for embeddings when the Gemini provider is active. Switching to a model with different dimensions re-embeds jobs and resumes in the background; until that finishes, semantic search and matching may miss some of them.',
+    type: 'string',
+    default: () => process.env.EMBEDDING_MODEL || 'text-embedding-004'
+  },
+  'jobs.moderation': {
+    category: 'Jobs',
+    label: 'Job posting review',
+    description: 'Which new postings wait for an admin before going live: none, only those with automated flags, or all of them.',
+    type: 'enum',
+    options: ['off', 'flagged', 'all'],
+    default: () => {
+      const mode = (process.env.JOB_MODERATION || 'off').trim().toLowerCase();
+      return ['off', 'flagged', 'all'].includes(mode) ? mode : 'off';
+    }
+  },
+  'applications.requireVerifiedEmail': {
+    category: 'Accounts',
+    label: 'Require a verified email to apply',
+    description: 'Job seekers must confirm their email address before they can submit applications.',
+    type: 'boolean',
+    default: () => process.env.REQUIRE_VERIFIED_EMAIL === 'true'
+  },
+  'security.twoFactorRoles': {
+    category: 'Accounts',
+    label: 'Roles that must use two-factor authentication',
+    description: 'Users with these roles have to set up an authenticator app before they can use their account.',
+    type: 'list',
+    options: ['job_seeker', 'recruiter', 'admin'],
+    allowEmpty: true,
+    default: () => (process.env.REQUIRE_2FA_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(role => ['job_seeker', 'recruiter', 'admin'].includes(role))
+  }
+};
+
+class SettingsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SettingsError';
+    this.statusCode = statusCode;
+  }
+}
+
+function definitionFor(key) {
+  const definition = DEFINITIONS[key];
+  if (!definition) {
+    throw new SettingsError(`Unknown setting "${key}"`, 404);
+  }
+  return definition;
+}
+
+// Validate an admin-supplied value and convert it to the setting's type
+function coerce(key, value) {
+  const definition = definitionFor(key);
+
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new SettingsError(`${definition.label} must be a number`);
+      }
+      if (definition.integer && !Number.isInteger(number)) {
+        throw new SettingsError(`${definition.label} must be a whole number`);
+      }
+      if (number < definition.min || number > definition.max) {
+        throw new SettingsError(`${definition.label} must be between ${definition.min} and ${definition.max}`);
+      }
+      return number;
+    }
+    case 'string': {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text || text.length > 200) {
+        throw new SettingsError(`${definition.label} must be a non-empty text of at most 200 characters`);
+      }
+      return text;
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new SettingsError(`${definition.label} must be true or false`);
+    }
+    case 'enum': {
+      if (!definition.options.includes(value)) {
+        throw new SettingsError(`${definition.label} must be one of: ${definition.options.join(', ')}`);
+      }
+      return value;
+    }
+    case 'list': {
+      const items = (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      if (items.length === 0 && !definition.allowEmpty) {
+        throw new SettingsError(`${definition.label} needs at least one entry`);
+      }
+      const unknown = definition.options && items.filter(item => !definition.options.includes(item));
+      if (unknown?.length) {
+        throw new SettingsError(`${definition.label} must only contain: ${definition.options.join(', ')}`);
+      }
+      return [...new Set(items)];
+    }
+    default:
+      throw new SettingsError(`Unsupported setting type "${definition.type}"`, 500);
+  }
+}
+
+class SettingsService {
+  constructor() {
+    this.values = new Map(); // key -> override
+    this.loadedAt = null;
+    this.initPromise = null;
+    this.timer = null;
+  }
+
+  // Load overrides once and keep refreshing them; safe to call repeatedly
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.reload()
+        .then(() => {
+          console.log(`✅ Settings loaded (${this.values.size} overridden)`);
+          this.timer = setInterval(() => {
+            this.reload().catch(error => console.error('Settings refresh error:', error));
+          }, REFRESH_INTERVAL_MS);
+          this.timer.unref();
+        })
+        .catch(error => {
+          console.error('Settings initialisation error:', error);
+          this.initPromise = null;
+          throw error;
+        });
+    }
+    return this.initPromise;
+  }
+
+  async reload() {
+    const docs = await Setting.find({ value: { $exists: true } }).select('key value').lean();
+    this.values = new Map(
+      docs
+        .filter(doc => DEFINITIONS[doc.key])
+        .map(doc => [doc.key, doc.value])
+    );
+    this.loadedAt = new Date();
+  }
+
+  // Current value of a setting: the admin override, otherwise the default
+  get(key) {
+    const definition = definitionFor(key);
+    return this.values.has(key) ? this.values.get(key) : definition.default();
+  }
+
+  // Every setting with its definition, current value and last change, for the admin UI
+  async list() {
+    const docs = await Setting.find({ key: { $in: Object.keys(DEFINITIONS) } })
+      .select('key value updatedBy updatedAt')
+      .populate('updatedBy', 'firstName lastName')
+      .lean();
+    const docsByKey = new Map(docs.map(doc => [doc.key, doc]));
+
+    return Object.entries(DEFINITIONS).map(([key, { default: defaultValue, ...definition }]) => {
+      const doc = docsByKey.get(key);
+      const overridden = doc?.value !== undefined && doc?.value !== null;
+      return {
+        key,
+        ...definition,
+        default: defaultValue(),
+        value: overridden ? doc.value : defaultValue(),
+        isDefault: !overridden,
+        updatedAt: doc?.updatedAt || null,
+        updatedBy: doc?.updatedBy
+          ? { id: doc.updatedBy._id, name: `${doc.updatedBy.firstName} ${doc.updatedBy.lastName}` }
+          : null
+      };
+    });
+  }
+
+  async record(key, update, change) {
+    await Setting.findOneAndUpdate(
+      { key },
+      {
+        ...update,
+        $push: { history: { $each: [{ ...change, changedAt: new Date() }], $slice: -HISTORY_LIMIT } }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Override a setting. Returns the stored value.
+  async set(key, value, user, note) {
+    const coerced = coerce(key, value);
+    const previousValue = await this.current(key);
+
+    await this.record(
+      key,
+      { $set: { value: coerced, updatedBy: user._id } },
+      { previousValue, value: coerced, changedBy: user._id, note }
+    );
+    this.values.set(key, coerced);
+    return coerced;
+  }
+
+  // Drop the override so the default applies again. Returns the default.
+  async reset(key, user, note) {
+    const definition = definitionFor(key);
+    const previousValue = await this.current(key);
+
+    await this.record(
+      key,
+      { $unset: { value: 1 }, $set: { updatedBy: user._id } },
+      { previousValue, value: definition.default(), reset: true, changedBy: user._id, note }
+    );
+    this.values.delete(key);
+    return definition.default();
+  }
+
+  // Value straight from the database, so history is right even when the cache is stale
+  async current(key) {
+    const doc = await Setting.findOne({ key }).select('value').lean();
+    return doc?.value !== undefined && doc?.value !== null ? doc.value : definitionFor(key).default();
+  }
+
+  // Change history across all settings (or one key), newest first
+  async history({ key, page = 1, limit = 50 } = {}) {
+    const match = key ? { key } : { key: { $in: Object.keys(DEFINITIONS) } };
+    const [result] = await Setting.aggregate([
+      { $match: match },
+      { $unwind: '$history' },
+      { $sort: { 'history.changedAt': -1 } },
+      {
+        $facet: {
+          entries: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: 'history.changedBy', foreignField: '_id', as: 'changedBy' } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    return {
+      entries: result.entries.map(entry => ({
+        key: entry.key,
+        label: DEFINITIONS[entry.key]?.label || entry.key,
+        previousValue: entry.history.previousValue,
+        value: entry.history.value,
+        reset: entry.history.reset,
+        note: entry.history.note,
+        changedAt: entry.history.changedAt,
+        changedBy: entry.changedBy[0]
+          ? { id: entry.changedBy[0]._id, name: `${entry.changedBy[0].firstName} ${entry.changedBy[0].lastName}` }
+          : null
+      })),
+      total: result.total[0]?.count || 0
+    };
+  }
+
+  stats() {
+    return { overridden: this.values.size, loadedAt: this.loadedAt };
+  }
+}
+
+module.exports = new SettingsService();
+module.exports.SettingsError = SettingsError;
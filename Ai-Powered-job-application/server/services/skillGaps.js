@@ -0,0 +1,113 @@
+// skillGaps.js
+// Ranks the skills a job seeker is missing across their job matches. A gap counts for more
+// when it shows up in matches the seeker nearly qualifies for, when the job requires it,
+// and when the AI analysis marked it as important.
+const Match = require('../models/Match');
+const Resume = require('../models/Resume');
+const skillTaxonomy = require('./skillTaxonomy');
+const aiMatching = require('./aiMatching');
+
+// Matches that no longer lead anywhere don't contribute
+const CLOSED_STATUSES = ['rejected', 'withdrawn', 'hired'];
+
+const REQUIRED_BONUS = 1;
+const MAX_MATCHES = 100;
+
+// Canonical ids of the skills on the user's active resume
+async function ownedSkills(userId) {
+  const resume = await Resume.findOne({ user: userId, isActive: true }).select('extractedData.skills').lean();
+  return {
+    resume,
+    owned: new Set((resume?.extractedData?.skills || []).map(skill => skillTaxonomy.canonicalId(skill.name)))
+  };
+}
+
+// Score the gaps found in `matches`, skipping skills in `owned`.
+// Returns [{ id, skill, score, jobs, required, advice }] with score in 0-100.
+function rankGaps(matches, owned, limit) {
+  const gaps = new Map();
+  const addGap = (name, points, match, { required = false, advice } = {}) => {
+    if (!name || points <= 0) return;
+    const id = skillTaxonomy.canonicalId(name);
+    if (!id || owned.has(id)) return;
+
+    if (!gaps.has(id)) {
+      gaps.set(id, { id, skill: skillTaxonomy.canonicalName(name), points: 0, jobs: new Set(), required: false, advice: null });
+    }
+    const gap = gaps.get(id);
+    gap.points += points;
+    gap.jobs.add((match.job?._id || match.job).toString());
+    gap.required = gap.required || required;
+    gap.advice = gap.advice || advice || null;
+  };
+
+  for (const match of matches) {
+    // Keep a floor so a fresh job with no score yet still counts
+    const weight = Math.max(match.matchScore || 0, 10) / 100;
+    const skillsMatch = match.breakdown?.skillsMatch || {};
+    const required = new Set((skillsMatch.missingRequired || []).map(name => skillTaxonomy.canonicalId(name)));
+
+    for (const name of skillsMatch.missingSkills || []) {
+      const isRequired = required.has(skillTaxonomy.canonicalId(name));
+      addGap(name, weight * (1 + (isRequired ? REQUIRED_BONUS : 0)), match, { required: isRequired });
+    }
+    for (const gap of match.aiInsights?.skillGaps || []) {
+      addGap(gap.skill, weight * (gap.importance ? Math.min(gap.importance, 10) / 10 : 0.5), match, {
+        advice: gap.learningPath
+      });
+    }
+  }
+
+  const ranked = [...gaps.values()].sort((a, b) => b.points - a.points || b.jobs.size - a.jobs.size);
+  const top = ranked[0]?.points || 1;
+
+  return ranked.slice(0, limit).map(gap => ({
+    id: gap.id,
+    skill: gap.skill,
+    score: Math.round((gap.points / top) * 100),
+    jobs: gap.jobs.size,
+    required: gap.required,
+    advice: gap.advice
+  }));
+}
+
+// Gaps aggregated over all of the user's open matches
+async function getUserSkillGaps(userId, { limit = 10 } = {}) {
+  const [matches, { owned }] = await Promise.all([
+    Match.find({ user: userId, status: { $nin: CLOSED_STATUSES } })
+      .sort({ matchScore: -1 })
+      .limit(MAX_MATCHES)
+      .select('job matchScore breakdown.skillsMatch aiInsights.skillGaps')
+      .lean(),
+    ownedSkills(userId)
+  ]);
+
+  return rankGaps(matches, owned, limit);
+}
+
+// Gaps for one job: from the stored match when there is one, otherwise by comparing the
+// user's resume with the job's requirements
+async function getJobSkillGaps(userId, job, { limit = 20 } = {}) {
+  const [match, { resume, owned }] = await Promise.all([
+    Match.findOne({ user: userId, job: job._id })
+      .select('job matchScore breakdown.skillsMatch aiInsights.skillGaps')
+      .lean(),
+    ownedSkills(userId)
+  ]);
+
+  if (match?.breakdown?.skillsMatch?.missingSkills || match?.aiInsights?.skillGaps?.length) {
+    return rankGaps([match], owned, limit);
+  }
+
+  const coverage = aiMatching.calculateWeightedSkillsMatch(
+    resume?.extractedData?.skills || [],
+    job.requirements?.skills || []
+  );
+  return rankGaps([{
+    job: job._id,
+    matchScore: coverage.score,
+    breakdown: { skillsMatch: { missingSkills: coverage.missing, missingRequired: coverage.missingRequired } }
+  }], owned, limit);
+}
+
+module.exports = { getUserSkillGaps, getJobSkillGaps };
@@ -0,0 +1,81 @@
+// defaults.js
+// Starter taxonomy seeded into an empty skills collection. Admins curate it from there.
+// `parent` refers to another entry's slug.
+module.exports = [
+  // Broad areas
+  { slug: 'frontend', name: 'Frontend Development', category: 'area', aliases: ['frontend', 'front end', 'front-end', 'front-end development', 'web frontend'] },
+  { slug: 'backend', name: 'Backend Development', category: 'area', aliases: ['backend', 'back end', 'back-end', 'back-end development', 'server-side development'] },
+  { slug: 'databases', name: 'Databases', category: 'area', aliases: ['database', 'database design'] },
+  { slug: 'devops', name: 'DevOps', category: 'area', aliases: ['dev ops'] },
+  { slug: 'cloud', name: 'Cloud Computing', category: 'area', aliases: ['cloud'] },
+  { slug: 'data-science', name: 'Data Science', category: 'area', aliases: ['data analysis', 'data analytics'] },
+  { slug: 'machine-learning', name: 'Machine Learning', category: 'area', parent: 'data-science', aliases: ['ml'] },
+  { slug: 'mobile', name: 'Mobile Development', category: 'area', aliases: ['mobile', 'mobile app development'] },
+
+  // Languages
+  { slug: 'javascript', name: 'JavaScript', category: 'language', aliases: ['js', 'ecmascript', 'es6', 'es2015'] },
+  { slug: 'typescript', name: 'TypeScript', category: 'language', aliases: ['ts'] },
+  { slug: 'python', name: 'Python', category: 'language', aliases: ['python3', 'py'] },
+  { slug: 'java', name: 'Java', category: 'language', aliases: ['java 8', 'java se'] },
+  { slug: 'cpp', name: 'C++', category: 'language', aliases: ['c++', 'cplusplus'] },
+  { slug: 'csharp', name: 'C#', category: 'language', aliases: ['c#', 'c sharp'] },
+  { slug: 'go', name: 'Go', category: 'language', aliases: ['golang'] },
+  { slug: 'ruby', name: 'Ruby', category: 'language' },
+  { slug: 'php', name: 'PHP', category: 'language' },
+  { slug: 'kotlin', name: 'Kotlin', category: 'language' },
+  { slug: 'swift', name: 'Swift', category: 'language' },
+  { slug: 'rust', name: 'Rust', category: 'language' },
+  { slug: 'sql', name: 'SQL', category: 'language', parent: 'databases' },
+  { slug: 'html', name: 'HTML', category: 'language', parent: 'frontend', aliases: ['html5'] },
+  { slug: 'css', name: 'CSS', category: 'language', parent: 'frontend', aliases: ['css3'] },
+
+  // Frontend
+  { slug: 'react', name: 'React', category: 'framework', parent: 'frontend', aliases: ['react.js', 'reactjs'] },
+  { slug: 'angular', name: 'Angular', category: 'framework', parent: 'frontend', aliases: ['angularjs', 'angular.js'] },
+  { slug: 'vue', name: 'Vue.js', category: 'framework', parent: 'frontend', aliases: ['vue', 'vuejs'] },
+  { slug: 'nextjs', name: 'Next.js', category: 'framework', parent: 'react', aliases: ['next.js', 'next'] },
+  { slug: 'redux', name: 'Redux', category: 'library', parent: 'react' },
+  { slug: 'tailwind', name: 'Tailwind CSS', category: 'library', parent: 'css', aliases: ['tailwind', 'tailwindcss'] },
+
+  // Backend
+  { slug: 'nodejs', name: 'Node.js', category: 'runtime', parent: 'backend', aliases: ['node', 'node.js', 'nodejs'] },
+  { slug: 'express', name: 'Express', category: 'framework', parent: 'nodejs', aliases: ['express.js', 'expressjs'] },
+  { slug: 'django', name: 'Django', category: 'framework', parent: 'backend' },
+  { slug: 'flask', name: 'Flask', category: 'framework', parent: 'backend' },
+  { slug: 'spring', name: 'Spring Boot', category: 'framework', parent: 'backend', aliases: ['spring', 'springboot', 'spring framework'] },
+  { slug: 'rails', name: 'Ruby on Rails', category: 'framework', parent: 'backend', aliases: ['rails', 'ror'] },
+  { slug: 'graphql', name: 'GraphQL', category: 'api', parent: 'backend' },
+  { slug: 'rest-api', name: 'REST APIs', category: 'api', parent: 'backend', aliases: ['rest', 'restful', 'rest api', 'restful api', 'restful apis'] },
+
+  // Databases
+  { slug: 'mongodb', name: 'MongoDB', category: 'database', parent: 'databases', aliases: ['mongo'] },
+  { slug: 'postgresql', name: 'PostgreSQL', category: 'database', parent: 'databases', aliases: ['postgres', 'psql'] },
+  { slug: 'mysql', name: 'MySQL', category: 'database', parent: 'databases' },
+  { slug: 'redis', name: 'Redis', category: 'database', parent: 'databases' },
+
+  // DevOps and cloud
+  { slug: 'docker', name: 'Docker', category: 'tool', parent: 'devops' },
+  { slug: 'kubernetes', name: 'Kubernetes', category: 'tool', parent: 'devops', aliases: ['k8s'] },
+  { slug: 'ci-cd', name: 'CI/CD', category: 'practice', parent: 'devops', aliases: ['ci/cd', 'continuous integration', 'continuous delivery'] },
+  { slug: 'terraform', name: 'Terraform', category: 'tool', parent: 'devops' },
+  { slug: 'jenkins', name: 'Jenkins', category: 'tool', parent: 'ci-cd' },
+  { slug: 'git', name: 'Git', category: 'tool' },
+  { slug: 'aws', name: 'AWS', category: 'platform', parent: 'cloud', aliases: ['amazon web services'] },
+  { slug: 'azure', name: 'Azure', category: 'platform', parent: 'cloud', aliases: ['microsoft azure'] },
+  { slug: 'gcp', name: 'Google Cloud', category: 'platform', parent: 'cloud', aliases: ['gcp', 'google cloud platform'] },
+
+  // Data and machine learning
+  { slug: 'pandas', name: 'Pandas', category: 'library', parent: 'data-science' },
+  { slug: 'numpy', name: 'NumPy', category: 'library', parent: 'data-science' },
+  { slug: 'deep-learning', name: 'Deep Learning', category: 'area', parent: 'machine-learning' },
+  { slug: 'nlp', name: 'Natural Language Processing', category: 'area', parent: 'machine-learning', aliases: ['nlp'] },
+  { slug: 'tensorflow', name: 'TensorFlow', category: 'library', parent: 'deep-learning' },
+  { slug: 'pytorch', name: 'PyTorch', category: 'library', parent: 'deep-learning' },
+  { slug: 'scikit-learn', name: 'scikit-learn', category: 'library', parent: 'machine-learning', aliases: ['sklearn', 'scikit learn'] },
+
+  // Mobile
+  { slug: 'react-native', name: 'React Native', category: 'framework', parent: 'mobile' },
+  { slug: 'android', name: 'Android', category: 'platform', parent: 'mobile' },
+  { slug: 'ios', name: 'iOS', category: 'platform', parent: 'mobile' },
+  { slug: 'flutter', name: 'Flutter', category: 'framework', parent: 'mobile' }
+];
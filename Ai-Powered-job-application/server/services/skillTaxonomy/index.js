@@ -0,0 +1,271 @@
+// skillTaxonomy/index.js
+// Canonical skills, their aliases and parent/child relations. The taxonomy lives in the
+// skills collection and is cached in memory so the matcher and parser can resolve names
+// synchronously; until the first load completes the built-in defaults are used.
+const Skill = require('../../models/Skill');
+const defaults = require('./defaults');
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.SKILL_TAXONOMY_REFRESH_MS) || 5 * 60 * 1000;
+
+// Lookup key for free-text skill names: case and spacing insensitive
+function normalizeKey(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Looser key that also ignores separators, so "React.js", "react js" and "reactjs" agree
+function compactKey(name) {
+  return normalizeKey(name).replace(/[\s._-]+/g, '');
+}
+
+class SkillTaxonomyService {
+  constructor() {
+    this.skills = new Map(); // slug -> { id, slug, name, aliases, parent, category }
+    this.lookup = new Map(); // normalized or compact name -> slug
+    this.children = new Map(); // slug -> [child slugs]
+    this.loadedAt = null;
+    this.initPromise = null;
+    this.timer = null;
+    this.build(defaults);
+  }
+
+  // Load the taxonomy once (seeding defaults into an empty collection); safe to call repeatedly
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.seedDefaults()
+        .then(() => this.reload())
+        .then(() => {
+          console.log(`✅ Skill taxonomy ready (${this.skills.size} skills)`);
+          this.timer = setInterval(() => {
+            this.reload().catch(error => console.error('Skill taxonomy refresh error:', error));
+          }, REFRESH_INTERVAL_MS);
+          this.timer.unref();
+        })
+        .catch(error => {
+          console.error('Skill taxonomy initialisation error:', error);
+          this.initPromise = null;
+          throw error;
+        });
+    }
+    return this.initPromise;
+  }
+
+  async seedDefaults() {
+    if (await Skill.estimatedDocumentCount() > 0) return;
+
+    const created = await Skill.insertMany(defaults.map(({ parent, ...skill }) => skill));
+    const idsBySlug = new Map(created.map(skill => [skill.slug, skill._id]));
+    await Skill.bulkWrite(
+      defaults
+        .filter(skill => skill.parent)
+        .map(skill => ({
+          updateOne: { filter: { slug: skill.slug }, update: { parent: idsBySlug.get(skill.parent) } }
+        }))
+    );
+  }
+
+  // Rebuild the in-memory taxonomy from MongoDB
+  async reload() {
+    const docs = await Skill.find({ isActive: true }).lean();
+    const slugsById = new Map(docs.map(doc => [doc._id.toString(), doc.slug]));
+
+    this.build(docs.map(doc => ({
+      id: doc._id.toString(),
+      slug: doc.slug,
+      name: doc.name,
+      aliases: doc.aliases || [],
+      parent: doc.parent ? slugsById.get(doc.parent.toString()) || null : null,
+      category: doc.category || ''
+    })));
+    this.loadedAt = new Date();
+  }
+
+  build(entries) {
+    this.skills = new Map();
+    this.lookup = new Map();
+    this.children = new Map();
+
+    for (const entry of entries) {
+      const skill = {
+        id: entry.id || null,
+        slug: entry.slug,
+        name: entry.name,
+        aliases: entry.aliases || [],
+        parent: entry.parent || null,
+        category: entry.category || ''
+      };
+      this.skills.set(skill.slug, skill);
+    }
+
+    // Exact spellings take precedence over compact ones
+    for (const keyFn of [normalizeKey, compactKey]) {
+      for (const skill of this.skills.values()) {
+        for (const term of [skill.slug, skill.name, ...skill.aliases]) {
+          const key = keyFn(term);
+          if (key && !this.lookup.has(key)) {
+            this.lookup.set(key, skill.slug);
+          }
+        }
+      }
+    }
+
+    for (const skill of this.skills.values()) {
+      if (skill.parent && this.skills.has(skill.parent)) {
+        if (!this.children.has(skill.parent)) this.children.set(skill.parent, []);
+        this.children.get(skill.parent).push(skill.slug);
+      }
+    }
+  }
+
+  normalizeKey(name) {
+    return normalizeKey(name);
+  }
+
+  // Taxonomy entry for a free-text skill name, or null when unknown
+  resolve(name) {
+    const slug = this.lookup.get(normalizeKey(name)) || this.lookup.get(compactKey(name));
+    return slug ? this.skills.get(slug) : null;
+  }
+
+  get(slug) {
+    return this.skills.get(slug) || null;
+  }
+
+  // Stable identifier for comparing skills; unknown skills compare by their compact name
+  canonicalId(name) {
+    const skill = this.resolve(name);
+    return skill ? skill.slug : compactKey(name);
+  }
+
+  canonicalName(name) {
+    const skill = this.resolve(name);
+    return skill ? skill.name : String(name || '').trim();
+  }
+
+  // Parent chain from the nearest parent upwards
+  ancestors(slug) {
+    const result = [];
+    let current = this.skills.get(slug)?.parent;
+    while (current && !result.includes(current)) {
+      result.push(current);
+      current = this.skills.get(current)?.parent;
+    }
+    return result;
+  }
+
+  descendants(slug) {
+    const result = [];
+    const queue = [...(this.children.get(slug) || [])];
+    while (queue.length > 0) {
+      const child = queue.shift();
+      if (result.includes(child)) continue;
+      result.push(child);
+      queue.push(...(this.children.get(child) || []));
+    }
+    return result;
+  }
+
+  // How well a candidate's skill covers a job skill:
+  // 1 for the same skill or a more specific one (React covers Frontend),
+  // 0.5 for a broader one (Frontend partly covers React), otherwise 0
+  matchStrength(candidateSkill, jobSkill) {
+    const candidateId = this.canonicalId(candidateSkill);
+    const jobId = this.canonicalId(jobSkill);
+    if (!candidateId || !jobId) return 0;
+    if (candidateId === jobId) return 1;
+    if (this.ancestors(candidateId).includes(jobId)) return 1;
+    if (this.ancestors(jobId).includes(candidateId)) return 0.5;
+    return 0;
+  }
+
+  // Every spelling that should satisfy a filter on `name`: the skill, its aliases and all
+  // more specific skills. Unknown names are returned as-is.
+  expandTerms(name) {
+    const skill = this.resolve(name);
+    if (!skill) return [String(name || '').trim()].filter(Boolean);
+
+    const terms = new Set();
+    for (const slug of [skill.slug, ...this.descendants(skill.slug)]) {
+      const entry = this.skills.get(slug);
+      terms.add(entry.name);
+      entry.aliases.forEach(alias => terms.add(alias));
+    }
+    return [...terms];
+  }
+
+  // Canonicalise a list of skill objects ({ name, ... }), merging duplicates.
+  // When two entries collapse into one, `merge(existing, incoming)` picks the survivor.
+  normalizeSkills(skills, merge = existing => existing) {
+    const bySkill = new Map();
+
+    for (const skill of skills || []) {
+      const rawName = typeof skill === 'string' ? skill : skill?.name;
+      if (!rawName || !String(rawName).trim()) continue;
+
+      const entry = this.resolve(rawName);
+      const normalized = {
+        ...(typeof skill === 'string' ? {} : skill),
+        name: entry ? entry.name : String(rawName).trim()
+      };
+      if (entry && 'category' in normalized && !normalized.category) {
+        normalized.category = entry.category;
+      }
+
+      const id = this.canonicalId(rawName);
+      bySkill.set(id, bySkill.has(id) ? merge(bySkill.get(id), normalized) : normalized);
+    }
+
+    return [...bySkill.values()];
+  }
+
+  // Job requirement skills: keep the strictest level and highest importance on duplicates
+  normalizeJobSkills(skills) {
+    const levelRank = { required: 3, preferred: 2, 'nice-to-have': 1 };
+    return this.normalizeSkills(skills, (existing, incoming) => ({
+      ...existing,
+      level: (levelRank[incoming.level] || 0) > (levelRank[existing.level] || 0) ? incoming.level : existing.level,
+      importance: Math.max(existing.importance || 0, incoming.importance || 0) || undefined
+    }));
+  }
+
+  // Prefix/alias search for autocomplete
+  search(query, { limit = 20, category } = {}) {
+    const key = normalizeKey(query);
+    const results = [];
+
+    for (const skill of this.skills.values()) {
+      if (category && skill.category !== category) continue;
+
+      const terms = [skill.name, ...skill.aliases].map(normalizeKey);
+      let rank = -1;
+      if (!key) rank = 2;
+      else if (terms.some(term => term === key)) rank = 0;
+      else if (terms.some(term => term.startsWith(key))) rank = 1;
+      else if (terms.some(term => term.includes(key))) rank = 2;
+      if (rank >= 0) results.push({ skill, rank });
+    }
+
+    return results
+      .sort((a, b) => a.rank - b.rank || a.skill.name.localeCompare(b.skill.name))
+      .slice(0, limit)
+      .map(result => this.describe(result.skill));
+  }
+
+  // Public shape of a taxonomy entry
+  describe(skill) {
+    return {
+      id: skill.id,
+      slug: skill.slug,
+      name: skill.name,
+      aliases: skill.aliases,
+      category: skill.category,
+      parent: skill.parent ? { slug: skill.parent, name: this.skills.get(skill.parent)?.name } : null,
+      children: (this.children.get(skill.slug) || []).map(slug => ({ slug, name: this.skills.get(slug).name }))
+    };
+  }
+
+  stats() {
+    return { skills: this.skills.size, loadedAt: this.loadedAt };
+  }
+}
+
+module.exports = new SkillTaxonomyService();
@@ -0,0 +1,209 @@
+// taskHandlers.js
+// Background work registered with the task queue
+const fs = require('fs');
+const axios = require('axios');
+const User = require('../models/User');
+const Resume = require('../models/Resume');
+const Match = require('../models/Match');
+const Job = require('../models/Job');
+const llm = require('./llm');
+const resumeParser = require('./resumeParser');
+const aiMatching = require('./aiMatching');
+const vectorIndex = require('./vectorIndex');
+const taskQueue = require('./taskQueue');
+const notifications = require('./notifications');
+const accountErasure = require('./accountErasure');
+
+// Load the stored upload back into memory (local disk or Cloudinary)
+async function readStoredFile(payload) {
+  if (payload.filePath && fs.existsSync(payload.filePath)) {
+    return fs.readFileSync(payload.filePath);
+  }
+  if (payload.cloudinaryUrl) {
+    const response = await axios.get(payload.cloudinaryUrl, { responseType: 'arraybuffer', timeout: 60000 });
+    return Buffer.from(response.data);
+  }
+  throw new Error('Uploaded resume file is no longer available');
+}
+
+// Remove the stored upload once parsing has failed for good
+async function discardStoredFile(payload) {
+  if (payload.filePath && fs.existsSync(payload.filePath)) {
+    try {
+      fs.unlinkSync(payload.filePath);
+    } catch (unlinkError) {
+      console.error('Error cleaning up local file:', unlinkError);
+    }
+  }
+
+  if (payload.cloudinaryPublicId && process.env.CLOUDINARY_CLOUD_NAME) {
+    try {
+      const cloudinary = require('cloudinary').v2;
+      await cloudinary.uploader.destroy(payload.cloudinaryPublicId, { resource_type: 'raw' });
+    } catch (cloudinaryError) {
+      console.error('Error cleaning up Cloudinary file:', cloudinaryError);
+    }
+  }
+}
+
+// Parse an uploaded resume and make it the user's active resume
+async function parseResume(task, { progress }) {
+  const { payload } = task;
+
+  try {
+    // The account was erased while the upload waited
+    if (!await User.exists({ _id: payload.userId, erasedAt: { $exists: false } })) {
+      await discardStoredFile(payload);
+      return { discarded: true };
+    }
+
+    const fileBuffer = await readStoredFile(payload);
+    await progress(10);
+
+    const parseResult = await resumeParser.parseResume(fileBuffer, payload.mimeType);
+    await progress(80);
+
+    // Archive the previous active resume only once the new one parsed successfully
+    const previousResumes = await Resume.find({ user: payload.userId, isActive: true });
+    for (const previous of previousResumes) {
+      await previous.archive();
+      vectorIndex.removeResume(previous._id);
+    }
+
+    const resume = new Resume({
+      user: payload.userId,
+      fileName: payload.fileName,
+      originalName: payload.originalName,
+      filePath: payload.filePath || payload.cloudinaryUrl || '',
+      cloudinaryUrl: payload.cloudinaryUrl,
+      cloudinaryPublicId: payload.cloudinaryPublicId,
+      fileSize: payload.fileSize,
+      mimeType: payload.mimeType,
+      parsedText: parseResult.parsedText,
+      extractedData: parseResult.extractedData,
+      embedding: parseResult.embedding,
+      skillsEmbedding: parseResult.skillsEmbedding,
+      aiAnalysis: {
+        ...parseResult.aiAnalysis,
+        lastAnalyzed: new Date()
+      }
+    });
+
+    await resume.save();
+    vectorIndex.upsertResume(resume);
+
+    return { resumeId: resume._id.toString() };
+  } catch (error) {
+    if (task.attempts >= task.maxAttempts) {
+      await discardStoredFile(payload);
+    }
+    throw error;
+  }
+}
+
+// Score jobs against the user's active resume and store the matches
+async function generateMatches(task, { progress }) {
+  const { userId, minScore, limit } = task.payload;
+
+  // Scoring is 90% of the work; saving takes the rest
+  const matches = await aiMatching.findJobMatches(userId, {
+    minScore,
+    limit,
+    onProgress: percent => progress(percent * 0.9)
+  });
+
+  const knownJobIds = new Set((await Match.find({ user: userId }).distinct('job')).map(id => id.toString()));
+  const newScores = [];
+
+  const matchIds = [];
+  for (const match of matches) {
+    if (!knownJobIds.has(match.job._id.toString())) {
+      newScores.push(match.matchScore);
+    }
+    const savedMatch = await aiMatching.saveMatch(
+      userId,
+      match.job._id,
+      match.resume._id,
+      { overallScore: match.matchScore },
+      match.breakdown,
+      match.insights
+    );
+    matchIds.push(savedMatch._id.toString());
+  }
+
+  notifications.emit('matches.generated', {
+    userId,
+    count: newScores.length,
+    topScore: newScores.length > 0 ? Math.max(...newScores) : null
+  });
+
+  return { matchIds, totalMatches: matchIds.length };
+}
+
+// Retry removing stored files an account erasure couldn't delete straight away
+async function purgeFiles(task) {
+  const { deleted, remaining } = await accountErasure.purgeFiles(task.payload);
+  const left = remaining.localFiles.length + remaining.cloudinaryIds.length;
+  if (left > 0) {
+    throw new Error(`${left} stored file(s) could not be removed yet`);
+  }
+  return { deleted };
+}
+
+// Re-embed the documents of one vector index with the current provider and rebuild it.
+// Queued by the index when it meets vectors of another size, i.e. after the embedding
+// provider or model changed; without this the old vectors would just drop out of search.
+async function reembedVectors(task, { progress }) {
+  const { index } = task.payload;
+  // Ask the provider directly: a fallback vector must not decide the new size
+  const dimensions = (await llm.embed('dimension probe')).length;
+  if (!dimensions) {
+    throw new Error('Embedding provider returned an empty vector');
+  }
+
+  let reembedded = 0;
+  if (index === 'jobs') {
+    const jobs = await Job.find({ status: 'active' }).select('title description requirements.skills embedding');
+    const stale = jobs.filter(job => job.embedding?.length !== dimensions);
+    for (const [i, job] of stale.entries()) {
+      const embedding = await llm.embed(aiMatching.jobEmbeddingText(job).substring(0, 8000));
+      await Job.updateOne({ _id: job._id }, { embedding });
+      reembedded++;
+      await progress(((i + 1) / stale.length) * 90);
+    }
+  } else if (index === 'resumes') {
+    const resumes = await Resume.find({ isActive: true }).select('parsedText extractedData.skills embedding skillsEmbedding');
+    const stale = resumes.filter(resume =>
+      resume.embedding?.length !== dimensions ||
+      (resume.skillsEmbedding?.length > 0 && resume.skillsEmbedding.length !== dimensions)
+    );
+    for (const [i, resume] of stale.entries()) {
+      const update = {
+        embedding: resume.parsedText ? await llm.embed(resume.parsedText.substring(0, 8000)) : [],
+        skillsEmbedding: resume.extractedData?.skills?.length
+          ? await llm.embed(resume.extractedData.skills.map(skill => skill.name).join(', '))
+          : []
+      };
+      await Resume.updateOne({ _id: resume._id }, update);
+      reembedded++;
+      await progress(((i + 1) / stale.length) * 90);
+    }
+  } else {
+    throw new Error(`Unknown vector index "${index}"`);
+  }
+
+  // Nothing was stale (e.g. a one-off fallback vector asked for this); keep the index
+  if (reembedded === 0 && vectorIndex.stats()[index].dimensions === dimensions) {
+    return { reembedded, dimensions };
+  }
+
+  await vectorIndex.rebuild(index, { dimensions });
+  return { reembedded, dimensions, size: vectorIndex.stats()[index].size };
+}
+
+taskQueue.registerHandler('resume.parse', parseResume);
+taskQueue.registerHandler('matches.generate', generateMatches);
+taskQueue.registerHandler('files.purge', purgeFiles);
+taskQueue.registerHandler('vectors.reembed', reembedVectors);
+
+module.exports = taskQueue;
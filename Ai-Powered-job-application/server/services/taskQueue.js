@@ -0,0 +1,170 @@
+// taskQueue.js
+// MongoDB-backed work queue. Tasks are claimed atomically with findOneAndUpdate, so several
+// server processes can run workers against the same collection. Failed tasks are retried
+// with exponential backoff until maxAttempts is reached; so are tasks whose worker died,
+// once their lock goes stale.
+const os = require('os');
+const Task = require('../models/Task');
+
+const POLL_INTERVAL_MS = parseInt(process.env.TASK_POLL_INTERVAL_MS) || 2000;
+const CONCURRENCY = parseInt(process.env.TASK_WORKER_CONCURRENCY) || 2;
+const LOCK_TIMEOUT_MS = parseInt(process.env.TASK_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 5000;
+
+class TaskQueue {
+  constructor() {
+    this.handlers = {};
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.running = false;
+    this.active = 0;
+    this.timer = null;
+  }
+
+  // Register the function that processes tasks of `type`.
+  // Handlers receive (task, { progress }) and return the task result.
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  async enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`No handler registered for task type "${type}"`);
+    }
+
+    const task = new Task({
+      type,
+      payload,
+      user: options.user,
+      maxAttempts: options.maxAttempts || 3,
+      runAt: options.runAt || new Date()
+    });
+
+    await task.save();
+    this.poll();
+    return task;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`✅ Task workers started (${CONCURRENCY} concurrent, worker ${this.workerId})`);
+    this.poll();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Fill free worker slots, then check again after the poll interval
+  poll() {
+    if (!this.running) return;
+    clearTimeout(this.timer);
+
+    const slots = CONCURRENCY - this.active;
+    for (let i = 0; i < slots; i++) {
+      this.active++;
+      this.claimAndRun()
+        .then(ran => {
+          this.active--;
+          if (ran) this.poll();
+        })
+        .catch(error => {
+          this.active--;
+          console.error('Task worker error:', error);
+        });
+    }
+
+    this.timer = setTimeout(() => this.poll(), POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  async claimNext() {
+    const now = new Date();
+
+    const staleLock = { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } };
+
+    // Tasks whose worker died mid-run on their last attempt have failed for good; a handler
+    // that takes the process down never reaches the failure path in claimAndRun
+    await Task.updateMany(
+      { ...staleLock, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      {
+        status: 'failed',
+        error: 'Worker stopped responding while running the task',
+        completedAt: now,
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+
+    // Put back the others
+    await Task.updateMany(staleLock, { status: 'queued', $unset: { lockedAt: 1, lockedBy: 1 } });
+
+    return Task.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now }, type: { $in: Object.keys(this.handlers) } },
+      {
+        status: 'processing',
+        lockedAt: now,
+        lockedBy: this.workerId,
+        startedAt: now,
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Returns true if a task was processed
+  async claimAndRun() {
+    const task = await this.claimNext();
+    if (!task) return false;
+
+    // Only write while we still hold this claim: once our lock went stale another worker may
+    // have reclaimed the task (attempts identifies the claim, as every claim increments it)
+    const ownClaim = { _id: task._id, status: 'processing', lockedBy: this.workerId, attempts: task.attempts };
+    const warnIfLost = (update) => {
+      if (update.matchedCount === 0) {
+        console.warn(`Task ${task._id} (${task.type}) was reclaimed by another worker; result discarded`);
+      }
+    };
+
+    const progress = async (percent) => {
+      await Task.updateOne(
+        ownClaim,
+        { progress: Math.max(0, Math.min(100, Math.round(percent))), lockedAt: new Date() }
+      );
+    };
+
+    try {
+      const result = await this.handlers[task.type](task, { progress });
+      const update = await Task.updateOne(
+        ownClaim,
+        {
+          status: 'completed',
+          result,
+          progress: 100,
+          completedAt: new Date(),
+          $unset: { error: 1, lockedAt: 1, lockedBy: 1 }
+        }
+      );
+      warnIfLost(update);
+    } catch (error) {
+      console.error(`Task ${task._id} (${task.type}) attempt ${task.attempts} failed:`, error);
+      const exhausted = task.attempts >= task.maxAttempts;
+      const update = await Task.updateOne(
+        ownClaim,
+        {
+          status: exhausted ? 'failed' : 'queued',
+          error: error.message,
+          runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, task.attempts - 1)),
+          ...(exhausted ? { completedAt: new Date() } : {}),
+          $unset: { lockedAt: 1, lockedBy: 1 }
+        }
+      );
+      warnIfLost(update);
+    }
+
+    return true;
+  }
+}
+
+module.exports = new TaskQueue();
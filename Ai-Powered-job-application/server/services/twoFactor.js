@@ -0,0 +1,229 @@
+// twoFactor.js
+// TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 second steps) with
+// single-use recovery codes. Secrets are stored encrypted (AES-256-GCM, key from
+// TWO_FACTOR_ENCRYPTION_KEY or derived from JWT_SECRET) and recovery codes only as hashes.
+//
+// A password login for a user with 2FA on doesn't open a session; it returns a short-lived
+// challenge token that POST /api/auth/login/2fa trades, together with a code, for one.
+// Roles listed in the security.twoFactorRoles setting must enrol before using anything else.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const settings = require('./settings');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+// Consecutive wrong codes before further attempts are refused for LOCKOUT_MS
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'AI JobMatch';
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const bits = text.toUpperCase().replace(/[^A-Z2-7]/g, '')
+    .split('')
+    .map(char => BASE32.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `2fa:${process.env.JWT_SECRET}`)
+  .digest();
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// The time step a code belongs to, or null. Steps at or before `lastUsedStep` are refused
+// so an observed code can't be replayed.
+function verifyCode(secret, code, lastUsedStep = -1) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+function otpauthUrl(user, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// What an authenticator app needs to enrol: the secret, its otpauth:// URI and that URI as a QR image
+async function enrolment(user, secret) {
+  const url = otpauthUrl(user, secret);
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+}
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Fresh recovery codes: the plain codes (shown once) and the hashes to store
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, stored: codes.map(code => ({ codeHash: hashRecoveryCode(code) })) };
+}
+
+// Check a TOTP or recovery code against a user loaded with the 2FA secrets. The replay guard,
+// used recovery codes and failure count are written with conditional updates, so parallel
+// requests can't reuse a code or guess past the lockout; callers don't save them.
+// Resolves to 'totp', 'recovery', 'locked' or null.
+async function checkCode(user, code) {
+  const state = user.twoFactor;
+  if (state.lockedUntil && state.lockedUntil > new Date()) return 'locked';
+
+  const notLocked = { 'twoFactor.lockedUntil': { $not: { $gt: new Date() } } };
+  const accepted = (set) => ({
+    $set: { ...set, 'twoFactor.failedAttempts': 0 },
+    $unset: { 'twoFactor.lockedUntil': 1 }
+  });
+
+  const step = verifyCode(decrypt(state.secret), code, state.lastUsedStep ?? -1);
+  if (step !== null) {
+    // Only one request can move the guard past this step
+    const claimed = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } }, ...notLocked },
+      accepted({ 'twoFactor.lastUsedStep': step })
+    );
+    if (claimed.modifiedCount > 0) return 'totp';
+  } else {
+    const hash = hashRecoveryCode(code);
+    const recovery = state.recoveryCodes.find(entry => !entry.usedAt && entry.codeHash === hash);
+    if (recovery) {
+      const usedAt = new Date();
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          'twoFactor.recoveryCodes': { $elemMatch: { _id: recovery._id, usedAt: { $exists: false } } },
+          ...notLocked
+        },
+        accepted({ 'twoFactor.recoveryCodes.$.usedAt': usedAt })
+      );
+      if (claimed.modifiedCount > 0) {
+        // Keeps recoveryCodesRemaining() right; saving the same value again is harmless
+        recovery.usedAt = usedAt;
+        return 'recovery';
+      }
+    }
+  }
+
+  const failed = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  );
+  if (failed && failed.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    // The request that crosses the limit locks the account and starts the count again
+    await User.updateOne(
+      { _id: user._id, 'twoFactor.failedAttempts': { $gte: MAX_FAILED_ATTEMPTS } },
+      { $set: { 'twoFactor.lockedUntil': new Date(Date.now() + LOCKOUT_MS), 'twoFactor.failedAttempts': 0 } }
+    );
+  }
+  return null;
+}
+
+const recoveryCodesRemaining = (user) => (user.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+
+// Whether the user's role has to use 2FA (security.twoFactorRoles)
+function isRequiredFor(user) {
+  return settings.get('security.twoFactorRoles').includes(user.role);
+}
+
+// Turn 2FA off and forget the secret and recovery codes (the user, or an admin for a lost device)
+function reset(userId) {
+  return User.updateOne({ _id: userId }, {
+    $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+    $unset: {
+      'twoFactor.enabledAt': 1,
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.lockedUntil': 1
+    }
+  });
+}
+
+function issueChallenge(user) {
+  return jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+// The user id behind a challenge token, or null when it is invalid or expired
+function verifyChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  LOCKOUT_MS,
+  encrypt,
+  decrypt,
+  generateSecret,
+  verifyCode,
+  enrolment,
+  generateRecoveryCodes,
+  checkCode,
+  recoveryCodesRemaining,
+  isRequiredFor,
+  reset,
+  issueChallenge,
+  verifyChallenge
+};
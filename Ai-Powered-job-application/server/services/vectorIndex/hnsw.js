@@ -0,0 +1,293 @@
+// hnsw.js
+// In-process Hierarchical Navigable Small World graph for approximate nearest-neighbour
+// search over cosine similarity. Vectors are L2-normalised on insert so distance is 1 - dot.
+
+// Minimal binary heap ordered by `compare`
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+class HNSWIndex {
+  constructor({ dimensions, M = 16, efConstruction = 200, efSearch = 64 } = {}) {
+    this.dimensions = dimensions;
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+    this.nodes = new Map(); // id -> { vector, level, neighbors: [[id]] }
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(id) {
+    return this.nodes.has(id);
+  }
+
+  distance(a, b) {
+    return 1 - dot(a, b);
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  // Greedy best-first search restricted to one layer; returns up to `ef` closest as [{ id, dist }]
+  searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = new Heap((a, b) => a.dist - b.dist); // closest first
+    const results = new Heap((a, b) => b.dist - a.dist); // furthest first
+
+    for (const id of entryIds) {
+      const dist = this.distance(query, this.nodes.get(id).vector);
+      candidates.push({ id, dist });
+      results.push({ id, dist });
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.dist > results.peek().dist) break;
+
+      const neighbors = this.nodes.get(current.id).neighbors[level] || [];
+      for (const neighborId of neighbors) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const dist = this.distance(query, this.nodes.get(neighborId).vector);
+        if (results.size < ef || dist < results.peek().dist) {
+          candidates.push({ id: neighborId, dist });
+          results.push({ id: neighborId, dist });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.dist - b.dist);
+  }
+
+  // Keep the `max` closest candidates to `vector`
+  selectNeighbors(vector, candidateIds, max) {
+    return candidateIds
+      .map(id => ({ id, dist: this.distance(vector, this.nodes.get(id).vector) }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, max)
+      .map(item => item.id);
+  }
+
+  connect(id, neighborId, level) {
+    const node = this.nodes.get(neighborId);
+    const links = node.neighbors[level];
+    if (links.includes(id)) return;
+
+    links.push(id);
+    const max = level === 0 ? this.maxM0 : this.M;
+    if (links.length > max) {
+      node.neighbors[level] = this.selectNeighbors(node.vector, links, max);
+    }
+  }
+
+  add(id, rawVector) {
+    if (rawVector.length !== this.dimensions) {
+      throw new Error(`Vector has ${rawVector.length} dimensions, index expects ${this.dimensions}`);
+    }
+
+    if (this.nodes.has(id)) {
+      this.remove(id);
+    }
+
+    const vector = normalize(rawVector);
+    const level = this.randomLevel();
+    const node = { vector, level, neighbors: Array.from({ length: level + 1 }, () => []) };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entryIds = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entryIds = [this.searchLayer(vector, entryIds, 1, l)[0].id];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(vector, entryIds, this.efConstruction, l);
+      const max = l === 0 ? this.maxM0 : this.M;
+      node.neighbors[l] = this.selectNeighbors(vector, found.map(f => f.id).filter(fid => fid !== id), max);
+      for (const neighborId of node.neighbors[l]) {
+        this.connect(id, neighborId, l);
+      }
+      entryIds = found.map(f => f.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+  }
+
+  remove(id) {
+    const node = this.nodes.get(id);
+    if (!node) return false;
+    this.nodes.delete(id);
+
+    // Unlink and repair: each former neighbour may adopt the removed node's other neighbours
+    for (let l = 0; l <= node.level; l++) {
+      const orphans = node.neighbors[l].filter(nid => this.nodes.has(nid));
+      for (const neighborId of orphans) {
+        const neighbor = this.nodes.get(neighborId);
+        const links = neighbor.neighbors[l].filter(nid => nid !== id);
+        const candidates = new Set(links);
+        for (const other of orphans) {
+          if (other !== neighborId) candidates.add(other);
+        }
+        const max = l === 0 ? this.maxM0 : this.M;
+        neighbor.neighbors[l] = this.selectNeighbors(neighbor.vector, [...candidates], max);
+      }
+    }
+
+    // Drop any one-directional links still pointing at the removed node
+    for (const other of this.nodes.values()) {
+      for (let l = 0; l < other.neighbors.length; l++) {
+        if (other.neighbors[l].includes(id)) {
+          other.neighbors[l] = other.neighbors[l].filter(nid => nid !== id);
+        }
+      }
+    }
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const [otherId, other] of this.nodes) {
+        if (other.level > this.maxLevel) {
+          this.maxLevel = other.level;
+          this.entryPoint = otherId;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  // Top-k nearest neighbours as [{ id, score }] where score is cosine similarity
+  search(rawVector, k = 10, { filter, ef } = {}) {
+    if (this.entryPoint === null || rawVector.length !== this.dimensions) {
+      return [];
+    }
+
+    const query = normalize(rawVector);
+    let entryIds = [this.entryPoint];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entryIds = [this.searchLayer(query, entryIds, 1, l)[0].id];
+    }
+
+    // Widen the beam when a filter may discard candidates
+    const beam = Math.max(ef || this.efSearch, filter ? k * 4 : k);
+    return this.searchLayer(query, entryIds, beam, 0)
+      .filter(item => !filter || filter(item.id))
+      .slice(0, k)
+      .map(item => ({ id: item.id, score: Math.min(1, 1 - item.dist) }));
+  }
+
+  toJSON() {
+    const nodes = [];
+    for (const [id, node] of this.nodes) {
+      nodes.push({
+        id,
+        level: node.level,
+        vector: Buffer.from(node.vector.buffer, node.vector.byteOffset, node.vector.byteLength).toString('base64'),
+        neighbors: node.neighbors
+      });
+    }
+
+    return {
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new HNSWIndex(data);
+    for (const node of data.nodes) {
+      const bytes = Buffer.from(node.vector, 'base64');
+      const vector = new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+      index.nodes.set(node.id, { vector, level: node.level, neighbors: node.neighbors });
+    }
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+    return index;
+  }
+}
+
+module.exports = HNSWIndex;
@@ -0,0 +1,289 @@
+// vectorIndex/index.js
+// Approximate nearest-neighbour indexes over job and resume embeddings.
+// Each index is an in-process HNSW graph persisted to VECTOR_INDEX_DIR; on boot the snapshot
+// is loaded and reconciled with MongoDB (or rebuilt from scratch when missing or stale).
+const fs = require('fs');
+const path = require('path');
+const Job = require('../../models/Job');
+const Resume = require('../../models/Resume');
+const Task = require('../../models/Task');
+const taskQueue = require('../taskQueue');
+const HNSWIndex = require('./hnsw');
+
+const INDEX_DIR = process.env.VECTOR_INDEX_DIR || path.join(__dirname, '../../data/vector-index');
+const SNAPSHOT_VERSION = 1;
+const SAVE_DELAY_MS = 5000;
+
+// Which documents belong in each index and which embedding field is indexed
+const sources = {
+  jobs: { model: Job, query: { status: 'active' }, field: 'embedding' },
+  resumes: { model: Resume, query: { isActive: true }, field: 'embedding' }
+};
+
+class VectorIndexService {
+  constructor() {
+    this.indexes = {};
+    this.builtAt = {};
+    this.saveTimers = {};
+    this.reembedRequested = {};
+    this.initPromise = null;
+  }
+
+  // Load or rebuild every index once; safe to call repeatedly
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = Promise.all(Object.keys(sources).map(name => this.load(name)))
+        .then(() => {
+          console.log(`✅ Vector indexes ready (${Object.keys(sources).map(n => `${n}: ${this.indexes[n]?.size || 0}`).join(', ')})`);
+        })
+        .catch(error => {
+          console.error('Vector index initialisation error:', error);
+          this.initPromise = null;
+          throw error;
+        });
+    }
+    return this.initPromise;
+  }
+
+  snapshotPath(name) {
+    return path.join(INDEX_DIR, `${name}.json`);
+  }
+
+  async load(name) {
+    const file = this.snapshotPath(name);
+    if (!fs.existsSync(file)) {
+      return this.rebuild(name);
+    }
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        return this.rebuild(name);
+      }
+      this.indexes[name] = snapshot.index ? HNSWIndex.fromJSON(snapshot.index) : null;
+      this.builtAt[name] = new Date(snapshot.builtAt);
+      await this.reconcile(name);
+    } catch (error) {
+      console.warn(`Vector index "${name}" snapshot unusable, rebuilding:`, error.message);
+      await this.rebuild(name);
+    }
+  }
+
+  // Full rebuild from MongoDB. Pass `dimensions` to build for that vector size (documents
+  // of another size are skipped); otherwise the first indexed vector sets it.
+  async rebuild(name, { dimensions } = {}) {
+    const { model, query, field } = sources[name];
+    this.indexes[name] = dimensions ? new HNSWIndex({ dimensions }) : null;
+    this.builtAt[name] = new Date();
+    this.reembedRequested[name] = false;
+
+    let skipped = 0;
+    const cursor = model.find(query).select(field).cursor();
+    for await (const doc of cursor) {
+      if (!this.upsert(name, doc._id, doc[field], { persist: false })) skipped++;
+    }
+
+    if (skipped > 0) {
+      console.warn(`Vector index "${name}": skipped ${skipped} documents without a usable embedding`);
+    }
+    this.save(name);
+    return this.indexes[name];
+  }
+
+  // Bring a loaded snapshot up to date with MongoDB
+  async reconcile(name) {
+    const { model, query, field } = sources[name];
+    const since = this.builtAt[name];
+    const index = this.indexes[name];
+
+    const current = await model.find(query).select('_id updatedAt');
+    const currentIds = new Set(current.map(doc => doc._id.toString()));
+
+    if (index) {
+      for (const id of [...index.nodes.keys()]) {
+        if (!currentIds.has(id)) index.remove(id);
+      }
+    }
+
+    const stale = current
+      .filter(doc => !index || !index.has(doc._id.toString()) || (doc.updatedAt && doc.updatedAt > since))
+      .map(doc => doc._id);
+
+    if (stale.length > 0) {
+      const docs = await model.find({ _id: { $in: stale } }).select(field);
+      for (const doc of docs) {
+        this.upsert(name, doc._id, doc[field], { persist: false });
+      }
+    }
+
+    this.builtAt[name] = new Date();
+    this.save(name);
+  }
+
+  // Add or replace one vector. Returns false when the vector cannot be indexed.
+  upsert(name, id, vector, { persist = true } = {}) {
+    const key = id.toString();
+    if (!Array.isArray(vector) || vector.length === 0) {
+      this.remove(name, key, { persist });
+      return false;
+    }
+
+    if (!this.indexes[name]) {
+      this.indexes[name] = new HNSWIndex({ dimensions: vector.length });
+    }
+
+    const index = this.indexes[name];
+    if (index.dimensions !== vector.length) {
+      // Embedding provider changed underneath us; the old entry (if any) is no longer comparable
+      index.remove(key);
+      console.warn(`Vector index "${name}": ${key} has ${vector.length} dimensions, index uses ${index.dimensions}`);
+      this.requestReembed(name);
+      return false;
+    }
+
+    index.add(key, vector);
+    if (persist) this.scheduleSave(name);
+    return true;
+  }
+
+  // Queue a vectors.reembed task (see taskHandlers) once per index: it re-embeds every
+  // document with the current provider and rebuilds the index at the new size
+  requestReembed(name) {
+    if (this.reembedRequested[name]) return;
+    this.reembedRequested[name] = true;
+
+    Task.exists({ type: 'vectors.reembed', 'payload.index': name, status: { $in: ['queued', 'processing'] } })
+      .then(existing => existing || taskQueue.enqueue('vectors.reembed', { index: name }))
+      .catch(error => {
+        this.reembedRequested[name] = false;
+        console.error(`Vector index "${name}" re-embed request error:`, error.message);
+      });
+  }
+
+  remove(name, id, { persist = true } = {}) {
+    const index = this.indexes[name];
+    if (index && index.remove(id.toString()) && persist) {
+      this.scheduleSave(name);
+    }
+  }
+
+  // Re-read matching documents and update their entries (e.g. after bulk status changes)
+  async sync(name, filter) {
+    await this.init();
+    const { model, query, field } = sources[name];
+    const docs = await model.find(filter).select(`${field} ${Object.keys(query).join(' ')}`);
+    for (const doc of docs) {
+      if (this.belongs(name, doc)) {
+        this.upsert(name, doc._id, doc[field]);
+      } else {
+        this.remove(name, doc._id);
+      }
+    }
+  }
+
+  belongs(name, doc) {
+    const { query } = sources[name];
+    return Object.entries(query).every(([key, value]) => doc[key] === value);
+  }
+
+  scheduleSave(name) {
+    if (this.saveTimers[name]) return;
+    this.saveTimers[name] = setTimeout(() => {
+      this.saveTimers[name] = null;
+      this.save(name);
+    }, SAVE_DELAY_MS);
+    this.saveTimers[name].unref();
+  }
+
+  save(name) {
+    try {
+      fs.mkdirSync(INDEX_DIR, { recursive: true });
+      const file = this.snapshotPath(name);
+      const tempFile = `${file}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify({
+        version: SNAPSHOT_VERSION,
+        name,
+        builtAt: (this.builtAt[name] || new Date()).toISOString(),
+        index: this.indexes[name] ? this.indexes[name].toJSON() : null
+      }));
+      fs.renameSync(tempFile, file);
+    } catch (error) {
+      console.error(`Vector index "${name}" save error:`, error);
+    }
+  }
+
+  // Top-k lookup as [{ id, score }] (score = cosine similarity). `filter(id)` limits the
+  // results to ids it accepts.
+  async search(name, vector, { k = 20, minScore = 0, excludeIds = [], filter } = {}) {
+    await this.init();
+    const index = this.indexes[name];
+    if (!index || !Array.isArray(vector) || vector.length === 0) {
+      return [];
+    }
+    if (vector.length !== index.dimensions) {
+      console.warn(`Vector index "${name}": query has ${vector.length} dimensions, index uses ${index.dimensions}`);
+      this.requestReembed(name);
+      return [];
+    }
+
+    const excluded = new Set(excludeIds.map(id => id.toString()));
+    const accept = excluded.size > 0
+      ? id => !excluded.has(id) && (!filter || filter(id))
+      : filter;
+    return index
+      .search(vector, k, { filter: accept })
+      .filter(result => result.score >= minScore);
+  }
+
+  // --- Jobs ---
+  upsertJob(job) {
+    if (job.status === 'active') {
+      this.upsert('jobs', job._id, job.embedding);
+    } else {
+      this.remove('jobs', job._id);
+    }
+  }
+
+  removeJob(jobId) {
+    this.remove('jobs', jobId);
+  }
+
+  searchJobs(queryEmbedding, options = {}) {
+    return this.search('jobs', queryEmbedding, options);
+  }
+
+  jobsForResume(resume, options = {}) {
+    const vector = resume.embedding?.length ? resume.embedding : resume.skillsEmbedding;
+    return this.search('jobs', vector, options);
+  }
+
+  // --- Resumes ---
+  upsertResume(resume) {
+    if (resume.isActive) {
+      this.upsert('resumes', resume._id, resume.embedding);
+    } else {
+      this.remove('resumes', resume._id);
+    }
+  }
+
+  removeResume(resumeId) {
+    this.remove('resumes', resumeId);
+  }
+
+  resumesForJob(job, options = {}) {
+    return this.search('resumes', job.embedding, options);
+  }
+
+  stats() {
+    return Object.keys(sources).reduce((acc, name) => {
+      acc[name] = {
+        size: this.indexes[name]?.size || 0,
+        dimensions: this.indexes[name]?.dimensions || null,
+        builtAt: this.builtAt[name] || null
+      };
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = new VectorIndexService();
@@ -0,0 +1,159 @@
+// videoProgress.js
+// Per-user watch tracking for the video library. Finishing a video ticks it off in the
+// user's learning paths. Its skills are credited to the profile as learned skills only when
+// the reported watch progress reaches the threshold: they feed matching and candidate search,
+// so marking a video watched by hand must not be enough.
+const Video = require('../models/Video');
+const VideoProgress = require('../models/VideoProgress');
+const LearningPath = require('../models/LearningPath');
+const User = require('../models/User');
+const skillTaxonomy = require('./skillTaxonomy');
+
+// Watching this much of a video counts as finishing it
+const COMPLETION_THRESHOLD = 90;
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Add the video's skills to the user's profile at the video's level. Skills the user
+// entered themselves are left alone; learned ones only ever move up a level.
+async function creditSkills(userId, video) {
+  const user = await User.findById(userId).select('skills');
+  if (!user) return [];
+
+  const credited = [];
+  for (const name of video.skills || []) {
+    const id = skillTaxonomy.canonicalId(name);
+    if (!id) continue;
+
+    const existing = user.skills.find(skill => skillTaxonomy.canonicalId(skill.name) === id);
+    if (!existing) {
+      user.skills.push({ name: skillTaxonomy.canonicalName(name), level: video.difficulty, source: 'learning' });
+      credited.push(skillTaxonomy.canonicalName(name));
+    } else if (existing.source === 'learning' &&
+      SKILL_LEVELS.indexOf(video.difficulty) > SKILL_LEVELS.indexOf(existing.level)) {
+      existing.level = video.difficulty;
+      credited.push(existing.name);
+    }
+  }
+
+  if (credited.length > 0) await user.save();
+  return credited;
+}
+
+// Tick the video off in every active learning path that includes it
+async function completeLearningPathSteps(userId, videoId) {
+  const paths = await LearningPath.find({ user: userId, status: 'active', 'steps.video': videoId });
+  await Promise.all(paths.map(path => {
+    path.steps
+      .filter(step => step.video.equals(videoId) && !step.completed)
+      .forEach(step => path.setStepCompleted(step, true));
+    return path.save();
+  }));
+}
+
+// Record a progress report for `video`. Percent watched only ever grows; the position is
+// the latest one so the player can resume there. Passing completed: true marks the video
+// watched without crediting skills; completed: false starts over.
+// Returns { progress, completedNow, creditedSkills }.
+async function recordProgress(userId, video, { positionSeconds, percentWatched, completed } = {}) {
+  const now = new Date();
+  const filter = { user: userId, video: video._id };
+
+  if (completed === false) {
+    const progress = await VideoProgress.findOneAndUpdate(filter, {
+      $set: { positionSeconds: 0, percentWatched: 0, completed: false, lastWatchedAt: now },
+      $unset: { completedAt: 1 }
+    }, { new: true });
+    return { progress, completedNow: false, creditedSkills: [] };
+  }
+
+  const update = { $set: { lastWatchedAt: now } };
+  if (positionSeconds !== undefined) update.$set.positionSeconds = Math.floor(positionSeconds);
+  if (percentWatched !== undefined) update.$max = { percentWatched: Math.round(percentWatched) };
+
+  let progress = await VideoProgress.findOneAndUpdate(filter, update, {
+    new: true,
+    upsert: true,
+    setDefaultsOnInsert: true
+  });
+
+  // First time this user pressed play (the record may already exist from a bookmark)
+  if (!progress.startedAt) {
+    const started = await VideoProgress.findOneAndUpdate(
+      { _id: progress._id, startedAt: { $exists: false } },
+      { $set: { startedAt: now } },
+      { new: true }
+    );
+    if (started) {
+      progress = started;
+      await Video.updateOne({ _id: video._id }, { $inc: { viewCount: 1 } });
+    }
+  }
+
+  const watched = progress.percentWatched >= COMPLETION_THRESHOLD;
+  let completedNow = false;
+
+  if (!progress.completed && (watched || completed === true)) {
+    // Only the request that flips the flag runs the completion side effects
+    const finished = await VideoProgress.findOneAndUpdate(
+      { _id: progress._id, completed: false },
+      { $set: { completed: true, completedAt: now } },
+      { new: true }
+    );
+    if (finished) {
+      progress = finished;
+      completedNow = true;
+      await completeLearningPathSteps(userId, video._id);
+    } else {
+      progress = await VideoProgress.findById(progress._id);
+    }
+  }
+
+  // Skills need the reported watch progress to get there, once per video
+  let creditedSkills = [];
+  if (watched && !progress.skillsCreditedAt) {
+    const claimed = await VideoProgress.findOneAndUpdate(
+      { _id: progress._id, skillsCreditedAt: { $exists: false } },
+      { $set: { skillsCreditedAt: now } },
+      { new: true }
+    );
+    if (claimed) {
+      progress = claimed;
+      creditedSkills = await creditSkills(userId, video);
+    }
+  }
+
+  return { progress, completedNow, creditedSkills };
+}
+
+// Totals for the user's watch history
+async function getSummary(userId) {
+  const records = await VideoProgress.find({ user: userId })
+    .populate('video', 'duration skills')
+    .lean();
+
+  const summary = { started: 0, inProgress: 0, completed: 0, bookmarked: 0, minutesWatched: 0, skills: [] };
+  const skills = new Set();
+  for (const record of records) {
+    if (record.bookmarked) summary.bookmarked++;
+    if (!record.startedAt) continue;
+
+    summary.started++;
+    if (record.completed) {
+      summary.completed++;
+      (record.video?.skills || []).forEach(skill => skills.add(skillTaxonomy.canonicalName(skill)));
+    } else {
+      summary.inProgress++;
+    }
+    summary.minutesWatched += Math.round(((record.video?.duration || 0) * record.percentWatched) / 100);
+  }
+  summary.skills = [...skills].sort();
+
+  return summary;
+}
+
+module.exports = {
+  COMPLETION_THRESHOLD,
+  recordProgress,
+  getSummary
+};
@@ -0,0 +1,98 @@
+// services/aiMatching.js
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const memoryDb = require('./helpers/memoryDb');
+
+describe('aiMatching.findCandidates', () => {
+  let db;
+  let aiMatching;
+  let vectorIndex;
+  let models;
+  let pipeline;
+
+  before(() => {
+    db = memoryDb.install();
+    aiMatching = require('../services/aiMatching');
+    vectorIndex = require('../services/vectorIndex');
+    models = { Resume: require('../models/Resume'), User: require('../models/User') };
+  });
+
+  after(() => db.restore());
+
+  const seeker = (firstName) => db.add(new models.User({
+    email: `${firstName.toLowerCase()}@example.com`,
+    password: 'hashed-password',
+    firstName,
+    lastName: 'Seeker',
+    role: 'job_seeker',
+    profile: { discoverable: true }
+  }));
+
+  const resumeOf = (user) => db.add(new models.Resume({
+    user: user._id,
+    fileName: 'resume.pdf',
+    originalName: 'resume.pdf',
+    fileSize: 1000,
+    fileType: 'pdf',
+    parsedText: 'text',
+    isActive: true,
+    extractedData: { skills: [{ name: 'Go' }], experience: [] }
+  }));
+
+  beforeEach(() => {
+    db.reset();
+    pipeline = null;
+  });
+
+  // The database answers the eligibility aggregate with `eligible`
+  const eligibleAre = (resumes) => mock.method(models.Resume, 'aggregate', (stages) => {
+    pipeline = stages;
+    return Promise.resolve(resumes.map(resume => ({ _id: resume._id })));
+  });
+
+  it('filters by skills and location in the database, before the vector search', async () => {
+    const aggregate = eligibleAre([]);
+
+    const candidates = await aiMatching.findCandidates({ requirements: {} }, { skills: ['Go'], location: 'Berlin' });
+    aggregate.mock.restore();
+
+    assert.deepEqual(candidates, []);
+    const [match, lookup, ownerMatch] = pipeline;
+    assert.ok(match.$match.$and[0]['extractedData.skills.name'].$in.some(term => term.test('go')));
+    assert.equal(lookup.$lookup.from, 'users');
+    assert.equal(lookup.$lookup.pipeline[0].$match['profile.discoverable'], true);
+    assert.ok(ownerMatch.$match.$or.every(condition => Object.values(condition)[0].test('Berlin, Germany')));
+  });
+
+  it('only loads the users whose resumes are scored', async () => {
+    const [ada, bob, cy] = ['Ada', 'Bob', 'Cy'].map(seeker);
+    const resumes = [ada, bob, cy].map(resumeOf);
+    const aggregate = eligibleAre(resumes);
+    const search = mock.method(vectorIndex, 'resumesForJob', async (job, { filter }) =>
+      [resumes[2], resumes[0]].filter(resume => filter(resume._id.toString())).map(resume => ({ id: resume._id.toString() })));
+    const userQuery = mock.method(models.User, 'find');
+
+    const candidates = await aiMatching.findCandidates({ requirements: { skills: [] }, location: {} });
+    for (const stub of [aggregate, search, userQuery]) stub.mock.restore();
+
+    assert.deepEqual(candidates.map(candidate => candidate.user.firstName).sort(), ['Ada', 'Cy']);
+    const requested = userQuery.mock.calls[0].arguments[0]._id.$in.map(String).sort();
+    assert.deepEqual(requested, [ada._id, cy._id].map(String).sort());
+  });
+});
+
+describe('aiMatching.generateFallbackInsights', () => {
+  const aiMatching = require('../services/aiMatching');
+  const scores = { experienceMatch: 80, educationMatch: 80, locationMatch: 100, overallScore: 75 };
+
+  it('matches skills through the taxonomy, not by substring', () => {
+    const insights = aiMatching.generateFallbackInsights(
+      { extractedData: { skills: [{ name: 'JavaScript' }, { name: 'C' }, { name: 'ReactJS' }] } },
+      { requirements: { skills: [{ name: 'Java' }, { name: 'React' }, { name: 'Clojure' }] }, location: {} },
+      scores
+    );
+
+    assert.ok(insights.strengths.includes('Proficient in: React'));
+    assert.deepEqual(insights.skillGaps.map(gap => gap.skill), ['Java', 'Clojure']);
+  });
+});
@@ -0,0 +1,33 @@
+// iCalendar output of services/calendar.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const calendar = require('../services/calendar');
+
+const event = (overrides) => calendar.buildEvent({
+  uid: 'interview-1@ai-job-platform',
+  start: new Date('2030-01-07T09:00:00Z'),
+  end: new Date('2030-01-07T09:30:00Z'),
+  summary: 'Interview: Backend Engineer, Berlin; remote',
+  ...overrides
+});
+
+describe('calendar.buildEvent', () => {
+  it('escapes TEXT values', () => {
+    assert.match(event(), /\r\nSUMMARY:Interview: Backend Engineer\\, Berlin\\; remote\r\n/);
+  });
+
+  it('quotes CN parameters instead of escaping them', () => {
+    const ics = event({
+      organizer: { name: 'Doe, Jane', email: 'jane@example.com' },
+      attendees: [{ name: 'Sam "Sammy" O\'Neil;\nJr', email: 'sam@example.com' }]
+    });
+
+    assert.match(ics, /\r\nORGANIZER;CN="Doe, Jane":mailto:jane@example.com\r\n/);
+    assert.match(ics, /\r\nATTENDEE;CN="Sam Sammy O'Neil;Jr";ROLE=REQ-PARTICIPANT/);
+  });
+
+  it('folds lines longer than 75 octets', () => {
+    const ics = event({ description: 'x'.repeat(200) });
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  });
+});
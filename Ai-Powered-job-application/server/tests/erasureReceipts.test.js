@@ -0,0 +1,82 @@
+// Deletion receipts (services/accountErasure.js, GET /api/users/erasure-receipts/:receiptId):
+// only the random receipt id finds a receipt, and the record counts need the signed link.
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const express = require('express');
+const memoryDb = require('./helpers/memoryDb');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+describe('erasure receipts', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let receipt;
+  let accountErasure;
+
+  before(async () => {
+    db = memoryDb.install();
+    mock.method(console, 'warn', () => {});
+    const ErasureReceipt = require('../models/ErasureReceipt');
+    accountErasure = require('../services/accountErasure');
+
+    receipt = db.add(new ErasureReceipt({
+      receiptId: 'a3f1c2d4e5b60718293a4b5c6d7e8f90',
+      user: new mongoose.Types.ObjectId(),
+      role: 'job_seeker',
+      emailHash: 'hash',
+      records: [{ type: 'applications', action: 'anonymized', count: 3 }],
+      files: { deleted: 2, pending: 0 },
+      requestedAt: new Date(),
+      completedAt: new Date()
+    }));
+
+    const app = express();
+    app.use('/api/users', require('../routes/users'));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${server.address().port}/api/users/erasure-receipts`;
+  });
+
+  after(() => {
+    server.close();
+    db.restore();
+  });
+
+  const lookUp = async (path) => {
+    const response = await fetch(`${baseUrl}/${path}`);
+    return { status: response.status, receipt: (await response.json()).receipt };
+  };
+
+  it('never looks a receipt up by its database id', async () => {
+    assert.equal(await accountErasure.findReceipt(receipt._id.toString()), null);
+    assert.equal((await lookUp(receipt._id)).status, 404);
+  });
+
+  it('leaves out the user and the record counts without a signature', async () => {
+    const { status, receipt: found } = await lookUp(receipt.receiptId);
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(found).sort(), ['completedAt', 'receiptId', 'records', 'requestedAt', 'status']);
+    assert.deepEqual(found.records, [{ type: 'applications', action: 'anonymized' }]);
+  });
+
+  it('includes the counts with the signed link', async () => {
+    const { signature } = accountErasure.formatReceipt(receipt, { detailed: true });
+    const { receipt: found } = await lookUp(`${receipt.receiptId}?signature=${signature}`);
+
+    assert.equal(found.records[0].count, 3);
+    assert.deepEqual(found.files, { deleted: 2, pending: 0 });
+    assert.equal(found.user, undefined);
+    assert.equal((await lookUp(`${receipt.receiptId}?signature=${'0'.repeat(64)}`)).receipt.files, undefined);
+  });
+
+  it('skips Cloudinary files when Cloudinary is not configured', async () => {
+    delete process.env.CLOUDINARY_CLOUD_NAME;
+    const { remaining } = await accountErasure.purgeFiles({ cloudinaryIds: ['resumes/abc'] });
+
+    assert.deepEqual(remaining, { localFiles: [], cloudinaryIds: [] });
+  });
+});
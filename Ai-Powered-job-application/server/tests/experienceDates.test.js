@@ -0,0 +1,25 @@
+// Free-text employment ranges in services/experienceDates.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const experienceDates = require('../services/experienceDates');
+
+const month = (year, index) => year * 12 + index;
+const now = new Date(2024, 5, 1);
+
+describe('experienceDates.parseRange', () => {
+  it('expands a short-year range within the same century', () => {
+    for (const text of ['2019-20', '2019 – 20', 'Acme, 2019-20']) {
+      assert.deepEqual(experienceDates.parseRange(text, { now }), { start: month(2019, 0), end: month(2020, 11), current: false }, text);
+    }
+  });
+
+  it('still reads a month after a plain hyphen', () => {
+    assert.deepEqual(experienceDates.parseRange('2019-12 to 2021-03', { now }), { start: month(2019, 11), end: month(2021, 2), current: false });
+    assert.deepEqual(experienceDates.parseRange('2019-2021', { now }), { start: month(2019, 0), end: month(2021, 11), current: false });
+  });
+
+  it('measures a role written as a short-year range', () => {
+    const interval = experienceDates.entryInterval({ title: 'Engineer', duration: '2019-20' }, { now });
+    assert.deepEqual(interval, { start: month(2019, 0), end: month(2020, 11) + 1, current: false });
+  });
+});
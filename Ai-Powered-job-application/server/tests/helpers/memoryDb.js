@@ -0,0 +1,176 @@
+// memoryDb.js
+// In-memory stand-in for MongoDB so route tests run without a database. Queries are answered
+// from the documents registered with add() or saved by the code under test. Filters support
+// what the routes use (equality, dotted paths, $in, $nin, $ne, $exists, $elemMatch, $or, $and,
+// comparisons); sorting, projections, population and update operators are not applied, so
+// tests should assert on saved documents rather than on updateOne() side effects.
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+const stores = new Map(); // model name -> Map(id -> plain document)
+
+const storeFor = (name) => {
+  if (!stores.has(name)) stores.set(name, new Map());
+  return stores.get(name);
+};
+
+// Deep copy that keeps ObjectIds and Dates intact
+const clone = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return new mongoose.Types.ObjectId(value.toString());
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const isOperatorObject = (value) =>
+  value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof mongoose.Types.ObjectId) &&
+  !(value instanceof Date) && Object.keys(value).some(key => key.startsWith('$'));
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+const same = (value, expected) => {
+  if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+  if (value === null || value === undefined) return expected === null || expected === undefined;
+  return String(comparable(value)) === String(comparable(expected));
+};
+
+// Every value at a dotted path, looking into arrays on the way and at the end
+function valuesAt(doc, path) {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    values = values
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .map(value => (value && typeof value === 'object' ? value[key] : undefined));
+  }
+  return values.flatMap(value => (Array.isArray(value) ? value : [value])).filter(value => value !== undefined);
+}
+
+function test(values, condition) {
+  if (!isOperatorObject(condition)) {
+    return values.some(value => same(value, condition)) || (values.length === 0 && condition === null);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some(expected => test(values, expected));
+      case '$nin': return !operand.some(expected => test(values, expected));
+      case '$ne': return !test(values, operand);
+      case '$exists': return (values.length > 0) === Boolean(operand);
+      case '$elemMatch': return values.some(value => value && typeof value === 'object' && matches(value, operand));
+      case '$gt': return values.some(value => comparable(value) > comparable(operand));
+      case '$gte': return values.some(value => comparable(value) >= comparable(operand));
+      case '$lt': return values.some(value => comparable(value) < comparable(operand));
+      case '$lte': return values.some(value => comparable(value) <= comparable(operand));
+      case '$regex': return values.some(value => new RegExp(operand, condition.$options).test(value));
+      default: return true;
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    // $expr, $text and friends are not evaluated
+    if (key.startsWith('$')) return true;
+    return test(valuesAt(doc, key), condition);
+  });
+}
+
+function find(model, filter) {
+  return [...storeFor(model.modelName).values()].filter(doc => matches(doc, filter));
+}
+
+function save(doc) {
+  storeFor(doc.constructor.modelName).set(doc._id.toString(), clone(doc.toObject({ depopulate: true })));
+}
+
+async function exec() {
+  const docs = find(this.model, this.getFilter());
+  const lean = Boolean(this._mongooseOptions.lean);
+  const output = (doc) => (doc ? (lean ? clone(doc) : this.model.hydrate(clone(doc))) : null);
+  const { skip = 0, limit } = this.options;
+
+  switch (this.op) {
+    case 'find':
+      return docs.slice(skip, limit ? skip + limit : undefined).map(output);
+    case 'findOne':
+    case 'findOneAndUpdate':
+      return output(docs[0]);
+    case 'findOneAndDelete':
+    case 'deleteOne':
+    case 'deleteMany': {
+      const removed = this.op === 'deleteMany' ? docs : docs.slice(0, 1);
+      removed.forEach(doc => storeFor(this.model.modelName).delete(doc._id.toString()));
+      return this.op === 'findOneAndDelete' ? output(removed[0]) : { acknowledged: true, deletedCount: removed.length };
+    }
+    case 'countDocuments':
+    case 'estimatedDocumentCount':
+      return docs.length;
+    case 'distinct': {
+      const values = docs.flatMap(doc => valuesAt(doc, this._distinct));
+      return values.filter((value, index) => values.findIndex(other => same(other, value)) === index);
+    }
+    case 'updateOne':
+    case 'updateMany':
+    case 'replaceOne':
+      return { acknowledged: true, matchedCount: docs.length, modifiedCount: 0 };
+    default:
+      throw new Error(`memoryDb does not support ${this.model.modelName}.${this.op}()`);
+  }
+}
+
+async function saveDocument() {
+  await this.validate();
+  save(this);
+  this.isNew = false;
+  return this;
+}
+
+// Route every mongoose read and write to the in-memory store until restore()
+function install() {
+  // Anything not stubbed fails fast instead of waiting for a connection
+  mongoose.set('bufferTimeoutMS', 200);
+
+  mock.method(mongoose.Query.prototype, 'exec', exec);
+  mock.method(mongoose.Aggregate.prototype, 'exec', async () => []);
+  mock.method(mongoose.Model.prototype, 'save', saveDocument);
+  mock.method(mongoose.Model.prototype, '$save', saveDocument);
+  mock.method(mongoose.Model.prototype, 'deleteOne', async function() {
+    storeFor(this.constructor.modelName).delete(this._id.toString());
+    return this;
+  });
+  mock.method(mongoose.Model, 'insertMany', async function(docs) {
+    const created = docs.map(doc => new this(doc));
+    for (const doc of created) await saveDocument.call(doc);
+    return created;
+  });
+
+  return {
+    // Store mongoose documents as they are (no validation or hooks)
+    add(...docs) {
+      for (const doc of docs) save(doc);
+      return docs.length === 1 ? docs[0] : docs;
+    },
+    // Current copies of a model's documents matching `filter`
+    all(Model, filter = {}) {
+      return find(Model, filter).map(doc => Model.hydrate(clone(doc)));
+    },
+    reset() {
+      stores.clear();
+    },
+    restore() {
+      stores.clear();
+      mock.restoreAll();
+    }
+  };
+}
+
+module.exports = { install };
@@ -0,0 +1,152 @@
+// Interview scheduling (routes/interviewScheduling.js) against tests/helpers/memoryDb: an
+// explicit new time must not double-book the recruiter or the interviewers, and changes reach
+// the other participants' calendars by email.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const express = require('express');
+const memoryDb = require('./helpers/memoryDb');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const HOUR = 60 * 60 * 1000;
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('interview scheduling', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let models;
+  let recruiter;
+  let token;
+  let tomorrow;
+
+  before(async () => {
+    db = memoryDb.install();
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+
+    models = {
+      User: require('../models/User'),
+      Session: require('../models/Session'),
+      Interview: require('../models/Interview'),
+      InterviewSlot: require('../models/InterviewSlot')
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/interviews', require('../routes/interviewScheduling'));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${server.address().port}/api/interviews`;
+  });
+
+  after(() => {
+    server.close();
+    db.restore();
+  });
+
+  beforeEach(() => {
+    db.reset();
+    recruiter = db.add(new models.User({
+      email: 'recruiter@example.com',
+      password: 'hashed-password',
+      firstName: 'Rita',
+      lastName: 'Recruiter',
+      role: 'recruiter'
+    }));
+    const session = db.add(new models.Session({
+      user: recruiter._id,
+      refreshTokenHash: 'unused',
+      expiresAt: new Date(Date.now() + HOUR)
+    }));
+    token = jwt.sign({ id: recruiter._id, sid: session._id }, process.env.JWT_SECRET);
+    tomorrow = new Date(Date.now() + 24 * HOUR);
+  });
+
+  const interviewAt = (start, overrides = {}) => db.add(new models.Interview({
+    job: newId(),
+    application: newId(),
+    candidate: newId(),
+    recruiter: recruiter._id,
+    interviewers: [{ user: recruiter._id, name: 'Rita Recruiter', email: recruiter.email }],
+    start,
+    end: new Date(start.getTime() + HOUR / 2),
+    ...overrides
+  }));
+
+  const reschedule = async (interview, start) => {
+    const response = await fetch(`${baseUrl}/${interview._id}/reschedule`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ start })
+    });
+    return response.status;
+  };
+
+  it('moves the interview to a free time', async () => {
+    const interview = interviewAt(tomorrow);
+    const later = new Date(tomorrow.getTime() + 2 * HOUR);
+
+    assert.equal(await reschedule(interview, later), 200);
+    assert.equal(db.all(models.Interview)[0].start.getTime(), later.getTime());
+  });
+
+  it("refuses a time that overlaps another of the recruiter's interviews", async () => {
+    const interview = interviewAt(tomorrow);
+    interviewAt(new Date(tomorrow.getTime() + 2 * HOUR));
+
+    assert.equal(await reschedule(interview, new Date(tomorrow.getTime() + 2 * HOUR + HOUR / 4)), 409);
+    assert.equal(db.all(models.Interview, { _id: interview._id })[0].start.getTime(), tomorrow.getTime());
+  });
+
+  it('refuses a time when a listed interviewer is booked elsewhere', async () => {
+    const interview = interviewAt(tomorrow, {
+      interviewers: [{ name: 'Ian Interviewer', email: 'ian@example.com' }]
+    });
+    const busy = new Date(tomorrow.getTime() + 3 * HOUR);
+    db.add(new models.InterviewSlot({
+      job: interview.job,
+      recruiter: newId(),
+      start: busy,
+      end: new Date(busy.getTime() + HOUR),
+      interviewers: [{ name: 'Ian Interviewer', email: 'ian@example.com' }],
+      status: 'booked',
+      interview: newId()
+    }));
+
+    assert.equal(await reschedule(interview, new Date(busy.getTime() + HOUR / 2)), 409);
+    assert.equal(await reschedule(interview, new Date(busy.getTime() + HOUR)), 200, 'back to back is fine');
+  });
+
+  it('emails the cancellation with the calendar file and links the candidate to their interviews', async () => {
+    const mail = require('../services/mail');
+    const notifications = require('../services/notifications');
+    const Notification = require('../models/Notification');
+    const sent = mock.method(mail, 'send', async () => ({}));
+
+    const candidate = db.add(new models.User({
+      email: 'candidate@example.com',
+      password: 'hashed-password',
+      firstName: 'Doe,',
+      lastName: 'Jane',
+      role: 'job_seeker'
+    }));
+    const interview = interviewAt(tomorrow, { candidate: candidate._id, status: 'cancelled', sequence: 1 });
+    interview.candidate = candidate;
+    interview.recruiter = recruiter;
+    const job = { _id: interview.job, title: 'Backend Engineer', company: { name: 'Acme' } };
+    interview.job = job;
+
+    await notifications.emit('interview.cancelled', { interview, job, by: recruiter });
+
+    const [message] = sent.mock.calls.map(call => call.arguments[0]);
+    sent.mock.restore();
+    assert.equal(message.to, 'candidate@example.com');
+    assert.match(message.attachments[0].contentType, /method=CANCEL/);
+    assert.match(message.attachments[0].content, /\r\nMETHOD:CANCEL\r\n[\s\S]*\r\nSEQUENCE:1\r\n/);
+    assert.match(message.attachments[0].content, /ATTENDEE;CN="Doe, Jane"/);
+    assert.equal(db.all(Notification)[0].link, '/interviews');
+  });
+});
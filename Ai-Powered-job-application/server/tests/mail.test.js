@@ -0,0 +1,45 @@
+// Transport selection in services/mail.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mail = require('../services/mail');
+
+const ENV = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST'];
+const saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+
+// Forget the chosen transport and configure a fresh environment
+const configure = (env) => {
+  for (const name of ENV) delete process.env[name];
+  Object.assign(process.env, env);
+  mail.name = null;
+  mail.transport = null;
+};
+
+describe('mail', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    configure(Object.fromEntries(Object.entries(saved).filter(([, value]) => value !== undefined)));
+  });
+
+  it('refuses to start in production without a transport', () => {
+    configure({ NODE_ENV: 'production' });
+    assert.throws(() => mail.init(), /No mail transport configured/);
+  });
+
+  it('uses SMTP in production when it is configured', () => {
+    configure({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' });
+    mock.method(console, 'log', () => {});
+    mail.init();
+    assert.equal(mail.name, 'smtp');
+  });
+
+  it('prints only the recipient and subject on the console', async () => {
+    configure({ NODE_ENV: 'development' });
+    const logged = mock.method(console, 'log', () => {});
+
+    await mail.send({ to: 'jane@example.com', subject: 'Reset your password', text: 'token=secret-reset-token' });
+
+    const output = logged.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.match(output, /Mail to jane@example.com: Reset your password/);
+    assert.doesNotMatch(output, /secret-reset-token/);
+  });
+});
@@ -0,0 +1,234 @@
+// OpenID Connect sign-in (routes/oidc.js, services/oidc.js) against the local mock IdP:
+// authorize -> callback -> token -> sign-in or account linking, plus the checks that must
+// turn a tampered flow away.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const memoryDb = require('./helpers/memoryDb');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+  server.on('error', reject);
+});
+
+const listen = (app, port = 0) => new Promise(resolve => {
+  const server = app.listen(port, () => resolve(server));
+});
+
+// Cookie header for the cookies a response sets
+const cookiesFrom = (response) => response.headers.getSetCookie()
+  .map(cookie => cookie.split(';')[0])
+  .join('; ');
+
+describe('OIDC sign-in with the mock IdP', () => {
+  let db;
+  let User;
+  let Session;
+  let idpServer;
+  let apiServer;
+  let apiUrl;
+  let loggedErrors;
+
+  before(async () => {
+    const idpPort = await freePort();
+    Object.assign(process.env, {
+      JWT_SECRET: 'test-secret',
+      CLIENT_URL: 'http://client.test',
+      OIDC_PROVIDERS: 'mock',
+      OIDC_MOCK_ISSUER: `http://localhost:${idpPort}`,
+      OIDC_MOCK_CLIENT_ID: 'test-client',
+      OIDC_MOCK_CLIENT_SECRET: 'test-secret',
+      OIDC_MOCK_NAME: 'Mock IdP',
+      OIDC_MOCK_PROFILE_FIELD: 'github'
+    });
+
+    db = memoryDb.install();
+    // Rejected sign-ins log why; keep that for the assertions instead of the output
+    loggedErrors = mock.method(console, 'error', () => {});
+    User = require('../models/User');
+    Session = require('../models/Session');
+    idpServer = await listen(require('../scripts/mockOidcProvider'), idpPort);
+
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use('/api/auth/oidc', require('../routes/oidc'));
+    apiServer = await listen(app);
+    apiUrl = `http://localhost:${apiServer.address().port}`;
+    process.env.OIDC_REDIRECT_BASE_URL = apiUrl;
+  });
+
+  after(() => {
+    idpServer.close();
+    apiServer.close();
+    db.restore();
+  });
+
+  beforeEach(() => {
+    db.reset();
+    loggedErrors.mock.resetCalls();
+  });
+
+  const loggedError = () => loggedErrors.mock.calls.map(call => call.arguments[1]).find(Boolean);
+
+  const signedInAs = (user) => {
+    const session = db.add(new Session({
+      user: user._id,
+      refreshTokenHash: 'unused',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    }));
+    return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+  };
+
+  // Run the whole flow. `tamper` may change the authorize form the IdP receives or the
+  // callback URL the browser follows. Resolves to the outcome the client app is sent.
+  async function signIn({ token, identity = {}, tamper = {} } = {}) {
+    const start = await fetch(`${apiUrl}/api/auth/oidc/mock/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: JSON.stringify({ link: Boolean(token) })
+    });
+    assert.equal(start.status, 200);
+    const flowCookie = cookiesFrom(start);
+    const authorizeUrl = new URL((await start.json()).url);
+
+    // The user approves on the IdP's page
+    const form = {
+      ...Object.fromEntries(authorizeUrl.searchParams),
+      email: 'jane.doe@example.com',
+      name: 'Jane Doe',
+      profile: 'https://github.com/janedoe',
+      email_verified: 'on',
+      decision: 'allow',
+      ...identity
+    };
+    if (form.email_verified === false) delete form.email_verified;
+    tamper.authorize?.(form);
+
+    const approve = await fetch(`${authorizeUrl.origin}/authorize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(form).toString(),
+      redirect: 'manual'
+    });
+    assert.equal(approve.status, 302);
+    const callbackUrl = new URL(approve.headers.get('location'));
+    assert.equal(callbackUrl.origin, apiUrl);
+    tamper.callback?.(callbackUrl);
+
+    const callback = await fetch(callbackUrl, { headers: { Cookie: flowCookie }, redirect: 'manual' });
+    assert.equal(callback.status, 302);
+    const outcome = new URL(callback.headers.get('location'));
+    assert.equal(`${outcome.origin}${outcome.pathname}`, 'http://client.test/auth/callback');
+    return { ...Object.fromEntries(outcome.searchParams), cookies: callback.headers.getSetCookie() };
+  }
+
+  it('lists the configured provider', async () => {
+    const response = await fetch(`${apiUrl}/api/auth/oidc/providers`);
+    assert.deepEqual((await response.json()).providers, [{ id: 'mock', name: 'Mock IdP' }]);
+  });
+
+  it('registers a new user and imports the profile', async () => {
+    const outcome = await signIn();
+
+    assert.equal(outcome.status, 'registered');
+    assert.ok(outcome.cookies.some(cookie => cookie.startsWith('refreshToken=')), 'starts a session');
+
+    const [user] = db.all(User);
+    assert.equal(user.email, 'jane.doe@example.com');
+    assert.equal(user.firstName, 'Jane');
+    assert.equal(user.lastName, 'Doe');
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.profile.github, 'https://github.com/janedoe');
+    assert.equal(user.identities.length, 1);
+    assert.equal(user.identities[0].provider, 'mock');
+    assert.equal(db.all(Session).length, 1);
+  });
+
+  it('signs the same identity in again without creating another account', async () => {
+    await signIn();
+    const outcome = await signIn();
+
+    assert.equal(outcome.status, 'signed_in');
+    assert.equal(db.all(User).length, 1);
+  });
+
+  it('links a verified email to the existing account and only fills empty profile fields', async () => {
+    db.add(new User({
+      email: 'jane.doe@example.com',
+      password: 'hashed-password',
+      firstName: 'Janet',
+      lastName: 'Doe',
+      profile: { location: 'Berlin' }
+    }));
+
+    const outcome = await signIn({ identity: { profile: 'https://github.com/jd' } });
+
+    assert.equal(outcome.status, 'linked');
+    const [user] = db.all(User);
+    assert.equal(user.firstName, 'Janet', 'keeps the existing name');
+    assert.equal(user.profile.location, 'Berlin');
+    assert.equal(user.profile.github, 'https://github.com/jd');
+    assert.deepEqual(user.identities.map(identity => identity.provider), ['mock']);
+  });
+
+  it('refuses to take over an existing account when the email is not verified', async () => {
+    db.add(new User({ email: 'jane.doe@example.com', password: 'hashed-password', firstName: 'Jane', lastName: 'Doe' }));
+
+    const outcome = await signIn({ identity: { email_verified: false } });
+
+    assert.equal(outcome.status, 'error');
+    assert.match(outcome.message, /already exists/);
+    assert.equal(db.all(User)[0].identities.length, 0);
+  });
+
+  it('connects the provider to the signed-in account', async () => {
+    const user = db.add(new User({
+      email: 'someone.else@example.com',
+      password: 'hashed-password',
+      firstName: 'Sam',
+      lastName: 'Else'
+    }));
+
+    const outcome = await signIn({ token: signedInAs(user) });
+
+    assert.equal(outcome.status, 'connected');
+    assert.equal(outcome.imported, 'github');
+    const [saved] = db.all(User);
+    assert.equal(saved.email, 'someone.else@example.com');
+    assert.equal(saved.identities[0].email, 'jane.doe@example.com');
+    assert.equal(saved.profile.github, 'https://github.com/janedoe');
+  });
+
+  it('rejects a callback whose state does not match the flow', async () => {
+    const outcome = await signIn({ tamper: { callback: url => url.searchParams.set('state', 'forged-state') } });
+
+    assert.equal(outcome.status, 'error');
+    assert.match(outcome.message, /expired/);
+    assert.equal(db.all(User).length, 0);
+  });
+
+  it('rejects an ID token issued for another nonce', async () => {
+    const outcome = await signIn({ tamper: { authorize: form => { form.nonce = 'replayed-nonce'; } } });
+
+    assert.equal(outcome.status, 'error');
+    assert.match(outcome.message, /Could not sign in/);
+    assert.equal(loggedError().message, 'ID token nonce does not match');
+    assert.equal(db.all(User).length, 0);
+  });
+
+  it('rejects a code bound to another PKCE challenge', async () => {
+    const outcome = await signIn({ tamper: { authorize: form => { form.code_challenge = 'not-our-challenge'; } } });
+
+    assert.equal(outcome.status, 'error');
+    assert.equal(loggedError().response.data.error_description, 'PKCE verification failed');
+    assert.equal(db.all(User).length, 0);
+  });
+});
@@ -0,0 +1,255 @@
+// Route-level access checks: for at least one protected route per policy resource, a role
+// without the permission gets 403 from permit() (or the ownership check) and a role with it
+// gets through. Runs the real auth middleware and routers against tests/helpers/memoryDb.
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const memoryDb = require('./helpers/memoryDb');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+describe('route permissions', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let models;
+  let policy;
+  const tokens = {};
+  const users = {};
+
+  before(async () => {
+    db = memoryDb.install();
+    // Handlers log what they do; only the status codes matter here
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+
+    models = {
+      User: require('../models/User'),
+      Session: require('../models/Session'),
+      Job: require('../models/Job'),
+      Task: require('../models/Task'),
+      Course: require('../models/Course'),
+      Skill: require('../models/Skill')
+    };
+    policy = require('../services/policy');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+    app.use('/api/jobs', require('../routes/jobs'));
+    app.use('/api/interviews', require('../routes/interviewScheduling'));
+    app.use('/api/tasks', require('../routes/tasks'));
+    app.use('/api/videos', require('../routes/videos'));
+    app.use('/api/applications', require('../routes/applications'));
+    app.use('/api/skills', require('../routes/skills'));
+    app.use('/api/courses', require('../routes/courses'));
+    app.use('/api/companies', require('../routes/companies'));
+    app.use('/api/admin/users', require('../routes/adminUsers'));
+    app.use('/api/admin/jobs', require('../routes/adminJobs'));
+    app.use('/api/admin/settings', require('../routes/adminSettings'));
+    app.use('/api/admin/roles', require('../routes/adminRoles'));
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    db.restore();
+  });
+
+  // Fresh users with live sessions before every test
+  beforeEach(() => {
+    db.reset();
+    policy.overrides.clear();
+    for (const name of ['job_seeker', 'recruiter', 'other_recruiter', 'admin']) {
+      const user = db.add(new models.User({
+        email: `${name}@example.com`,
+        password: 'hashed-password',
+        firstName: name,
+        lastName: 'Test',
+        role: name === 'other_recruiter' ? 'recruiter' : name
+      }));
+      const session = db.add(new models.Session({
+        user: user._id,
+        refreshTokenHash: `hash-${name}`,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      }));
+      users[name] = user;
+      tokens[name] = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+    }
+  });
+
+  const request = async (as, method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(as ? { Authorization: `Bearer ${tokens[as]}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return response.status;
+  };
+
+  const jobBy = (user) => db.add(new models.Job({
+    title: 'Backend Engineer',
+    description: 'Build APIs',
+    company: { name: 'Acme' },
+    location: { city: 'Berlin' },
+    jobType: 'full-time',
+    experienceLevel: 'mid',
+    postedBy: user._id,
+    status: 'active'
+  }));
+
+  // resource -> [method, path, role allowed, role refused]
+  const ROUTES = {
+    jobs: ['GET', '/api/admin/jobs', 'admin', 'recruiter'],
+    applications: ['GET', '/api/jobs/my-jobs', 'recruiter', 'job_seeker'],
+    companies: ['GET', '/api/companies/mine', 'recruiter', 'job_seeker'],
+    videos: ['GET', '/api/videos/reviews/moderation', 'admin', 'recruiter'],
+    users: ['GET', '/api/admin/users', 'admin', 'recruiter'],
+    settings: ['GET', '/api/admin/settings', 'admin', 'recruiter'],
+    roles: ['GET', '/api/admin/roles', 'admin', 'recruiter']
+  };
+
+  for (const [resource, [method, path, allowed, refused]] of Object.entries(ROUTES)) {
+    it(`${resource}: ${method} ${path}`, async () => {
+      assert.equal(await request(null, method, path), 401);
+      assert.equal(await request(refused, method, path), 403);
+      assert.equal(await request(allowed, method, path), 200);
+    });
+  }
+
+  it('interviews: POST /api/interviews/slots', async () => {
+    const job = jobBy(users.recruiter);
+    const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const body = { jobId: job._id, slots: [{ start, end: new Date(start.getTime() + 30 * 60 * 1000) }] };
+
+    assert.equal(await request('job_seeker', 'POST', '/api/interviews/slots', body), 403);
+    assert.equal(await request('other_recruiter', 'POST', '/api/interviews/slots', body), 403, "someone else's job");
+    assert.equal(await request('recruiter', 'POST', '/api/interviews/slots', body), 201);
+  });
+
+  it('tasks: GET /api/tasks/:id', async () => {
+    const task = db.add(new models.Task({ type: 'resume.parse', user: users.job_seeker._id }));
+
+    assert.equal(await request('recruiter', 'GET', `/api/tasks/${task._id}`), 403, "someone else's task");
+    assert.equal(await request('job_seeker', 'GET', `/api/tasks/${task._id}`), 200);
+    assert.equal(await request('admin', 'GET', `/api/tasks/${task._id}`), 200);
+  });
+
+  it('courses: DELETE /api/courses/:id', async () => {
+    const course = db.add(new models.Course({
+      title: 'Node.js basics',
+      description: 'Intro',
+      provider: 'Internal',
+      url: 'https://example.com/course'
+    }));
+
+    assert.equal(await request('recruiter', 'DELETE', `/api/courses/${course._id}`), 403);
+    assert.equal(await request('admin', 'DELETE', `/api/courses/${course._id}`), 200);
+  });
+
+  it('skills: DELETE /api/skills/:slug', async () => {
+    db.add(new models.Skill({ name: 'Cobol', slug: 'cobol' }));
+
+    assert.equal(await request('recruiter', 'DELETE', '/api/skills/cobol'), 403);
+    assert.equal(await request('admin', 'DELETE', '/api/skills/cobol'), 200);
+  });
+
+  it('jobs: GET /api/jobs keeps hiring team details out of the public list', async () => {
+    jobBy(users.recruiter);
+
+    const response = await fetch(`${baseUrl}/api/jobs`);
+    const [job] = (await response.json()).jobs;
+    assert.equal(job.title, 'Backend Engineer');
+    assert.equal(job.teamSize, undefined);
+    assert.equal(job.access, undefined);
+  });
+
+  describe('job ownership: PUT /api/jobs/:id', () => {
+    it('lets the owner and admins edit, not other recruiters', async () => {
+      const job = jobBy(users.recruiter);
+      const body = { title: 'Senior Backend Engineer' };
+
+      assert.equal(await request('other_recruiter', 'PUT', `/api/jobs/${job._id}`, body), 403);
+      assert.equal(await request('job_seeker', 'PUT', `/api/jobs/${job._id}`, body), 403);
+      assert.equal(await request('recruiter', 'PUT', `/api/jobs/${job._id}`, body), 200);
+      assert.equal(await request('admin', 'PUT', `/api/jobs/${job._id}`, body), 200);
+      assert.equal(db.all(models.Job)[0].title, 'Senior Backend Engineer');
+    });
+
+    it('ignores hiring team and owner changes in the body', async () => {
+      const job = jobBy(users.recruiter);
+      const body = {
+        postedBy: users.other_recruiter._id,
+        team: [{ user: users.other_recruiter._id, permissions: ['view', 'change_status'] }]
+      };
+
+      assert.equal(await request('recruiter', 'PUT', `/api/jobs/${job._id}`, body), 200);
+      const [saved] = db.all(models.Job);
+      assert.equal(saved.postedBy.toString(), users.recruiter._id.toString());
+      assert.equal(saved.team.length, 0);
+    });
+
+    it('re-embeds the merged job when its title, description or requirements change', async () => {
+      const aiMatching = require('../services/aiMatching');
+      const embed = mock.method(aiMatching, 'generateEmbedding', async () => [0.1, 0.2]);
+      const job = jobBy(users.recruiter);
+
+      assert.equal(await request('recruiter', 'PUT', `/api/jobs/${job._id}`, { title: 'Staff Engineer' }), 200);
+      assert.equal(await request('recruiter', 'PUT', `/api/jobs/${job._id}`, { jobType: 'contract' }), 200);
+      embed.mock.restore();
+
+      assert.equal(embed.mock.callCount(), 1, 'only text changes re-embed');
+      assert.equal(embed.mock.calls[0].arguments[0], aiMatching.jobEmbeddingText({ title: 'Staff Engineer', description: 'Build APIs' }));
+      assert.deepEqual([...db.all(models.Job)[0].embedding], [0.1, 0.2]);
+    });
+
+    it('follows role changes an admin makes at runtime', async () => {
+      const job = jobBy(users.recruiter);
+      const { grants } = (await policy.listRoles()).find(role => role.name === 'recruiter');
+
+      assert.equal(await request('admin', 'PUT', '/api/admin/roles/recruiter', {
+        grants: grants.filter(grant => grant !== 'jobs:update:own')
+      }), 200);
+      assert.equal(await request('recruiter', 'PUT', `/api/jobs/${job._id}`, { title: 'Renamed' }), 403);
+    });
+  });
+
+  it('auth: POST /api/auth/register refuses to sign anyone up as admin', async () => {
+    const signUp = (email, role) => request(null, 'POST', '/api/auth/register', {
+      email, password: 'secret123', firstName: 'New', lastName: 'User', role
+    });
+
+    assert.equal(await signUp('new.admin@example.com', 'admin'), 400);
+    assert.equal(db.all(models.User, { email: 'new.admin@example.com' }).length, 0);
+    assert.equal(await signUp('new.recruiter@example.com', 'recruiter'), 201);
+    assert.equal(db.all(models.User, { email: 'new.recruiter@example.com' })[0].role, 'recruiter');
+  });
+
+  it('users: GET /api/admin/users leaves erased accounts out of the role counts', async () => {
+    db.add(new models.User({ email: 'erased@example.invalid', firstName: 'Erased', lastName: 'User', role: 'job_seeker', erasedAt: new Date() }));
+    // The counts are a $match then a $group by role
+    const aggregate = mock.method(models.User, 'aggregate', async ([{ $match }]) => {
+      const counts = {};
+      for (const user of db.all(models.User, $match)) counts[user.role] = (counts[user.role] || 0) + 1;
+      return Object.entries(counts).map(([role, count]) => ({ _id: role, count }));
+    });
+
+    const response = await fetch(`${baseUrl}/api/admin/users`, { headers: { Authorization: `Bearer ${tokens.admin}` } });
+    aggregate.mock.restore();
+
+    const { counts } = await response.json();
+    assert.equal(counts.job_seeker, 1);
+    assert.equal(counts.recruiter, 2);
+  });
+
+  it('keeps unknown role names out of the role editor', async () => {
+    assert.equal(await request('admin', 'PUT', '/api/admin/roles/guest', { grants: [] }), 404);
+  });
+});
@@ -0,0 +1,138 @@
+// Role × permission matrix for services/policy.js: what each built-in role may do, and the
+// ownership rules behind "own" grants (own job vs someone else's job, and so on).
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const policy = require('../services/policy');
+const Company = require('../models/Company');
+
+const ROLES = ['job_seeker', 'recruiter', 'admin'];
+
+// The intended access, written out by hand so a change to the defaults has to be made here too
+const EXPECTED = {
+  'jobs:create': { job_seeker: null, recruiter: 'any', admin: null },
+  'jobs:update': { job_seeker: null, recruiter: 'own', admin: 'any' },
+  'jobs:delete': { job_seeker: null, recruiter: 'own', admin: 'any' },
+  'jobs:moderate': { job_seeker: null, recruiter: null, admin: 'any' },
+  'applications:create': { job_seeker: 'any', recruiter: null, admin: null },
+  'applications:withdraw': { job_seeker: 'own', recruiter: null, admin: null },
+  'applications:review': { job_seeker: null, recruiter: 'own', admin: 'any' },
+  'interviews:schedule': { job_seeker: null, recruiter: 'own', admin: 'any' },
+  'interviews:book': { job_seeker: 'any', recruiter: null, admin: null },
+  'companies:create': { job_seeker: null, recruiter: 'any', admin: null },
+  'companies:update': { job_seeker: null, recruiter: 'own', admin: 'any' },
+  'companies:manage_members': { job_seeker: null, recruiter: 'own', admin: 'any' },
+  'tasks:view': { job_seeker: 'own', recruiter: 'own', admin: 'any' },
+  'videos:manage': { job_seeker: null, recruiter: null, admin: 'any' },
+  'videos:moderate': { job_seeker: null, recruiter: null, admin: 'any' },
+  'courses:manage': { job_seeker: null, recruiter: null, admin: 'any' },
+  'skills:manage': { job_seeker: null, recruiter: null, admin: 'any' },
+  'users:manage': { job_seeker: null, recruiter: null, admin: 'any' },
+  'settings:manage': { job_seeker: null, recruiter: null, admin: 'any' },
+  'roles:manage': { job_seeker: null, recruiter: null, admin: 'any' }
+};
+
+const newId = () => new mongoose.Types.ObjectId();
+const userWith = (role) => ({ _id: newId(), role });
+
+const company = (memberId, memberRole) => new Company({
+  name: 'Acme',
+  slug: 'acme',
+  members: [{ user: newId(), role: 'owner' }, ...(memberId ? [{ user: memberId, role: memberRole }] : [])]
+});
+
+// A record the user owns and one they don't, for every permission that can be granted "own"
+const RECORDS = {
+  'jobs:update': (user) => [{ postedBy: user._id }, { postedBy: newId() }],
+  'jobs:delete': (user) => [{ postedBy: user._id }, { postedBy: newId() }],
+  'applications:withdraw': (user) => [{ applicant: user._id }, { applicant: newId() }],
+  'applications:review': (user) => [{ postedBy: user._id, team: [] }, { postedBy: newId(), team: [] }],
+  'interviews:schedule': (user) => [{ recruiter: user._id }, { recruiter: newId() }],
+  'companies:update': (user) => [company(user._id, 'admin'), company()],
+  'companies:manage_members': (user) => [company(user._id, 'owner'), company()],
+  'tasks:view': (user) => [{ user: user._id }, { user: newId() }]
+};
+
+describe('policy', () => {
+  afterEach(() => policy.overrides.clear());
+
+  it('covers every permission in the catalog', () => {
+    assert.deepEqual(
+      policy.catalog().map(({ permission }) => permission).sort(),
+      Object.keys(EXPECTED).sort()
+    );
+  });
+
+  it('sends "own" grants through an ownership rule', () => {
+    const ownable = policy.catalog().filter(({ scopes }) => scopes.includes('own')).map(({ permission }) => permission);
+    assert.deepEqual(ownable.sort(), Object.keys(RECORDS).sort());
+  });
+
+  for (const [permission, scopes] of Object.entries(EXPECTED)) {
+    describe(permission, () => {
+      for (const role of ROLES) {
+        const expected = scopes[role];
+
+        it(`${role}: ${expected || 'denied'}`, () => {
+          const user = userWith(role);
+          assert.equal(policy.scopeOf(user, permission), expected);
+          assert.equal(policy.can(user, permission), Boolean(expected));
+
+          if (!RECORDS[permission]) return;
+          const [own, others] = RECORDS[permission](user);
+          assert.equal(policy.can(user, permission, own), Boolean(expected), 'own record');
+          assert.equal(policy.can(user, permission, others), expected === 'any', "someone else's record");
+        });
+      }
+    });
+  }
+
+  it('lets hiring team members review the job they were added to', () => {
+    const recruiter = userWith('recruiter');
+    const job = { postedBy: newId(), team: [{ user: recruiter._id }] };
+
+    assert.equal(policy.can(recruiter, 'applications:review', job), true);
+    assert.equal(policy.can(recruiter, 'jobs:update', job), false, 'but not edit it');
+  });
+
+  it('tells company admins from owners', () => {
+    const recruiter = userWith('recruiter');
+    const asAdmin = company(recruiter._id, 'admin');
+    const asRecruiter = company(recruiter._id, 'recruiter');
+
+    assert.equal(policy.can(recruiter, 'companies:update', asAdmin), true);
+    assert.equal(policy.can(recruiter, 'companies:manage_members', asAdmin), false);
+    assert.equal(policy.can(recruiter, 'companies:update', asRecruiter), false);
+  });
+
+  it('denies without a user or a record to check ownership against', () => {
+    assert.equal(policy.can(null, 'jobs:update'), false);
+    assert.equal(policy.can(userWith('recruiter'), 'jobs:update', null), false);
+  });
+
+  it('applies overridden grants instead of the defaults', () => {
+    const recruiter = userWith('recruiter');
+    policy.overrides.set('recruiter', ['jobs:update:any']);
+
+    assert.equal(policy.can(recruiter, 'jobs:update', { postedBy: newId() }), true);
+    assert.equal(policy.can(recruiter, 'jobs:create'), false);
+  });
+
+  it('refuses unknown permissions', () => {
+    assert.throws(() => policy.can(userWith('admin'), 'jobs:archive'), policy.PolicyError);
+  });
+
+  it('validates grants before storing them', async () => {
+    const admin = userWith('admin');
+    await assert.rejects(policy.setGrants('recruiter', ['jobs:moderate:own'], admin), /only be granted with scope any/);
+    await assert.rejects(policy.setGrants('recruiter', ['jobs:archive:any'], admin), /Unknown permission/);
+    await assert.rejects(policy.setGrants('guest', [], admin), { statusCode: 404 });
+  });
+
+  it('keeps the admin role in control of users and roles', async () => {
+    await assert.rejects(
+      policy.setGrants('admin', ['settings:manage:any'], userWith('admin')),
+      /must keep users:manage:any and roles:manage:any/
+    );
+  });
+});
@@ -0,0 +1,99 @@
+// services/twoFactor.js checkCode: the replay guard, recovery codes and failure count are
+// written with conditional updates, so parallel requests can't reuse a code or skip the
+// lockout. The database answers are simulated: the first request to claim a step wins.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const twoFactor = require('../services/twoFactor');
+const User = require('../models/User');
+
+// The code an authenticator would show right now
+function currentCode(secret) {
+  const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = secret.split('').map(char => BASE32.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000)));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+describe('twoFactor.checkCode', () => {
+  let secret;
+  let updates;
+  let failures;
+
+  const loadedUser = () => new User({
+    _id: new mongoose.Types.ObjectId(),
+    email: 'jane@example.com',
+    firstName: 'Jane',
+    lastName: 'Doe',
+    twoFactor: {
+      enabled: true,
+      secret: twoFactor.encrypt(secret),
+      recoveryCodes: [{ codeHash: crypto.createHash('sha256').update('abcde12345').digest('hex') }]
+    }
+  });
+
+  beforeEach(() => {
+    secret = twoFactor.generateSecret();
+    updates = [];
+    failures = 0;
+    // Conditional updates match for the first caller only, as they would in MongoDB
+    mock.method(User, 'updateOne', async (filter, update) => {
+      updates.push({ filter, update });
+      return { modifiedCount: updates.length === 1 ? 1 : 0 };
+    });
+    mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+      assert.deepEqual(update, { $inc: { 'twoFactor.failedAttempts': 1 } });
+      failures++;
+      return { twoFactor: { failedAttempts: failures } };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('accepts a TOTP code once when two requests race with it', async () => {
+    const code = currentCode(secret);
+    const results = await Promise.all([twoFactor.checkCode(loadedUser(), code), twoFactor.checkCode(loadedUser(), code)]);
+
+    assert.deepEqual(results.sort(), ['totp', null].sort());
+    assert.ok('$not' in updates[0].filter['twoFactor.lastUsedStep'], 'claims the step conditionally');
+    assert.equal(failures, 1, 'the replay counts as a failed attempt');
+  });
+
+  it('uses a recovery code only while it is unused', async () => {
+    const results = await Promise.all([
+      twoFactor.checkCode(loadedUser(), 'abcde-12345'),
+      twoFactor.checkCode(loadedUser(), 'abcde-12345')
+    ]);
+
+    assert.deepEqual(results.sort(), ['recovery', null].sort());
+    assert.deepEqual(updates[0].filter['twoFactor.recoveryCodes'].$elemMatch.usedAt, { $exists: false });
+  });
+
+  it('counts failures atomically and locks once the limit is reached', async () => {
+    const user = loadedUser();
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal(await twoFactor.checkCode(user, '000000'), null);
+    }
+
+    assert.equal(failures, 5);
+    const [lock] = updates;
+    assert.deepEqual(lock.filter['twoFactor.failedAttempts'], { $gte: 5 });
+    assert.ok(lock.update.$set['twoFactor.lockedUntil'] > new Date());
+  });
+
+  it('refuses while the account is locked', async () => {
+    const user = loadedUser();
+    user.twoFactor.lockedUntil = new Date(Date.now() + twoFactor.LOCKOUT_MS);
+
+    assert.equal(await twoFactor.checkCode(user, currentCode(secret)), 'locked');
+    assert.equal(updates.length + failures, 0);
+  });
+});
@@ -0,0 +1,79 @@
+// services/videoProgress.js: a video's skills are credited only when the reported watch
+// progress reaches the completion threshold, never by marking the video watched by hand.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const videoProgress = require('../services/videoProgress');
+const VideoProgress = require('../models/VideoProgress');
+const LearningPath = require('../models/LearningPath');
+const Video = require('../models/Video');
+const User = require('../models/User');
+
+// Whether `record` satisfies the few filter shapes recordProgress uses
+const matches = (record, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (condition && typeof condition === 'object' && '$exists' in condition) {
+    return (record[key] !== undefined) === condition.$exists;
+  }
+  return ['user', 'video', '_id'].includes(key) || record[key] === condition;
+});
+
+describe('video progress', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const video = { _id: new mongoose.Types.ObjectId(), skills: ['JavaScript'], difficulty: 'intermediate' };
+  let record;
+  let user;
+
+  beforeEach(() => {
+    record = null;
+    user = { skills: [], save: async () => {} };
+
+    // One progress record, updated the way MongoDB would apply these operators
+    mock.method(VideoProgress, 'findOneAndUpdate', async (filter, update, options = {}) => {
+      if (!record) {
+        if (!options.upsert) return null;
+        record = { _id: new mongoose.Types.ObjectId(), percentWatched: 0, completed: false };
+      }
+      if (!matches(record, filter)) return null;
+      Object.assign(record, update.$set);
+      for (const [key, value] of Object.entries(update.$max || {})) record[key] = Math.max(record[key], value);
+      for (const key of Object.keys(update.$unset || {})) delete record[key];
+      return { ...record };
+    });
+    mock.method(VideoProgress, 'findById', async () => ({ ...record }));
+    mock.method(LearningPath, 'find', async () => []);
+    mock.method(Video, 'updateOne', async () => ({}));
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('marks a video watched by hand without crediting its skills', async () => {
+    const result = await videoProgress.recordProgress(userId, video, { completed: true });
+
+    assert.equal(result.completedNow, true);
+    assert.equal(result.progress.completed, true);
+    assert.deepEqual(result.creditedSkills, []);
+    assert.equal(user.skills.length, 0);
+  });
+
+  it('credits the skills once the watch progress passes the threshold', async () => {
+    await videoProgress.recordProgress(userId, video, { percentWatched: 50 });
+    assert.equal(user.skills.length, 0);
+
+    const result = await videoProgress.recordProgress(userId, video, { percentWatched: videoProgress.COMPLETION_THRESHOLD });
+    assert.equal(result.completedNow, true);
+    assert.deepEqual(result.creditedSkills, ['JavaScript']);
+    assert.equal(user.skills[0].source, 'learning');
+
+    const again = await videoProgress.recordProgress(userId, video, { percentWatched: 100 });
+    assert.deepEqual(again.creditedSkills, [], 'only once');
+  });
+
+  it('still credits a video marked watched earlier once it is actually watched', async () => {
+    await videoProgress.recordProgress(userId, video, { completed: true });
+    const result = await videoProgress.recordProgress(userId, video, { percentWatched: 95 });
+
+    assert.equal(result.completedNow, false);
+    assert.deepEqual(result.creditedSkills, ['JavaScript']);
+  });
+});